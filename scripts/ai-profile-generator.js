@@ -12,6 +12,11 @@ const path = require('path');
 const { analyzeCollection, formatAnalysisForAI } = require('./analyze-collection');
 const { parseMetadata, formatMetadataForAI } = require('./parse-metadata');
 const { callAI } = require('./ai-utils');
+const { parseYAML } = require('./yaml-utils');
+const { validateProfilesDocument } = require('./profile-schema');
+
+// How many times a response that fails validation is sent back to the AI for correction
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
 
 /**
  * Extract YAML from AI response (handles markdown code blocks)
@@ -37,6 +42,46 @@ function extractYAML(response) {
   return yamlContent.trim();
 }
 
+/**
+ * Parse AI-generated YAML and validate it against the profile schema.
+ * Returns the list of problems (empty when the profiles are usable).
+ */
+function validateProfileYAML(yamlContent) {
+  if (!yamlContent) {
+    return ['response did not contain any YAML'];
+  }
+
+  let doc;
+  try {
+    doc = parseYAML(yamlContent);
+  } catch (e) {
+    return [e.message];
+  }
+
+  return validateProfilesDocument(doc).errors;
+}
+
+/**
+ * Generate AI prompt asking to fix a profile configuration that failed validation
+ */
+function generateRepairPrompt(originalPrompt, yamlContent, errors) {
+  return `${originalPrompt}
+
+Your previous response was:
+
+\`\`\`yaml
+${yamlContent}
+\`\`\`
+
+It failed validation with these errors:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Fix every error and return the complete corrected YAML configuration. Remember:
+- Durations use k6 format such as "30s", "5m" or "1m30s"
+- Stage targets are whole numbers of virtual users, not strings
+- Thresholds are lists of k6 expressions such as "p(95)<2000", "avg<500" or "rate<0.05"`;
+}
+
 /**
  * Generate AI prompt for profile generation
  */
@@ -134,10 +179,13 @@ You always provide practical, production-ready recommendations based on API comp
 /**
  * Generate load profile using AI
  */
-async function generateProfile(collectionPath, aiConfig, outputPath = null, metadataPath = null) {
+async function generateProfile(collectionPath, aiConfig, outputPath = null, metadataPath = null, environmentPath = null) {
   try {
     console.log(`Analyzing collection: ${collectionPath}`);
-    const analysis = analyzeCollection(collectionPath);
+    // The environment file resolves {{variables}} so hosts and paths are analyzed as they are sent
+    const analysis = analyzeCollection(collectionPath, {
+      environmentPath: environmentPath && fs.existsSync(environmentPath) ? environmentPath : null
+    });
     
     console.log(`Collection analyzed: ${analysis.totalEndpoints} endpoints, complexity: ${analysis.patterns.complexity}`);
     
@@ -152,16 +200,33 @@ async function generateProfile(collectionPath, aiConfig, outputPath = null, meta
       }
     }
     
+    const maxRepairAttempts = aiConfig.maxRepairAttempts != null ? aiConfig.maxRepairAttempts : DEFAULT_MAX_REPAIR_ATTEMPTS;
+    if (!Number.isInteger(maxRepairAttempts) || maxRepairAttempts < 0) {
+      throw new Error(`maxRepairAttempts must be a non-negative integer (got ${JSON.stringify(maxRepairAttempts)})`);
+    }
+
     console.log('Generating load profile suggestions using AI...');
     const prompt = generateProfilePrompt(analysis, metadata);
     const response = await callAI(aiConfig, prompt, SYSTEM_PROMPT);
     
-    // Extract YAML from response
-    const yamlContent = extractYAML(response);
+    // Extract YAML from response and validate it, asking the AI to fix any errors
+    let yamlContent = extractYAML(response);
+    let errors = validateProfileYAML(yamlContent);
+    let repairAttempts = 0;
+    
+    while (errors.length > 0 && repairAttempts < maxRepairAttempts) {
+      repairAttempts++;
+      console.log(`AI profile failed validation, requesting a fix (attempt ${repairAttempts}/${maxRepairAttempts}):`);
+      errors.forEach(error => console.log(`  - ${error}`));
+      const repaired = await callAI(aiConfig, generateRepairPrompt(prompt, yamlContent, errors), SYSTEM_PROMPT);
+      yamlContent = extractYAML(repaired);
+      errors = validateProfileYAML(yamlContent);
+    }
     
-    if (!yamlContent || !yamlContent.includes('profiles:')) {
-      throw new Error('AI response did not contain valid YAML profile configuration');
+    if (errors.length > 0) {
+      throw new Error(`AI response is not a valid profile configuration after ${repairAttempts} repair attempt(s):\n  - ${errors.join('\n  - ')}`);
     }
+    console.log(`AI profile passed validation${repairAttempts > 0 ? ` after ${repairAttempts} repair attempt(s)` : ''}`);
     
     // If output path provided, save to file
     if (outputPath) {
@@ -176,7 +241,8 @@ async function generateProfile(collectionPath, aiConfig, outputPath = null, meta
     return {
       success: true,
       yaml: yamlContent,
-      analysis: analysis
+      analysis: analysis,
+      repairAttempts
     };
   } catch (error) {
     console.error(`Error generating profile: ${error.message}`);
@@ -194,9 +260,10 @@ if (require.main === module) {
   const aiConfigJson = process.argv[3];
   const outputPath = process.argv[4] || '.k6-config/ai-suggested-profile.yaml';
   const metadataPath = process.argv[5] || null;
+  const environmentPath = process.argv[6] || null;
   
   if (!collectionPath || !aiConfigJson) {
-    console.error('Usage: node ai-profile-generator.js <collection-file> <ai-config-json> [output-path] [metadata-file]');
+    console.error('Usage: node ai-profile-generator.js <collection-file> <ai-config-json> [output-path] [metadata-file] [environment-file]');
     console.error('Example: node ai-profile-generator.js collection.json \'{"provider":"openai","apiKey":"sk-...","model":"gpt-4"}\' .k6-config/profile.yaml metadata.json');
     process.exit(1);
   }
@@ -209,7 +276,7 @@ if (require.main === module) {
     process.exit(1);
   }
   
-  generateProfile(collectionPath, aiConfig, outputPath, metadataPath)
+  generateProfile(collectionPath, aiConfig, outputPath, metadataPath, environmentPath)
     .then(result => {
       if (result.success) {
         console.log('\n=== AI-Generated Load Profile ===\n');
@@ -229,6 +296,8 @@ if (require.main === module) {
 module.exports = {
   generateProfile,
   generateProfilePrompt,
+  generateRepairPrompt,
+  validateProfileYAML,
   extractYAML
 };
 
@@ -2,25 +2,49 @@
 
 /**
  * AI-Powered Result Analyzer
- * Uses AI to analyze k6 test results and provide insights
+ * Analyzes k6 test results with the built-in rules and, when an AI provider is configured,
+ * layers AI insights on top of the rule-based findings
  * 
- * Usage: node ai-result-analyzer.js <k6-results-json> <ai-config-json> [profile-name]
+ * Usage: node ai-result-analyzer.js <k6-results-json> <ai-config-json|''> [profile-name] [output-dir] [k6-script] [k6-summary]
  */
 
 const fs = require('fs');
 const path = require('path');
 const { parseK6Results, formatMetricsForAI } = require('./parse-k6-results');
 const { callAI } = require('./ai-utils');
+const { formatBreakdownMarkdown } = require('./endpoint-breakdown');
+const { formatTimeSeriesMarkdown } = require('./time-series');
+const { analyzeWithRules, SECTIONS } = require('./rule-based-analyzer');
+const { validateAnalysisDocument, ANALYSIS_EXAMPLE, FINDING_SECTIONS } = require('./analysis-schema');
+
+// Analysis formats: free text split by section headings, or a JSON document with a fixed schema
+const ANALYSIS_FORMATS = ['text', 'json'];
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+const VERDICT_LABELS = { 'ready': 'Ready', 'ready-with-caveats': 'Ready with caveats', 'not-ready': 'Not ready' };
 
 /**
- * Generate AI prompt for result analysis
+ * Opening of the analysis prompts: the metrics plus rule-based findings, if given,
+ * so the AI can confirm, explain or correct them
  */
-function generateAnalysisPrompt(metrics, profileName = 'unknown') {
+function analysisContext(metrics, findings = []) {
   const metricsText = formatMetricsForAI(metrics);
+  const findingsText = findings.length > 0 ? `
+Automated rule-based findings (confirm, explain or correct these; do not just repeat them):
+${findings.filter(f => f.severity !== 'info').map(f => `- [${f.severity}] ${f.message}`).join('\n') || '- No warnings or critical findings'}
+` : '';
   
   return `You are a performance testing analyst. Analyze these k6 load test results and provide comprehensive insights.
 
-${metricsText}
+${metricsText}${findingsText}`;
+}
+
+/**
+ * Generate AI prompt for result analysis
+ */
+function generateAnalysisPrompt(metrics, profileName = 'unknown', findings = []) {
+  return `${analysisContext(metrics, findings)}
 
 Please analyze the results and provide:
 
@@ -64,6 +88,42 @@ Please analyze the results and provide:
 Format your response as a structured analysis with clear sections and bullet points. Be specific and actionable.`;
 }
 
+/**
+ * Generate AI prompt for result analysis in JSON mode: the same analysis, returned as a
+ * document matching the analysis schema
+ */
+function generateJSONAnalysisPrompt(metrics, profileName = 'unknown', findings = []) {
+  return `${analysisContext(metrics, findings)}
+
+Please analyze the results and respond with ONLY a JSON object (no markdown, no text outside the object) following exactly this structure:
+
+${JSON.stringify(ANALYSIS_EXAMPLE, null, 2)}
+
+Rules:
+- healthRating is one of: excellent, good, fair, poor
+- Each finding has a section (one of: ${FINDING_SECTIONS.join(', ')}), a severity (critical, warning or info), a short title and a detail citing the metrics
+- Cover performance assessment, anomalies, bottlenecks, threshold analysis and root causes with findings, most severe first
+- Each recommendation has a priority (high, medium or low), a specific action and its expected impact
+- productionReadiness.verdict is one of: ready, ready-with-caveats, not-ready; risks lists the risks if deployed as-is
+- Use no other fields`;
+}
+
+/**
+ * Generate a prompt asking the AI to fix a JSON analysis that failed validation
+ */
+function generateJSONRepairPrompt(originalPrompt, response, errors) {
+  return `${originalPrompt}
+
+Your previous response was:
+
+${response}
+
+It failed validation with these errors:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Fix every error and return the complete corrected JSON object only.`;
+}
+
 /**
  * System prompt for AI
  */
@@ -94,6 +154,98 @@ function parseAIResponse(response) {
   };
 }
 
+/**
+ * Extract the JSON object from an AI response (which may wrap it in a code block or text).
+ * Returns { doc, errors }.
+ */
+function extractJSON(response) {
+  let content = response.trim();
+  const block = /```(?:json)?\s*\n([\s\S]*?)\n```/.exec(content);
+  if (block) {
+    content = block[1];
+  }
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return { doc: null, errors: ['response does not contain a JSON object'] };
+  }
+
+  try {
+    return { doc: JSON.parse(content.substring(start, end + 1)), errors: [] };
+  } catch (e) {
+    return { doc: null, errors: [`invalid JSON: ${e.message}`] };
+  }
+}
+
+/**
+ * Turn a validated JSON analysis into insights with the same sections as parseAIResponse,
+ * keeping the document itself as insights.structured
+ */
+function structuredToInsights(doc, response) {
+  const findings = doc.findings.slice().sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+  const sections = {};
+  FINDING_SECTIONS.forEach(section => {
+    const items = findings.filter(f => f.section === section);
+    sections[section] = items.length > 0
+      ? items.map(f => `- **${f.severity.toUpperCase()}** ${f.title}${f.detail ? `: ${f.detail}` : ''}`).join('\n')
+      : null;
+  });
+
+  sections.performanceAssessment = [`- Overall health: **${doc.healthRating}**`, sections.performanceAssessment]
+    .filter(Boolean).join('\n');
+
+  const recommendations = doc.recommendations.slice().sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]);
+  sections.recommendations = recommendations.length > 0
+    ? recommendations.map(r => `- [${r.priority}] ${r.action}${r.expectedImpact ? ` (expected impact: ${r.expectedImpact})` : ''}`).join('\n')
+    : null;
+
+  sections.riskAssessment = [
+    `- Production readiness: **${VERDICT_LABELS[doc.productionReadiness.verdict]}**`,
+    ...doc.productionReadiness.risks.map(risk => `- ${risk}`)
+  ].join('\n');
+
+  return {
+    format: 'json',
+    raw: response,
+    structured: doc,
+    sections,
+    summary: doc.summary
+  };
+}
+
+/**
+ * Ask the AI for a JSON analysis, validate it and ask for fixes until it passes
+ * or maxRepairAttempts is used up
+ */
+async function requestJSONAnalysis(aiConfig, metrics, profileName, findings) {
+  const maxRepairAttempts = aiConfig.maxRepairAttempts != null ? aiConfig.maxRepairAttempts : DEFAULT_MAX_REPAIR_ATTEMPTS;
+  if (!Number.isInteger(maxRepairAttempts) || maxRepairAttempts < 0) {
+    throw new Error(`maxRepairAttempts must be a non-negative integer (got ${JSON.stringify(maxRepairAttempts)})`);
+  }
+
+  const prompt = generateJSONAnalysisPrompt(metrics, profileName, findings);
+  let response = await callAI(aiConfig, prompt, SYSTEM_PROMPT);
+  let { doc, errors } = extractJSON(response);
+  if (doc) errors = validateAnalysisDocument(doc);
+  let repairAttempts = 0;
+
+  while (errors.length > 0 && repairAttempts < maxRepairAttempts) {
+    repairAttempts++;
+    console.log(`AI analysis failed validation, requesting a fix (attempt ${repairAttempts}/${maxRepairAttempts}):`);
+    errors.forEach(error => console.log(`  - ${error}`));
+    response = await callAI(aiConfig, generateJSONRepairPrompt(prompt, response, errors), SYSTEM_PROMPT);
+    ({ doc, errors } = extractJSON(response));
+    if (doc) errors = validateAnalysisDocument(doc);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`AI response is not a valid analysis document after ${repairAttempts} repair attempt(s):\n  - ${errors.join('\n  - ')}`);
+  }
+  console.log(`AI analysis passed validation${repairAttempts > 0 ? ` after ${repairAttempts} repair attempt(s)` : ''}`);
+
+  return Object.assign(structuredToInsights(doc, response), { repairAttempts });
+}
+
 /**
  * Extract a section from text between two headers
  */
@@ -114,11 +266,39 @@ function extractSection(text, startHeader, endHeader) {
   return text.substring(start, end).trim();
 }
 
+// Text for report sections that have neither rule-based nor AI content
+const EMPTY_SECTION_TEXT = {
+  performanceAssessment: 'No assessment available',
+  anomalies: 'No anomalies detected',
+  bottlenecks: 'No significant bottlenecks identified',
+  thresholdAnalysis: 'No threshold analysis available',
+  rootCause: 'No root cause analysis available',
+  recommendations: 'No recommendations available',
+  riskAssessment: 'No risk assessment available'
+};
+
 /**
- * Generate markdown report
+ * Combine the rule-based and AI text of one report section
  */
-function generateMarkdownReport(insights, metrics, profileName) {
+function sectionText(key, ruleInsights, aiInsights) {
+  const ruleText = ruleInsights.sections[key];
+  let aiText = aiInsights ? aiInsights.sections[key] : null;
+  if (aiInsights && key === 'performanceAssessment' && !aiText) {
+    aiText = aiInsights.raw.split('\n\n')[0] || null;
+  }
+
+  if (!aiText) {
+    return ruleText || EMPTY_SECTION_TEXT[key];
+  }
+  return `${ruleText ? `${ruleText}\n\n` : ''}**AI analysis**\n\n${aiText}`;
+}
+
+/**
+ * Generate markdown report from the rule-based insights, with AI insights (if any) layered on top
+ */
+function generateMarkdownReport(ruleInsights, aiInsights, metrics, profileName) {
   const timestamp = new Date().toISOString();
+  const timeSeries = formatTimeSeriesMarkdown(metrics.stages, metrics.saturation);
   
   return `# k6 Load Test Analysis Report
 
@@ -129,35 +309,9 @@ function generateMarkdownReport(insights, metrics, profileName) {
 
 ## Executive Summary
 
-${insights.summary}
-
-## Performance Assessment
-
-${insights.sections.performanceAssessment || insights.raw.split('\n\n')[0] || 'No assessment available'}
-
-## Anomalies Detection
-
-${insights.sections.anomalies || 'No anomalies detected'}
-
-## Bottleneck Identification
+${ruleInsights.summary}${aiInsights ? `\n\n${aiInsights.summary}` : ''}
 
-${insights.sections.bottlenecks || 'No significant bottlenecks identified'}
-
-## Threshold Analysis
-
-${insights.sections.thresholdAnalysis || 'No threshold analysis available'}
-
-## Root Cause Analysis
-
-${insights.sections.rootCause || 'No root cause analysis available'}
-
-## Optimization Recommendations
-
-${insights.sections.recommendations || 'No recommendations available'}
-
-## Risk Assessment
-
-${insights.sections.riskAssessment || 'No risk assessment available'}
+${SECTIONS.map(([key, title]) => `## ${title}\n\n${sectionText(key, ruleInsights, aiInsights)}`).join('\n\n')}
 
 ---
 
@@ -166,58 +320,93 @@ ${insights.sections.riskAssessment || 'No risk assessment available'}
 - Total Requests: ${metrics.summary.totalRequests}
 - Success Rate: ${metrics.derived.successRate}%
 - Average Response Time: ${metrics.summary.responseTimes.avg.toFixed(2)}ms
-- 95th Percentile: ${metrics.summary.responseTimes.p95.toFixed(2)}ms
+- 95th Percentile: ${metrics.summary.responseTimes.p95 !== null ? `${metrics.summary.responseTimes.p95.toFixed(2)}ms` : 'N/A'}
 - Error Rate: ${(metrics.summary.errorRate * 100).toFixed(2)}%
 - Throughput: ${metrics.summary.requestRate.toFixed(2)} req/s
-
-*Report generated by AI-powered analysis*
+${metrics.endpoints && metrics.endpoints.length > 0 ? `
+${formatBreakdownMarkdown(metrics.endpoints, metrics.folders)}
+` : ''}${timeSeries ? `
+${timeSeries}
+` : ''}
+*Report generated by ${aiInsights ? 'rule-based and AI-powered analysis' : 'rule-based analysis'}*
 `;
 }
 
 /**
- * Analyze k6 results using AI
+ * Analyze k6 results with the built-in rules, and with AI when aiConfig is given.
+ * An AI failure does not fail the analysis: the report is written from the rules alone.
  */
-async function analyzeResults(resultsPath, aiConfig, profileName = 'unknown', outputDir = '.k6-config') {
+async function analyzeResults(resultsPath, aiConfig, profileName = 'unknown', outputDir = '.k6-config', scriptPath = null, summaryPath = null) {
   try {
     console.log(`Parsing k6 results: ${resultsPath}`);
     
-    // Verify file exists and has content
+    // Verify file exists and has content (the end-of-test summary alone is enough)
     const fs = require('fs');
-    if (!fs.existsSync(resultsPath)) {
+    const hasSummary = !!summaryPath && fs.existsSync(summaryPath);
+    if (!fs.existsSync(resultsPath) && !hasSummary) {
       throw new Error(`Results file not found: ${resultsPath}`);
     }
     
-    const stats = fs.statSync(resultsPath);
-    console.log(`Results file size: ${stats.size} bytes`);
-    
-    if (stats.size === 0) {
-      throw new Error(`Results file is empty: ${resultsPath}`);
+    if (fs.existsSync(resultsPath)) {
+      const stats = fs.statSync(resultsPath);
+      console.log(`Results file size: ${stats.size} bytes`);
+      
+      if (stats.size === 0 && !hasSummary) {
+        throw new Error(`Results file is empty: ${resultsPath}`);
+      }
     }
     
-    const metrics = parseK6Results(resultsPath);
+    const metrics = parseK6Results(resultsPath, scriptPath, summaryPath);
     
     console.log(`Results parsed successfully`);
     console.log(`- Total requests: ${metrics.summary.totalRequests}`);
     console.log(`- Success rate: ${metrics.derived.successRate}%`);
     console.log(`- Average response time: ${metrics.summary.responseTimes.avg.toFixed(2)}ms`);
     
-    console.log('Analyzing results using AI...');
-    const prompt = generateAnalysisPrompt(metrics, profileName);
-    const response = await callAI(aiConfig, prompt, SYSTEM_PROMPT);
+    const ruleInsights = analyzeWithRules(metrics);
+    console.log(`Rule-based analysis: ${ruleInsights.rating} (${ruleInsights.findings.length} findings)`);
     
-    // Parse AI response
-    const insights = parseAIResponse(response);
+    let insights = null;
+    let aiError = null;
+    if (aiConfig) {
+      const format = aiConfig.analysisFormat || 'text';
+      if (!ANALYSIS_FORMATS.includes(format)) {
+        throw new Error(`Unknown analysisFormat "${format}" (expected ${ANALYSIS_FORMATS.join(' or ')})`);
+      }
+      try {
+        console.log(`Analyzing results using AI (${format} format)...`);
+        if (format === 'json') {
+          insights = await requestJSONAnalysis(aiConfig, metrics, profileName, ruleInsights.findings);
+        } else {
+          const prompt = generateAnalysisPrompt(metrics, profileName, ruleInsights.findings);
+          const response = await callAI(aiConfig, prompt, SYSTEM_PROMPT);
+          
+          // Parse AI response
+          insights = parseAIResponse(response);
+        }
+      } catch (error) {
+        aiError = error.message;
+        console.log(`Warning: AI analysis failed, reporting rule-based findings only: ${error.message}`);
+      }
+    }
     
     // Generate reports
-    const markdownReport = generateMarkdownReport(insights, metrics, profileName);
+    const markdownReport = generateMarkdownReport(ruleInsights, insights, metrics, profileName);
     const jsonReport = {
       profile: profileName,
       timestamp: new Date().toISOString(),
       metrics: {
         summary: metrics.summary,
-        derived: metrics.derived
+        derived: metrics.derived,
+        checks: metrics.checkTree,
+        endpoints: metrics.endpoints,
+        folders: metrics.folders,
+        stages: metrics.stages,
+        saturation: metrics.saturation
       },
-      insights: insights
+      ruleInsights: ruleInsights,
+      insights: insights,
+      aiError: aiError
     };
     
     // Save reports
@@ -239,7 +428,9 @@ async function analyzeResults(resultsPath, aiConfig, profileName = 'unknown', ou
       success: true,
       markdownPath,
       jsonPath,
-      insights: insights
+      ruleInsights,
+      insights: insights,
+      aiError
     };
   } catch (error) {
     console.error(`Error analyzing results: ${error.message}`);
@@ -257,29 +448,35 @@ if (require.main === module) {
   const aiConfigJson = process.argv[3];
   const profileName = process.argv[4] || 'unknown';
   const outputDir = process.argv[5] || '.k6-config';
+  const scriptPath = process.argv[6] || null;
+  const summaryPath = process.argv[7] || null;
   
-  if (!resultsPath || !aiConfigJson) {
-    console.error('Usage: node ai-result-analyzer.js <k6-results-json> <ai-config-json> [profile-name] [output-dir]');
+  if (!resultsPath || aiConfigJson === undefined) {
+    console.error('Usage: node ai-result-analyzer.js <k6-results-json> <ai-config-json|\'\'> [profile-name] [output-dir] [k6-script] [k6-summary]');
     console.error('Example: node ai-result-analyzer.js results.json \'{"provider":"openai","apiKey":"sk-..."}\' smoke');
+    console.error('Pass \'\' as the AI config for a rule-based report only');
     process.exit(1);
   }
   
-  let aiConfig;
-  try {
-    aiConfig = JSON.parse(aiConfigJson);
-  } catch (e) {
-    console.error(`Error parsing AI config JSON: ${e.message}`);
-    process.exit(1);
+  // An empty config means rule-based analysis only
+  let aiConfig = null;
+  if (aiConfigJson.trim() && aiConfigJson.trim() !== '{}') {
+    try {
+      aiConfig = JSON.parse(aiConfigJson);
+    } catch (e) {
+      console.error(`Error parsing AI config JSON: ${e.message}`);
+      process.exit(1);
+    }
   }
   
-  analyzeResults(resultsPath, aiConfig, profileName, outputDir)
+  analyzeResults(resultsPath, aiConfig, profileName, outputDir, scriptPath, summaryPath)
     .then(result => {
       if (result.success) {
-        console.log('\n=== AI Analysis Summary ===\n');
+        console.log('\n=== Analysis Summary ===\n');
+        console.log(result.ruleInsights.summary);
         if (result.insights && result.insights.summary) {
+          console.log('');
           console.log(result.insights.summary);
-        } else {
-          console.log('Analysis completed successfully. Check the generated report files.');
         }
         process.exit(0);
       } else {
@@ -299,7 +496,10 @@ if (require.main === module) {
 module.exports = {
   analyzeResults,
   generateAnalysisPrompt,
+  generateJSONAnalysisPrompt,
   parseAIResponse,
-  generateMarkdownReport
+  extractJSON,
+  generateMarkdownReport,
+  ANALYSIS_FORMATS
 };
 
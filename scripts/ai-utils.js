@@ -243,12 +243,13 @@ class LocalProvider {
 
 /**
  * AI Provider Factory
- * Creates appropriate AI provider based on configuration
+ * Creates appropriate AI provider based on configuration. Without an apiKey in the config the
+ * key is read from the AI_API_KEY environment variable, so CI never puts it on a command line.
  */
 function createAIProvider(config) {
   const {
     provider = 'openai',
-    apiKey,
+    apiKey = process.env.AI_API_KEY,
     baseUrl,
     model,
     timeout = 30000,
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * Analysis Schema Validator
+ * Validates the JSON document the AI returns in structured analysis mode:
+ * severity-ranked findings, prioritized recommendations and a production-readiness verdict
+ *
+ * Usage: node analysis-schema.js <analysis-json-file>
+ */
+
+const fs = require('fs');
+
+const ANALYSIS_FIELDS = ['summary', 'healthRating', 'findings', 'recommendations', 'productionReadiness'];
+const FINDING_FIELDS = ['section', 'severity', 'title', 'detail'];
+const RECOMMENDATION_FIELDS = ['priority', 'action', 'expectedImpact'];
+const READINESS_FIELDS = ['verdict', 'risks'];
+
+// Report sections a finding can belong to (recommendations and risks have their own fields)
+const FINDING_SECTIONS = ['performanceAssessment', 'anomalies', 'bottlenecks', 'thresholdAnalysis', 'rootCause'];
+const SEVERITIES = ['critical', 'warning', 'info'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const HEALTH_RATINGS = ['excellent', 'good', 'fair', 'poor'];
+const READINESS_VERDICTS = ['ready', 'ready-with-caveats', 'not-ready'];
+
+/**
+ * Example document shown to the AI; it matches every rule below
+ */
+const ANALYSIS_EXAMPLE = {
+  summary: 'One or two sentences on the overall result.',
+  healthRating: 'good',
+  findings: [
+    {
+      section: 'bottlenecks',
+      severity: 'warning',
+      title: 'Short statement of the finding',
+      detail: 'Evidence from the metrics and why it matters'
+    }
+  ],
+  recommendations: [
+    {
+      priority: 'high',
+      action: 'Specific change to make',
+      expectedImpact: 'What should improve and by roughly how much'
+    }
+  ],
+  productionReadiness: {
+    verdict: 'ready-with-caveats',
+    risks: ['Risk if deployed as-is']
+  }
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Report fields of an object that are not part of the schema
+ */
+function validateFields(value, fields, label, errors) {
+  Object.keys(value).forEach(key => {
+    if (!fields.includes(key)) {
+      errors.push(`${label}: unknown field "${key}" (allowed: ${fields.join(', ')})`);
+    }
+  });
+}
+
+/**
+ * Check that a field holds one of the allowed values
+ */
+function validateEnum(value, allowed, label, errors) {
+  if (!allowed.includes(value)) {
+    errors.push(`${label}: must be one of ${allowed.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+}
+
+/**
+ * Validate a structured analysis document. Returns the list of problems (empty when valid).
+ */
+function validateAnalysisDocument(doc) {
+  const errors = [];
+
+  if (!isPlainObject(doc)) {
+    return ['analysis must be a JSON object'];
+  }
+
+  validateFields(doc, ANALYSIS_FIELDS, 'analysis', errors);
+  ANALYSIS_FIELDS.forEach(field => {
+    if (doc[field] === undefined) errors.push(`analysis: missing required field "${field}"`);
+  });
+
+  if (doc.summary !== undefined && !isNonEmptyString(doc.summary)) {
+    errors.push('summary: must be a non-empty string');
+  }
+  if (doc.healthRating !== undefined) {
+    validateEnum(doc.healthRating, HEALTH_RATINGS, 'healthRating', errors);
+  }
+
+  if (doc.findings !== undefined) {
+    if (!Array.isArray(doc.findings)) {
+      errors.push('findings: must be an array');
+    } else {
+      doc.findings.forEach((finding, i) => {
+        const label = `findings[${i}]`;
+        if (!isPlainObject(finding)) {
+          errors.push(`${label}: must be an object`);
+          return;
+        }
+        validateFields(finding, FINDING_FIELDS, label, errors);
+        validateEnum(finding.section, FINDING_SECTIONS, `${label}.section`, errors);
+        validateEnum(finding.severity, SEVERITIES, `${label}.severity`, errors);
+        if (!isNonEmptyString(finding.title)) errors.push(`${label}.title: must be a non-empty string`);
+        if (finding.detail !== undefined && typeof finding.detail !== 'string') {
+          errors.push(`${label}.detail: must be a string`);
+        }
+      });
+    }
+  }
+
+  if (doc.recommendations !== undefined) {
+    if (!Array.isArray(doc.recommendations)) {
+      errors.push('recommendations: must be an array');
+    } else {
+      doc.recommendations.forEach((recommendation, i) => {
+        const label = `recommendations[${i}]`;
+        if (!isPlainObject(recommendation)) {
+          errors.push(`${label}: must be an object`);
+          return;
+        }
+        validateFields(recommendation, RECOMMENDATION_FIELDS, label, errors);
+        validateEnum(recommendation.priority, PRIORITIES, `${label}.priority`, errors);
+        if (!isNonEmptyString(recommendation.action)) errors.push(`${label}.action: must be a non-empty string`);
+        if (recommendation.expectedImpact !== undefined && typeof recommendation.expectedImpact !== 'string') {
+          errors.push(`${label}.expectedImpact: must be a string`);
+        }
+      });
+    }
+  }
+
+  if (doc.productionReadiness !== undefined) {
+    const readiness = doc.productionReadiness;
+    if (!isPlainObject(readiness)) {
+      errors.push('productionReadiness: must be an object');
+    } else {
+      validateFields(readiness, READINESS_FIELDS, 'productionReadiness', errors);
+      validateEnum(readiness.verdict, READINESS_VERDICTS, 'productionReadiness.verdict', errors);
+      if (!Array.isArray(readiness.risks) || !readiness.risks.every(isNonEmptyString)) {
+        errors.push('productionReadiness.risks: must be an array of non-empty strings');
+      }
+    }
+  }
+
+  return errors;
+}
+
+// CLI usage
+if (require.main === module) {
+  const analysisPath = process.argv[2];
+
+  if (!analysisPath) {
+    console.error('Usage: node analysis-schema.js <analysis-json-file>');
+    process.exit(1);
+  }
+
+  try {
+    const errors = validateAnalysisDocument(JSON.parse(fs.readFileSync(analysisPath, 'utf8')));
+    if (errors.length > 0) {
+      console.error(`Analysis document is invalid:\n  - ${errors.join('\n  - ')}`);
+      process.exit(1);
+    }
+    console.log('Analysis document is valid');
+  } catch (error) {
+    console.error(`Error validating analysis document: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  validateAnalysisDocument,
+  ANALYSIS_EXAMPLE,
+  FINDING_SECTIONS,
+  SEVERITIES,
+  PRIORITIES,
+  HEALTH_RATINGS,
+  READINESS_VERDICTS
+};
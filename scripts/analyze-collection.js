@@ -4,16 +4,19 @@
  * Postman Collection Analyzer
  * Analyzes Postman collection structure and extracts characteristics for AI analysis
  * 
- * Usage: node analyze-collection.js <collection-file>
+ * Usage: node analyze-collection.js <collection-file> [--environment <file>] [--globals <file>]
  */
 
 const fs = require('fs');
 const path = require('path');
+const { resolverForCollection } = require('./variable-resolver');
 
 /**
- * Recursively extract all requests from Postman collection
+ * Recursively extract all requests from Postman collection.
+ * folderVariables lists the variables of the enclosing folders, outermost first;
+ * folders lists the enclosing folders themselves ({ name, auth, events }).
  */
-function extractRequests(items, basePath = '') {
+function extractRequests(items, basePath = '', folderVariables = [], folders = []) {
   const requests = [];
   
   for (const item of items) {
@@ -28,6 +31,10 @@ function extractRequests(items, basePath = '') {
         url: item.request.url,
         headers: item.request.header || [],
         auth: item.request.auth,
+        body: item.request.body,
+        events: item.event || [],
+        folderVariables,
+        folders,
         description: item.request.description || '',
         hasBody: !!(item.request.body && Object.keys(item.request.body).length > 0),
         hasTests: !!(item.event && item.event.some(e => e.listen === 'test'))
@@ -36,7 +43,8 @@ function extractRequests(items, basePath = '') {
     
     if (item.item && Array.isArray(item.item)) {
       // This is a folder - recurse
-      requests.push(...extractRequests(item.item, currentPath));
+      requests.push(...extractRequests(item.item, currentPath, folderVariables.concat(item.variable || []),
+        folders.concat({ name: item.name, auth: item.auth, events: item.event || [] })));
     }
   }
   
@@ -56,19 +64,26 @@ function analyzeMethods(requests) {
 }
 
 /**
- * Detect authentication patterns
+ * The auth a request is sent with: its own, else the nearest folder's, else the collection's.
+ * "inherit" (or no auth block) defers to the parent; "noauth" stops the search.
  */
-function detectAuthPatterns(requests) {
+function effectiveAuth(request, collectionAuth) {
+  const chain = [request.auth].concat((request.folders || []).map(f => f.auth).reverse(), [collectionAuth]);
+  const auth = chain.find(a => a && a.type && a.type !== 'inherit');
+  return auth && auth.type !== 'noauth' ? auth : null;
+}
+
+/**
+ * Detect authentication patterns, including auth inherited from folders and the collection
+ */
+function detectAuthPatterns(requests, collectionAuth = null) {
   const authTypes = new Set();
-  const hasAuth = requests.some(req => req.auth && Object.keys(req.auth).length > 0);
+  const auths = requests.map(req => effectiveAuth(req, collectionAuth));
+  const hasAuth = auths.some(Boolean);
   
-  requests.forEach(req => {
-    if (req.auth) {
-      Object.keys(req.auth).forEach(key => {
-        if (req.auth[key] && req.auth[key].length > 0) {
-          authTypes.add(key);
-        }
-      });
+  requests.forEach((req, index) => {
+    if (auths[index]) {
+      authTypes.add(auths[index].type);
     }
     
     // Check headers for common auth patterns
@@ -141,9 +156,10 @@ function detectPatterns(requests) {
 }
 
 /**
- * Analyze collection structure
+ * Analyze collection structure. URLs are resolved with the collection variables and the
+ * optional environment and globals files (options.environmentPath, options.globalsPath).
  */
-function analyzeCollection(collectionPath) {
+function analyzeCollection(collectionPath, options = {}) {
   if (!fs.existsSync(collectionPath)) {
     throw new Error(`Collection file not found: ${collectionPath}`);
   }
@@ -161,8 +177,14 @@ function analyzeCollection(collectionPath) {
     throw new Error('Invalid Postman collection format: missing "item" array');
   }
   
-  // Extract all requests
+  // Extract all requests and resolve their {{variables}}
   const requests = extractRequests(collection.item);
+  const resolver = resolverForCollection(collection, options);
+  const undefinedVariables = new Set();
+  requests.forEach(r => {
+    r.resolvedUrl = resolver.resolveUrl(r.url, r.folderVariables);
+    resolver.findUndefined([r.url, r.headers, r.body, r.auth], r.folderVariables).forEach(name => undefinedVariables.add(name));
+  });
   
   // Analyze structure
   const analysis = {
@@ -173,14 +195,16 @@ function analyzeCollection(collectionPath) {
       name: r.name,
       method: r.method,
       url: r.url,
+      resolvedUrl: r.resolvedUrl,
       hasBody: r.hasBody,
       hasTests: r.hasTests
     })),
     methodDistribution: analyzeMethods(requests),
-    auth: detectAuthPatterns(requests),
+    auth: detectAuthPatterns(requests, collection.auth),
     patterns: detectPatterns(requests),
     hasVariables: !!(collection.variable && collection.variable.length > 0),
-    variableCount: collection.variable ? collection.variable.length : 0
+    variableCount: collection.variable ? collection.variable.length : 0,
+    undefinedVariables: [...undefinedVariables].sort()
   };
   
   // Calculate complexity score (0-100)
@@ -212,7 +236,8 @@ Collection Analysis Summary:
   * RESTful API: ${analysis.patterns.hasRESTful ? 'Yes' : 'No'}
   * GraphQL: ${analysis.patterns.hasGraphQL ? 'Yes' : 'No'}
 - Complexity Level: ${analysis.patterns.complexity} (Score: ${analysis.complexityScore}/100)
-- Has Variables: ${analysis.hasVariables ? 'Yes' : 'No'}${analysis.hasVariables ? ` (${analysis.variableCount} variables)` : ''}
+- Has Variables: ${analysis.hasVariables ? 'Yes' : 'No'}${analysis.hasVariables ? ` (${analysis.variableCount} variables)` : ''}${analysis.undefinedVariables && analysis.undefinedVariables.length > 0 ? `
+- Undefined Variables: ${analysis.undefinedVariables.join(', ')}` : ''}
 - Requests with Body: ${analysis.requests.filter(r => r.hasBody).length}
 - Requests with Tests: ${analysis.requests.filter(r => r.hasTests).length}
 `;
@@ -228,13 +253,22 @@ Collection Analysis Summary:
 if (require.main === module) {
   const collectionPath = process.argv[2];
   
+  // Parse --flag value pairs that follow the positional argument
+  const flags = {};
+  for (let i = 3; i < process.argv.length; i++) {
+    if (process.argv[i].startsWith('--')) {
+      flags[process.argv[i].substring(2)] = process.argv[i + 1];
+      i++;
+    }
+  }
+  
   if (!collectionPath) {
-    console.error('Usage: node analyze-collection.js <collection-file>');
+    console.error('Usage: node analyze-collection.js <collection-file> [--environment <file>] [--globals <file>]');
     process.exit(1);
   }
   
   try {
-    const analysis = analyzeCollection(collectionPath);
+    const analysis = analyzeCollection(collectionPath, { environmentPath: flags.environment, globalsPath: flags.globals });
     console.log(JSON.stringify(analysis, null, 2));
   } catch (error) {
     console.error(`Error analyzing collection: ${error.message}`);
@@ -245,6 +279,7 @@ if (require.main === module) {
 module.exports = {
   analyzeCollection,
   formatAnalysisForAI,
-  extractRequests
+  extractRequests,
+  effectiveAuth
 };
 
@@ -0,0 +1,624 @@
+#!/usr/bin/env node
+
+/**
+ * Postman Assertion Translator
+ * Turns the pm.test() blocks of Postman test scripts into k6 check() functions with the same
+ * names. Supported forms: pm.response.to.have.status/header/body and pm.response.to.be.ok
+ * (and the other status shortcuts), pm.expect() on the status code, response time, headers,
+ * body text and JSON values with equal/eql, above/below, a/an, property, lengthOf, include,
+ * oneOf, match, ok/true/false/null/exist/empty and not; variables holding pm.response.json(),
+ * and forEach over JSON arrays.
+ *
+ * A pm.test using anything else is not translated (a partial check would pass too easily);
+ * it is reported with the reason instead.
+ *
+ * Request chaining: pm.environment/collectionVariables/globals/variables.set() and unset()
+ * (and the legacy postman.setEnvironmentVariable) become setVariable() calls on the per-VU
+ * variables of the generated script, with values taken from JSON paths, headers or any other
+ * translatable expression; .get() reads them back.
+ *
+ * Usage: node assertion-translator.js <collection-file>
+ */
+
+const fs = require('fs');
+const { findMatchingBracket, splitStatements, splitArguments, parseStringLiteral } = require('./script-utils');
+
+// Name of the response parameter of the generated check functions
+const RESPONSE = 'r';
+
+// Postman variable scopes and the names the generated script keeps them under
+const VARIABLE_SCOPES = { environment: 'environment', collectionVariables: 'collection', globals: 'global', variables: 'local' };
+const LEGACY_VARIABLE_CALLS = {
+  setEnvironmentVariable: 'environment',
+  setGlobalVariable: 'global',
+  clearEnvironmentVariable: 'environment',
+  clearGlobalVariable: 'global'
+};
+const VARIABLE_CALL = /^(?:pm\.(environment|collectionVariables|globals|variables)\.(set|unset)|postman\.(setEnvironmentVariable|setGlobalVariable|clearEnvironmentVariable|clearGlobalVariable))\s*\(/;
+
+/**
+ * Helpers the translated checks call; added to scripts that have checks
+ */
+const ASSERTION_RUNTIME = String.raw`
+// Assertion helpers for the checks translated from Postman tests
+function passes(assertions) {
+  try {
+    return assertions() !== false;
+  } catch (e) {
+    return false;
+  }
+}
+
+function responseHeader(r, name) {
+  const key = Object.keys(r.headers).find(function (header) {
+    return header.toLowerCase() === String(name).toLowerCase();
+  });
+  return key === undefined ? undefined : r.headers[key];
+}
+
+function hasHeader(r, name) {
+  return responseHeader(r, name) !== undefined;
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isType(value, type) {
+  const expected = String(type).toLowerCase();
+  if (expected === 'array') return Array.isArray(value);
+  if (expected === 'null') return value === null;
+  if (expected === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  return typeof value === expected;
+}
+
+function hasProperty(value, name) {
+  return value !== null && value !== undefined && name in Object(value);
+}
+
+function includes(haystack, needle) {
+  if (typeof haystack === 'string') return haystack.indexOf(needle) !== -1;
+  if (Array.isArray(haystack)) return haystack.some(function (item) { return deepEqual(item, needle); });
+  if (haystack && typeof haystack === 'object' && needle && typeof needle === 'object') {
+    return Object.keys(needle).every(function (key) { return deepEqual(haystack[key], needle[key]); });
+  }
+  return false;
+}
+
+function isEmpty(value) {
+  if (typeof value === 'string' || Array.isArray(value)) return value.length === 0;
+  if (value && typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+`;
+
+// Chai words that only make assertions read well
+const LANGUAGE_CHAINS = new Set(['to', 'be', 'been', 'is', 'that', 'which', 'and', 'has', 'have', 'with', 'at', 'of', 'same', 'but', 'does', 'still', 'also', 'a', 'an']);
+
+// pm.response.to.be.<name> shortcuts
+const RESPONSE_SHORTCUTS = {
+  ok: `${RESPONSE}.status >= 200 && ${RESPONSE}.status < 300`,
+  success: `${RESPONSE}.status >= 200 && ${RESPONSE}.status < 300`,
+  info: `${RESPONSE}.status >= 100 && ${RESPONSE}.status < 200`,
+  redirection: `${RESPONSE}.status >= 300 && ${RESPONSE}.status < 400`,
+  error: `${RESPONSE}.status >= 400`,
+  clientError: `${RESPONSE}.status >= 400 && ${RESPONSE}.status < 500`,
+  serverError: `${RESPONSE}.status >= 500`,
+  accepted: `${RESPONSE}.status === 202`,
+  badRequest: `${RESPONSE}.status === 400`,
+  unauthorized: `${RESPONSE}.status === 401`,
+  unauthorised: `${RESPONSE}.status === 401`,
+  forbidden: `${RESPONSE}.status === 403`,
+  notFound: `${RESPONSE}.status === 404`,
+  rateLimited: `${RESPONSE}.status === 429`,
+  json: `includes(String(responseHeader(${RESPONSE}, 'Content-Type')), 'json')`,
+  html: `includes(String(responseHeader(${RESPONSE}, 'Content-Type')), 'html')`,
+  xml: `includes(String(responseHeader(${RESPONSE}, 'Content-Type')), 'xml')`,
+  withBody: `${RESPONSE}.body.length > 0`
+};
+
+// Postman response accessors and their k6 equivalents (applied with strings masked)
+const RESPONSE_ACCESSORS = [
+  [/\bpm\.response\.json\(\s*\)/g, `${RESPONSE}.json()`],
+  [/\bpm\.response\.text\(\s*\)/g, `${RESPONSE}.body`],
+  [/\bpm\.response\.code\b/g, `${RESPONSE}.status`],
+  [/\bpm\.response\.responseTime\b/g, `${RESPONSE}.timings.duration`],
+  [/\bpm\.response\.responseSize\b/g, `${RESPONSE}.body.length`],
+  [/\bpm\.response\.headers\.get\(/g, `responseHeader(${RESPONSE}, `],
+  [/\bpm\.response\.headers\.has\(/g, `hasHeader(${RESPONSE}, `],
+  [/\bpm\.response\b(?!\.)/g, RESPONSE],
+  [/\bJSON\.parse\(\s*responseBody\s*\)/g, `${RESPONSE}.json()`],
+  [/(?<![.\w$])responseBody\b/g, `${RESPONSE}.body`],
+  [/(?<![.\w$])responseCode\.code\b/g, `${RESPONSE}.status`],
+  [/(?<![.\w$])responseTime\b/g, `${RESPONSE}.timings.duration`],
+  [/\bpm\.variables\.get\(/g, 'variableValue('],
+  [/\bpm\.(environment|collectionVariables|globals)\.get\(/g, (m, scope) => `getVariable('${VARIABLE_SCOPES[scope]}', `],
+  [/\bpostman\.getEnvironmentVariable\(/g, "getVariable('environment', "],
+  [/\bpostman\.getGlobalVariable\(/g, "getVariable('global', "],
+  [/\bpm\.iterationData\.get\(/g, "getVariable('data', "]
+];
+
+// Identifiers a translated expression may use besides the test's own variables
+const KNOWN_IDENTIFIERS = new Set([
+  RESPONSE, 'undefined', 'null', 'true', 'false', 'NaN', 'Infinity', 'typeof', 'instanceof', 'in', 'new', 'void',
+  'function', 'return', 'JSON', 'Math', 'Number', 'String', 'Boolean', 'Array', 'Object', 'Date', 'RegExp',
+  'parseInt', 'parseFloat', 'isNaN', 'encodeURIComponent', 'decodeURIComponent', 'responseHeader', 'hasHeader',
+  'getVariable', 'variableValue'
+]);
+
+function shorten(code) {
+  const line = code.replace(/\s+/g, ' ').trim();
+  return line.length > 60 ? `${line.substring(0, 57)}...` : line;
+}
+
+/**
+ * Replace string literals with placeholders so code rewrites do not touch their contents
+ */
+function maskStrings(code) {
+  const strings = [];
+  const masked = code.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`/g, literal => {
+    strings.push(literal);
+    return `\u0000${strings.length - 1}\u0000`;
+  });
+  return { masked, restore: text => text.replace(/\u0000(\d+)\u0000/g, (m, i) => strings[Number(i)]) };
+}
+
+/**
+ * Translate a Postman expression to k6, given the names of the variables in scope.
+ * Throws when it uses a Postman API or a variable the check cannot see.
+ */
+function translateExpression(expression, scope) {
+  const { masked, restore } = maskStrings(expression.trim());
+  const code = RESPONSE_ACCESSORS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), masked);
+
+  const postmanApi = /\b(?:pm|postman)\.[\w$.]+/.exec(code);
+  if (postmanApi) {
+    throw new Error(`${postmanApi[0]} has no k6 equivalent`);
+  }
+  // Mask again: the rewrites above add string literals of their own
+  for (const match of maskStrings(code).masked.matchAll(/(?<![.\w$\u0000])([A-Za-z_$][\w$]*)(?![\w$]|\s*:)/g)) {
+    if (!KNOWN_IDENTIFIERS.has(match[1]) && !scope.has(match[1])) {
+      throw new Error(`"${match[1]}" is not defined in the test`);
+    }
+  }
+  return restore(code);
+}
+
+/**
+ * Split the chain after an assertion subject (.to.have.property('id')) into
+ * [{ word, args }], where args is the text between the parentheses or null
+ */
+function parseChain(chain) {
+  const links = [];
+  let i = 0;
+  while (i < chain.length) {
+    const match = /^\s*\.\s*([A-Za-z_$][\w$]*)\s*/.exec(chain.substring(i));
+    if (!match) {
+      throw new Error(`unexpected "${shorten(chain.substring(i))}"`);
+    }
+    i += match[0].length;
+    let args = null;
+    if (chain[i] === '(') {
+      const close = findMatchingBracket(chain, i);
+      args = chain.substring(i + 1, close);
+      i = close + 1;
+    }
+    links.push({ word: match[1], args });
+  }
+  return links;
+}
+
+/**
+ * Condition for one assertion word on a pm.response chain, or null if unknown
+ */
+function responseCondition(word, args) {
+  if (args === null) {
+    return RESPONSE_SHORTCUTS[word] || null;
+  }
+  switch (word) {
+    case 'status':
+      if (!/^\d+$/.test(args[0] || '')) throw new Error('status() is only translated with a numeric code');
+      return `${RESPONSE}.status === ${args[0]}`;
+    case 'header':
+      return args.length > 1
+        ? `responseHeader(${RESPONSE}, ${args[0]}) === ${args[1]}`
+        : `hasHeader(${RESPONSE}, ${args[0]})`;
+    case 'body':
+      return args.length > 0 ? `${RESPONSE}.body === ${args[0]}` : `${RESPONSE}.body.length > 0`;
+    case 'jsonBody':
+      return args.length === 0 ? `${RESPONSE}.json() !== undefined` : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Turn an assertion chain on a subject into the list of conditions it checks
+ */
+function chainConditions(subject, chain, scope) {
+  const conditions = [];
+  let negate = false;
+  let deep = false;
+
+  parseChain(chain).forEach(({ word, args: rawArgs }) => {
+    if (rawArgs === null && LANGUAGE_CHAINS.has(word)) return;
+    if (word === 'not') {
+      negate = !negate;
+      return;
+    }
+    if (word === 'deep') {
+      deep = true;
+      return;
+    }
+    // length without a call changes the subject: .to.have.length.above(2)
+    if (word === 'length' && rawArgs === null) {
+      subject = `${subject}.length`;
+      return;
+    }
+
+    const isRegex = (word === 'match' || word === 'matches') && rawArgs !== null && /^\/.+\/[gimsuy]*$/.test(rawArgs.trim());
+    const args = rawArgs === null ? null : (isRegex ? [rawArgs.trim()] : splitArguments(rawArgs).map(arg => translateExpression(arg, scope)));
+    let condition = subject === RESPONSE ? responseCondition(word, args) : null;
+
+    if (condition === null) {
+      condition = subjectCondition(subject, word, args, deep);
+      if (word === 'property') {
+        subject = `${subject}[${args[0]}]`;
+      }
+    }
+    if (condition === null) {
+      throw new Error(`.${word}${args === null ? '' : '()'} is not supported`);
+    }
+    conditions.push(negate ? `!(${condition})` : condition);
+  });
+
+  if (conditions.length === 0) {
+    throw new Error('the expectation asserts nothing');
+  }
+  return conditions;
+}
+
+/**
+ * Condition for one assertion word on a value, or null if unknown
+ */
+function subjectCondition(subject, word, args, deep) {
+  if (args === null) {
+    switch (word) {
+      case 'ok': return `!!${subject}`;
+      case 'true': return `${subject} === true`;
+      case 'false': return `${subject} === false`;
+      case 'null': return `${subject} === null`;
+      case 'undefined': return `${subject} === undefined`;
+      case 'exist':
+      case 'exists': return `(${subject} !== undefined && ${subject} !== null)`;
+      case 'empty': return `isEmpty(${subject})`;
+      case 'NaN': return `Number.isNaN(${subject})`;
+      default: return null;
+    }
+  }
+
+  switch (word) {
+    case 'equal':
+    case 'equals':
+    case 'eq':
+      return deep ? `deepEqual(${subject}, ${args[0]})` : `${subject} === ${args[0]}`;
+    case 'eql':
+    case 'eqls':
+      return `deepEqual(${subject}, ${args[0]})`;
+    case 'above':
+    case 'gt':
+    case 'greaterThan':
+      return `${subject} > ${args[0]}`;
+    case 'below':
+    case 'lt':
+    case 'lessThan':
+      return `${subject} < ${args[0]}`;
+    case 'least':
+    case 'gte':
+    case 'greaterThanOrEqual':
+      return `${subject} >= ${args[0]}`;
+    case 'most':
+    case 'lte':
+    case 'lessThanOrEqual':
+      return `${subject} <= ${args[0]}`;
+    case 'within':
+      return `(${subject} >= ${args[0]} && ${subject} <= ${args[1]})`;
+    case 'a':
+    case 'an':
+      return `isType(${subject}, ${args[0]})`;
+    case 'property':
+      return args.length > 1
+        ? `(hasProperty(${subject}, ${args[0]}) && deepEqual(${subject}[${args[0]}], ${args[1]}))`
+        : `hasProperty(${subject}, ${args[0]})`;
+    case 'lengthOf':
+    case 'length':
+      return `${subject}.length === ${args[0]}`;
+    case 'include':
+    case 'includes':
+    case 'contain':
+    case 'contains':
+      return `includes(${subject}, ${args[0]})`;
+    case 'oneOf':
+      return `includes(${args[0]}, ${subject})`;
+    case 'match':
+    case 'matches':
+      return `${args[0]}.test(${subject})`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Conditions of a pm.expect(...) or pm.response.to... statement, or null if it is neither
+ */
+function expectationConditions(statement, scope) {
+  const expect = /^pm\.expect\s*\(/.exec(statement);
+  if (expect) {
+    const open = expect[0].length - 1;
+    const close = findMatchingBracket(statement, open);
+    const subject = translateExpression(splitArguments(statement.substring(open + 1, close))[0] || '', scope);
+    return chainConditions(subject, statement.substring(close + 1), scope);
+  }
+  if (/^pm\.response\s*\.\s*to\b/.test(statement)) {
+    return chainConditions(RESPONSE, statement.replace(/^pm\.response/, ''), scope);
+  }
+  return null;
+}
+
+/**
+ * setVariable()/unsetVariable() line for a Postman variable set/unset call, or null
+ */
+function variableAssignment(statement, scope) {
+  const match = VARIABLE_CALL.exec(statement);
+  if (!match) return null;
+
+  const open = match[0].length - 1;
+  const close = findMatchingBracket(statement, open);
+  if (close !== statement.length - 1) {
+    throw new Error(`unsupported statement "${shorten(statement)}"`);
+  }
+  const variableScope = match[1] ? VARIABLE_SCOPES[match[1]] : LEGACY_VARIABLE_CALLS[match[3]];
+  const args = splitArguments(statement.substring(open + 1, close)).map(arg => translateExpression(arg, scope));
+  if (args.length === 0) {
+    throw new Error(`"${shorten(statement)}" names no variable`);
+  }
+  if (match[2] === 'unset' || (match[3] || '').startsWith('clear')) {
+    return `unsetVariable('${variableScope}', ${args[0]});`;
+  }
+  return `setVariable('${variableScope}', ${args[0]}, ${args.length > 1 ? args[1] : 'undefined'});`;
+}
+
+function indentLines(lines, indent = '  ') {
+  return lines.map(line => indent + line);
+}
+
+/**
+ * Parse a callback argument: function (a, b) { ... }, (a) => { ... }, a => expr.
+ * Returns { params, body } or null.
+ */
+function parseCallback(code) {
+  const match = /^(?:async\s+)?(?:function\s*[\w$]*\s*\(([^)]*)\)|\(([^)]*)\)\s*=>|([A-Za-z_$][\w$]*)\s*=>)\s*/.exec(code.trim());
+  if (!match) return null;
+  const params = (match[1] || match[2] || match[3] || '').split(',').map(p => p.trim()).filter(Boolean);
+  const rest = code.trim().substring(match[0].length);
+  if (rest.startsWith('{')) {
+    return { params, body: rest.substring(1, findMatchingBracket(rest, 0)) };
+  }
+  return { params, body: rest };
+}
+
+/**
+ * Translate the statements of a test body into lines of a check function that
+ * return false as soon as an assertion fails. declared tracks the names declared so far.
+ * Returns { lines, assertions, sets } with the number of assertions and variable sets.
+ */
+function translateBlock(body, scope, declared = new Set()) {
+  const lines = [];
+  let assertions = 0;
+  let sets = 0;
+
+  splitStatements(body).forEach(statement => {
+    if (/^console\.\w+\s*\(/.test(statement)) return;
+
+    const assignment = variableAssignment(statement, scope);
+    if (assignment) {
+      lines.push(assignment);
+      sets++;
+      return;
+    }
+
+    const declaration = /^(?:var|let|const)\s+([A-Za-z_$][\w$]*)\s*=\s*([\s\S]+)$/.exec(statement);
+    if (declaration) {
+      const [, name, value] = declaration;
+      if (name === RESPONSE) throw new Error(`variable "${RESPONSE}" would hide the k6 response`);
+      const code = translateExpression(value, scope);
+      lines.push(declared.has(name) ? `${name} = ${code};` : `let ${name} = ${code};`);
+      declared.add(name);
+      scope.add(name);
+      return;
+    }
+
+    const loop = /^([\s\S]+?)\.forEach\s*\(/.exec(statement);
+    if (loop) {
+      const open = loop[0].length - 1;
+      const close = findMatchingBracket(statement, open);
+      const callback = parseCallback(statement.substring(open + 1, close));
+      if (!callback || close !== statement.length - 1) throw new Error(`unsupported loop "${shorten(statement)}"`);
+      const target = translateExpression(loop[1], scope);
+      const inner = translateBlock(callback.body, new Set([...scope, ...callback.params]));
+      lines.push(`if (!${target}.every(function (${callback.params.join(', ')}) {`);
+      lines.push(...indentLines(inner.lines), '  return true;', '})) return false;');
+      assertions += inner.assertions;
+      sets += inner.sets;
+      return;
+    }
+
+    const conditions = expectationConditions(statement, scope);
+    if (!conditions) {
+      throw new Error(`unsupported statement "${shorten(statement)}"`);
+    }
+    lines.push(`if (!(${conditions.join(' && ')})) return false;`);
+    assertions++;
+  });
+
+  return { lines, assertions, sets };
+}
+
+/**
+ * Build the check function source from the translated lines; single conditions that
+ * cannot throw are returned directly, everything else runs inside passes()
+ */
+function checkFunction(lines) {
+  const single = lines.length === 1 && /^if \(!\((.*)\)\) return false;$/.exec(lines[0]);
+  if (single && !single[1].includes('.json(')) {
+    return `function (${RESPONSE}) {\n  return ${single[1]};\n}`;
+  }
+  return [
+    `function (${RESPONSE}) {`,
+    '  return passes(function () {',
+    ...indentLines(lines, '    '),
+    '  });',
+    '}'
+  ].join('\n');
+}
+
+/**
+ * Function run on each response before the checks, setting the variables that test scripts
+ * set outside pm.test. Each event's lines get their own block so declarations cannot clash.
+ */
+function extractFunction(blocks) {
+  const body = blocks.length === 1
+    ? indentLines(blocks[0])
+    : [].concat(...blocks.map(lines => ['  {', ...indentLines(lines, '    '), '  }']));
+  return [`function (${RESPONSE}) {`, ...body, '}'].join('\n');
+}
+
+/**
+ * Translate the pm.test blocks and variable sets of a list of Postman events (collection,
+ * folder and request level, in the order Postman runs them). Returns:
+ *   checks       - [{ name, code }] where code is a check function expression
+ *   extract      - code of a function (r) setting variables from the response, or null
+ *   untranslated - [{ name, reason }] for pm.test blocks left out
+ *   statements   - test script statements outside pm.test that were not translated
+ */
+function translateTests(events) {
+  const checks = [];
+  const untranslated = [];
+  const statements = [];
+  const extractBlocks = [];
+  const names = new Set();
+
+  (events || []).filter(event => event && event.listen === 'test' && event.script).forEach(event => {
+    const exec = event.script.exec;
+    const source = Array.isArray(exec) ? exec.join('\n') : (exec || '');
+    // Variables declared outside the tests (var jsonData = pm.response.json()) are shared by them
+    const shared = [];
+    const sharedScope = new Set();
+    const referenced = (name, lines) => lines.some(line => new RegExp(`(?<![.\\w$])${name.replace(/\$/g, '\\$')}(?![\\w$])`).test(line));
+    // Only the declarations a check uses (directly or through other declarations) go into it
+    const sharedLinesFor = lines => {
+      const needed = [];
+      for (let i = shared.length - 1; i >= 0; i--) {
+        if (referenced(shared[i].name, lines.concat(needed.map(s => s.line)))) needed.unshift(shared[i]);
+      }
+      return needed.map(s => s.line);
+    };
+    const extractLines = [];
+
+    splitStatements(source).forEach(statement => {
+      const test = /^pm\.test\s*\(/.exec(statement);
+      if (!test) {
+        if (/^console\.\w+\s*\(/.test(statement)) return;
+        if (VARIABLE_CALL.test(statement)) {
+          try {
+            extractLines.push(...translateBlock(statement, new Set(sharedScope)).lines);
+          } catch (e) {
+            statements.push(statement);
+          }
+          return;
+        }
+        try {
+          const declared = /^(?:var|let|const)\s+([A-Za-z_$][\w$]*)/.exec(statement);
+          if (!declared) throw new Error('not a declaration');
+          const result = translateBlock(statement, sharedScope, new Set(sharedScope));
+          shared.push({ name: declared[1], line: result.lines[0] });
+        } catch (e) {
+          statements.push(statement);
+        }
+        return;
+      }
+
+      const open = test[0].length - 1;
+      const args = splitArguments(statement.substring(open + 1, findMatchingBracket(statement, open)));
+      let name;
+      try {
+        name = parseStringLiteral(args[0]);
+      } catch (e) {
+        untranslated.push({ name: args[0], reason: 'the test name is not a plain string' });
+        return;
+      }
+
+      try {
+        const callback = parseCallback(args[1] || '');
+        if (!callback) throw new Error('the test has no function');
+        const result = translateBlock(callback.body, new Set(sharedScope), new Set(sharedScope));
+        if (result.assertions === 0 && result.sets === 0) throw new Error('the test asserts nothing');
+
+        let checkName = name;
+        for (let n = 2; names.has(checkName); n++) checkName = `${name} (${n})`;
+        names.add(checkName);
+        checks.push({ name: checkName, code: checkFunction(sharedLinesFor(result.lines).concat(result.lines)) });
+      } catch (e) {
+        untranslated.push({ name, reason: e.message });
+      }
+    });
+
+    if (extractLines.length > 0) {
+      extractBlocks.push(sharedLinesFor(extractLines).concat(extractLines));
+    }
+  });
+
+  return {
+    checks,
+    extract: extractBlocks.length > 0 ? extractFunction(extractBlocks) : null,
+    untranslated,
+    statements
+  };
+}
+
+// CLI usage
+if (require.main === module) {
+  const collectionPath = process.argv[2];
+
+  if (!collectionPath) {
+    console.error('Usage: node assertion-translator.js <collection-file>');
+    process.exit(1);
+  }
+
+  try {
+    const collection = JSON.parse(fs.readFileSync(collectionPath, 'utf8'));
+
+    // Print the checks of every request, with the tests it inherits from folders and the collection
+    const walk = (items, basePath, inherited) => (items || []).forEach(item => {
+      const itemPath = basePath ? `${basePath}/${item.name}` : item.name;
+      const events = inherited.concat(item.event || []);
+      if (item.request) {
+        const result = translateTests(events);
+        console.log(`\n## ${itemPath}`);
+        if (result.extract) console.log(`extract: ${result.extract}`);
+        result.checks.forEach(c => console.log(`${JSON.stringify(c.name)}: ${c.code}`));
+        result.untranslated.forEach(u => console.log(`Not translated: "${u.name}" (${u.reason})`));
+      }
+      if (Array.isArray(item.item)) walk(item.item, itemPath, events);
+    });
+    walk(collection.item, '', collection.event || []);
+  } catch (error) {
+    console.error(`Error translating assertions: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  translateTests,
+  ASSERTION_RUNTIME
+};
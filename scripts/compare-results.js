@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+
+/**
+ * Baseline Comparison
+ * Compares a k6 run against a baseline run: p95, p99, error rate and throughput deltas,
+ * overall and per endpoint, with regressions flagged past configurable tolerances
+ *
+ * The baseline can be a results snapshot written by a previous comparison, a k6 summary or
+ * NDJSON results file, or a previous artifact directory containing any of those.
+ *
+ * Usage: node compare-results.js <baseline-file-or-dir> <current-results-file> [options]
+ *
+ * Options:
+ *   --summary <file>        End-of-test summary of the current run
+ *   --script <file>         k6 script of the current run (maps requests to folders)
+ *   --tolerances <spec>     e.g. "p95=10,p99=15,error-rate=1,throughput=10" (see DEFAULT_TOLERANCES)
+ *   --budget <n>            Number of regressions allowed before exiting non-zero (default: 0)
+ *   --output-dir <dir>      Where to write the comparison reports (default: .k6-config)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseK6Results } = require('./parse-k6-results');
+
+const SNAPSHOT_FILE = 'results-snapshot.json';
+const SNAPSHOT_VERSION = 1;
+
+// p95/p99/throughput tolerances are percentages of the baseline value;
+// the error rate tolerance is in percentage points
+const DEFAULT_TOLERANCES = { p95: 10, p99: 15, errorRate: 1, throughput: 10 };
+const TOLERANCE_KEYS = { 'p95': 'p95', 'p99': 'p99', 'error-rate': 'errorRate', 'errorRate': 'errorRate', 'throughput': 'throughput' };
+
+const METRICS = [
+  { key: 'p95', label: 'p95', unit: 'ms', higherIsWorse: true },
+  { key: 'p99', label: 'p99', unit: 'ms', higherIsWorse: true },
+  { key: 'errorRate', label: 'Error rate', unit: '%', higherIsWorse: true },
+  { key: 'throughput', label: 'Throughput', unit: 'req/s', higherIsWorse: false }
+];
+
+/**
+ * Parse a tolerance spec ("p95=10,error-rate=0.5") on top of the defaults
+ */
+function parseTolerances(spec) {
+  const tolerances = Object.assign({}, DEFAULT_TOLERANCES);
+  if (!spec) {
+    return tolerances;
+  }
+
+  spec.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [name, value] = part.split('=').map(s => s.trim());
+    const key = TOLERANCE_KEYS[name];
+    const number = parseFloat(value);
+    if (!key) {
+      throw new Error(`Unknown tolerance "${name}" (expected ${Object.keys(DEFAULT_TOLERANCES).map(k => k === 'errorRate' ? 'error-rate' : k).join(', ')})`);
+    }
+    if (!(number >= 0)) {
+      throw new Error(`Tolerance "${name}" must be a non-negative number (got ${JSON.stringify(value)})`);
+    }
+    tolerances[key] = number;
+  });
+
+  return tolerances;
+}
+
+/**
+ * Reduce parsed k6 results to the values compared between runs
+ */
+function snapshotResults(parsed) {
+  return {
+    version: SNAPSHOT_VERSION,
+    timestamp: parsed.metadata?.timestamp || new Date().toISOString(),
+    overall: {
+      requests: parsed.summary.totalRequests,
+      p95: parsed.summary.responseTimes.p95,
+      p99: parsed.summary.responseTimes.p99,
+      errorRate: parsed.summary.errorRate,
+      throughput: parsed.summary.requestRate
+    },
+    endpoints: (parsed.endpoints || []).map(e => ({
+      key: [e.method, e.name].filter(Boolean).join(' '),
+      name: e.name,
+      method: e.method,
+      folder: e.folder,
+      requests: e.requests,
+      p95: e.p95,
+      p99: e.p99,
+      errorRate: e.errorRate,
+      throughput: e.requestRate
+    }))
+  };
+}
+
+/**
+ * Find the files of a run in an artifact directory (files may sit in .k6-config/)
+ */
+function findRunFiles(dir) {
+  const candidates = [dir, path.join(dir, '.k6-config')];
+  const find = name => candidates.map(d => path.join(d, name)).find(f => fs.existsSync(f)) || null;
+  const script = candidates
+    .filter(d => fs.existsSync(d))
+    .map(d => fs.readdirSync(d).filter(f => /^k6-script.*\.js$/.test(f)).map(f => path.join(d, f)))
+    .reduce((all, files) => all.concat(files), [])[0] || null;
+
+  return {
+    snapshot: find(SNAPSHOT_FILE),
+    summary: find('k6-summary.json'),
+    results: find('k6-results.json'),
+    script
+  };
+}
+
+/**
+ * Load a run as a snapshot from a snapshot file, parsed results JSON, k6 results file or artifact directory
+ */
+function loadRun(runPath, summaryPath = null, scriptPath = null) {
+  if (!fs.existsSync(runPath)) {
+    throw new Error(`Results not found: ${runPath}`);
+  }
+
+  if (fs.statSync(runPath).isDirectory()) {
+    const files = findRunFiles(runPath);
+    if (files.snapshot) {
+      return loadRun(files.snapshot);
+    }
+    if (!files.summary && !files.results) {
+      throw new Error(`No ${SNAPSHOT_FILE}, k6-summary.json or k6-results.json found in ${runPath}`);
+    }
+    return snapshotResults(parseK6Results(files.results, files.script, files.summary));
+  }
+
+  // Snapshots and parsed results (parse-k6-results.js output) are small JSON documents
+  try {
+    const doc = JSON.parse(fs.readFileSync(runPath, 'utf8'));
+    if (doc && doc.version === SNAPSHOT_VERSION && doc.overall) {
+      return doc;
+    }
+    if (doc && doc.summary && doc.summary.responseTimes) {
+      return snapshotResults(doc);
+    }
+  } catch (e) {
+    // Not a single JSON document (e.g. NDJSON); parse it as k6 output below
+  }
+
+  return snapshotResults(parseK6Results(runPath, scriptPath, summaryPath));
+}
+
+/**
+ * Compare one metric between runs. Returns null when the baseline has no value to compare against.
+ */
+function compareMetric(metric, baselineValue, currentValue, tolerances) {
+  if (typeof baselineValue !== 'number' || typeof currentValue !== 'number') {
+    return null;
+  }
+
+  const delta = currentValue - baselineValue;
+  const deltaPct = baselineValue !== 0 ? delta / baselineValue * 100 : null;
+  let regression = false;
+
+  if (metric.key === 'errorRate') {
+    regression = delta * 100 > tolerances.errorRate;
+  } else if (baselineValue > 0) {
+    regression = metric.higherIsWorse
+      ? deltaPct > tolerances[metric.key]
+      : -deltaPct > tolerances[metric.key];
+  }
+
+  return { baseline: baselineValue, current: currentValue, delta, deltaPct, regression };
+}
+
+/**
+ * Compare the overall and per-endpoint values of two snapshots
+ */
+function compareResults(baseline, current, tolerances = DEFAULT_TOLERANCES) {
+  const compareRow = (scope, name, baseRow, currentRow) => {
+    const metrics = {};
+    METRICS.forEach(metric => {
+      const result = compareMetric(metric, baseRow[metric.key], currentRow[metric.key], tolerances);
+      if (result) metrics[metric.key] = result;
+    });
+    return { scope, name, metrics, regressions: Object.keys(metrics).filter(k => metrics[k].regression) };
+  };
+
+  const rows = [compareRow('overall', 'All requests', baseline.overall, current.overall)];
+
+  const baselineEndpoints = new Map(baseline.endpoints.map(e => [e.key, e]));
+  const currentKeys = new Set(current.endpoints.map(e => e.key));
+  current.endpoints.forEach(e => {
+    if (baselineEndpoints.has(e.key)) {
+      rows.push(compareRow('endpoint', e.key, baselineEndpoints.get(e.key), e));
+    }
+  });
+
+  const regressions = [];
+  rows.forEach(row => row.regressions.forEach(key => regressions.push({ scope: row.scope, name: row.name, metric: key })));
+
+  return {
+    tolerances,
+    baselineTimestamp: baseline.timestamp,
+    currentTimestamp: current.timestamp,
+    rows,
+    regressions,
+    added: current.endpoints.filter(e => !baselineEndpoints.has(e.key)).map(e => e.key),
+    removed: baseline.endpoints.filter(e => !currentKeys.has(e.key)).map(e => e.key)
+  };
+}
+
+/**
+ * Format a compared value with its change for a markdown cell
+ */
+function formatCell(metric, result) {
+  if (!result) return '-';
+
+  const format = value => (metric.key === 'errorRate'
+    ? `${(value * 100).toFixed(2)}%`
+    : `${value.toFixed(metric.unit === 'ms' ? 0 : 1)}${metric.unit === 'ms' ? 'ms' : ''}`);
+  const change = metric.key === 'errorRate'
+    ? `${result.delta >= 0 ? '+' : ''}${(result.delta * 100).toFixed(2)}pp`
+    : (result.deltaPct === null ? 'n/a' : `${result.deltaPct >= 0 ? '+' : ''}${result.deltaPct.toFixed(1)}%`);
+
+  return `${format(result.baseline)} → ${format(result.current)} (${change})${result.regression ? ' **REGRESSION**' : ''}`;
+}
+
+/**
+ * Render a comparison as a markdown report
+ */
+function formatComparisonMarkdown(comparison, budget = 0) {
+  const { tolerances, rows, regressions } = comparison;
+  const status = regressions.length > budget ? 'FAILED' : 'PASSED';
+
+  const lines = [
+    '# k6 Baseline Comparison',
+    '',
+    `**Baseline**: ${comparison.baselineTimestamp || 'N/A'}  `,
+    `**Current**: ${comparison.currentTimestamp || 'N/A'}  `,
+    `**Result**: ${status} (${regressions.length} regression(s), budget ${budget})`,
+    '',
+    `Tolerances: p95 +${tolerances.p95}%, p99 +${tolerances.p99}%, error rate +${tolerances.errorRate}pp, throughput -${tolerances.throughput}%`,
+    '',
+    `| Scope | ${METRICS.map(m => m.label).join(' | ')} |`,
+    `|-------|${METRICS.map(() => '------').join('|')}|`
+  ];
+  rows.forEach(row => {
+    lines.push(`| ${row.name.replace(/\|/g, '\\|')} | ${METRICS.map(m => formatCell(m, row.metrics[m.key])).join(' | ')} |`);
+  });
+
+  if (regressions.length > 0) {
+    lines.push('', '## Regressions', '');
+    regressions.forEach(r => {
+      const metric = METRICS.find(m => m.key === r.metric);
+      lines.push(`- ${r.name}: ${metric.label} ${formatCell(metric, rows.find(row => row.name === r.name && row.scope === r.scope).metrics[r.metric])}`);
+    });
+  }
+
+  if (comparison.added.length > 0) {
+    lines.push('', `New endpoints (no baseline): ${comparison.added.join(', ')}`);
+  }
+  if (comparison.removed.length > 0) {
+    lines.push('', `Endpoints missing from this run: ${comparison.removed.join(', ')}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Compare the current run against a baseline and write the reports.
+ * Returns { comparison, markdown, markdownPath, jsonPath, snapshotPath, failed }.
+ */
+function runComparison(baselinePath, currentPath, options = {}) {
+  const tolerances = parseTolerances(options.tolerances);
+  const budget = options.budget != null ? options.budget : 0;
+  const outputDir = options.outputDir || '.k6-config';
+
+  const current = loadRun(currentPath, options.summaryPath || null, options.scriptPath || null);
+  const baseline = loadRun(baselinePath);
+  const comparison = compareResults(baseline, current, tolerances);
+  const markdown = formatComparisonMarkdown(comparison, budget);
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  const markdownPath = path.join(outputDir, 'comparison-report.md');
+  const jsonPath = path.join(outputDir, 'comparison-report.json');
+  const snapshotPath = path.join(outputDir, SNAPSHOT_FILE);
+  fs.writeFileSync(markdownPath, markdown, 'utf8');
+  fs.writeFileSync(jsonPath, JSON.stringify(Object.assign({ budget }, comparison), null, 2), 'utf8');
+  // The current snapshot can serve as the baseline of a later run
+  fs.writeFileSync(snapshotPath, JSON.stringify(current, null, 2), 'utf8');
+
+  return { comparison, markdown, markdownPath, jsonPath, snapshotPath, failed: comparison.regressions.length > budget };
+}
+
+// CLI usage
+if (require.main === module) {
+  const baselinePath = process.argv[2];
+  const currentPath = process.argv[3];
+
+  // Parse --flag value pairs that follow the positional arguments
+  const flags = {};
+  for (let i = 4; i < process.argv.length; i++) {
+    if (process.argv[i].startsWith('--')) {
+      flags[process.argv[i].substring(2)] = process.argv[i + 1];
+      i++;
+    }
+  }
+
+  if (!baselinePath || !currentPath) {
+    console.error('Usage: node compare-results.js <baseline-file-or-dir> <current-results-file> [--summary <file>] [--script <file>] [--tolerances <spec>] [--budget <n>] [--output-dir <dir>]');
+    console.error('Example: node compare-results.js baseline/ .k6-config/k6-results.json --summary .k6-config/k6-summary.json --tolerances "p95=10,error-rate=0.5"');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(baselinePath)) {
+    console.log(`No baseline found at ${baselinePath}, skipping comparison`);
+    process.exit(0);
+  }
+
+  const budget = flags.budget !== undefined ? parseInt(flags.budget, 10) : 0;
+  if (!(budget >= 0)) {
+    console.error(`Error: --budget must be a non-negative integer (got ${flags.budget})`);
+    process.exit(1);
+  }
+
+  try {
+    const result = runComparison(baselinePath, currentPath, {
+      summaryPath: flags.summary,
+      scriptPath: flags.script,
+      tolerances: flags.tolerances,
+      budget,
+      outputDir: flags['output-dir']
+    });
+    console.log(result.markdown);
+    console.log(`Comparison reports saved to: ${result.markdownPath}, ${result.jsonPath}`);
+    if (result.failed) {
+      console.error(`Error: ${result.comparison.regressions.length} regression(s) exceed the budget of ${budget}`);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error comparing results: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  runComparison,
+  compareResults,
+  snapshotResults,
+  loadRun,
+  parseTolerances,
+  formatComparisonMarkdown,
+  DEFAULT_TOLERANCES
+};
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+
+/**
+ * Load Profile Compiler
+ * Expands load profile stages (duration/target with optional rampUp/rampDown)
+ * into native k6 ramp and hold stages, and compiles profile scenarios into a
+ * k6 scenarios block, validating the profile along the way
+ *
+ * Usage: node compile-profile.js <stages-json | {"scenarios": {...}}>
+ */
+
+const DURATION_PATTERN = /^(\d+(\.\d+)?(ms|s|m|h))+$/;
+const DURATION_UNITS = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Supported k6 executors with their required and optional fields
+ * (fields common to every executor are listed in COMMON_SCENARIO_FIELDS)
+ */
+const EXECUTORS = {
+  'shared-iterations': { required: ['vus', 'iterations'], optional: ['maxDuration'] },
+  'per-vu-iterations': { required: ['vus', 'iterations'], optional: ['maxDuration'] },
+  'constant-vus': { required: ['vus', 'duration'], optional: [] },
+  'ramping-vus': { required: ['stages'], optional: ['startVUs', 'gracefulRampDown'] },
+  'constant-arrival-rate': { required: ['rate', 'duration', 'preAllocatedVUs'], optional: ['timeUnit', 'maxVUs'] },
+  'ramping-arrival-rate': { required: ['stages', 'preAllocatedVUs'], optional: ['startRate', 'timeUnit', 'maxVUs'] }
+};
+
+const COMMON_SCENARIO_FIELDS = ['executor', 'startTime', 'gracefulStop', 'exec', 'tags', 'env'];
+const DURATION_FIELDS = ['duration', 'maxDuration', 'timeUnit', 'startTime', 'gracefulStop', 'gracefulRampDown'];
+const POSITIVE_INTEGER_FIELDS = ['vus', 'iterations', 'rate', 'preAllocatedVUs', 'maxVUs'];
+const NON_NEGATIVE_INTEGER_FIELDS = ['startVUs', 'startRate'];
+
+/**
+ * Parse a k6 duration string (e.g. "1m30s", "500ms") into milliseconds
+ */
+function parseDuration(value) {
+  if (typeof value !== 'string' || !DURATION_PATTERN.test(value.trim())) {
+    throw new Error(`Invalid duration "${value}" (expected k6 format such as "30s", "1m30s" or "500ms")`);
+  }
+
+  let total = 0;
+  const partRegex = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+  let part;
+  while ((part = partRegex.exec(value.trim())) !== null) {
+    total += parseFloat(part[1]) * DURATION_UNITS[part[2]];
+  }
+  return Math.round(total);
+}
+
+/**
+ * Format milliseconds as a k6 duration string
+ */
+function formatDuration(ms) {
+  if (ms % 1000 !== 0) {
+    return `${ms}ms`;
+  }
+
+  let seconds = ms / 1000;
+  const hours = Math.floor(seconds / 3600);
+  seconds -= hours * 3600;
+  const minutes = Math.floor(seconds / 60);
+  seconds -= minutes * 60;
+
+  let formatted = '';
+  if (hours > 0) formatted += `${hours}h`;
+  if (minutes > 0) formatted += `${minutes}m`;
+  if (seconds > 0 || formatted === '') formatted += `${seconds}s`;
+  return formatted;
+}
+
+/**
+ * Validate a single profile stage, returning a list of problems
+ */
+function validateStage(stage, index) {
+  const label = `Stage ${index + 1}`;
+  const errors = [];
+
+  if (!stage || typeof stage !== 'object' || Array.isArray(stage)) {
+    return [`${label}: must be an object with "duration" and "target"`];
+  }
+
+  let durationMs = null;
+  try {
+    durationMs = parseDuration(stage.duration);
+  } catch (e) {
+    errors.push(`${label}: ${e.message}`);
+  }
+
+  if (!Number.isInteger(stage.target) || stage.target < 0) {
+    errors.push(`${label}: target must be a non-negative integer (got ${JSON.stringify(stage.target)})`);
+  }
+
+  if (stage.rampUp != null && stage.rampDown != null) {
+    errors.push(`${label}: rampUp and rampDown cannot both be set on the same stage`);
+  }
+
+  ['rampUp', 'rampDown'].forEach(key => {
+    if (stage[key] == null) return;
+    try {
+      const rampMs = parseDuration(stage[key]);
+      if (durationMs !== null && rampMs > durationMs) {
+        errors.push(`${label}: ${key} "${stage[key]}" exceeds stage duration "${stage.duration}"`);
+      }
+    } catch (e) {
+      errors.push(`${label}: ${key} ${e.message.charAt(0).toLowerCase()}${e.message.slice(1)}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Compile profile stages into k6 stages
+ * A stage with rampUp becomes a ramp to the target over that time, followed by a hold at the
+ * target for the rest of the stage duration. A stage with rampDown holds the previous target
+ * for the rest of the stage duration, then ramps to the target over the rampDown time.
+ * Stages without a ramp are passed through (k6 ramps linearly over the duration).
+ */
+function compileStages(stages) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    throw new Error('Profile must define a non-empty "stages" list');
+  }
+
+  const errors = [];
+  stages.forEach((stage, index) => errors.push(...validateStage(stage, index)));
+  if (errors.length > 0) {
+    throw new Error(`Invalid load profile stages:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return expandStages(stages);
+}
+
+/**
+ * Expand already-validated stages into k6 ramp and hold stages. A rampUp stage ramps to its
+ * target, then holds it; a rampDown stage holds the previous target (start for the first stage),
+ * then ramps to its target at the end of the stage.
+ */
+function expandStages(stages, start = 0) {
+  const compiled = [];
+  let previous = start;
+  stages.forEach(stage => {
+    const ramp = stage.rampUp != null ? stage.rampUp : stage.rampDown;
+
+    if (ramp == null) {
+      compiled.push({ duration: stage.duration, target: stage.target });
+      previous = stage.target;
+      return;
+    }
+
+    const durationMs = parseDuration(stage.duration);
+    const rampMs = parseDuration(ramp);
+    const ramped = rampMs > 0 ? { duration: formatDuration(rampMs), target: stage.target } : null;
+    const held = durationMs - rampMs > 0
+      ? { duration: formatDuration(durationMs - rampMs), target: stage.rampUp != null ? stage.target : previous }
+      : null;
+
+    (stage.rampUp != null ? [ramped, held] : [held, ramped]).filter(Boolean).forEach(s => compiled.push(s));
+    previous = stage.target;
+  });
+
+  return compiled;
+}
+
+/**
+ * Total duration of a list of k6 stages in milliseconds
+ */
+function totalDuration(stages) {
+  return stages.reduce((sum, stage) => sum + parseDuration(stage.duration), 0);
+}
+
+/**
+ * Validate a single scenario, returning a list of problems
+ */
+function validateScenario(name, scenario) {
+  const label = `Scenario "${name}"`;
+  const errors = [];
+
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    return [`${label}: must be an object with an "executor"`];
+  }
+
+  const spec = EXECUTORS[scenario.executor];
+  if (!spec) {
+    return [`${label}: unsupported executor ${JSON.stringify(scenario.executor)} (supported: ${Object.keys(EXECUTORS).join(', ')})`];
+  }
+
+  spec.required.forEach(field => {
+    if (scenario[field] == null) {
+      errors.push(`${label}: "${field}" is required for executor ${scenario.executor}`);
+    }
+  });
+
+  const allowed = new Set([...COMMON_SCENARIO_FIELDS, ...spec.required, ...spec.optional]);
+  Object.keys(scenario).forEach(field => {
+    if (!allowed.has(field)) {
+      errors.push(`${label}: "${field}" is not a valid option for executor ${scenario.executor}`);
+    }
+  });
+
+  DURATION_FIELDS.forEach(field => {
+    if (scenario[field] == null || !allowed.has(field)) return;
+    try {
+      parseDuration(scenario[field]);
+    } catch (e) {
+      errors.push(`${label}: ${field} ${e.message.charAt(0).toLowerCase()}${e.message.slice(1)}`);
+    }
+  });
+
+  POSITIVE_INTEGER_FIELDS.forEach(field => {
+    if (scenario[field] == null || !allowed.has(field)) return;
+    if (!Number.isInteger(scenario[field]) || scenario[field] < 1) {
+      errors.push(`${label}: ${field} must be a positive integer (got ${JSON.stringify(scenario[field])})`);
+    }
+  });
+
+  NON_NEGATIVE_INTEGER_FIELDS.forEach(field => {
+    if (scenario[field] == null || !allowed.has(field)) return;
+    if (!Number.isInteger(scenario[field]) || scenario[field] < 0) {
+      errors.push(`${label}: ${field} must be a non-negative integer (got ${JSON.stringify(scenario[field])})`);
+    }
+  });
+
+  if (scenario.maxVUs != null && scenario.preAllocatedVUs != null && scenario.maxVUs < scenario.preAllocatedVUs) {
+    errors.push(`${label}: maxVUs (${scenario.maxVUs}) must not be lower than preAllocatedVUs (${scenario.preAllocatedVUs})`);
+  }
+
+  if (scenario.exec != null && (typeof scenario.exec !== 'string' || !IDENTIFIER_PATTERN.test(scenario.exec))) {
+    errors.push(`${label}: exec must be the name of an exported function (got ${JSON.stringify(scenario.exec)})`);
+  }
+
+  ['tags', 'env'].forEach(field => {
+    if (scenario[field] == null) return;
+    const value = scenario[field];
+    if (typeof value !== 'object' || Array.isArray(value) ||
+        Object.values(value).some(v => typeof v !== 'string')) {
+      errors.push(`${label}: ${field} must be a map of string values`);
+    }
+  });
+
+  if (Array.isArray(scenario.stages)) {
+    if (scenario.stages.length === 0) {
+      errors.push(`${label}: "stages" must not be empty`);
+    }
+    scenario.stages.forEach((stage, index) => {
+      validateStage(stage, index).forEach(error => errors.push(`${label}: ${error}`));
+    });
+  } else if (scenario.stages != null) {
+    errors.push(`${label}: "stages" must be a list`);
+  }
+
+  return errors;
+}
+
+/**
+ * Compile profile scenarios into a k6 scenarios block
+ * Stages inside ramping executors get the same rampUp/rampDown expansion as profile stages,
+ * starting from the scenario's startVUs or startRate.
+ */
+function compileScenarios(scenarios) {
+  if (!scenarios || typeof scenarios !== 'object' || Array.isArray(scenarios) ||
+      Object.keys(scenarios).length === 0) {
+    throw new Error('Profile "scenarios" must be a non-empty map of scenario name to scenario');
+  }
+
+  const errors = [];
+  Object.entries(scenarios).forEach(([name, scenario]) => errors.push(...validateScenario(name, scenario)));
+  if (errors.length > 0) {
+    throw new Error(`Invalid load profile scenarios:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const compiled = {};
+  Object.entries(scenarios).forEach(([name, scenario]) => {
+    compiled[name] = Object.assign({}, scenario);
+    if (scenario.stages) {
+      compiled[name].stages = expandStages(scenario.stages, scenario.startVUs || scenario.startRate || 0);
+    }
+  });
+
+  return compiled;
+}
+
+/**
+ * Compile the load section of a profile: either a stages list or
+ * an object holding a "scenarios" map. Returns { stages } or { scenarios }.
+ */
+function compileProfile(load) {
+  if (Array.isArray(load)) {
+    return { stages: compileStages(load) };
+  }
+
+  if (load && typeof load === 'object') {
+    if (load.scenarios && load.stages) {
+      throw new Error('Profile cannot define both "stages" and "scenarios"');
+    }
+    if (load.scenarios) {
+      return { scenarios: compileScenarios(load.scenarios) };
+    }
+    if (load.stages) {
+      return { stages: compileStages(load.stages) };
+    }
+  }
+
+  throw new Error('Profile must define either a "stages" list or a "scenarios" map');
+}
+
+// CLI usage
+if (require.main === module) {
+  const stagesJson = process.argv[2];
+
+  if (!stagesJson) {
+    console.error('Usage: node compile-profile.js <stages-json | {"scenarios": {...}}>');
+    process.exit(1);
+  }
+
+  try {
+    const compiled = compileProfile(JSON.parse(stagesJson));
+    console.log(JSON.stringify(compiled, null, 2));
+  } catch (error) {
+    console.error(`Error compiling profile: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  compileProfile,
+  compileStages,
+  compileScenarios,
+  validateStage,
+  validateScenario,
+  parseDuration,
+  formatDuration,
+  totalDuration
+};
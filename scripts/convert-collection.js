@@ -0,0 +1,838 @@
+#!/usr/bin/env node
+
+/**
+ * Postman Collection to k6 Converter
+ * Emits a self-contained k6 script from a Postman collection: folders become group()s and
+ * every request becomes a runRequest({ name, method, address, ... }) call with its headers,
+ * body (raw, urlencoded, form-data, GraphQL, binary file) and auth. {{variables}} are
+ * resolved when the request is sent, with the same precedence as Postman.
+ *
+ * pm.test() assertions in test scripts become k6 check()s, and variables set by test scripts
+ * (pm.environment.set etc.) are set on per-VU copies of the variables, so values such as
+ * tokens and IDs flow from one request to the next within each VU (see assertion-translator.js).
+ * A CSV or JSON data file is loaded into a SharedArray and one row is bound to the
+ * {{variables}} of each iteration (see iteration-data.js).
+ *
+ * OAuth2 client-credentials and password grants fetch their token from the token URL on each
+ * VU and fetch it again before it expires. Secrets (passwords, client secrets, API keys and
+ * tokens in auth blocks, the variables they reference and secret environment variables) are
+ * left out of the script and read from k6 environment variables (__ENV) instead.
+ *
+ * A request hook can add k6 tags and params per request:
+ *   module.exports = function (request, context) { return { tags: {...}, options: {...} }; };
+ * where request is an analyze-collection.js extractRequests() entry.
+ *
+ * Usage: node convert-collection.js <collection-file> [--output <file>] [--environment <file>] [--globals <file>] [--hook <module>]
+ *                                   [--data <csv-or-json-file>] [--data-distribution <sequential|unique|random>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractRequests, effectiveAuth } = require('./analyze-collection');
+const { variableMap, rawUrl, scriptAssignedVariables, collectionEvents } = require('./variable-resolver');
+const { translateTests, ASSERTION_RUNTIME } = require('./assertion-translator');
+const { loadDataFile, validateDataColumns, parseCsv, parseDataRows, DISTRIBUTIONS } = require('./iteration-data');
+
+// Auth types the converter emits; others are reported and the request is sent without auth
+const SUPPORTED_AUTH_TYPES = ['noauth', 'apikey', 'basic', 'bearer', 'digest', 'ntlm', 'oauth2'];
+
+const VARIABLE_REFERENCE = /\{\{([^{}]+)\}\}/g;
+
+// OAuth2 grants whose tokens the script fetches itself (Postman grant_type -> OAuth2 grant_type)
+const OAUTH2_GRANT_TYPES = { client_credentials: 'client_credentials', password_credentials: 'password' };
+
+// Secret fields of each converted auth type and the environment variable a literal value moves to
+const SECRET_AUTH_FIELDS = {
+  bearer: { token: 'BEARER_TOKEN' },
+  basic: { password: 'BASIC_PASSWORD' },
+  apikey: { value: 'API_KEY' },
+  digest: { password: 'DIGEST_PASSWORD' },
+  ntlm: { password: 'NTLM_PASSWORD' },
+  oauth2: { clientSecret: 'OAUTH2_CLIENT_SECRET', password: 'OAUTH2_PASSWORD' }
+};
+
+// Content-Type sent for raw bodies when the request sets none (Postman's body "language")
+const RAW_CONTENT_TYPES = {
+  json: 'application/json',
+  xml: 'application/xml',
+  html: 'text/html',
+  javascript: 'application/javascript',
+  text: 'text/plain'
+};
+
+/**
+ * Helpers included in every generated script. Kept free of ${} so it can live in a raw template.
+ */
+const RUNTIME = String.raw`
+const VARIABLE_REFERENCE = /\{\{([^{}]+)\}\}/g;
+
+function uuid() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+  });
+}
+
+const dynamicVariables = {
+  guid: uuid,
+  randomUUID: uuid,
+  timestamp: function () { return String(Math.floor(Date.now() / 1000)); },
+  isoTimestamp: function () { return new Date().toISOString(); },
+  randomInt: function () { return String(Math.floor(Math.random() * 1001)); },
+  randomBoolean: function () { return String(Math.random() < 0.5); }
+};
+
+// Each VU works on its own copy of the variables: values set by test scripts carry over to the
+// VU's later requests and iterations without leaking into other VUs
+const vuVariables = {
+  local: {},
+  data: {},
+  environment: Object.assign({}, postmanVariables.environment),
+  collection: Object.assign({}, postmanVariables.collection),
+  global: Object.assign({}, postmanVariables.global)
+};
+
+function getVariable(scope, name) {
+  return vuVariables[scope][name];
+}
+
+function setVariable(scope, name, value) {
+  vuVariables[scope][name] = value;
+}
+
+function unsetVariable(scope, name) {
+  delete vuVariables[scope][name];
+}
+
+// Secrets left out of the script fail the test at start-up when they are not passed in
+const missingSecrets = Object.keys(secrets).filter(function (name) { return !secrets[name]; });
+if (missingSecrets.length > 0) {
+  throw new Error('Missing secret(s) ' + missingSecrets.join(', ') + ': pass them with k6 run -e NAME=value or as environment variables');
+}
+
+// Local (pm.variables), iteration data, environment (with the secrets read from __ENV),
+// collection, folder and global variables, in Postman's order of precedence
+function variableValue(name, folder) {
+  const scopes = [vuVariables.local, vuVariables.data, vuVariables.environment, secrets, vuVariables.collection, folder || {}, vuVariables.global];
+  for (let i = 0; i < scopes.length; i++) {
+    if (scopes[i][name] !== undefined && scopes[i][name] !== null) {
+      return scopes[i][name];
+    }
+  }
+  return undefined;
+}
+
+function lookupVariable(name, folder) {
+  const value = variableValue(name, folder);
+  if (value !== undefined) {
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  if (name.charAt(0) === '$' && dynamicVariables[name.substring(1)]) {
+    return dynamicVariables[name.substring(1)]();
+  }
+  return undefined;
+}
+
+// Replace {{variables}}, following nested references; unknown variables are sent as they are
+function resolve(value, folder) {
+  let text = value === undefined || value === null ? '' : String(value);
+  for (let depth = 0; depth < 10 && text.indexOf('{{') !== -1; depth++) {
+    let replaced = false;
+    text = text.replace(VARIABLE_REFERENCE, function (match, name) {
+      const resolved = lookupVariable(name.trim(), folder);
+      if (resolved === undefined) return match;
+      replaced = true;
+      return resolved;
+    });
+    if (!replaced) break;
+  }
+  return text;
+}
+
+// GraphQL variables with {{references}} are resolved and parsed when the request is sent;
+// variables that are then not valid JSON fail a check and the request is sent without them
+function graphqlVariables(variables, folder, requestName) {
+  if (typeof variables !== 'string') return variables;
+  try {
+    return JSON.parse(resolve(variables, folder));
+  } catch (e) {
+    const failed = {};
+    failed['GraphQL variables of "' + requestName + '" are valid JSON'] = function () { return false; };
+    check(null, failed);
+    return {};
+  }
+}
+
+function buildBody(body, params, folder, requestName) {
+  if (!body) return null;
+  if (body.mode === 'raw') return resolve(body.raw, folder);
+  if (body.mode === 'file') return files[body.file];
+  if (body.mode === 'urlencoded') {
+    return body.urlencoded.map(function (field) {
+      return encodeURIComponent(resolve(field.key, folder)) + '=' + encodeURIComponent(resolve(field.value, folder));
+    }).join('&');
+  }
+  if (body.mode === 'graphql') {
+    return JSON.stringify({ query: resolve(body.query, folder), variables: graphqlVariables(body.variables, folder, requestName) });
+  }
+  if (body.mode === 'formdata') {
+    // k6 sends objects holding http.file() values as multipart; text-only forms are encoded here
+    if (body.formdata.some(function (field) { return field.file; })) {
+      const data = {};
+      body.formdata.forEach(function (field) {
+        data[resolve(field.key, folder)] = field.file
+          ? http.file(files[field.file], field.file.split('/').pop(), field.contentType)
+          : resolve(field.value, folder);
+      });
+      return data;
+    }
+    const boundary = '----k6FormBoundary' + Math.random().toString(16).substring(2);
+    params.headers['Content-Type'] = 'multipart/form-data; boundary=' + boundary;
+    return body.formdata.map(function (field) {
+      return '--' + boundary + '\r\nContent-Disposition: form-data; name="' + resolve(field.key, folder) + '"\r\n\r\n' +
+        resolve(field.value, folder) + '\r\n';
+    }).join('') + '--' + boundary + '--\r\n';
+  }
+  return null;
+}
+
+function formEncode(fields) {
+  return Object.keys(fields).map(function (key) {
+    return encodeURIComponent(key) + '=' + encodeURIComponent(fields[key]);
+  }).join('&');
+}
+
+// OAuth2 tokens fetched by this VU, by token URL, client and user
+const oauth2Tokens = {};
+
+// The VU's OAuth2 access token, fetched on first use and fetched again shortly before it
+// expires (with the refresh token when the server issued one)
+function oauth2Token(auth, folder) {
+  const tokenUrl = resolve(auth.accessTokenUrl, folder);
+  const clientId = resolve(auth.clientId, folder);
+  const username = resolve(auth.username, folder);
+  const key = tokenUrl + ' ' + clientId + ' ' + username;
+  const cached = oauth2Tokens[key];
+  if (cached && Date.now() < cached.refreshAt) return cached.accessToken;
+
+  let fields;
+  if (cached && cached.refreshToken) {
+    fields = { grant_type: 'refresh_token', refresh_token: cached.refreshToken };
+  } else if (auth.grantType === 'password') {
+    fields = { grant_type: 'password', username: username, password: resolve(auth.password, folder) };
+  } else {
+    fields = { grant_type: 'client_credentials' };
+  }
+  const scope = resolve(auth.scope, folder);
+  if (scope && fields.grant_type !== 'refresh_token') fields.scope = scope;
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const clientSecret = resolve(auth.clientSecret, folder);
+  if (auth.clientAuthentication === 'body') {
+    fields.client_id = clientId;
+    if (clientSecret) fields.client_secret = clientSecret;
+  } else {
+    headers.Authorization = 'Basic ' + encoding.b64encode(clientId + ':' + clientSecret);
+  }
+
+  const response = http.request('POST', tokenUrl, formEncode(fields), { headers: headers, tags: { name: 'OAuth2 token' } });
+  if (response.status !== 200 && fields.grant_type === 'refresh_token') {
+    // The refresh token was rejected: start over with the grant itself
+    delete oauth2Tokens[key];
+    return oauth2Token(auth, folder);
+  }
+  if (response.status !== 200) {
+    throw new Error('OAuth2 token request to ' + tokenUrl + ' failed with status ' + response.status);
+  }
+
+  const token = response.json();
+  const lifetime = Number(token.expires_in) > 0 ? Number(token.expires_in) * 1000 : Infinity;
+  oauth2Tokens[key] = {
+    accessToken: token.access_token,
+    refreshToken: token.refresh_token || (cached && cached.refreshToken),
+    // Refresh 30 seconds before expiry, or after 90% of a shorter lifetime
+    refreshAt: Date.now() + lifetime - Math.min(30000, lifetime * 0.1)
+  };
+  return token.access_token;
+}
+
+// Add credentials to the request params; returns the URL (API keys and digest/NTLM credentials go there)
+function applyAuth(auth, url, params, folder) {
+  if (!auth) return url;
+  if (auth.type === 'oauth2') {
+    const token = oauth2Token(auth, folder);
+    if (auth.in === 'query') {
+      return url + (url.indexOf('?') === -1 ? '?' : '&') + 'access_token=' + encodeURIComponent(token);
+    }
+    params.headers.Authorization = auth.prefix + ' ' + token;
+  } else if (auth.type === 'bearer') {
+    params.headers.Authorization = auth.prefix + ' ' + resolve(auth.token, folder);
+  } else if (auth.type === 'basic') {
+    params.headers.Authorization = 'Basic ' + encoding.b64encode(resolve(auth.username, folder) + ':' + resolve(auth.password, folder));
+  } else if (auth.type === 'apikey') {
+    const key = resolve(auth.key, folder);
+    const value = resolve(auth.value, folder);
+    if (auth.in === 'query') {
+      return url + (url.indexOf('?') === -1 ? '?' : '&') + encodeURIComponent(key) + '=' + encodeURIComponent(value);
+    }
+    params.headers[key] = value;
+  } else if (auth.type === 'digest' || auth.type === 'ntlm') {
+    params.auth = auth.type;
+    return url.replace(/^([a-z][a-z0-9+.-]*:\/\/)/i, '$1' + encodeURIComponent(resolve(auth.username, folder)) + ':' +
+      encodeURIComponent(resolve(auth.password, folder)) + '@');
+  }
+  return url;
+}
+
+function runRequest(request) {
+  const folder = request.variables;
+  const options = request.options || {};
+  // The request's tags (the hook's, and endpoint tags added later) win over those of its options
+  const params = Object.assign({}, options, { headers: {}, tags: Object.assign({}, options.tags, request.tags) });
+  Object.keys(request.headers || {}).forEach(function (name) {
+    params.headers[resolve(name, folder)] = resolve(request.headers[name], folder);
+  });
+  Object.assign(params.headers, options.headers);
+
+  let url = resolve(request.address, folder);
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) url = 'http://' + url;
+  url = applyAuth(request.auth, url, params, folder);
+  const response = http.request(request.method, url, buildBody(request.body, params, folder, request.name), params);
+  if (request.extract) {
+    try {
+      request.extract(response);
+    } catch (e) {
+      console.warn('Could not set variables from the response of "' + request.name + '": ' + e.message);
+    }
+  }
+  if (request.checks) check(response, request.checks);
+  return response;
+}
+`;
+
+/**
+ * Helpers for scripts run with a data file: the parsers of iteration-data.js and the per-iteration
+ * row binding. sequential walks the rows on each VU, unique hands each row to one iteration of
+ * the test (and aborts the test once a scenario has used its rows), random picks any row.
+ * k6 counts iterationInTest per scenario, so with unique the scenarios take turns over the rows:
+ * of N scenarios (sorted by name), scenario s gets rows s, s + N, s + 2N...
+ */
+const DATA_RUNTIME = `
+${parseCsv.toString()}
+
+${parseDataRows.toString()}
+` + String.raw`
+function useIterationData() {
+  let index;
+  if (dataDistribution === 'random') {
+    index = Math.floor(Math.random() * iterationData.length);
+  } else if (dataDistribution === 'unique') {
+    const scenarios = Object.keys((exec.test.options && exec.test.options.scenarios) || {}).sort();
+    const slot = Math.max(0, scenarios.indexOf(exec.scenario.name));
+    index = exec.scenario.iterationInTest * Math.max(1, scenarios.length) + slot;
+    if (index >= iterationData.length) {
+      exec.test.abort('Scenario ' + exec.scenario.name + ' has used its share of the ' + iterationData.length + ' data rows: the unique distribution sends each row once, add rows or run fewer iterations');
+    }
+  } else {
+    index = exec.vu.iterationInScenario % iterationData.length;
+  }
+  vuVariables.data = iterationData[index];
+}
+`;
+
+/**
+ * Values of a Postman auth block: v2.1 lists [{ key, value }], v2.0 uses a plain object
+ */
+function authValues(auth) {
+  const values = auth[auth.type];
+  if (Array.isArray(values)) {
+    return values.reduce((map, v) => Object.assign(map, v && v.key ? { [v.key]: v.value } : {}), {});
+  }
+  return values || {};
+}
+
+/**
+ * Turn a Postman auth block into the { type, ... } form runRequest() understands.
+ * Returns null (and a warning) for auth types the converter does not support.
+ */
+function convertAuth(auth, warnings, location) {
+  if (!auth) return null;
+  const values = authValues(auth);
+
+  switch (auth.type) {
+    case 'bearer':
+      return { type: 'bearer', prefix: 'Bearer', token: values.token || '' };
+    case 'basic':
+      return { type: 'basic', username: values.username || '', password: values.password || '' };
+    case 'apikey':
+      return { type: 'apikey', key: values.key || '', value: values.value || '', in: values.in === 'query' ? 'query' : 'header' };
+    case 'digest':
+    case 'ntlm':
+      return { type: auth.type, username: values.username || '', password: values.password || '' };
+    case 'oauth2':
+      if (OAUTH2_GRANT_TYPES[values.grant_type] && values.accessTokenUrl) {
+        return {
+          type: 'oauth2',
+          grantType: OAUTH2_GRANT_TYPES[values.grant_type],
+          accessTokenUrl: values.accessTokenUrl,
+          clientId: values.clientId || '',
+          clientSecret: values.clientSecret || '',
+          username: values.username || '',
+          password: values.password || '',
+          scope: values.scope || '',
+          clientAuthentication: values.client_authentication === 'body' ? 'body' : 'header',
+          prefix: values.headerPrefix || 'Bearer',
+          in: values.addTokenTo === 'queryParams' ? 'query' : 'header'
+        };
+      }
+      // Other grants need a browser: the access token stored in the collection is sent as is
+      warnings.push(`${location}: OAuth2 ${values.grant_type || 'authorization_code'} grant is not fetched, the stored access token is sent and not refreshed`);
+      if (values.addTokenTo === 'queryParams') {
+        return { type: 'apikey', key: 'access_token', value: values.accessToken || '', in: 'query' };
+      }
+      return { type: 'bearer', prefix: values.headerPrefix || 'Bearer', token: values.accessToken || '' };
+    default:
+      warnings.push(`${location}: auth type "${auth.type}" is not supported, the request is sent without it`);
+      return null;
+  }
+}
+
+/**
+ * Move the secrets of a converted auth block out of the script: a literal value becomes a
+ * {{NAME}} reference read from the environment variable NAME, and the variables referenced
+ * instead are recorded in secrets.variables so their values can be left out too.
+ */
+function protectSecrets(auth, secrets) {
+  const fields = auth && SECRET_AUTH_FIELDS[auth.type];
+  if (!fields) return;
+  Object.entries(fields).forEach(([field, envName]) => {
+    const value = auth[field];
+    if (!value) return;
+    const references = [...value.matchAll(VARIABLE_REFERENCE)].map(match => match[1].trim());
+    if (references.length > 0) {
+      references.forEach(name => secrets.variables.add(name));
+      return;
+    }
+    if (!secrets.literals.has(value)) {
+      const used = new Set(secrets.literals.values());
+      let name = envName;
+      for (let n = 2; used.has(name); n++) name = `${envName}_${n}`;
+      secrets.literals.set(value, name);
+    }
+    auth[field] = `{{${secrets.literals.get(value)}}}`;
+  });
+}
+
+/**
+ * Names of the secrets the script reads from __ENV: the environment variables literal auth
+ * secrets moved to, plus the variables holding secrets (referenced by auth secrets or marked
+ * secret in the environment file), whose values are removed from the embedded variables.
+ * Variables set by scripts keep their values, since the collection assigns them at run time.
+ */
+function collectSecrets(secrets, variables, calls, collection, environment) {
+  const names = new Set(secrets.literals.values());
+  const assigned = scriptAssignedVariables(collectionEvents(collection));
+  const secretEnvironment = ((environment && environment.values) || []).filter(v => v && v.key && v.type === 'secret').map(v => v.key);
+  const scopes = [variables.environment, variables.collection, variables.global].concat(calls.map(c => c.call.variables || {}));
+
+  new Set([...secrets.variables, ...secretEnvironment]).forEach(name => {
+    if (assigned.has(name)) return;
+    scopes.forEach(scope => {
+      if (Object.prototype.hasOwnProperty.call(scope, name)) {
+        delete scope[name];
+        names.add(name);
+      }
+    });
+  });
+  calls.forEach(c => {
+    if (c.call.variables && Object.keys(c.call.variables).length === 0) delete c.call.variables;
+  });
+  return [...names];
+}
+
+/**
+ * Parse the variables of a GraphQL body. Returns { variables } for JSON, { templated: true }
+ * when the text has {{references}} (it is valid JSON once they are replaced, and is parsed at
+ * run time after resolving them) or { error } when it is not valid JSON.
+ */
+function parseGraphqlVariables(text) {
+  const source = (text || '').trim();
+  if (!source) return { variables: {} };
+  const templated = source.search(VARIABLE_REFERENCE) !== -1;
+  try {
+    // A reference may stand for a quoted or an unquoted value: 0 fits either place
+    const variables = JSON.parse(templated ? source.replace(VARIABLE_REFERENCE, '0') : source);
+    return templated ? { templated: true } : { variables };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Path a file is opened with from the script's directory. Relative sources are looked up from
+ * the collection directory, then the working directory. A missing file fails the conversion:
+ * its open() would abort the whole k6 test at start-up.
+ */
+function scriptFilePath(src, options, location, field) {
+  const candidates = path.isAbsolute(src) ? [src] : [path.resolve(options.collectionDir, src), path.resolve(src)];
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  if (!found) {
+    throw new Error(`${location}: file upload "${field}" points at ${src}, which does not exist (relative paths are resolved from the collection directory and the working directory)`);
+  }
+  return path.relative(options.scriptDir, found).split(path.sep).join('/');
+}
+
+/**
+ * Convert a Postman body to the data runRequest() sends, registering the files it uploads.
+ * Sets a default Content-Type header for raw, urlencoded and GraphQL bodies.
+ */
+function convertBody(body, headers, files, options, warnings, location) {
+  if (!body || !body.mode || body.disabled) return null;
+  const enabled = list => (list || []).filter(field => field && !field.disabled);
+  const setContentType = type => {
+    if (!hasHeader(headers, 'Content-Type')) headers['Content-Type'] = type;
+  };
+  const registerFile = (src, field) => {
+    const filePath = scriptFilePath(src, options, location, field);
+    files.add(filePath);
+    return filePath;
+  };
+
+  switch (body.mode) {
+    case 'raw': {
+      const language = body.options && body.options.raw && body.options.raw.language;
+      if (RAW_CONTENT_TYPES[language]) setContentType(RAW_CONTENT_TYPES[language]);
+      return { mode: 'raw', raw: body.raw || '' };
+    }
+    case 'urlencoded':
+      setContentType('application/x-www-form-urlencoded');
+      return { mode: 'urlencoded', urlencoded: enabled(body.urlencoded).map(f => ({ key: f.key, value: f.value || '' })) };
+    case 'graphql': {
+      setContentType('application/json');
+      const text = (body.graphql && body.graphql.variables) || '';
+      const parsed = parseGraphqlVariables(text);
+      if (parsed.error) {
+        warnings.push(`${location}: GraphQL variables are not valid JSON (${parsed.error}), the request is sent without them`);
+      }
+      return { mode: 'graphql', query: (body.graphql && body.graphql.query) || '', variables: parsed.templated ? text : parsed.variables || {} };
+    }
+    case 'formdata': {
+      const fields = [];
+      enabled(body.formdata).forEach(field => {
+        if (field.type !== 'file') {
+          fields.push({ key: field.key, value: field.value || '' });
+          return;
+        }
+        const src = Array.isArray(field.src) ? field.src[0] : field.src;
+        if (!src) {
+          warnings.push(`${location}: form-data file "${field.key}" has no file selected and is skipped`);
+          return;
+        }
+        fields.push(Object.assign({ key: field.key, file: registerFile(src, field.key) }, field.contentType ? { contentType: field.contentType } : {}));
+      });
+      return { mode: 'formdata', formdata: fields };
+    }
+    case 'file':
+      if (!body.file || !body.file.src) {
+        warnings.push(`${location}: binary body has no file selected and is skipped`);
+        return null;
+      }
+      return { mode: 'file', file: registerFile(body.file.src, 'body') };
+    default:
+      warnings.push(`${location}: body mode "${body.mode}" is not supported and is skipped`);
+      return null;
+  }
+}
+
+/**
+ * Build the runRequest() argument for one request. Translated and untranslated pm.test
+ * blocks are counted in assertions ({ translated, untranslated }); auth secrets are recorded
+ * in secrets ({ literals, variables }, see protectSecrets()).
+ */
+function convertRequest(request, collection, files, options, warnings, assertions, secrets) {
+  const location = request.path;
+  const headers = {};
+  request.headers.filter(h => h && h.key && !h.disabled).forEach(h => {
+    headers[h.key] = h.value === undefined || h.value === null ? '' : String(h.value);
+  });
+
+  const call = {
+    name: request.name,
+    method: String(request.method || 'GET').toUpperCase(),
+    address: rawUrl(request.url),
+    headers
+  };
+  const body = convertBody(request.body, headers, files, options, warnings, location);
+  if (body) call.body = body;
+  const auth = convertAuth(effectiveAuth(request, collection.auth), warnings, location);
+  protectSecrets(auth, secrets);
+  if (auth) call.auth = auth;
+
+  const folderVariables = variableMap(request.folderVariables);
+  if (Object.keys(folderVariables).length > 0) call.variables = folderVariables;
+
+  if (options.requestHook) {
+    const extra = options.requestHook(request, { collection }) || {};
+    if (extra.tags && Object.keys(extra.tags).length > 0) call.tags = extra.tags;
+    if (extra.options && Object.keys(extra.options).length > 0) call.options = extra.options;
+  }
+
+  // Tests run collection first, then each enclosing folder, then the request's own
+  const testEvents = [].concat(collection.event || [], ...request.folders.map(f => f.events), request.events);
+  const tests = translateTests(testEvents);
+  if (tests.extract) call.extract = tests.extract;
+  if (tests.checks.length > 0) call.checks = tests.checks;
+  assertions.translated += tests.checks.length;
+  tests.untranslated.forEach(test => {
+    assertions.untranslated.push(Object.assign({ request: location }, test));
+    warnings.push(`${location}: pm.test "${test.name}" not translated: ${test.reason}`);
+  });
+  tests.statements.forEach(statement => {
+    warnings.push(`${location}: test script statement not converted: ${statement.replace(/\s+/g, ' ').substring(0, 80)}`);
+  });
+
+  const prerequest = request.events.filter(e => e && e.listen === 'prerequest' && e.script);
+  if (prerequest.some(e => [].concat(e.script.exec || []).join('').trim())) {
+    warnings.push(`${location}: pre-request scripts are not converted`);
+  }
+  return call;
+}
+
+/**
+ * Source of a runRequest() call; top-level keys stay unquoted so script-utils can read them
+ */
+function requestCallCode(call, indent) {
+  const fields = Object.entries(call).map(([key, value]) => {
+    if (key === 'extract') return `${indent}  extract: ${value.split('\n').join(`\n${indent}  `)}`;
+    if (key !== 'checks') return `${indent}  ${key}: ${JSON.stringify(value)}`;
+    // Checks are functions, written out as code
+    const checks = value.map(c => `${JSON.stringify(c.name)}: ${c.code.split('\n').join(`\n${indent}    `)}`);
+    return `${indent}  checks: {\n${indent}    ${checks.join(`,\n${indent}    `)}\n${indent}  }`;
+  });
+  return `${indent}runRequest({\n${fields.join(',\n')}\n${indent}});`;
+}
+
+/**
+ * Emit the default function body: requests in collection order, each folder as a group()
+ */
+function defaultFunctionCode(calls) {
+  const lines = [];
+  let open = [];
+  calls.forEach(({ folders, call }) => {
+    let shared = 0;
+    while (shared < open.length && shared < folders.length && open[shared] === folders[shared]) shared++;
+    while (open.length > shared) {
+      open.pop();
+      lines.push(`${'  '.repeat(open.length + 1)}});`);
+    }
+    folders.slice(shared).forEach(folder => {
+      lines.push(`${'  '.repeat(open.length + 1)}group(${JSON.stringify(folder)}, function () {`);
+      open.push(folder);
+    });
+    lines.push(requestCallCode(call, '  '.repeat(open.length + 1)));
+  });
+  while (open.length > 0) {
+    open.pop();
+    lines.push(`${'  '.repeat(open.length + 1)}});`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Convert a parsed collection. Options:
+ *   environment, globals - Postman variable files (parsed) embedded in the script
+ *   requestHook          - function (request, { collection }) returning { tags, options }
+ *   options              - k6 options for the script (default {})
+ *   collectionDir, scriptDir - where upload files are looked up and opened from
+ *   data                 - iteration data { file, format, distribution }: file is opened from
+ *                          the script's directory and one row is bound per iteration
+ * Returns { script, requests, warnings, assertions, secrets } where assertions counts the
+ * translated pm.test blocks and lists the untranslated ones ({ request, name, reason }) and
+ * secrets names the environment variables the script reads its secrets from.
+ */
+function convertCollection(collection, options = {}) {
+  if (!collection || !Array.isArray(collection.item)) {
+    throw new Error('Invalid Postman collection format: missing "item" array');
+  }
+  const settings = Object.assign({ collectionDir: process.cwd(), scriptDir: process.cwd() }, options);
+  const warnings = [];
+  const files = new Set();
+  const assertions = { translated: 0, untranslated: [] };
+  const secrets = { literals: new Map(), variables: new Set() };
+
+  const calls = extractRequests(collection.item).map(request => ({
+    folders: request.folders.map(f => f.name),
+    call: convertRequest(request, collection, files, settings, warnings, assertions, secrets)
+  }));
+
+  const variables = {
+    collection: variableMap(collection.variable),
+    environment: variableMap(options.environment),
+    global: variableMap(options.globals)
+  };
+  const secretNames = collectSecrets(secrets, variables, calls, collection, options.environment);
+  const secretEntries = secretNames.map(secret => `  ${JSON.stringify(secret)}: __ENV[${JSON.stringify(secret)}]`);
+  const name = (collection.info && collection.info.name) || 'Postman collection';
+  const fileEntries = [...files].map(file => `  ${JSON.stringify(file)}: open(${JSON.stringify(file)}, 'b')`);
+  const data = options.data;
+  if (data && !DISTRIBUTIONS.includes(data.distribution)) {
+    throw new Error(`Unknown data distribution '${data.distribution}' (expected ${DISTRIBUTIONS.join(', ')})`);
+  }
+  const dataImports = data ? "\nimport { SharedArray } from 'k6/data';\nimport exec from 'k6/execution';" : '';
+  const dataDeclarations = data ? `
+// Iteration data rows, parsed once and shared by all VUs (${data.distribution} distribution)
+const iterationData = new SharedArray('iteration data', function () {
+  return parseDataRows(open(${JSON.stringify(data.file)}), ${JSON.stringify(data.format)});
+});
+const dataDistribution = ${JSON.stringify(data.distribution)};
+` : '';
+
+  const script = `// k6 script generated from the Postman collection ${JSON.stringify(name)} by convert-collection.js
+import http from 'k6/http';
+import encoding from 'k6/encoding';
+import { check, group } from 'k6';${dataImports}
+
+export const options = ${JSON.stringify(options.options || {}, null, 2)};
+
+// Postman variables; {{references}} are resolved when each request is sent
+const postmanVariables = ${JSON.stringify(variables, null, 2)};
+
+// Secrets are read from environment variables (k6 run -e NAME=value) and never written here
+const secrets = {${secretEntries.length > 0 ? `\n${secretEntries.join(',\n')}\n` : ''}};
+
+// Files uploaded by form-data and binary bodies (open() only works in the init context)
+const files = {${fileEntries.length > 0 ? `\n${fileEntries.join(',\n')}\n` : ''}};
+${dataDeclarations}${RUNTIME}${calls.some(c => c.call.checks || c.call.extract) ? ASSERTION_RUNTIME : ''}${data ? DATA_RUNTIME : ''}
+export default function () {
+${data ? '  useIterationData();\n\n' : ''}${defaultFunctionCode(calls)}
+}
+`;
+
+  return { script, requests: calls.map(c => c.call), warnings, assertions, secrets: secretNames };
+}
+
+function readJsonFile(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read ${label} file ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Load a request hook module: a function, or an object exporting requestHook
+ */
+function loadRequestHook(modulePath) {
+  const hook = require(path.resolve(modulePath));
+  const fn = typeof hook === 'function' ? hook : hook && hook.requestHook;
+  if (typeof fn !== 'function') {
+    throw new Error(`Request hook ${modulePath} must export a function or { requestHook }`);
+  }
+  return fn;
+}
+
+/**
+ * Convert a collection file and write the k6 script. Options: outputPath, environmentPath,
+ * globalsPath, hookPath (or requestHook), dataPath and dataDistribution (iteration data,
+ * default sequential) and options (k6 options). The data file must have a column for every
+ * {{variable}} the requests send that is not defined elsewhere.
+ */
+function convertCollectionFile(collectionPath, options = {}) {
+  if (!fs.existsSync(collectionPath)) {
+    throw new Error(`Collection file not found: ${collectionPath}`);
+  }
+  const outputPath = options.outputPath || 'k6-script.js';
+  const scriptDir = path.dirname(path.resolve(outputPath));
+  const collection = readJsonFile(collectionPath, 'collection');
+  const environment = options.environmentPath ? readJsonFile(options.environmentPath, 'environment') : null;
+  const globals = options.globalsPath ? readJsonFile(options.globalsPath, 'globals') : null;
+
+  let data = null;
+  if (options.dataPath) {
+    const dataFile = loadDataFile(options.dataPath);
+    validateDataColumns(collection, dataFile, { environment, globals });
+    data = {
+      file: path.relative(scriptDir, path.resolve(options.dataPath)).split(path.sep).join('/'),
+      format: dataFile.format,
+      distribution: options.dataDistribution || 'sequential',
+      rows: dataFile.rows.length
+    };
+  }
+
+  const result = convertCollection(collection, {
+    environment,
+    globals,
+    requestHook: options.requestHook || (options.hookPath ? loadRequestHook(options.hookPath) : null),
+    options: options.options,
+    collectionDir: path.dirname(path.resolve(collectionPath)),
+    scriptDir,
+    data
+  });
+
+  const outputDir = path.dirname(outputPath);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  fs.writeFileSync(outputPath, result.script, 'utf8');
+  return Object.assign({ outputPath, data }, result);
+}
+
+// CLI usage
+if (require.main === module) {
+  const collectionPath = process.argv[2];
+
+  // Parse --flag value pairs that follow the positional argument
+  const flags = {};
+  for (let i = 3; i < process.argv.length; i++) {
+    if (process.argv[i].startsWith('--')) {
+      flags[process.argv[i].substring(2)] = process.argv[i + 1];
+      i++;
+    }
+  }
+
+  if (!collectionPath) {
+    console.error('Usage: node convert-collection.js <collection-file> [--output <file>] [--environment <file>] [--globals <file>] [--hook <module>] [--data <csv-or-json-file>] [--data-distribution <sequential|unique|random>]');
+    console.error('Example: node convert-collection.js postman/collection.json --output k6-script.js --environment postman/staging.json');
+    process.exit(1);
+  }
+
+  try {
+    const result = convertCollectionFile(collectionPath, {
+      outputPath: flags.output,
+      environmentPath: flags.environment,
+      globalsPath: flags.globals,
+      hookPath: flags.hook,
+      dataPath: flags.data,
+      dataDistribution: flags['data-distribution']
+    });
+    result.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+    const testCount = result.assertions.translated + result.assertions.untranslated.length;
+    if (testCount > 0) {
+      console.log(`Translated ${result.assertions.translated} of ${testCount} pm.test block(s) into k6 checks`);
+    }
+    if (result.secrets.length > 0) {
+      console.log(`Secrets read from environment variables: ${result.secrets.join(', ')}`);
+    }
+    if (result.data) {
+      console.log(`Iteration data: ${result.data.rows} row(s) from ${flags.data}, ${result.data.distribution} distribution`);
+    }
+    console.log(`k6 script with ${result.requests.length} request(s) written to: ${result.outputPath}`);
+  } catch (error) {
+    console.error(`Error converting collection: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  convertCollection,
+  convertCollectionFile,
+  authValues,
+  parseGraphqlVariables,
+  SUPPORTED_AUTH_TYPES,
+  OAUTH2_GRANT_TYPES,
+  SECRET_AUTH_FIELDS
+};
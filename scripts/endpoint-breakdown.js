@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Endpoint Breakdown
+ * Groups HTTP metrics from a k6 run per endpoint (request name / URL tag) and per
+ * Postman folder, so slow or failing requests can be found in large collections
+ *
+ * Usage: node endpoint-breakdown.js <k6-results-file> [k6-script-file]
+ */
+
+const fs = require('fs');
+const { findRequestCalls } = require('./script-utils');
+const { aggregateK6Stream, isK6Stream } = require('./k6-stream-aggregator');
+
+const HTTP_METRICS = ['http_req_duration', 'http_req_failed', 'http_reqs'];
+const ROOT_FOLDER = '(root)';
+
+/**
+ * Name an endpoint from a point's tags: our endpoint tag, then k6's name tag
+ * (which defaults to the URL), then the URL itself
+ */
+function endpointName(tags) {
+  return tags.endpoint || tags.name || tags.url || null;
+}
+
+/**
+ * Turn a k6 group tag ("::Folder::Subfolder") into a folder path ("Folder / Subfolder")
+ */
+function groupToFolder(group) {
+  const parts = (group || '').split('::').filter(Boolean);
+  return parts.length > 0 ? parts.join(' / ') : ROOT_FOLDER;
+}
+
+/**
+ * Map request names to their Postman folder path using the groups around each
+ * request in the generated k6 script. The whole script is searched because the
+ * traffic modes move requests out of the default function.
+ */
+function requestFoldersFromScript(source) {
+  const folders = {};
+  findRequestCalls(source).forEach(call => {
+    if (call.name && !folders[call.name]) {
+      folders[call.name] = call.groups.length > 0 ? call.groups.join(' / ') : ROOT_FOLDER;
+    }
+  });
+  return folders;
+}
+
+/**
+ * Build the aggregator breakdown definitions for endpoints and folders.
+ * The folder of a request comes from the script when known, otherwise from its group tag.
+ */
+function endpointBreakdowns(requestFolders = {}) {
+  const folderOf = tags => requestFolders[endpointName(tags)] || groupToFolder(tags.group);
+  return {
+    endpoints: {
+      metrics: HTTP_METRICS,
+      key: tags => {
+        const name = endpointName(tags);
+        return name ? `${tags.method || ''} ${name}`.trim() : null;
+      }
+    },
+    folders: {
+      metrics: HTTP_METRICS,
+      key: tags => (endpointName(tags) ? folderOf(tags) : null)
+    }
+  };
+}
+
+/**
+ * Flatten the HTTP metrics of one breakdown group into a table row
+ */
+function breakdownRow(metrics) {
+  const duration = metrics.http_req_duration || {};
+  const failed = metrics.http_req_failed || {};
+  const reqs = metrics.http_reqs || {};
+  const requests = reqs.count || duration.count || 0;
+
+  return {
+    requests,
+    requestRate: reqs.rate || 0,
+    errors: failed.passes || 0,
+    errorRate: failed.rate || 0,
+    avg: duration.avg || 0,
+    min: duration.min || 0,
+    // Percentiles a summary sub-metric leaves out stay null rather than 0ms
+    med: typeof duration.med === 'number' ? duration.med : null,
+    p90: typeof duration['p(90)'] === 'number' ? duration['p(90)'] : null,
+    p95: typeof duration['p(95)'] === 'number' ? duration['p(95)'] : null,
+    p99: typeof duration['p(99)'] === 'number' ? duration['p(99)'] : null,
+    max: duration.max || 0
+  };
+}
+
+/**
+ * Turn aggregated breakdowns into endpoint and folder tables, slowest (p95) first
+ */
+function buildBreakdownTables(breakdowns, requestFolders = {}) {
+  const bySlowest = (a, b) => b.p95 - a.p95;
+
+  // The aggregator's (other) group collects the endpoints past its key limit
+  const endpoints = (breakdowns.endpoints || []).map(group => Object.assign({
+    name: group.overflow ? group.key : endpointName(group.tags),
+    method: group.tags.method || null,
+    folder: group.overflow ? null : requestFolders[endpointName(group.tags)] || groupToFolder(group.tags.group)
+  }, breakdownRow(group.metrics))).sort(bySlowest);
+
+  const folders = (breakdowns.folders || []).map(group => Object.assign({
+    folder: group.key
+  }, breakdownRow(group.metrics))).sort(bySlowest);
+
+  return { endpoints, folders };
+}
+
+/**
+ * Build endpoint rows from per-endpoint sub-metrics in a k6 summary
+ * (e.g. http_req_duration{endpoint:Checkout}), for results without raw data points
+ */
+function breakdownFromSubmetrics(metrics, requestFolders = {}) {
+  const grouped = {};
+  Object.keys(metrics || {}).forEach(key => {
+    const match = /^(http_req_duration|http_req_failed|http_reqs)\{(?:endpoint|name):([^,}]+)\}$/.exec(key);
+    if (!match) return;
+    grouped[match[2]] = grouped[match[2]] || {};
+    grouped[match[2]][match[1]] = metrics[key].values || {};
+  });
+
+  return Object.entries(grouped)
+    .map(([name, groupMetrics]) => Object.assign({
+      name,
+      method: null,
+      folder: requestFolders[name] || null
+    }, breakdownRow(groupMetrics)))
+    .sort((a, b) => b.p95 - a.p95);
+}
+
+/**
+ * Format milliseconds for a report table
+ */
+function formatMs(value) {
+  return typeof value === 'number' ? `${value.toFixed(2)}ms` : 'n/a';
+}
+
+/**
+ * Render endpoint and folder tables as markdown
+ */
+function formatBreakdownMarkdown(endpoints, folders) {
+  const sections = [];
+
+  if (endpoints && endpoints.length > 0) {
+    sections.push(`### Per-Endpoint Breakdown
+
+| Endpoint | Folder | Requests | Error Rate | Avg | p95 | p99 | Max |
+|----------|--------|----------|------------|-----|-----|-----|-----|
+${endpoints.map(e => `| ${[e.method, e.name].filter(Boolean).join(' ').replace(/\|/g, '\\|')} | ${(e.folder || '-').replace(/\|/g, '\\|')} | ${e.requests} | ${(e.errorRate * 100).toFixed(2)}% | ${formatMs(e.avg)} | ${formatMs(e.p95)} | ${formatMs(e.p99)} | ${formatMs(e.max)} |`).join('\n')}`);
+  }
+
+  if (folders && folders.length > 0) {
+    sections.push(`### Per-Folder Breakdown
+
+| Folder | Requests | Error Rate | Avg | p95 | p99 |
+|--------|----------|------------|-----|-----|-----|
+${folders.map(f => `| ${f.folder.replace(/\|/g, '\\|')} | ${f.requests} | ${(f.errorRate * 100).toFixed(2)}% | ${formatMs(f.avg)} | ${formatMs(f.p95)} | ${formatMs(f.p99)} |`).join('\n')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+// CLI usage
+if (require.main === module) {
+  const resultsPath = process.argv[2];
+  const scriptPath = process.argv[3] || null;
+
+  if (!resultsPath) {
+    console.error('Usage: node endpoint-breakdown.js <k6-results-file> [k6-script-file]');
+    process.exit(1);
+  }
+
+  try {
+    const requestFolders = scriptPath ? requestFoldersFromScript(fs.readFileSync(scriptPath, 'utf8')) : {};
+    let tables;
+    if (isK6Stream(resultsPath)) {
+      const aggregated = aggregateK6Stream(resultsPath, endpointBreakdowns(requestFolders));
+      aggregated.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+      tables = buildBreakdownTables(aggregated.breakdowns, requestFolders);
+    } else {
+      tables = { endpoints: breakdownFromSubmetrics(JSON.parse(fs.readFileSync(resultsPath, 'utf8')).metrics, requestFolders), folders: [] };
+    }
+    const { endpoints, folders } = tables;
+    console.log(formatBreakdownMarkdown(endpoints, folders) || 'No per-endpoint data found in results');
+  } catch (error) {
+    console.error(`Error building endpoint breakdown: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  endpointBreakdowns,
+  buildBreakdownTables,
+  breakdownFromSubmetrics,
+  requestFoldersFromScript,
+  formatBreakdownMarkdown,
+  groupToFolder
+};
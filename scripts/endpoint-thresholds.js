@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Endpoint SLA Thresholds
+ * Tags every generated request with its endpoint name and turns metadata SLAs into
+ * per-endpoint k6 sub-metric thresholds, e.g. http_req_duration{endpoint:Checkout}
+ *
+ * Usage: node endpoint-thresholds.js <k6-script-file> <metadata-file>
+ */
+
+const fs = require('fs');
+const { parseMetadata, matchEndpointToMetadata, slaToThresholds } = require('./parse-metadata');
+const { tagRequestCalls, findRequestCalls } = require('./script-utils');
+const { resolverForScript } = require('./variable-resolver');
+
+/**
+ * Make an endpoint name safe to use as a tag value inside a threshold key
+ */
+function endpointTagValue(name) {
+  return String(name).replace(/[{},]/g, '').trim();
+}
+
+/**
+ * Find the metadata endpoint for a request call in a generated script. With a variable resolver,
+ * addresses such as {{baseUrl}}/posts are resolved before their path is matched.
+ */
+function matchCallToEndpoint(call, metadata, resolver = null) {
+  const url = resolver && call.address ? resolver.resolve(call.address) : call.address;
+  return matchEndpointToMetadata({ name: call.name, method: call.method, url }, metadata);
+}
+
+/**
+ * Tag requests with their endpoint and build SLA thresholds for matched endpoints.
+ * Requests without a metadata match are tagged with their own name and get no threshold.
+ */
+function applyEndpointThresholds(source, metadata) {
+  const thresholds = {};
+  const endpoints = [];
+  const unmatched = [];
+  const errors = [];
+  const resolver = resolverForScript(source);
+
+  const script = tagRequestCalls(source, call => {
+    const endpoint = matchCallToEndpoint(call, metadata, resolver);
+    const tag = endpointTagValue(endpoint ? endpoint.name : call.name || 'unnamed');
+
+    if (!endpoint) {
+      unmatched.push(call.name);
+      return { endpoint: tag };
+    }
+
+    let expressions = [];
+    try {
+      expressions = slaToThresholds(endpoint.sla);
+    } catch (e) {
+      errors.push(`${endpoint.name}: ${e.message}`);
+    }
+
+    if (expressions.length > 0) {
+      const key = `http_req_duration{endpoint:${tag}}`;
+      thresholds[key] = Array.from(new Set([...(thresholds[key] || []), ...expressions]));
+    }
+    endpoints.push({ request: call.name, endpoint: tag, sla: endpoint.sla || null });
+    return { endpoint: tag };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid SLA in metadata:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { script, thresholds, endpoints: endpoints.reverse(), unmatched: Array.from(new Set(unmatched.reverse())) };
+}
+
+// CLI usage
+if (require.main === module) {
+  const scriptFile = process.argv[2];
+  const metadataPath = process.argv[3];
+
+  if (!scriptFile || !metadataPath) {
+    console.error('Usage: node endpoint-thresholds.js <k6-script-file> <metadata-file>');
+    process.exit(1);
+  }
+
+  try {
+    const source = fs.readFileSync(scriptFile, 'utf8');
+    const metadata = parseMetadata(metadataPath);
+    const { thresholds, unmatched } = applyEndpointThresholds(source, metadata);
+    console.log(JSON.stringify({ requests: findRequestCalls(source).length, thresholds, unmatched }, null, 2));
+  } catch (error) {
+    console.error(`Error building endpoint thresholds: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  applyEndpointThresholds,
+  matchCallToEndpoint,
+  endpointTagValue
+};
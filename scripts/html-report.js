@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+
+/**
+ * HTML Report Generator
+ * Renders k6 results as a single self-contained HTML file (inline CSS, JS and SVG charts,
+ * nothing loaded from a CDN) that can be opened offline from the build artifact: response
+ * time percentiles over time, VUs vs throughput, error rate, per-endpoint tables, threshold
+ * results and the analysis insights when an analysis report exists
+ *
+ * Usage: node html-report.js <k6-results-file> [--script <file>] [--summary <file>] [--insights <file>] [--profile <name>] [--output-dir <dir>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseK6Results } = require('./parse-k6-results');
+const { parseThresholdExpression, SECTIONS } = require('./rule-based-analyzer');
+
+const REPORT_FILE = 'k6-report.html';
+
+const CHART_WIDTH = 760;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = { top: 16, right: 56, bottom: 36, left: 56 };
+const Y_TICKS = 4;
+
+const COLORS = {
+  med: '#4e79a7',
+  p95: '#f28e2b',
+  p99: '#e15759',
+  vus: '#76b7b2',
+  throughput: '#59a14f',
+  errors: '#e15759'
+};
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; color: #222; background: #f5f6f8; }
+header { background: #2b3a55; color: #fff; padding: 20px 32px; }
+header h1 { margin: 0 0 6px; font-size: 22px; }
+header p { margin: 0; opacity: 0.85; font-size: 14px; }
+main { max-width: 1100px; margin: 0 auto; padding: 24px 32px 48px; }
+section { background: #fff; border-radius: 6px; padding: 16px 20px; margin-bottom: 20px; box-shadow: 0 1px 2px rgba(0,0,0,0.08); }
+h2 { font-size: 18px; margin: 0 0 12px; }
+h3 { font-size: 15px; margin: 16px 0 8px; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; }
+.card { flex: 1 1 140px; border: 1px solid #e3e6eb; border-radius: 6px; padding: 10px 14px; }
+.card .label { font-size: 12px; color: #666; text-transform: uppercase; letter-spacing: 0.04em; }
+.card .value { font-size: 22px; font-weight: 600; margin-top: 4px; }
+.status-passed { color: #2e7d32; }
+.status-failed { color: #c62828; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eceff3; }
+th { background: #f0f2f5; cursor: pointer; user-select: none; white-space: nowrap; }
+th.sorted-asc::after { content: " \\25B2"; font-size: 10px; }
+th.sorted-desc::after { content: " \\25BC"; font-size: 10px; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.chart svg { width: 100%; height: auto; }
+.chart .axis { stroke: #999; stroke-width: 1; }
+.chart .grid { stroke: #eceff3; stroke-width: 1; }
+.chart text { font-size: 11px; fill: #555; }
+.chart .hover { fill: transparent; }
+.chart .hover:hover { fill: rgba(0,0,0,0.06); }
+.legend { font-size: 12px; margin: 4px 0 0; }
+.legend span { margin-right: 16px; }
+.legend i { display: inline-block; width: 12px; height: 3px; margin-right: 4px; vertical-align: middle; }
+.empty { color: #777; font-style: italic; }
+.insights ul { margin: 4px 0 8px; padding-left: 20px; }
+.insights code { background: #f0f2f5; padding: 1px 4px; border-radius: 3px; }
+.note { color: #a15c00; font-size: 13px; }
+`;
+
+// Click a table header to sort by that column; numbers sort numerically
+const SCRIPT = `
+document.querySelectorAll('table.sortable').forEach(function (table) {
+  table.querySelectorAll('th').forEach(function (th, column) {
+    th.addEventListener('click', function () {
+      var ascending = !th.classList.contains('sorted-asc');
+      table.querySelectorAll('th').forEach(function (h) { h.classList.remove('sorted-asc', 'sorted-desc'); });
+      th.classList.add(ascending ? 'sorted-asc' : 'sorted-desc');
+      var body = table.tBodies[0];
+      var rows = Array.prototype.slice.call(body.rows);
+      rows.sort(function (a, b) {
+        var x = a.cells[column].getAttribute('data-value') || a.cells[column].textContent;
+        var y = b.cells[column].getAttribute('data-value') || b.cells[column].textContent;
+        var nx = parseFloat(x), ny = parseFloat(y);
+        var result = !isNaN(nx) && !isNaN(ny) ? nx - ny : x.localeCompare(y);
+        return ascending ? result : -result;
+      });
+      rows.forEach(function (row) { body.appendChild(row); });
+    });
+  });
+});
+`;
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatMs(value) {
+  return typeof value === 'number' ? `${value.toFixed(2)}ms` : 'n/a';
+}
+
+function formatPercent(rate) {
+  return `${((rate || 0) * 100).toFixed(2)}%`;
+}
+
+/**
+ * Inline markdown (bold, code) of escaped text
+ */
+function inlineMarkdown(text) {
+  return escapeHtml(text)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+/**
+ * Render the small markdown subset used in report sections (headings, lists, paragraphs)
+ */
+function markdownToHtml(markdown) {
+  const html = [];
+  let list = null;
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) html.push(`<p>${paragraph.map(inlineMarkdown).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const closeList = () => {
+    if (list) html.push(`</${list}>`);
+    list = null;
+  };
+
+  String(markdown || '').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    const bullet = /^[-*]\s+(.*)$/.exec(trimmed);
+    const numbered = /^\d+[.)]\s+(.*)$/.exec(trimmed);
+    const heading = /^#{1,6}\s+(.*)$/.exec(trimmed);
+
+    if (!trimmed) {
+      flushParagraph();
+      closeList();
+    } else if (heading) {
+      flushParagraph();
+      closeList();
+      html.push(`<h3>${inlineMarkdown(heading[1])}</h3>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? 'ul' : 'ol';
+      if (list !== tag) {
+        closeList();
+        html.push(`<${tag}>`);
+        list = tag;
+      }
+      html.push(`<li>${inlineMarkdown((bullet || numbered)[1])}</li>`);
+    } else {
+      closeList();
+      paragraph.push(trimmed);
+    }
+  });
+  flushParagraph();
+  closeList();
+
+  return html.join('\n');
+}
+
+/**
+ * Round an axis maximum up to 1, 2 or 5 times a power of ten
+ */
+function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+  return step * magnitude;
+}
+
+function formatTick(value) {
+  if (value >= 1000) return `${Number((value / 1000).toFixed(1))}k`;
+  return String(Number(value.toFixed(value < 1 ? 3 : 1)));
+}
+
+/**
+ * Render a line chart as inline SVG. Series on the 'right' axis get their own scale.
+ * Hovering a point in time shows all values at that time.
+ */
+function lineChart(rows, series, options = {}) {
+  const width = CHART_WIDTH;
+  const height = CHART_HEIGHT;
+  const pad = CHART_PADDING;
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  const xs = rows.map(row => row.offsetSeconds);
+  const xMax = Math.max(...xs, 1);
+  const axisMax = axis => niceMax(Math.max(0, ...series.filter(s => (s.axis || 'left') === axis)
+    .map(s => Math.max(...rows.map(s.value)))));
+  const yMax = { left: axisMax('left'), right: axisMax('right') };
+  const hasRight = series.some(s => s.axis === 'right');
+
+  const x = seconds => pad.left + (seconds / xMax) * plotWidth;
+  const y = (value, axis) => pad.top + plotHeight - (value / yMax[axis || 'left']) * plotHeight;
+
+  const parts = [];
+  for (let i = 0; i <= Y_TICKS; i++) {
+    const ty = pad.top + plotHeight - (i / Y_TICKS) * plotHeight;
+    parts.push(`<line class="grid" x1="${pad.left}" x2="${pad.left + plotWidth}" y1="${ty}" y2="${ty}"/>`);
+    parts.push(`<text x="${pad.left - 6}" y="${ty + 4}" text-anchor="end">${escapeHtml(formatTick(yMax.left * i / Y_TICKS))}</text>`);
+    if (hasRight) {
+      parts.push(`<text x="${pad.left + plotWidth + 6}" y="${ty + 4}">${escapeHtml(formatTick(yMax.right * i / Y_TICKS))}</text>`);
+    }
+  }
+  for (let i = 0; i <= Y_TICKS; i++) {
+    const seconds = xMax * i / Y_TICKS;
+    parts.push(`<text x="${x(seconds)}" y="${pad.top + plotHeight + 16}" text-anchor="middle">${Math.round(seconds)}s</text>`);
+  }
+  parts.push(`<line class="axis" x1="${pad.left}" x2="${pad.left + plotWidth}" y1="${pad.top + plotHeight}" y2="${pad.top + plotHeight}"/>`);
+  parts.push(`<line class="axis" x1="${pad.left}" x2="${pad.left}" y1="${pad.top}" y2="${pad.top + plotHeight}"/>`);
+  if (options.leftLabel) {
+    parts.push(`<text x="12" y="${pad.top + plotHeight / 2}" transform="rotate(-90 12 ${pad.top + plotHeight / 2})" text-anchor="middle">${escapeHtml(options.leftLabel)}</text>`);
+  }
+  if (hasRight && options.rightLabel) {
+    const rx = width - 10;
+    parts.push(`<text x="${rx}" y="${pad.top + plotHeight / 2}" transform="rotate(90 ${rx} ${pad.top + plotHeight / 2})" text-anchor="middle">${escapeHtml(options.rightLabel)}</text>`);
+  }
+
+  series.forEach(s => {
+    const points = rows.map(row => `${x(row.offsetSeconds).toFixed(1)},${y(s.value(row), s.axis).toFixed(1)}`).join(' ');
+    parts.push(`<polyline fill="none" stroke="${s.color}" stroke-width="2" points="${points}"/>`);
+  });
+
+  // One hover strip per bucket, with a native tooltip listing every series
+  rows.forEach((row, i) => {
+    const left = i === 0 ? pad.left : (x(rows[i - 1].offsetSeconds) + x(row.offsetSeconds)) / 2;
+    const right = i === rows.length - 1 ? pad.left + plotWidth : (x(row.offsetSeconds) + x(rows[i + 1].offsetSeconds)) / 2;
+    const tooltip = [`${row.offsetSeconds}s`, ...series.map(s => `${s.label}: ${s.format(s.value(row))}`)].join('\n');
+    parts.push(`<rect class="hover" x="${left.toFixed(1)}" y="${pad.top}" width="${Math.max(0, right - left).toFixed(1)}" height="${plotHeight}"><title>${escapeHtml(tooltip)}</title></rect>`);
+  });
+
+  const legend = series.map(s => `<span><i style="background:${s.color}"></i>${escapeHtml(s.label)}</span>`).join('');
+  return `<div class="chart">
+<svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="${escapeHtml(options.title || '')}">
+${parts.join('\n')}
+</svg>
+<p class="legend">${legend}</p>
+</div>`;
+}
+
+/**
+ * Charts over time, or a note when the run has no data points (summary-only results)
+ */
+function chartsSection(timeline) {
+  const rows = (timeline || []).filter(row => row.requests > 0 || row.vus > 0);
+  if (rows.length < 2) {
+    return `<section>
+<h2>Over Time</h2>
+<p class="empty">No data points over time: run k6 with <code>--out json</code> to get the charts.</p>
+</section>`;
+  }
+
+  return `<section>
+<h2>Response Time Percentiles</h2>
+${lineChart(rows, [
+    { label: 'median', color: COLORS.med, value: row => row.med || 0, format: formatMs },
+    { label: 'p95', color: COLORS.p95, value: row => row.p95 || 0, format: formatMs },
+    { label: 'p99', color: COLORS.p99, value: row => row.p99 || 0, format: formatMs }
+  ], { title: 'Response time percentiles over time', leftLabel: 'ms' })}
+</section>
+<section>
+<h2>VUs vs Throughput</h2>
+${lineChart(rows, [
+    { label: 'VUs', color: COLORS.vus, value: row => row.vus || 0, format: value => String(value) },
+    { label: 'req/s', color: COLORS.throughput, axis: 'right', value: row => row.requestRate || 0, format: value => value.toFixed(1) }
+  ], { title: 'VUs vs throughput over time', leftLabel: 'VUs', rightLabel: 'req/s' })}
+</section>
+<section>
+<h2>Error Rate</h2>
+${lineChart(rows, [
+    { label: 'error rate', color: COLORS.errors, value: row => (row.errorRate || 0) * 100, format: value => `${value.toFixed(2)}%` }
+  ], { title: 'Error rate over time', leftLabel: '%' })}
+</section>`;
+}
+
+function summarySection(metrics) {
+  const { summary, derived } = metrics;
+  const cards = [
+    ['Status', derived.hasThresholdViolations ? 'Thresholds failed' : 'Thresholds passed', derived.hasThresholdViolations ? 'status-failed' : 'status-passed'],
+    ['Requests', summary.totalRequests],
+    ['Throughput', `${summary.requestRate.toFixed(2)} req/s`],
+    ['Error rate', formatPercent(summary.errorRate), summary.errorRate > 0 ? 'status-failed' : ''],
+    ['Median', formatMs(summary.responseTimes.med)],
+    ['p95', formatMs(summary.responseTimes.p95)],
+    ['p99', formatMs(summary.responseTimes.p99)]
+  ];
+
+  return `<section>
+<h2>Summary</h2>
+<div class="cards">
+${cards.map(([label, value, cls]) => `<div class="card"><div class="label">${escapeHtml(label)}</div><div class="value ${cls || ''}">${escapeHtml(value)}</div></div>`).join('\n')}
+</div>
+</section>`;
+}
+
+/**
+ * Sortable table; cells are { text, value?, num? } or plain strings
+ */
+function table(headers, rows) {
+  const cell = c => {
+    const data = typeof c === 'object' ? c : { text: c };
+    return `<td${data.num ? ' class="num"' : ''}${data.value !== undefined ? ` data-value="${escapeHtml(data.value)}"` : ''}>${escapeHtml(data.text)}</td>`;
+  };
+  return `<table class="sortable">
+<thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+function msCell(value) {
+  return { text: formatMs(value), value: value || 0, num: true };
+}
+
+function thresholdsSection(metrics) {
+  const rows = [];
+  Object.entries(metrics.summary.thresholds || {}).forEach(([metricName, threshold]) => {
+    Object.entries(threshold.ok || {}).forEach(([expression, passed]) => {
+      const parsed = parseThresholdExpression(expression);
+      const actual = parsed ? (threshold.metricValues || {})[parsed.aggregation] : undefined;
+      rows.push([
+        metricName,
+        expression,
+        { text: typeof actual === 'number' ? String(Number(actual.toFixed(4))) : 'N/A', value: typeof actual === 'number' ? actual : '', num: true },
+        passed === false ? 'FAILED' : 'PASSED'
+      ]);
+    });
+  });
+
+  return `<section>
+<h2>Thresholds</h2>
+${rows.length > 0 ? table(['Metric', 'Threshold', 'Actual', 'Result'], rows) : '<p class="empty">No thresholds defined</p>'}
+</section>`;
+}
+
+function endpointsSection(metrics) {
+  const endpoints = metrics.endpoints || [];
+  const folders = metrics.folders || [];
+  if (endpoints.length === 0 && folders.length === 0) return '';
+
+  const parts = ['<section>', '<h2>Endpoints</h2>'];
+  if (endpoints.length > 0) {
+    parts.push(table(['Endpoint', 'Folder', 'Requests', 'Error Rate', 'Avg', 'p95', 'p99', 'Max'], endpoints.map(e => [
+      [e.method, e.name].filter(Boolean).join(' '),
+      e.folder || '-',
+      { text: e.requests, num: true },
+      { text: formatPercent(e.errorRate), value: e.errorRate, num: true },
+      msCell(e.avg), msCell(e.p95), msCell(e.p99), msCell(e.max)
+    ])));
+  }
+  if (folders.length > 0) {
+    parts.push('<h3>Folders</h3>');
+    parts.push(table(['Folder', 'Requests', 'Error Rate', 'Avg', 'p95', 'p99'], folders.map(f => [
+      f.folder,
+      { text: f.requests, num: true },
+      { text: formatPercent(f.errorRate), value: f.errorRate, num: true },
+      msCell(f.avg), msCell(f.p95), msCell(f.p99)
+    ])));
+  }
+  parts.push('</section>');
+  return parts.join('\n');
+}
+
+function stagesSection(metrics) {
+  const stages = metrics.stages || [];
+  const saturation = metrics.saturation;
+  if (stages.length === 0 && !(saturation && saturation.baseline)) return '';
+
+  const parts = ['<section>', '<h2>Load Stages</h2>'];
+  if (stages.length > 0) {
+    parts.push(table(['Stage', 'Time', 'Requests', 'Req/s', 'Error Rate', 'Avg', 'p95', 'p99', 'Max VUs'], stages.map(s => [
+      { text: `${s.index}. ${s.label}`, value: s.index },
+      { text: `${s.startSeconds}s-${s.endSeconds}s`, value: s.startSeconds },
+      { text: s.requests || 0, num: true },
+      { text: (s.requestRate || 0).toFixed(1), num: true },
+      { text: formatPercent(s.errorRate), value: s.errorRate || 0, num: true },
+      msCell(s.avgDuration), msCell(s.p95), msCell(s.p99),
+      { text: s.vus || 0, num: true }
+    ])));
+  }
+  if (saturation && saturation.baseline) {
+    parts.push(saturation.knee
+      ? `<p>Knee at ${saturation.knee.offsetSeconds}s with ${saturation.knee.vus} VUs (${escapeHtml(saturation.knee.reason)} rising). Estimated saturation point: about <strong>${saturation.saturation.vus} VUs / ${saturation.saturation.requestRate.toFixed(1)} req/s</strong>.</p>`
+      : `<p>No knee found: latency and errors held up to ${saturation.peakVus} VUs / ${saturation.peakRequestRate.toFixed(1)} req/s.</p>`);
+  }
+  parts.push('</section>');
+  return parts.join('\n');
+}
+
+function checksSection(metrics) {
+  const checks = metrics.checks || [];
+  if (checks.length === 0) return '';
+  return `<section>
+<h2>Checks</h2>
+${table(['Group', 'Check', 'Passes', 'Fails'], checks.map(c => [
+    c.group || '-',
+    c.name,
+    { text: c.passes, num: true },
+    { text: c.fails, num: true }
+  ]))}
+</section>`;
+}
+
+/**
+ * Analysis sections from an analysis report JSON (rule-based findings, plus AI insights if any)
+ */
+function insightsSection(report) {
+  if (!report || (!report.ruleInsights && !report.insights)) return '';
+
+  const ruleSections = (report.ruleInsights && report.ruleInsights.sections) || {};
+  const aiSections = (report.insights && report.insights.sections) || {};
+  const parts = ['<section class="insights">', `<h2>${report.insights ? 'Analysis and AI Insights' : 'Analysis'}</h2>`];
+
+  if (report.insights && report.insights.summary) {
+    parts.push(`<p><strong>AI summary:</strong> ${inlineMarkdown(report.insights.summary)}</p>`);
+  }
+  if (report.aiError) {
+    parts.push(`<p class="note">AI analysis failed, showing rule-based findings only: ${escapeHtml(report.aiError)}</p>`);
+  }
+
+  SECTIONS.forEach(([key, title]) => {
+    if (!ruleSections[key] && !aiSections[key]) return;
+    parts.push(`<h3>${escapeHtml(title)}</h3>`);
+    if (ruleSections[key]) parts.push(markdownToHtml(ruleSections[key]));
+    if (aiSections[key]) {
+      parts.push('<p><strong>AI analysis</strong></p>');
+      parts.push(markdownToHtml(aiSections[key]));
+    }
+  });
+
+  parts.push('</section>');
+  return parts.join('\n');
+}
+
+/**
+ * Build the HTML report from parsed k6 results and, optionally, an analysis report
+ */
+function generateHtmlReport(metrics, insightsReport = null, profileName = 'unknown') {
+  const title = `k6 Load Test Report - ${profileName}`;
+  const options = metrics.testConfig.options || {};
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())} &middot; Duration ${escapeHtml(options.duration || 'N/A')} &middot; Max VUs ${escapeHtml(options.maxVus || 'N/A')}</p>
+</header>
+<main>
+${[
+    summarySection(metrics),
+    chartsSection(metrics.timeline),
+    thresholdsSection(metrics),
+    stagesSection(metrics),
+    endpointsSection(metrics),
+    checksSection(metrics),
+    insightsSection(insightsReport)
+  ].filter(Boolean).join('\n')}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Parse the results and write k6-report.html to the output directory.
+ * The analysis report is optional; a missing or unreadable one is left out of the page.
+ */
+function writeHtmlReport(resultsPath, options = {}) {
+  const outputDir = options.outputDir || '.k6-config';
+  const metrics = parseK6Results(resultsPath, options.scriptPath || null, options.summaryPath || null);
+
+  let insightsReport = null;
+  const insightsPath = options.insightsPath || path.join(outputDir, 'ai-insights-report.json');
+  if (fs.existsSync(insightsPath)) {
+    try {
+      insightsReport = JSON.parse(fs.readFileSync(insightsPath, 'utf8'));
+    } catch (e) {
+      console.log(`Could not read analysis report ${insightsPath}: ${e.message}`);
+    }
+  }
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  const reportPath = path.join(outputDir, REPORT_FILE);
+  fs.writeFileSync(reportPath, generateHtmlReport(metrics, insightsReport, options.profileName || 'unknown'), 'utf8');
+  return reportPath;
+}
+
+// CLI usage
+if (require.main === module) {
+  const resultsPath = process.argv[2];
+
+  // Parse --flag value pairs that follow the positional argument
+  const flags = {};
+  for (let i = 3; i < process.argv.length; i++) {
+    if (process.argv[i].startsWith('--')) {
+      flags[process.argv[i].substring(2)] = process.argv[i + 1];
+      i++;
+    }
+  }
+
+  if (!resultsPath) {
+    console.error('Usage: node html-report.js <k6-results-file> [--script <file>] [--summary <file>] [--insights <file>] [--profile <name>] [--output-dir <dir>]');
+    console.error('Example: node html-report.js .k6-config/k6-results.json --summary .k6-config/k6-summary.json --profile smoke');
+    process.exit(1);
+  }
+
+  try {
+    const reportPath = writeHtmlReport(resultsPath, {
+      scriptPath: flags.script,
+      summaryPath: flags.summary,
+      insightsPath: flags.insights,
+      profileName: flags.profile,
+      outputDir: flags['output-dir']
+    });
+    console.log(`HTML report saved to: ${reportPath}`);
+  } catch (error) {
+    console.error(`Error generating HTML report: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  generateHtmlReport,
+  writeHtmlReport,
+  markdownToHtml
+};
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Iteration Data Files
+ * Loads the CSV or JSON data files Postman's collection runner takes (one row per iteration)
+ * and checks them against the collection: every {{variable}} a request sends that is not
+ * defined elsewhere must be a column of the file.
+ *
+ * The converter loads the same file into a k6 SharedArray, parsed once and shared by all VUs,
+ * and binds one row to the {{variables}} of each iteration. Distributions:
+ *   sequential - each VU walks the rows in order, starting from the first
+ *   unique     - each row goes to one iteration across all VUs and scenarios; with several
+ *                scenarios each takes every Nth row, and the test is aborted once a scenario
+ *                has used its share
+ *   random     - each iteration picks any row
+ *
+ * Usage: node iteration-data.js <data-file> [--collection <file>] [--environment <file>] [--globals <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractRequests } = require('./analyze-collection');
+const { createVariableResolver, scriptAssignedVariables, collectionEvents } = require('./variable-resolver');
+
+const DISTRIBUTIONS = ['sequential', 'unique', 'random'];
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold commas, line breaks
+ * and doubled quotes). Also emitted into the generated k6 script, so it stays plain JavaScript.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text;
+
+  for (let i = 0; i < source.length; i++) {
+    const c = source.charAt(i);
+    if (quoted) {
+      if (c === '"' && source.charAt(i + 1) === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && source.charAt(i + 1) === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Rows of a data file as { column: value } objects. CSV files name their columns in the
+ * first row; JSON files hold an array of objects. Also emitted into the generated k6 script.
+ */
+function parseDataRows(text, format) {
+  if (format === 'json') {
+    const rows = JSON.parse(text);
+    if (!Array.isArray(rows) || rows.some(r => !r || typeof r !== 'object' || Array.isArray(r))) {
+      throw new Error('JSON data files must hold an array of objects');
+    }
+    return rows;
+  }
+  const lines = parseCsv(text);
+  const columns = (lines[0] || []).map(c => c.trim());
+  return lines.slice(1).map(fields => {
+    const row = {};
+    columns.forEach((column, i) => {
+      row[column] = fields[i] === undefined ? '' : fields[i];
+    });
+    return row;
+  });
+}
+
+/**
+ * Data file format from the extension (.csv or .json)
+ */
+function dataFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.json') return 'json';
+  throw new Error(`Data file ${filePath} must be a .csv or .json file`);
+}
+
+/**
+ * Read a data file. Returns { path, format, columns, rows }; throws when the file is missing,
+ * cannot be parsed or has no rows.
+ */
+function loadDataFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Data file not found: ${filePath}`);
+  }
+  const format = dataFormat(filePath);
+
+  let rows;
+  try {
+    rows = parseDataRows(fs.readFileSync(filePath, 'utf8'), format);
+  } catch (e) {
+    throw new Error(`Could not parse data file ${filePath}: ${e.message}`);
+  }
+  if (rows.length === 0) {
+    throw new Error(`Data file ${filePath} has no rows`);
+  }
+
+  const columns = [...new Set(rows.reduce((names, row) => names.concat(Object.keys(row)), []))];
+  return { path: filePath, format, columns, rows };
+}
+
+/**
+ * Requests sending {{variables}} that are neither a column of the data file nor defined by the
+ * environment, collection, folders, globals or a script. Options: environment and globals
+ * (parsed variable files). Returns [{ request, variables }].
+ */
+function findMissingColumns(collection, columns, options = {}) {
+  const runtime = scriptAssignedVariables(collectionEvents(collection));
+  columns.forEach(column => runtime.add(column));
+  const resolver = createVariableResolver({
+    environment: options.environment,
+    collection: collection.variable,
+    globals: options.globals,
+    runtime
+  });
+
+  return extractRequests(collection.item)
+    .map(request => ({
+      request: request.path,
+      variables: resolver.findUndefined([request.url, request.headers, request.body, request.auth], request.folderVariables)
+    }))
+    .filter(entry => entry.variables.length > 0);
+}
+
+/**
+ * Throw when a request sends a {{variable}} the data file has no column for
+ */
+function validateDataColumns(collection, data, options = {}) {
+  const missing = findMissingColumns(collection, data.columns, options);
+  if (missing.length > 0) {
+    const details = missing.map(m => `${m.request} ({{${m.variables.join('}}, {{')}}})`).join('; ');
+    throw new Error(`Data file ${data.path} has no column for variables sent by: ${details} (columns: ${data.columns.join(', ')})`);
+  }
+}
+
+function readJsonFile(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read ${label} file ${filePath}: ${e.message}`);
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const dataPath = process.argv[2];
+
+  // Parse --flag value pairs that follow the positional argument
+  const flags = {};
+  for (let i = 3; i < process.argv.length; i++) {
+    if (process.argv[i].startsWith('--')) {
+      flags[process.argv[i].substring(2)] = process.argv[i + 1];
+      i++;
+    }
+  }
+
+  if (!dataPath) {
+    console.error('Usage: node iteration-data.js <data-file> [--collection <file>] [--environment <file>] [--globals <file>]');
+    console.error('Example: node iteration-data.js postman/users.csv --collection postman/collection.json');
+    process.exit(1);
+  }
+
+  try {
+    const data = loadDataFile(dataPath);
+    console.log(`Data file ${dataPath}: ${data.rows.length} row(s), columns: ${data.columns.join(', ')}`);
+    if (flags.collection) {
+      validateDataColumns(readJsonFile(flags.collection, 'collection'), data, {
+        environment: flags.environment ? readJsonFile(flags.environment, 'environment') : null,
+        globals: flags.globals ? readJsonFile(flags.globals, 'globals') : null
+      });
+      console.log('Every variable the collection sends is defined or has a column');
+    }
+  } catch (error) {
+    console.error(`Error checking data file: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  loadDataFile,
+  validateDataColumns,
+  findMissingColumns,
+  parseCsv,
+  parseDataRows,
+  dataFormat,
+  DISTRIBUTIONS
+};
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * JUnit Report Generator
+ * Exports the threshold expressions and checks (Postman pm.test assertions) of a k6 run as
+ * JUnit XML, so CI systems can show them as test results (GitLab `reports: junit`)
+ *
+ * Usage: node junit-report.js <k6-results-file> [--summary <file>] [--script <file>] [--profile <name>] [--output-dir <dir>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseK6Results } = require('./parse-k6-results');
+const { parseThresholdExpression } = require('./rule-based-analyzer');
+
+const REPORT_FILE = 'junit-report.xml';
+const ROOT_GROUP = '(root)';
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * One test case per threshold expression: { classname, name, failure }
+ */
+function thresholdCases(metrics) {
+  const cases = [];
+  Object.entries(metrics.summary.thresholds || {}).forEach(([metricName, threshold]) => {
+    Object.entries(threshold.ok || {}).forEach(([expression, passed]) => {
+      const parsed = parseThresholdExpression(expression);
+      const actual = parsed ? (threshold.metricValues || {})[parsed.aggregation] : undefined;
+      const detail = typeof actual === 'number'
+        ? `${metricName}: ${parsed.aggregation}=${Number(actual.toFixed(4))}, threshold ${expression}`
+        : `${metricName}: threshold ${expression}`;
+
+      cases.push({
+        classname: metricName,
+        name: expression,
+        failure: passed === false ? { message: `Threshold failed: ${expression}`, detail } : null
+      });
+    });
+  });
+  return cases;
+}
+
+/**
+ * One test case per check, in its Postman folder (k6 group)
+ */
+function checkCases(metrics) {
+  return (metrics.checks || []).map(check => {
+    const total = check.passes + check.fails;
+    return {
+      classname: check.group || ROOT_GROUP,
+      name: check.name,
+      failure: check.fails > 0
+        ? {
+            message: `${check.fails} of ${total} checks failed`,
+            detail: `${check.group ? `[${check.group}] ` : ''}${check.name}: ${check.passes} passed, ${check.fails} failed (${(total > 0 ? check.passes / total * 100 : 0).toFixed(2)}% passed)`
+          }
+        : null
+    };
+  });
+}
+
+function testSuiteXml(name, cases) {
+  const failures = cases.filter(c => c.failure).length;
+  const lines = [`  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="0">`];
+  cases.forEach(c => {
+    const attributes = `classname="${escapeXml(c.classname)}" name="${escapeXml(c.name)}"`;
+    if (!c.failure) {
+      lines.push(`    <testcase ${attributes}/>`);
+      return;
+    }
+    lines.push(`    <testcase ${attributes}>`);
+    lines.push(`      <failure message="${escapeXml(c.failure.message)}" type="AssertionError">${escapeXml(c.failure.detail)}</failure>`);
+    lines.push('    </testcase>');
+  });
+  lines.push('  </testsuite>');
+  return lines.join('\n');
+}
+
+/**
+ * Build the JUnit XML document: a "thresholds" and a "checks" test suite
+ */
+function generateJUnitReport(metrics, profileName = 'unknown') {
+  const suites = [
+    [`k6 thresholds (${profileName})`, thresholdCases(metrics)],
+    [`k6 checks (${profileName})`, checkCases(metrics)]
+  ];
+  const tests = suites.reduce((sum, [, cases]) => sum + cases.length, 0);
+  const failures = suites.reduce((sum, [, cases]) => sum + cases.filter(c => c.failure).length, 0);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(`k6 ${profileName}`)}" tests="${tests}" failures="${failures}" errors="0">
+${suites.map(([name, cases]) => testSuiteXml(name, cases)).join('\n')}
+</testsuites>
+`;
+}
+
+/**
+ * Parse the results and write junit-report.xml to the output directory
+ */
+function writeJUnitReport(resultsPath, options = {}) {
+  const outputDir = options.outputDir || '.k6-config';
+  const metrics = parseK6Results(resultsPath, options.scriptPath || null, options.summaryPath || null);
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  const reportPath = path.join(outputDir, REPORT_FILE);
+  fs.writeFileSync(reportPath, generateJUnitReport(metrics, options.profileName || 'unknown'), 'utf8');
+
+  const cases = thresholdCases(metrics).concat(checkCases(metrics));
+  return { reportPath, tests: cases.length, failures: cases.filter(c => c.failure).length };
+}
+
+// CLI usage
+if (require.main === module) {
+  const resultsPath = process.argv[2];
+
+  // Parse --flag value pairs that follow the positional argument
+  const flags = {};
+  for (let i = 3; i < process.argv.length; i++) {
+    if (process.argv[i].startsWith('--')) {
+      flags[process.argv[i].substring(2)] = process.argv[i + 1];
+      i++;
+    }
+  }
+
+  if (!resultsPath) {
+    console.error('Usage: node junit-report.js <k6-results-file> [--summary <file>] [--script <file>] [--profile <name>] [--output-dir <dir>]');
+    console.error('Example: node junit-report.js .k6-config/k6-results.json --summary .k6-config/k6-summary.json --profile smoke');
+    process.exit(1);
+  }
+
+  try {
+    const result = writeJUnitReport(resultsPath, {
+      summaryPath: flags.summary,
+      scriptPath: flags.script,
+      profileName: flags.profile,
+      outputDir: flags['output-dir']
+    });
+    console.log(`JUnit report saved to: ${result.reportPath} (${result.tests} tests, ${result.failures} failures)`);
+  } catch (error) {
+    console.error(`Error generating JUnit report: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  generateJUnitReport,
+  writeJUnitReport
+};
@@ -0,0 +1,596 @@
+#!/usr/bin/env node
+
+/**
+ * k6 NDJSON Stream Aggregator
+ * Reads the output of `k6 run --out json=<file>` line by line and aggregates the data
+ * points per metric and per tag set, without loading the whole file into memory
+ *
+ * Percentiles come from a log-bucketed histogram with about 1% relative accuracy,
+ * so memory stays bounded no matter how many points a metric has.
+ * count/min/max/avg are exact.
+ *
+ * Memory is also bounded by tag values: tag sets are keyed only by SERIES_TAGS, and once a
+ * metric or breakdown has maxSeriesKeys distinct keys, further keys are counted under (other).
+ * Collections with per-request IDs in their URLs would otherwise create one series per request.
+ *
+ * Usage: node k6-stream-aggregator.js <k6-ndjson-file>
+ */
+
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// Histogram bucket growth factor for ~1% relative accuracy on percentiles
+const RELATIVE_ACCURACY = 0.01;
+const GAMMA = (1 + RELATIVE_ACCURACY) / (1 - RELATIVE_ACCURACY);
+const LOG_GAMMA = Math.log(GAMMA);
+
+const PERCENTILES = [['med', 0.5], ['p(90)', 0.9], ['p(95)', 0.95], ['p(99)', 0.99]];
+
+// Width of the timeline buckets (requests, errors, VUs and latency over time); doubled
+// whenever a run has more than MAX_TIMELINE_BUCKETS of them
+const DEFAULT_TIMELINE_BUCKET_MS = 10000;
+const MAX_TIMELINE_BUCKETS = 500;
+
+// Tags that tell series apart, and the distinct keys kept per metric or breakdown
+const SERIES_TAGS = ['endpoint', 'name', 'method', 'status', 'scenario', 'group'];
+const DEFAULT_MAX_SERIES_KEYS = 1000;
+const OVERFLOW_KEY = '(other)';
+
+/**
+ * Call onLine(line, lineNumber) for every non-empty line of a file, reading it in chunks.
+ * With options.includeEmpty, every line is passed on, the empty one after a final newline too.
+ */
+function readLinesSync(filePath, onLine, options = {}) {
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let lineNumber = 0;
+
+  const emit = line => {
+    lineNumber++;
+    if (options.includeEmpty || line.trim()) onLine(line, lineNumber);
+  };
+
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE, null)) > 0) {
+      pending += decoder.write(buffer.subarray(0, bytesRead));
+      let newline;
+      while ((newline = pending.indexOf('\n')) !== -1) {
+        emit(pending.substring(0, newline));
+        pending = pending.substring(newline + 1);
+      }
+    }
+    pending += decoder.end();
+    if (pending || options.includeEmpty) emit(pending);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Create an empty series of data points
+ */
+function createSeries() {
+  return { count: 0, sum: 0, min: Infinity, max: -Infinity, nonZero: 0, last: 0, buckets: new Map(), nonPositive: 0 };
+}
+
+/**
+ * Add one data point to a series
+ */
+function addValue(series, value) {
+  series.count++;
+  series.sum += value;
+  series.last = value;
+  if (value < series.min) series.min = value;
+  if (value > series.max) series.max = value;
+  if (value !== 0) series.nonZero++;
+
+  if (value > 0) {
+    const index = Math.ceil(Math.log(value) / LOG_GAMMA);
+    series.buckets.set(index, (series.buckets.get(index) || 0) + 1);
+  } else {
+    series.nonPositive++;
+  }
+}
+
+/**
+ * Add the data points of one series to another
+ */
+function mergeSeries(target, source) {
+  target.count += source.count;
+  target.sum += source.sum;
+  target.min = Math.min(target.min, source.min);
+  target.max = Math.max(target.max, source.max);
+  target.nonZero += source.nonZero;
+  target.nonPositive += source.nonPositive;
+  if (source.count > 0) target.last = source.last;
+  source.buckets.forEach((count, index) => {
+    target.buckets.set(index, (target.buckets.get(index) || 0) + count);
+  });
+  return target;
+}
+
+/**
+ * Estimate the q-quantile (0..1) of a series from its histogram
+ */
+function quantile(series, q) {
+  if (series.count === 0) return 0;
+
+  const rank = q * (series.count - 1);
+  let seen = series.nonPositive;
+  if (rank < seen) return Math.max(series.min, Math.min(0, series.max));
+
+  const indexes = Array.from(series.buckets.keys()).sort((a, b) => a - b);
+  for (const index of indexes) {
+    seen += series.buckets.get(index);
+    if (rank < seen) {
+      const estimate = 2 * Math.pow(GAMMA, index) / (GAMMA + 1);
+      return Math.min(series.max, Math.max(series.min, estimate));
+    }
+  }
+  return series.max;
+}
+
+/**
+ * Summarize a series the way k6's end-of-test summary does, plus count/avg/percentiles
+ * for every metric type. For counters, count is the sum of the values (as in k6) and
+ * rate is per second of test time; for rate metrics, rate is the share of non-zero values.
+ */
+function seriesValues(series, metricType, durationSeconds) {
+  const values = {
+    count: metricType === 'counter' ? series.sum : series.count,
+    rate: 0,
+    avg: series.count > 0 ? series.sum / series.count : 0,
+    min: series.count > 0 ? series.min : 0,
+    max: series.count > 0 ? series.max : 0
+  };
+  PERCENTILES.forEach(([key, q]) => {
+    values[key] = quantile(series, q);
+  });
+
+  if (metricType === 'rate') {
+    values.rate = series.count > 0 ? series.nonZero / series.count : 0;
+    values.passes = series.nonZero;
+    values.fails = series.count - series.nonZero;
+  } else {
+    values.rate = durationSeconds > 0 ? values.count / durationSeconds : 0;
+  }
+  if (metricType === 'gauge') {
+    values.value = series.last;
+  }
+
+  return values;
+}
+
+/**
+ * Stable key for a tag set
+ */
+function tagSetKey(tags) {
+  return JSON.stringify(Object.keys(tags).sort().map(key => [key, tags[key]]));
+}
+
+/**
+ * The SERIES_TAGS of a point's tags
+ */
+function seriesTags(tags) {
+  const picked = {};
+  SERIES_TAGS.forEach(key => {
+    if (tags[key] !== undefined) picked[key] = tags[key];
+  });
+  return picked;
+}
+
+/**
+ * A map of at most maxKeys entries: entryFor(key, tags) returns the entry of a key, creating
+ * it with create() while there is room, otherwise the (other) entry. onOverflow() is called
+ * the first time a key does not fit.
+ */
+function boundedMap(maxKeys, create, onOverflow) {
+  const entries = new Map();
+  return {
+    entries,
+    entryFor(key, tags) {
+      if (!entries.has(key)) {
+        if (entries.size >= maxKeys) {
+          if (!entries.has(OVERFLOW_KEY)) {
+            onOverflow();
+            entries.set(OVERFLOW_KEY, Object.assign({ tags: {}, overflow: true }, create()));
+          }
+          return entries.get(OVERFLOW_KEY);
+        }
+        entries.set(key, Object.assign({ tags }, create()));
+      }
+      return entries.get(key);
+    }
+  };
+}
+
+/**
+ * Split a sub-metric name such as http_req_duration{endpoint:Checkout} into parent and tags
+ */
+function parseSubmetricName(name) {
+  const match = /^([^{]+)\{(.*)\}$/.exec(name);
+  if (!match) return null;
+
+  const tags = {};
+  match[2].split(',').forEach(pair => {
+    const separator = pair.indexOf(':');
+    if (separator > 0) {
+      tags[pair.substring(0, separator).trim()] = pair.substring(separator + 1).trim();
+    }
+  });
+  return { parent: match[1], tags };
+}
+
+/**
+ * Whether a point's tags include every tag of a sub-metric
+ */
+function tagsMatch(pointTags, filterTags) {
+  return Object.keys(filterTags).every(key => String(pointTags[key]) === String(filterTags[key]));
+}
+
+/**
+ * Evaluate a k6 threshold expression (e.g. "p(95)<500") against summary values.
+ * Returns true/false, or null if the expression cannot be evaluated.
+ */
+function evaluateThreshold(expression, values) {
+  const source = typeof expression === 'string' ? expression : expression && expression.threshold;
+  const match = /^\s*([a-z]+|p\(\d+(?:\.\d+)?\))\s*(<=|>=|===|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s*$/.exec(source || '');
+  if (!match) return null;
+
+  let actual = values[match[1]];
+  if (actual === undefined && match[1].startsWith('p(')) {
+    actual = values[`p(${parseFloat(match[1].slice(2, -1))})`];
+  }
+  if (typeof actual !== 'number') return null;
+
+  const expected = parseFloat(match[3]);
+  switch (match[2]) {
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '!=': return actual !== expected;
+    default: return actual === expected;
+  }
+}
+
+/**
+ * Create an empty time slot: HTTP requests, errors, latency and peak VUs over a span of test time
+ */
+function createSlot() {
+  return { requests: 0, vus: 0, failed: createSeries(), duration: createSeries() };
+}
+
+/**
+ * Add a data point of one of the TIMELINE_METRICS to a time slot
+ */
+function addToSlot(slot, name, value) {
+  if (name === 'http_reqs') {
+    slot.requests += value;
+  } else if (name === 'http_req_failed') {
+    addValue(slot.failed, value);
+  } else if (name === 'vus') {
+    slot.vus = Math.max(slot.vus, value);
+  } else if (name === 'http_req_duration') {
+    addValue(slot.duration, value);
+  }
+}
+
+/**
+ * Add one time slot to another
+ */
+function mergeSlot(target, source) {
+  target.requests += source.requests;
+  target.vus = Math.max(target.vus, source.vus);
+  mergeSeries(target.failed, source.failed);
+  mergeSeries(target.duration, source.duration);
+  return target;
+}
+
+/**
+ * Merge pairs of timeline buckets, for buckets twice as wide
+ */
+function coarsenTimeline(timeline) {
+  const coarse = new Map();
+  timeline.forEach((slot, index) => {
+    const coarseIndex = Math.floor(index / 2);
+    coarse.set(coarseIndex, coarse.has(coarseIndex) ? mergeSlot(coarse.get(coarseIndex), slot) : slot);
+  });
+  return coarse;
+}
+
+/**
+ * Summarize a time slot; widthSeconds is the span of test time it covers
+ */
+function slotValues(slot, widthSeconds) {
+  const duration = seriesValues(slot.duration, 'trend', 0);
+  return {
+    requests: slot.requests,
+    requestRate: widthSeconds > 0 ? slot.requests / widthSeconds : 0,
+    errors: slot.failed.nonZero,
+    errorRate: slot.failed.count > 0 ? slot.failed.nonZero / slot.failed.count : 0,
+    vus: slot.vus,
+    avgDuration: duration.avg,
+    med: duration.med,
+    p95: duration['p(95)'],
+    p99: duration['p(99)']
+  };
+}
+
+/**
+ * Turn timeline buckets into rows ordered by time, offsets in seconds from the first point.
+ * The first and last buckets are clipped to the test run, so their request rate is not
+ * diluted; buckets without a vus sample carry the previous VU count forward.
+ */
+function timelineRows(timeline, bucketMs, firstTime, lastTime) {
+  let vus = 0;
+  return Array.from(timeline.keys()).sort((a, b) => a - b).map(index => {
+    const start = Math.max(index * bucketMs, firstTime);
+    const width = Math.max(Math.min((index + 1) * bucketMs, lastTime) - start, 1000) / 1000;
+    const row = Object.assign({ offsetSeconds: (start - firstTime) / 1000 }, slotValues(timeline.get(index), width));
+    vus = row.vus = row.vus || vus;
+    return row;
+  });
+}
+
+const TIMELINE_METRICS = ['http_reqs', 'http_req_failed', 'http_req_duration', 'vus'];
+
+/**
+ * Aggregate a k6 NDJSON output file.
+ * Returns { metrics, taggedMetrics, breakdowns, checks, timeline, windows, state, warnings } where
+ * metrics mirrors the k6 summary format ({ <name>: { type, contains, values, thresholds } },
+ * sub-metrics included), taggedMetrics lists the values per distinct SERIES_TAGS set of each
+ * metric, and checks maps "<group>::<check name>" to { name, group, passes, fails, rate }.
+ *
+ * breakdowns groups points across tag sets: { <name>: { metrics: [...], key: tags => string|null } }
+ * yields breakdowns.<name> = [{ key, tags, metrics: { <metric>: values } }], where tags are
+ * those of the first point seen for the key.
+ *
+ * Each metric of taggedMetrics and each breakdown keeps at most options.maxSeriesKeys
+ * (default 1000) keys; points of further keys go to a { key: '(other)', tags: {}, overflow: true }
+ * entry, and warnings says where that happened.
+ *
+ * timeline holds one row per options.timelineBucketMs (default 10s) of test time, widened so
+ * there are at most 500 rows:
+ * { offsetSeconds, requests, requestRate, errors, errorRate, vus, avgDuration, med, p95, p99 }.
+ * options.windows ([{ key, startSeconds, endSeconds }], offsets from the first data point,
+ * e.g. load profile stages) yields windows = [{ key, startSeconds, endSeconds, ...same values }].
+ */
+function aggregateK6Stream(filePath, breakdowns = {}, options = {}) {
+  const maxSeriesKeys = options.maxSeriesKeys || DEFAULT_MAX_SERIES_KEYS;
+  const warnings = [];
+  let bucketMs = options.timelineBucketMs || DEFAULT_TIMELINE_BUCKET_MS;
+  let timeline = new Map();
+  const windows = (options.windows || []).map(window => Object.assign({ slot: createSlot() }, window));
+  const definitions = {};
+  const submetrics = {};
+  const series = {};
+  const tagged = {};
+  const checks = {};
+  const grouped = {};
+  Object.keys(breakdowns).forEach(name => {
+    grouped[name] = boundedMap(maxSeriesKeys, () => ({ series: {} }), () => warnings.push(
+      `More than ${maxSeriesKeys} distinct ${name} in the k6 results, the rest are reported as ${OVERFLOW_KEY}`));
+  });
+  let firstTime = null;
+  let lastTime = null;
+  let invalidLines = 0;
+
+  const registerSubmetric = (name, thresholds) => {
+    const parsed = parseSubmetricName(name);
+    if (!parsed) return;
+    submetrics[name] = submetrics[name] || { parent: parsed.parent, tags: parsed.tags, thresholds: [] };
+    if (thresholds && thresholds.length > 0) submetrics[name].thresholds = thresholds;
+  };
+
+  readLinesSync(filePath, line => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      invalidLines++;
+      return;
+    }
+
+    if (entry.type === 'Metric') {
+      const data = entry.data || {};
+      const name = data.name || entry.metric;
+      if (parseSubmetricName(name)) {
+        registerSubmetric(name, data.thresholds);
+      } else {
+        definitions[name] = { type: data.type, contains: data.contains, thresholds: data.thresholds || [] };
+      }
+      (data.submetrics || []).forEach(sub => registerSubmetric(sub.name, sub.thresholds));
+      return;
+    }
+
+    if (entry.type !== 'Point' || !entry.data || typeof entry.data.value !== 'number') {
+      return;
+    }
+
+    const name = entry.metric;
+    const { value } = entry.data;
+    const tags = entry.data.tags || {};
+
+    const time = Date.parse(entry.data.time);
+    if (!isNaN(time)) {
+      if (firstTime === null || time < firstTime) firstTime = time;
+      if (lastTime === null || time > lastTime) lastTime = time;
+      if (TIMELINE_METRICS.includes(name)) {
+        const index = Math.floor(time / bucketMs);
+        if (!timeline.has(index)) timeline.set(index, createSlot());
+        addToSlot(timeline.get(index), name, value);
+        if (timeline.size > MAX_TIMELINE_BUCKETS) {
+          timeline = coarsenTimeline(timeline);
+          bucketMs *= 2;
+        }
+
+        const offsetSeconds = (time - firstTime) / 1000;
+        windows.forEach(window => {
+          if (offsetSeconds >= window.startSeconds && offsetSeconds < window.endSeconds) {
+            addToSlot(window.slot, name, value);
+          }
+        });
+      }
+    }
+
+    addValue(series[name] = series[name] || createSeries(), value);
+
+    tagged[name] = tagged[name] || boundedMap(maxSeriesKeys, () => ({ series: createSeries() }), () => warnings.push(
+      `More than ${maxSeriesKeys} distinct tag sets for ${name} in the k6 results, the rest are reported as ${OVERFLOW_KEY}`));
+    const pointSeriesTags = seriesTags(tags);
+    addValue(tagged[name].entryFor(tagSetKey(pointSeriesTags), pointSeriesTags).series, value);
+
+    Object.entries(breakdowns).forEach(([breakdownName, breakdown]) => {
+      if (!breakdown.metrics.includes(name)) return;
+      const groupKey = breakdown.key(tags);
+      if (groupKey == null) return;
+      const group = grouped[breakdownName].entryFor(groupKey, tags);
+      addValue(group.series[name] = group.series[name] || createSeries(), value);
+    });
+
+    Object.entries(submetrics).forEach(([subName, sub]) => {
+      if (sub.parent === name && tagsMatch(tags, sub.tags)) {
+        addValue(series[subName] = series[subName] || createSeries(), value);
+      }
+    });
+
+    if (name === 'checks' && tags.check) {
+      const checkKey = `${tags.group || ''}::${tags.check}`;
+      const check = checks[checkKey] = checks[checkKey] || { name: tags.check, group: tags.group || '', passes: 0, fails: 0 };
+      if (value !== 0) check.passes++; else check.fails++;
+    }
+  });
+
+  if (Object.keys(definitions).length === 0 && Object.keys(series).length === 0) {
+    throw new Error(`No k6 metrics found in NDJSON file: ${filePath}${invalidLines > 0 ? ` (${invalidLines} invalid lines)` : ''}`);
+  }
+
+  const durationMs = firstTime !== null ? lastTime - firstTime : 0;
+  const durationSeconds = durationMs / 1000;
+  const typeOf = name => (definitions[name] && definitions[name].type) ||
+    (submetrics[name] && definitions[submetrics[name].parent] && definitions[submetrics[name].parent].type) ||
+    'trend';
+
+  const metrics = {};
+  Object.keys(series).forEach(name => {
+    const type = typeOf(name);
+    const values = seriesValues(series[name], type, durationSeconds);
+    const expressions = (definitions[name] || submetrics[name] || {}).thresholds || [];
+    const metric = {
+      type,
+      contains: (definitions[name] || definitions[(submetrics[name] || {}).parent] || {}).contains || 'default',
+      values
+    };
+    if (expressions.length > 0) {
+      metric.thresholds = {};
+      expressions.forEach(expression => {
+        const source = typeof expression === 'string' ? expression : expression.threshold;
+        metric.thresholds[source] = evaluateThreshold(expression, values);
+      });
+    }
+    metrics[name] = metric;
+  });
+
+  const taggedMetrics = {};
+  Object.keys(tagged).forEach(name => {
+    const type = typeOf(name);
+    taggedMetrics[name] = Array.from(tagged[name].entries.values()).map(entry => Object.assign(
+      { tags: entry.tags, values: seriesValues(entry.series, type, durationSeconds) },
+      entry.overflow ? { overflow: true } : {}
+    ));
+  });
+
+  const breakdownResults = {};
+  Object.keys(grouped).forEach(breakdownName => {
+    breakdownResults[breakdownName] = Array.from(grouped[breakdownName].entries.entries()).map(([key, group]) => {
+      const groupMetrics = {};
+      Object.keys(group.series).forEach(name => {
+        groupMetrics[name] = seriesValues(group.series[name], typeOf(name), durationSeconds);
+      });
+      return Object.assign({ key, tags: group.tags, metrics: groupMetrics }, group.overflow ? { overflow: true } : {});
+    });
+  });
+
+  Object.values(checks).forEach(check => {
+    check.rate = check.passes + check.fails > 0 ? check.passes / (check.passes + check.fails) : 0;
+  });
+
+  const vus = series.vus;
+  return {
+    metrics,
+    taggedMetrics,
+    breakdowns: breakdownResults,
+    checks,
+    timeline: firstTime !== null ? timelineRows(timeline, bucketMs, firstTime, lastTime) : [],
+    windows: windows.map(window => Object.assign(
+      { key: window.key, startSeconds: window.startSeconds, endSeconds: window.endSeconds },
+      slotValues(window.slot, Math.max(Math.min(window.endSeconds, durationSeconds) - window.startSeconds, 0))
+    )),
+    state: {
+      testRunDurationMs: durationMs,
+      vus: vus ? vus.last : 0,
+      maxVus: series.vus_max ? series.vus_max.max : (vus ? vus.max : 0),
+      timestamp: firstTime !== null ? new Date(firstTime).toISOString() : null
+    },
+    invalidLines,
+    warnings
+  };
+}
+
+/**
+ * Whether a file looks like k6 NDJSON output (first line is a Metric or Point entry)
+ */
+function isK6Stream(filePath) {
+  let firstLine = null;
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+    const bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE, 0);
+    firstLine = buffer.toString('utf8', 0, bytesRead).trimStart().split('\n')[0];
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    const entry = JSON.parse(firstLine);
+    return entry !== null && (entry.type === 'Metric' || entry.type === 'Point');
+  } catch (e) {
+    return false;
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const filePath = process.argv[2];
+
+  if (!filePath || !fs.existsSync(filePath)) {
+    console.error('Usage: node k6-stream-aggregator.js <k6-ndjson-file>');
+    process.exit(1);
+  }
+
+  try {
+    console.log(JSON.stringify(aggregateK6Stream(filePath), null, 2));
+  } catch (error) {
+    console.error(`Error aggregating k6 output: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  aggregateK6Stream,
+  isK6Stream,
+  readLinesSync,
+  evaluateThreshold,
+  createSeries,
+  addValue,
+  mergeSeries,
+  quantile,
+  seriesValues,
+  OVERFLOW_KEY
+};
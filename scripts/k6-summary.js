@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+/**
+ * k6 End-of-Test Summary
+ * Injects a handleSummary() export into k6 scripts so every run writes the end-of-test
+ * summary as JSON, and normalizes summary documents (handleSummary data or the legacy
+ * --summary-export format) for the result parser
+ *
+ * Usage: node k6-summary.js <summary-json-file>
+ */
+
+const fs = require('fs');
+const { findOptionsBlock } = require('./script-utils');
+
+const ROOT_GROUP_LABEL = '(root)';
+
+// Trend stats of the end-of-test summary: k6's default leaves out p(99), which the reports use
+const SUMMARY_TREND_STATS = ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'];
+
+/**
+ * Add a handleSummary() export that writes the summary data to summaryPath and prints a short
+ * text summary on stdout. The text summary is part of the handler rather than jslib's
+ * textSummary, so runs on runners without internet access do not fail at init.
+ * Scripts that already export handleSummary are left alone.
+ * Returns { script, injected }.
+ */
+function injectHandleSummary(source, summaryPath) {
+  if (/export\s+(async\s+)?function\s+handleSummary\b|export\s+(const|let|var)\s+handleSummary\b/.test(source)) {
+    return { script: source, injected: false };
+  }
+
+  const handler = `
+// End-of-test summary as JSON for result analysis, with a text summary of every metric on stdout
+export function handleSummary(data) {
+  const format = (value, contains) => (contains === "time" ? value.toFixed(2) + "ms" : String(Math.round(value * 100) / 100));
+  const lines = Object.keys(data.metrics).sort().map((name) => {
+    const metric = data.metrics[name];
+    const values = metric.values;
+    let text;
+    if (metric.type === "trend") {
+      text = ${JSON.stringify(SUMMARY_TREND_STATS)}.filter((key) => key in values)
+        .map((key) => key + "=" + format(values[key], metric.contains)).join(" ");
+    } else if (metric.type === "rate") {
+      text = (values.rate * 100).toFixed(2) + "% (" + values.passes + " of " + (values.passes + values.fails) + ")";
+    } else if (metric.type === "counter") {
+      text = format(values.count, metric.contains) + " (" + values.rate.toFixed(2) + "/s)";
+    } else {
+      text = format(values.value, metric.contains) + " min=" + format(values.min, metric.contains) + " max=" + format(values.max, metric.contains);
+    }
+    const thresholds = Object.values(metric.thresholds || {});
+    const mark = thresholds.length === 0 ? " " : thresholds.every((threshold) => threshold.ok) ? "✓" : "✗";
+    return "  " + mark + " " + name + ": " + text;
+  });
+
+  return {
+    stdout: "\\n" + lines.join("\\n") + "\\n\\n",
+    ${JSON.stringify(summaryPath)}: JSON.stringify(data, null, 2),
+  };
+}
+`;
+
+  return { script: source.replace(/\s*$/, '\n') + handler, injected: true };
+}
+
+/**
+ * Make the script's options ask for SUMMARY_TREND_STATS, unless they set summaryTrendStats
+ * themselves. A script without options gets an options export holding only the stats, which
+ * leaves the load to the k6 command line flags. Returns { script, added }.
+ */
+function addSummaryTrendStats(source) {
+  const stats = JSON.stringify(SUMMARY_TREND_STATS);
+  const block = findOptionsBlock(source);
+
+  if (!block) {
+    const imports = [...source.matchAll(/^import .*$/gm)];
+    const at = imports.length > 0 ? imports[imports.length - 1].index + imports[imports.length - 1][0].length + 1 : 0;
+    const statement = `export const options = { summaryTrendStats: ${stats} };\n`;
+    return { script: source.substring(0, at) + (at > 0 ? '\n' : '') + statement + source.substring(at), added: true };
+  }
+
+  const statement = source.substring(block.start, block.end);
+  if (/\bsummaryTrendStats\b/.test(statement)) {
+    return { script: source, added: false };
+  }
+  // The options may be any expression; the script's own keys win over the default stats
+  const declaration = /^export\s+(?:const|let|var)\s+options\s*=\s*/.exec(statement)[0];
+  const value = statement.substring(declaration.length).replace(/\s*;$/, '');
+  const merged = `${declaration}Object.assign({ summaryTrendStats: ${stats} }, ${value});`;
+  return { script: source.substring(0, block.start) + merged + source.substring(block.end), added: true };
+}
+
+/**
+ * Whether a parsed JSON document is a k6 end-of-test summary
+ */
+function isSummaryDocument(doc) {
+  return !!doc && typeof doc === 'object' && !Array.isArray(doc) &&
+    !!doc.metrics && typeof doc.metrics === 'object' && (!!doc.root_group || !!doc.state || !!doc.options);
+}
+
+/**
+ * Guess the metric type of a legacy --summary-export metric from its fields
+ */
+function legacyMetricType(metric) {
+  if ('passes' in metric || 'fails' in metric) return 'rate';
+  if ('count' in metric) return 'counter';
+  if ('value' in metric && !('avg' in metric)) return 'gauge';
+  return 'trend';
+}
+
+/**
+ * Normalize one metric to { type, contains, values, thresholds } where thresholds maps
+ * each expression to whether it passed.
+ * handleSummary data reports { "<expr>": { ok } }; the legacy --summary-export format puts the
+ * values at the top level and reports { "<expr>": <failed> }.
+ */
+function normalizeMetric(metric) {
+  const thresholds = {};
+
+  if (metric.values && typeof metric.values === 'object') {
+    Object.entries(metric.thresholds || {}).forEach(([expression, outcome]) => {
+      thresholds[expression] = outcome && typeof outcome === 'object' ? outcome.ok !== false : outcome;
+    });
+    return { type: metric.type, contains: metric.contains, values: metric.values, thresholds };
+  }
+
+  const type = metric.type || legacyMetricType(metric);
+  const values = {};
+  Object.keys(metric).forEach(key => {
+    if (key !== 'thresholds' && key !== 'type' && key !== 'contains') values[key] = metric[key];
+  });
+  if (type === 'rate' && values.rate === undefined) {
+    values.rate = values.value;
+  }
+  Object.entries(metric.thresholds || {}).forEach(([expression, failed]) => {
+    thresholds[expression] = !failed;
+  });
+
+  return { type, contains: metric.contains, values, thresholds };
+}
+
+/**
+ * Normalize a group of the checks tree; groups and checks may be arrays (handleSummary)
+ * or maps keyed by name (legacy --summary-export)
+ */
+function normalizeGroup(group, parentPath = []) {
+  const name = group.name || '';
+  const path = name ? parentPath.concat(name) : parentPath;
+  const list = value => (Array.isArray(value) ? value : Object.values(value || {}));
+
+  return {
+    name: name || ROOT_GROUP_LABEL,
+    path: path.join(' / '),
+    checks: list(group.checks).map(check => {
+      const total = (check.passes || 0) + (check.fails || 0);
+      return {
+        name: check.name,
+        passes: check.passes || 0,
+        fails: check.fails || 0,
+        rate: total > 0 ? (check.passes || 0) / total : 0
+      };
+    }),
+    groups: list(group.groups).map(child => normalizeGroup(child, path))
+  };
+}
+
+/**
+ * Build a checks tree from checks keyed by group tag ("::Folder::Sub") and check name
+ */
+function checkTreeFromTaggedChecks(checks) {
+  const root = { name: ROOT_GROUP_LABEL, path: '', checks: [], groups: [] };
+
+  Object.values(checks).forEach(check => {
+    let node = root;
+    const path = [];
+    (check.group || '').split('::').filter(Boolean).forEach(name => {
+      path.push(name);
+      let child = node.groups.find(g => g.name === name);
+      if (!child) {
+        child = { name, path: path.join(' / '), checks: [], groups: [] };
+        node.groups.push(child);
+      }
+      node = child;
+    });
+    node.checks.push({ name: check.name, passes: check.passes, fails: check.fails, rate: check.rate });
+  });
+
+  return root;
+}
+
+/**
+ * Flatten a checks tree into a list of checks, each with the path of its group
+ */
+function flattenChecks(tree) {
+  const checks = tree.checks.map(check => Object.assign({ group: tree.path }, check));
+  tree.groups.forEach(group => checks.push(...flattenChecks(group)));
+  return checks;
+}
+
+/**
+ * Normalize a summary document into { metrics, checkTree, state }.
+ * state carries testRunDurationMs plus VU counts taken from the vus/vus_max metrics.
+ */
+function normalizeSummary(doc) {
+  const metrics = {};
+  Object.entries(doc.metrics || {}).forEach(([name, metric]) => {
+    if (metric && typeof metric === 'object') metrics[name] = normalizeMetric(metric);
+  });
+
+  const state = Object.assign({}, doc.state || {});
+  if (state.vus === undefined && metrics.vus) {
+    state.vus = metrics.vus.values.value || 0;
+  }
+  if (state.maxVus === undefined && (metrics.vus_max || metrics.vus)) {
+    state.maxVus = (metrics.vus_max || metrics.vus).values.max || (metrics.vus_max || metrics.vus).values.value || 0;
+  }
+
+  return {
+    metrics,
+    checkTree: normalizeGroup(doc.root_group || {}),
+    state
+  };
+}
+
+/**
+ * Read and normalize a summary JSON file
+ */
+function readSummaryFile(summaryPath) {
+  if (!fs.existsSync(summaryPath)) {
+    throw new Error(`k6 summary file not found: ${summaryPath}`);
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid JSON in k6 summary file ${summaryPath}: ${e.message}`);
+  }
+  if (!isSummaryDocument(doc)) {
+    throw new Error(`${summaryPath} is not a k6 end-of-test summary (expected "metrics" and "root_group")`);
+  }
+
+  return normalizeSummary(doc);
+}
+
+// CLI usage
+if (require.main === module) {
+  const summaryPath = process.argv[2];
+
+  if (!summaryPath) {
+    console.error('Usage: node k6-summary.js <summary-json-file>');
+    process.exit(1);
+  }
+
+  try {
+    const summary = readSummaryFile(summaryPath);
+    console.log(JSON.stringify({ metrics: summary.metrics, checks: flattenChecks(summary.checkTree), state: summary.state }, null, 2));
+  } catch (error) {
+    console.error(`Error reading k6 summary: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  injectHandleSummary,
+  addSummaryTrendStats,
+  isSummaryDocument,
+  normalizeSummary,
+  readSummaryFile,
+  checkTreeFromTaggedChecks,
+  flattenChecks,
+  SUMMARY_TREND_STATS
+};
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+
+/**
+ * Postman Collection Linter
+ * Pre-flight check for things the k6 converter (convert-collection.js, or postman-to-k6 with
+ * --converter postman-to-k6) cannot convert or that break under load:
+ * pm.sendRequest, setNextRequest flows, unsupported auth types, stored OAuth2 tokens that are
+ * not fetched, file uploads pointing at missing files, GraphQL variables that are not valid
+ * JSON, undefined {{variables}}, hard-coded localhost hosts and test script code the native converter cannot translate into k6 checks
+ * or variable sets
+ *
+ * Usage: node lint-collection.js <collection-file> [--environment <file>] [--globals <file>] [--data <file>] [--converter <native|postman-to-k6>] [--strict]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractRequests } = require('./analyze-collection');
+const { resolverForCollection } = require('./variable-resolver');
+const { SUPPORTED_AUTH_TYPES: NATIVE_AUTH_TYPES, OAUTH2_GRANT_TYPES, parseGraphqlVariables } = require('./convert-collection');
+const { translateTests } = require('./assertion-translator');
+const { loadDataFile } = require('./iteration-data');
+
+// Auth types each converter handles (anything else is sent without authentication) and the
+// OAuth2 grants whose tokens it fetches (others send the token stored in the collection)
+const CONVERTERS = {
+  native: {
+    label: 'the k6 converter',
+    authTypes: NATIVE_AUTH_TYPES,
+    oauth2Grants: Object.keys(OAUTH2_GRANT_TYPES),
+    translatesTests: true
+  },
+  'postman-to-k6': {
+    label: 'postman-to-k6',
+    authTypes: ['noauth', 'apikey', 'basic', 'bearer', 'digest', 'ntlm', 'oauth1', 'oauth2', 'awsv4'],
+    oauth2Grants: []
+  }
+};
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0', '::1', '[::1]'];
+
+const SET_NEXT_REQUEST = /(?:postman|pm\.execution)\.setNextRequest\(\s*(?:null|(['"`])((?:(?!\1).)*)\1)/g;
+
+function issue(level, rule, location, message) {
+  return { level, rule, location, message };
+}
+
+/**
+ * Source of a Postman event script (exec is an array of lines or a string)
+ */
+function scriptSource(event) {
+  const exec = event && event.script && event.script.exec;
+  return Array.isArray(exec) ? exec.join('\n') : (exec || '');
+}
+
+function scriptLabel(event) {
+  return event.listen === 'prerequest' ? 'pre-request script' : 'test script';
+}
+
+/**
+ * Collect the collection, folder and request scripts and auth settings with their location
+ */
+function collectScopes(collection) {
+  const scopes = [{ location: 'collection', auth: collection.auth, events: collection.event || [] }];
+  const walk = (items, basePath) => {
+    items.forEach(item => {
+      const itemPath = basePath ? `${basePath}/${item.name}` : item.name;
+      if (Array.isArray(item.item)) {
+        scopes.push({ location: `folder ${itemPath}`, auth: item.auth, events: item.event || [] });
+        walk(item.item, itemPath);
+      }
+    });
+  };
+  walk(collection.item, '');
+  return scopes;
+}
+
+/**
+ * Host of a resolved URL
+ */
+function urlHost(resolved) {
+  const withoutProtocol = resolved.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  const hostPort = withoutProtocol.split(/[/?#]/)[0].replace(/^[^@]*@/, '');
+  const host = hostPort.startsWith('[') ? hostPort.substring(0, hostPort.indexOf(']') + 1) : hostPort.split(':')[0];
+  return host.toLowerCase();
+}
+
+function isLocalHost(host) {
+  return LOCAL_HOSTS.includes(host) || host.endsWith('.localhost');
+}
+
+/**
+ * Files a request uploads: form-data file fields and binary (file mode) bodies
+ */
+function uploadedFiles(body) {
+  if (!body) return [];
+  if (body.mode === 'file') {
+    return [{ field: 'body', src: body.file && body.file.src }];
+  }
+  if (body.mode === 'formdata') {
+    return (body.formdata || [])
+      .filter(entry => entry && entry.type === 'file' && !entry.disabled)
+      .reduce((files, entry) => files.concat(
+        (Array.isArray(entry.src) ? entry.src : [entry.src]).map(src => ({ field: entry.key, src }))
+      ), []);
+  }
+  return [];
+}
+
+function lintAuth(auth, location, converter) {
+  if (!auth || !auth.type || auth.type === 'inherit') return [];
+  if (!converter.authTypes.includes(auth.type)) {
+    return [issue('error', 'unsupported-auth', location,
+      `auth type "${auth.type}" is not converted by ${converter.label}, so requests are sent without it (supported: ${converter.authTypes.join(', ')})`)];
+  }
+  if (auth.type !== 'oauth2') return [];
+
+  const settings = [].concat(auth.oauth2 || []);
+  const setting = key => {
+    const entry = settings.find(s => s && s.key === key);
+    return entry ? entry.value : (auth.oauth2 && !Array.isArray(auth.oauth2) ? auth.oauth2[key] : undefined);
+  };
+  const grant = setting('grant_type') || 'authorization_code';
+  if (converter.oauth2Grants.includes(grant) && setting('accessTokenUrl')) return [];
+  const fetched = converter.oauth2Grants.length > 0
+    ? ` (${converter.oauth2Grants.join(' and ')} grants with an access token URL are fetched)`
+    : '';
+  return [issue('warning', 'static-token', location,
+    `OAuth2 ${grant} tokens are not fetched by ${converter.label}; the access token stored in the collection is sent and can expire mid-test${fetched}`)];
+}
+
+function lintScript(event, location, converter) {
+  const source = scriptSource(event);
+  if (!source.includes('sendRequest(')) return [];
+  return [issue('error', 'send-request', `${location} (${scriptLabel(event)})`,
+    `pm.sendRequest is not converted by ${converter.label}; move the call into its own request or into setup()`)];
+}
+
+/**
+ * setNextRequest is ignored by the converters (requests run in collection order); jumping back
+ * to the same or an earlier request is a loop that only ends under Postman's runner
+ */
+function lintSetNextRequest(event, request, currentIndex, order, converter) {
+  const issues = [];
+  const location = `${request.path} (${scriptLabel(event)})`;
+  for (const match of scriptSource(event).matchAll(SET_NEXT_REQUEST)) {
+    const target = match[2];
+    if (target === undefined) {
+      issues.push(issue('warning', 'set-next-request', location,
+        `setNextRequest(null) is ignored by ${converter.label}; every iteration runs all requests`));
+      continue;
+    }
+    const targetIndex = order.indexOf(target);
+    if (targetIndex === -1) {
+      issues.push(issue('warning', 'set-next-request', location,
+        `setNextRequest("${target}") names no request in the collection; it is ignored by ${converter.label}`));
+    } else if (targetIndex <= currentIndex) {
+      issues.push(issue('error', 'set-next-request-loop', location,
+        `setNextRequest("${target}") loops back to ${targetIndex === currentIndex ? 'the same' : 'an earlier'} request; ${converter.label} ignores it, so the flow it controls (polling, retries, paging) will not run`));
+    } else {
+      issues.push(issue('warning', 'set-next-request', location,
+        `setNextRequest("${target}") is ignored by ${converter.label}; the requests in between still run`));
+    }
+  }
+  return issues;
+}
+
+function lintUploads(request, collectionDir) {
+  return uploadedFiles(request.body).map(file => {
+    if (!file.src) {
+      return issue('error', 'missing-upload-file', request.path, `file upload "${file.field}" has no file selected`);
+    }
+    const candidates = path.isAbsolute(file.src) ? [file.src] : [path.resolve(collectionDir, file.src), path.resolve(file.src)];
+    if (!candidates.some(candidate => fs.existsSync(candidate))) {
+      return issue('error', 'missing-upload-file', request.path,
+        `file upload "${file.field}" points at ${file.src}, which does not exist (relative paths are resolved from the collection directory and the working directory)`);
+    }
+    return null;
+  }).filter(Boolean);
+}
+
+function lintGraphqlVariables(request) {
+  const body = request.body;
+  if (!body || body.mode !== 'graphql' || body.disabled) return [];
+  const parsed = parseGraphqlVariables(body.graphql && body.graphql.variables);
+  if (!parsed.error) return [];
+  return [issue('error', 'invalid-graphql-variables', request.path,
+    `GraphQL variables are not valid JSON (${parsed.error}), so the request cannot send them`)];
+}
+
+function lintVariables(request, resolver) {
+  return resolver.findUndefined([request.url, request.headers, request.body, request.auth], request.folderVariables)
+    .map(name => issue('warning', 'undefined-variable', request.path,
+      `{{${name}}} is not defined in the environment, collection, folder, globals or data file, nor set by any script, so it is sent literally`));
+}
+
+/**
+ * pm.test blocks and other test script statements (the request's own and those inherited from
+ * folders and the collection) that the native converter leaves out of the k6 script
+ */
+function lintTests(request, collection) {
+  const events = [].concat(collection.event || [], ...request.folders.map(f => f.events), request.events);
+  const tests = translateTests(events);
+  return tests.untranslated.map(test => issue('warning', 'untranslated-test', request.path,
+    `pm.test "${test.name}" is not translated into a k6 check: ${test.reason}`))
+    .concat(tests.statements.map(statement => issue('warning', 'untranslated-statement', request.path,
+      `test script statement is left out of the k6 script: ${statement.substring(0, 80)}`)));
+}
+
+function lintHost(request, resolver) {
+  const host = urlHost(resolver.resolveUrl(request.url, request.folderVariables));
+  if (!isLocalHost(host)) return [];
+  return [issue('warning', 'localhost', request.path,
+    `requests go to ${host}; load generated on CI runners will not reach the system under test (use a {{baseUrl}} variable)`)];
+}
+
+/**
+ * Lint a Postman collection. Options: environmentPath, globalsPath, dataPath (iteration data
+ * file, whose columns count as defined variables) and converter ('native' or 'postman-to-k6'). Returns { issues, errors, warnings } where issues are
+ * { level: 'error' | 'warning', rule, location, message }.
+ */
+function lintCollection(collectionPath, options = {}) {
+  const converter = CONVERTERS[options.converter || 'native'];
+  if (!converter) {
+    throw new Error(`Unknown converter '${options.converter}' (expected ${Object.keys(CONVERTERS).join(' or ')})`);
+  }
+  if (!fs.existsSync(collectionPath)) {
+    throw new Error(`Collection file not found: ${collectionPath}`);
+  }
+
+  let collection;
+  try {
+    collection = JSON.parse(fs.readFileSync(collectionPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid JSON in collection file: ${e.message}`);
+  }
+  if (!collection.item || !Array.isArray(collection.item)) {
+    throw new Error('Invalid Postman collection format: missing "item" array');
+  }
+
+  const requests = extractRequests(collection.item);
+  const scopes = collectScopes(collection);
+  const order = requests.map(r => r.name);
+  const dataColumns = options.dataPath ? loadDataFile(options.dataPath).columns : [];
+  const resolver = resolverForCollection(collection, Object.assign({ dataColumns }, options));
+  const collectionDir = path.dirname(path.resolve(collectionPath));
+
+  const issues = [];
+  scopes.forEach(scope => {
+    issues.push(...lintAuth(scope.auth, scope.location, converter));
+    scope.events.forEach(event => issues.push(...lintScript(event, scope.location, converter)));
+  });
+  requests.forEach((request, index) => {
+    issues.push(...lintAuth(request.auth, request.path, converter));
+    request.events.forEach(event => {
+      issues.push(...lintScript(event, request.path, converter));
+      issues.push(...lintSetNextRequest(event, request, index, order, converter));
+    });
+    issues.push(...lintUploads(request, collectionDir));
+    issues.push(...lintGraphqlVariables(request));
+    issues.push(...lintVariables(request, resolver));
+    issues.push(...lintHost(request, resolver));
+    if (converter.translatesTests) issues.push(...lintTests(request, collection));
+  });
+
+  return {
+    issues,
+    errors: issues.filter(i => i.level === 'error'),
+    warnings: issues.filter(i => i.level === 'warning')
+  };
+}
+
+/**
+ * Human-readable lint output
+ */
+function formatLintResult(result) {
+  const lines = [`Collection lint: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`];
+  result.errors.concat(result.warnings).forEach(i => {
+    lines.push(`  ${i.level.toUpperCase().padEnd(7)} [${i.rule}] ${i.location}: ${i.message}`);
+  });
+  return lines.join('\n');
+}
+
+// CLI usage
+if (require.main === module) {
+  const collectionPath = process.argv[2];
+
+  // Parse --flag value pairs (and the --strict switch) that follow the positional argument
+  const flags = {};
+  for (let i = 3; i < process.argv.length; i++) {
+    if (process.argv[i] === '--strict') {
+      flags.strict = true;
+    } else if (process.argv[i].startsWith('--')) {
+      flags[process.argv[i].substring(2)] = process.argv[i + 1];
+      i++;
+    }
+  }
+
+  if (!collectionPath) {
+    console.error('Usage: node lint-collection.js <collection-file> [--environment <file>] [--globals <file>] [--data <file>] [--converter <native|postman-to-k6>] [--strict]');
+    console.error('Example: node lint-collection.js postman/collection.json --environment postman/staging.json --strict');
+    process.exit(1);
+  }
+
+  try {
+    const result = lintCollection(collectionPath, {
+      environmentPath: flags.environment,
+      globalsPath: flags.globals,
+      dataPath: flags.data,
+      converter: flags.converter
+    });
+    console.log(formatLintResult(result));
+    if (flags.strict && result.issues.length > 0) {
+      console.error(`Error: strict mode fails on lint errors and warnings (${result.errors.length} error(s), ${result.warnings.length} warning(s))`);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error linting collection: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  lintCollection,
+  formatLintResult,
+  CONVERTERS
+};
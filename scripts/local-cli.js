@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Local CLI
+ * Runs the CI pipeline on a developer machine: collection in, profile chosen, k6 run, reports out.
+ * Installed as the `postman-k6` command (npm install -g .), it takes the action inputs as flags
+ * and runs the steps of run-pipeline.js in the current directory, writing the k6 script to
+ * k6-script-<timestamp>.js and the reports to .k6-config/.
+ *
+ * --dry-run stops before k6: it prints the generated script, its merged k6 options and the
+ * k6 command that would run.
+ *
+ * Usage: postman-k6 <collection-file> [--<action-input> <value> ...] [--dry-run]
+ */
+
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { loadConfig, readState, runAll, k6RunArgs, inputName, DEFAULTS } = require('./run-pipeline');
+const { findOptionsBlock } = require('./script-utils');
+
+const REPORTS = [
+  ['Analysis', '.k6-config/ai-insights-report.md'],
+  ['HTML report', '.k6-config/k6-report.html'],
+  ['JUnit report', '.k6-config/junit-report.xml'],
+  ['Comparison', '.k6-config/comparison-report.md']
+];
+
+function usage() {
+  const settings = Object.keys(DEFAULTS).map(key => {
+    const flag = `--${inputName(key)} <value>`;
+    return `  ${flag.padEnd(42)}${DEFAULTS[key] === '' ? '' : `default: ${DEFAULTS[key]}`}`.trimEnd();
+  });
+  return [
+    'Usage: postman-k6 <collection-file> [options]',
+    '',
+    'Converts a Postman collection to a k6 script, merges the load profile, runs k6 and writes',
+    'the reports to .k6-config/, like the GitHub Action and the GitLab CI template.',
+    '',
+    'Options (the action inputs; true/false options may be given without a value):',
+    '  --dry-run                                 print the script, k6 options and k6 command without running k6',
+    '  --help                                    show this help'
+  ].concat(settings, [
+    '',
+    'Examples:',
+    '  postman-k6 postman/collection.json --load-profile load --environment-file postman/staging.json',
+    '  postman-k6 postman/collection.json --load-profile stress --dry-run'
+  ]).join('\n');
+}
+
+function k6Installed() {
+  return !spawnSync('k6', ['version'], { stdio: 'ignore' }).error;
+}
+
+function printDryRun(config) {
+  const state = readState();
+  const script = fs.readFileSync(state.scriptPath, 'utf8');
+  const options = findOptionsBlock(script);
+
+  console.log(`\nGenerated script (${state.scriptPath}):\n`);
+  console.log(script);
+  console.log('\nMerged k6 options:\n');
+  console.log(options ? script.substring(options.start, options.end) : '(none, k6 runs a single iteration)');
+  console.log('\nk6 command (not run):\n');
+  console.log(`  k6 ${k6RunArgs(config, state).join(' ')}`);
+}
+
+function printSummary(config) {
+  const state = readState();
+  const lines = [
+    '',
+    'Summary',
+    `  Collection:   ${config.postmanCollection}`,
+    `  Load profile: ${state.profile || config.loadProfile}${state.profileSource === 'ai' ? ' (AI-suggested)' : ''}`,
+    `  k6 script:    ${state.scriptPath || 'not generated'}`,
+    `  k6 run:       ${state.status || 'not run'}`
+  ];
+  REPORTS.filter(([_, reportPath]) => fs.existsSync(reportPath))
+    .forEach(([label, reportPath]) => lines.push(`  ${`${label}:`.padEnd(14)}${reportPath}`));
+  console.log(lines.join('\n'));
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const collectionPath = args[0] && !args[0].startsWith('--') ? args[0] : null;
+
+  // Parse --flag value pairs that follow the collection; true/false flags may omit the value,
+  // other values may start with -- themselves (--k6-options "--vus 10")
+  const switches = ['dry-run', 'help'].concat(Object.keys(DEFAULTS).filter(key => typeof DEFAULTS[key] === 'boolean').map(inputName));
+  const flags = {};
+  for (let i = collectionPath ? 1 : 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const name = args[i].substring(2);
+      const next = args[i + 1];
+      if (switches.includes(name) && next !== 'true' && next !== 'false') {
+        flags[name] = 'true';
+      } else {
+        flags[name] = next;
+        i++;
+      }
+    }
+  }
+
+  if (flags.help || args.length === 0) {
+    console.log(usage());
+    process.exit(args.length === 0 ? 1 : 0);
+  }
+
+  const dryRun = flags['dry-run'] === 'true';
+  delete flags['dry-run'];
+  if (collectionPath) {
+    flags['postman-collection'] = collectionPath;
+  }
+
+  const settings = Object.keys(DEFAULTS).map(inputName);
+  const unknown = Object.keys(flags).filter(flag => !settings.includes(flag));
+  if (unknown.length > 0) {
+    console.error(`Error: Unknown option(s): ${unknown.map(flag => `--${flag}`).join(', ')} (see postman-k6 --help)`);
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    config = loadConfig(flags, { ignoreSaved: true });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  if (!dryRun && !k6Installed()) {
+    console.error('Error: k6 is not installed or not on the PATH (see https://grafana.com/docs/k6/latest/set-up/install-k6/), or use --dry-run');
+    process.exit(1);
+  }
+
+  console.log(`Postman collection: ${config.postmanCollection}`);
+  console.log(`Load profile: ${config.loadProfile} (${config.profilesConfig})${dryRun ? ', dry run' : ''}`);
+
+  runAll(config, { dryRun })
+    .then(result => {
+      if (dryRun) {
+        printDryRun(config);
+      } else {
+        printSummary(config);
+      }
+      if (result.failed) {
+        console.error(`\nError: ${result.message}`);
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error(`\nError: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  usage
+};
@@ -2,122 +2,265 @@
 
 /**
  * Script to merge load profile options into k6 test script
- * Usage: node merge-k6-options.js <script-file> <stages-json> <thresholds-json> <profile-name>
+ * Usage: node merge-k6-options.js <script-file> <stages-json> <thresholds-json> <profile-name> [options]
+ *
+ * <stages-json> is either the profile's stages array or an object of the form
+ * {"scenarios": {...}} for profiles that define k6 scenarios.
+ *
+ * Options:
+ *   --metadata <file>       API metadata file (JSON) with per-endpoint expectedRps
+ *   --traffic-mode <mode>   off (default), weighted or scenarios (see traffic-mix.js)
+ *   --rps-scale <number>    Multiplier applied to expectedRps in scenarios mode (default: 1)
+ *   --sla-thresholds        Tag requests by endpoint and add per-endpoint thresholds from metadata SLAs
+ *   --summary-file <path>   Add a handleSummary() export that writes the end-of-test summary JSON to <path>
  */
 
 const fs = require('fs');
 const path = require('path');
+const { compileProfile, totalDuration } = require('./compile-profile');
+const { findOptionsBlock } = require('./script-utils');
+const { parseMetadata } = require('./parse-metadata');
+const { applyWeightedMix, buildEndpointScenarios } = require('./traffic-mix');
+const { applyEndpointThresholds } = require('./endpoint-thresholds');
+const { injectHandleSummary, addSummaryTrendStats, SUMMARY_TREND_STATS } = require('./k6-summary');
 
-const scriptFile = process.argv[2];
-const stagesJson = process.argv[3];
-const thresholdsJson = process.argv[4];
-const profileName = process.argv[5] || 'default';
+const TRAFFIC_MODES = ['off', 'weighted', 'scenarios'];
 
-if (!scriptFile || !fs.existsSync(scriptFile)) {
-  console.error(`Error: Script file not found: ${scriptFile}`);
-  process.exit(1);
+/**
+ * Inject the handleSummary() export when a summary file is given
+ */
+function addSummaryHandler(content, summaryFile) {
+  if (!summaryFile) {
+    return content;
+  }
+  const result = injectHandleSummary(content, summaryFile);
+  if (result.injected) {
+    console.log(`Adding handleSummary() to write the end-of-test summary to ${summaryFile}`);
+  } else {
+    console.log('Warning: Script already exports handleSummary(), leaving it unchanged (no summary file will be written)');
+  }
+  return result.script;
 }
 
-if (!stagesJson || stagesJson === 'null' || stagesJson === '') {
-  console.log('No profile configuration provided, keeping original script');
-  process.exit(0);
-}
+/**
+ * Merge a load profile into k6 script source and return the merged source. Options:
+ * stages (the profile's stages array or { scenarios }), thresholds, profileName, trafficMode,
+ * rpsScale, metadataPath, slaThresholds and summaryFile. Without stages only the summary handler
+ * and the summary trend stats (p(99) included) are added. Throws when the profile, traffic mode
+ * or metadata cannot be applied.
+ */
+function mergeK6Options(scriptContent, options = {}) {
+  const profileName = options.profileName || 'default';
+  const trafficMode = options.trafficMode || 'off';
+  const rpsScale = options.rpsScale === undefined || options.rpsScale === null ? 1 : Number(options.rpsScale);
+  const slaThresholds = !!options.slaThresholds;
 
-let scriptContent = fs.readFileSync(scriptFile, 'utf8');
+  if (!TRAFFIC_MODES.includes(trafficMode)) {
+    throw new Error(`Unknown traffic mode '${trafficMode}' (expected off, weighted or scenarios)`);
+  }
+  if (!(rpsScale > 0)) {
+    throw new Error(`--rps-scale must be a positive number (got ${options.rpsScale})`);
+  }
+
+  if (!options.stages) {
+    console.log('No profile configuration provided, keeping original options');
+    return addSummaryHandler(addSummaryTrendStats(scriptContent).script, options.summaryFile);
+  }
 
-// Parse JSON strings (they come as escaped strings from bash)
-let stages, thresholds;
-try {
-  stages = JSON.parse(stagesJson);
-  thresholds = JSON.parse(thresholdsJson);
-} catch (e) {
-  // If parsing fails, try eval (less safe but handles bash-generated JSON)
+  let thresholds = options.thresholds;
+
+  // Expand rampUp/rampDown into native k6 stages (k6 ignores unknown stage keys)
+  let load;
   try {
-    stages = eval(`(${stagesJson})`);
-    thresholds = eval(`(${thresholdsJson})`);
-  } catch (e2) {
-    console.error('Error parsing stages/thresholds JSON:', e2.message);
-    process.exit(1);
+    load = compileProfile(options.stages);
+  } catch (e) {
+    throw new Error(`Load profile '${profileName}' is malformed. ${e.message}`);
   }
-}
 
-// Generate options block
-const optionsBlock = `// Load profile: ${profileName}
+  // Load API metadata for features that need it
+  let metadata = null;
+  if (trafficMode !== 'off' || slaThresholds) {
+    metadata = parseMetadata(options.metadataPath);
+    if (!metadata) {
+      const feature = slaThresholds ? '--sla-thresholds' : `Traffic mode '${trafficMode}'`;
+      throw new Error(`${feature} requires --metadata pointing at an existing metadata file`);
+    }
+  }
+
+  // Rebalance requests by metadata expectedRps if a traffic mode was requested
+  if (trafficMode !== 'off') {
+    try {
+      let result;
+      if (trafficMode === 'weighted') {
+        console.log('Applying weighted traffic mix from metadata expectedRps...');
+        result = applyWeightedMix(scriptContent, metadata);
+      } else {
+        if (!load.stages) {
+          throw new Error(`Traffic mode 'scenarios' derives its duration from profile stages, but profile '${profileName}' defines scenarios`);
+        }
+        console.log('Generating one arrival-rate scenario per endpoint from metadata expectedRps...');
+        result = buildEndpointScenarios(scriptContent, metadata, totalDuration(load.stages), rpsScale);
+        load = { scenarios: result.scenarios };
+      }
+      scriptContent = result.script;
+      result.entries.forEach(e => console.log(`  - ${e.name}: weight ${e.weight}`));
+      if (result.unmatched.length > 0) {
+        console.log(`Warning: No metadata expectedRps for: ${result.unmatched.join(', ')} (using the lowest known rate)`);
+      }
+    } catch (e) {
+      throw new Error(`Could not apply traffic mode '${trafficMode}': ${e.message}`);
+    }
+  }
+
+  // Tag requests by endpoint and turn metadata SLAs into sub-metric thresholds
+  if (slaThresholds) {
+    try {
+      console.log('Adding per-endpoint SLA thresholds from metadata...');
+      const result = applyEndpointThresholds(scriptContent, metadata);
+      scriptContent = result.script;
+      thresholds = Object.assign({}, thresholds || {}, result.thresholds);
+      Object.entries(result.thresholds).forEach(([key, expressions]) => console.log(`  - ${key}: ${expressions.join(', ')}`));
+      if (result.unmatched.length > 0) {
+        console.log(`Warning: No metadata endpoint for: ${result.unmatched.join(', ')} (tagged, no SLA threshold)`);
+      }
+    } catch (e) {
+      throw new Error(`Could not apply SLA thresholds: ${e.message}`);
+    }
+  }
+
+  // Scenarios may point at named exports; make sure the script actually has them
+  if (load.scenarios) {
+    const missing = Object.entries(load.scenarios)
+      .filter(([_, scenario]) => scenario.exec && scenario.exec !== 'default')
+      .filter(([_, scenario]) => !new RegExp(`export\\s+(async\\s+)?function\\s+${scenario.exec}\\b|export\\s+(const|let|var)\\s+${scenario.exec}\\b`).test(scriptContent))
+      .map(([name, scenario]) => `${name} -> ${scenario.exec}`);
+    if (missing.length > 0) {
+      throw new Error(`Load profile '${profileName}' references exec functions not exported by the script: ${missing.join(', ')}`);
+    }
+  }
+
+  const loadKey = load.scenarios ? 'scenarios' : 'stages';
+
+  // Generate options block
+  const optionsBlock = `// Load profile: ${profileName}
 export const options = {
-  stages: ${JSON.stringify(stages, null, 2)},
+  ${loadKey}: ${JSON.stringify(load[loadKey], null, 2)},
   thresholds: ${JSON.stringify(thresholds, null, 2)},
+  summaryTrendStats: ${JSON.stringify(SUMMARY_TREND_STATS)},
 };`;
 
-// Check if script already has options
-const hasOptions = /export\s+(const|let|var)\s+options\s*=/.test(scriptContent);
-
-if (hasOptions) {
-  // Replace existing options block
-  console.log('Replacing existing options in k6 script...');
-  
-  // More robust regex that handles nested objects properly
-  // Match: export const/let/var options = { ... }; (with proper brace matching)
-  let braceCount = 0;
-  let startIndex = scriptContent.search(/export\s+(const|let|var)\s+options\s*=/);
-  
-  if (startIndex !== -1) {
-    // Find where the options block ends
-    let i = scriptContent.indexOf('{', startIndex);
-    if (i !== -1) {
-      braceCount = 1;
-      i++;
-      while (i < scriptContent.length && braceCount > 0) {
-        if (scriptContent[i] === '{') braceCount++;
-        if (scriptContent[i] === '}') braceCount--;
-        i++;
-        // Skip strings and comments
-        if (scriptContent[i] === '"' || scriptContent[i] === "'") {
-          const quote = scriptContent[i];
-          i++;
-          while (i < scriptContent.length && scriptContent[i] !== quote) {
-            if (scriptContent[i] === '\\') i++; // Skip escape chars
-            i++;
-          }
-        }
+  // Check if script already has options
+  const existingOptions = findOptionsBlock(scriptContent);
+
+  if (existingOptions) {
+    // Replace existing options block
+    console.log('Replacing existing options in k6 script...');
+
+    const before = scriptContent.substring(0, existingOptions.start);
+    const after = scriptContent.substring(existingOptions.end).replace(/^\s*\n?/, '\n');
+    scriptContent = before + optionsBlock + after;
+  } else {
+    // Insert options after imports
+    console.log('Adding options to k6 script...');
+
+    // Find the last import or require statement
+    const importLines = scriptContent.split('\n');
+    let lastImportIndex = -1;
+
+    for (let i = 0; i < importLines.length; i++) {
+      if (/^(import|const.*require|export.*from)/.test(importLines[i])) {
+        lastImportIndex = i;
       }
-      
-      // Find the end of the statement (semicolon or newline)
-      while (i < scriptContent.length && scriptContent[i] !== ';' && scriptContent[i] !== '\n') {
+    }
+
+    if (lastImportIndex >= 0) {
+      // Insert after last import
+      importLines.splice(lastImportIndex + 1, 0, '', optionsBlock);
+      scriptContent = importLines.join('\n');
+    } else {
+      // Insert at the beginning
+      scriptContent = optionsBlock + '\n\n' + scriptContent;
+    }
+  }
+
+  return addSummaryHandler(scriptContent, options.summaryFile);
+}
+
+/**
+ * Merge a load profile into a k6 script file in place (see mergeK6Options for the options)
+ */
+function mergeK6OptionsFile(scriptFile, options = {}) {
+  if (!scriptFile || !fs.existsSync(scriptFile)) {
+    throw new Error(`Script file not found: ${scriptFile}`);
+  }
+  const merged = mergeK6Options(fs.readFileSync(scriptFile, 'utf8'), options);
+  fs.writeFileSync(scriptFile, merged, 'utf8');
+  return scriptFile;
+}
+
+// CLI usage
+if (require.main === module) {
+  const scriptFile = process.argv[2];
+  const stagesJson = process.argv[3];
+  const thresholdsJson = process.argv[4];
+  const profileName = process.argv[5] || 'default';
+
+  // Parse --flag [value] pairs that follow the positional arguments (flags without a value are true)
+  const flags = {};
+  for (let i = 6; i < process.argv.length; i++) {
+    const arg = process.argv[i];
+    if (arg.startsWith('--')) {
+      const next = process.argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        flags[arg.substring(2)] = 'true';
+      } else {
+        flags[arg.substring(2)] = next;
         i++;
       }
-      if (scriptContent[i] === ';') i++;
-      
-      // Replace the options block
-      const before = scriptContent.substring(0, startIndex);
-      const after = scriptContent.substring(i).replace(/^\s*\n?/, '\n');
-      scriptContent = before + optionsBlock + after;
     }
   }
-} else {
-  // Insert options after imports
-  console.log('Adding options to k6 script...');
-  
-  // Find the last import or require statement
-  const importLines = scriptContent.split('\n');
-  let lastImportIndex = -1;
-  
-  for (let i = 0; i < importLines.length; i++) {
-    if (/^(import|const.*require|export.*from)/.test(importLines[i])) {
-      lastImportIndex = i;
+
+  // Parse JSON strings (they come as escaped strings from bash)
+  let stages = null;
+  let thresholds = null;
+  if (stagesJson && stagesJson !== 'null') {
+    try {
+      stages = JSON.parse(stagesJson);
+      thresholds = JSON.parse(thresholdsJson);
+    } catch (e) {
+      // If parsing fails, try eval (less safe but handles bash-generated JSON)
+      try {
+        stages = eval(`(${stagesJson})`);
+        thresholds = eval(`(${thresholdsJson})`);
+      } catch (e2) {
+        console.error('Error parsing stages/thresholds JSON:', e2.message);
+        process.exit(1);
+      }
     }
   }
-  
-  if (lastImportIndex >= 0) {
-    // Insert after last import
-    importLines.splice(lastImportIndex + 1, 0, '', optionsBlock);
-    scriptContent = importLines.join('\n');
-  } else {
-    // Insert at the beginning
-    scriptContent = optionsBlock + '\n\n' + scriptContent;
+
+  try {
+    mergeK6OptionsFile(scriptFile, {
+      stages,
+      thresholds,
+      profileName,
+      trafficMode: flags['traffic-mode'],
+      rpsScale: flags['rps-scale'] ? parseFloat(flags['rps-scale']) : 1,
+      metadataPath: flags.metadata,
+      slaThresholds: flags['sla-thresholds'] === 'true',
+      summaryFile: flags['summary-file'] && flags['summary-file'] !== 'true' ? flags['summary-file'] : null
+    });
+    if (stages) {
+      console.log(`Successfully merged load profile options into ${scriptFile}`);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
 }
 
-// Write back to file
-fs.writeFileSync(scriptFile, scriptContent, 'utf8');
-console.log(`Successfully merged load profile options into ${scriptFile}`);
-
+module.exports = {
+  mergeK6Options,
+  mergeK6OptionsFile,
+  TRAFFIC_MODES
+};
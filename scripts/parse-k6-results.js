@@ -4,128 +4,242 @@
  * k6 Result Parser
  * Parses k6 JSON output and extracts key metrics for AI analysis
  * 
- * Usage: node parse-k6-results.js <k6-results-json-file>
+ * Usage: node parse-k6-results.js <k6-results-json-file> [k6-script-file] [k6-summary-file]
  */
 
 const fs = require('fs');
+const { aggregateK6Stream, isK6Stream } = require('./k6-stream-aggregator');
+const {
+  endpointBreakdowns,
+  buildBreakdownTables,
+  breakdownFromSubmetrics,
+  requestFoldersFromScript
+} = require('./endpoint-breakdown');
+const {
+  isSummaryDocument,
+  normalizeSummary,
+  readSummaryFile,
+  checkTreeFromTaggedChecks,
+  flattenChecks
+} = require('./k6-summary');
+const { readProfileStages, stageWindows, stageRows, detectSaturation } = require('./time-series');
 
 /**
- * Parse k6 JSON results file
+ * Read a results file that holds a single JSON document (summary format) or a JSON array
  */
-function parseK6Results(resultsPath) {
-  if (!fs.existsSync(resultsPath)) {
-    throw new Error(`k6 results file not found: ${resultsPath}`);
-  }
-  
+function readResultsDocument(resultsPath) {
   const content = fs.readFileSync(resultsPath, 'utf8').trim();
   
   if (!content || content.length === 0) {
     throw new Error(`k6 results file is empty: ${resultsPath}`);
   }
   
-  let results;
-  
-  // k6 JSON output can be:
-  // 1. Single JSON object (summary format)
-  // 2. Newline-delimited JSON (streaming format) - one JSON object per line
-  // 3. Array of JSON objects
-  
   try {
     // Try parsing as single JSON object first
-    results = JSON.parse(content);
+    return JSON.parse(content);
   } catch (e) {
     // If that fails, try newline-delimited JSON (NDJSON)
     try {
       const lines = content.split('\n').filter(line => line.trim());
       if (lines.length > 0) {
         // Try to parse the last line (usually the summary)
-        results = JSON.parse(lines[lines.length - 1]);
+        const results = JSON.parse(lines[lines.length - 1]);
         console.log(`Parsed NDJSON format, using last entry (${lines.length} total entries)`);
-      } else {
-        throw new Error('No valid JSON lines found');
+        return results;
       }
+      throw new Error('No valid JSON lines found');
     } catch (e2) {
       throw new Error(`Invalid JSON in results file. Single object parse error: ${e.message}. NDJSON parse error: ${e2.message}. File content preview: ${content.substring(0, 500)}`);
     }
   }
-  
+}
+
+/**
+ * Read request folder paths and load profile stages from the generated k6 script, if one is given
+ */
+function readScriptInfo(scriptPath) {
+  if (!scriptPath) {
+    return { requestFolders: {}, stages: [] };
+  }
+  let source;
+  try {
+    source = fs.readFileSync(scriptPath, 'utf8');
+  } catch (e) {
+    console.log(`Could not read k6 script ${scriptPath}: ${e.message}`);
+    return { requestFolders: {}, stages: [] };
+  }
+
+  let requestFolders = {};
+  try {
+    requestFolders = requestFoldersFromScript(source);
+  } catch (e) {
+    console.log(`Could not read request folders from ${scriptPath}: ${e.message}`);
+  }
+  return { requestFolders, stages: readProfileStages(source) };
+}
+
+/**
+ * Turn a results document of unknown shape into the normalized summary form
+ */
+function normalizeResultsDocument(results) {
   if (!results || (typeof results !== 'object' && !Array.isArray(results))) {
     throw new Error(`k6 results file does not contain valid JSON object or array. Got type: ${typeof results}`);
   }
   
   // k6 JSON output can be in different formats
-  // Format 1: Summary format with metrics at root
+  // Format 1: Summary format with metrics at root (handleSummary data or --summary-export)
   // Format 2: Full format with root_group
   // Format 3: Array of data points (streaming format)
   
-  let metrics = {};
-  let rootMetrics = {};
-  
   if (Array.isArray(results)) {
     // Streaming format - take the last entry which is usually the summary
-    if (results.length > 0) {
-      const lastEntry = results[results.length - 1];
-      metrics = lastEntry.metrics || lastEntry || {};
-      rootMetrics = lastEntry.root_group?.checks || lastEntry.checks || {};
-    }
-  } else if (results.metrics) {
-    // Standard summary format
-    metrics = results.metrics;
-    rootMetrics = results.root_group?.checks || results.checks || {};
-  } else if (results.root_group) {
-    // Full format
-    metrics = results.metrics || {};
-    rootMetrics = results.root_group.checks || {};
-  } else {
-    // Try to use results directly as metrics
-    metrics = results;
-    rootMetrics = {};
+    const lastEntry = results.length > 0 ? results[results.length - 1] : {};
+    return Object.assign(normalizeSummary({
+      metrics: lastEntry.metrics || lastEntry || {},
+      root_group: lastEntry.root_group || { checks: lastEntry.checks },
+      state: lastEntry.state
+    }), { format: 'streaming', timestamp: lastEntry.timestamp });
+  }
+  
+  if (results.metrics || results.root_group) {
+    return Object.assign(normalizeSummary(results), {
+      format: isSummaryDocument(results) ? 'summary' : 'full',
+      timestamp: results.timestamp
+    });
   }
   
+  // Try to use results directly as metrics
+  return Object.assign(normalizeSummary({
+    metrics: results,
+    state: results.testRunDurationMs ? { testRunDurationMs: results.testRunDurationMs, vus: results.vus, maxVus: results.maxVus } : undefined
+  }), { format: 'full', timestamp: results.timestamp });
+}
+
+/**
+ * Add the values a summary leaves out (trend stats not in summaryTrendStats, such as p(99) in
+ * k6's default) from the metrics aggregated from the data points
+ */
+function fillMissingValues(summaryMetrics, streamMetrics) {
+  const metrics = {};
+  Object.entries(summaryMetrics).forEach(([name, metric]) => {
+    const stream = streamMetrics[name];
+    metrics[name] = stream ? Object.assign({}, metric, { values: Object.assign({}, stream.values, metric.values) }) : metric;
+  });
+  return metrics;
+}
+
+/**
+ * A value of the summary, or null when it is missing (not measured is not 0ms)
+ */
+function valueOrNull(values, key) {
+  return values && typeof values[key] === 'number' ? values[key] : null;
+}
+
+/**
+ * Parse k6 results.
+ * resultsPath is the --out json output (or any k6 JSON results file); summaryPath (optional)
+ * is the end-of-test summary written by handleSummary or --summary-export. When the summary
+ * exists it is preferred for overall metrics, thresholds and checks, and the data points in
+ * resultsPath are still used for the per-endpoint breakdown.
+ * scriptPath (optional) is the k6 script that was run; its groups give each request's folder.
+ */
+function parseK6Results(resultsPath, scriptPath = null, summaryPath = null) {
+  const summaryDoc = summaryPath && fs.existsSync(summaryPath) ? readSummaryFile(summaryPath) : null;
+  if (summaryDoc) {
+    console.log(`Using k6 end-of-test summary: ${summaryPath}`);
+  }
+  
+  const hasResultsFile = !!resultsPath && fs.existsSync(resultsPath);
+  if (!summaryDoc && !hasResultsFile) {
+    throw new Error(`k6 results file not found: ${resultsPath}`);
+  }
+  
+  if (!summaryDoc && fs.statSync(resultsPath).size === 0) {
+    throw new Error(`k6 results file is empty: ${resultsPath}`);
+  }
+  
+  let source = null;
+  let streamMetrics = null;
+  let taggedMetrics = {};
+  let timeline = [];
+  let stages = [];
+  let breakdown = null;
+  const scriptInfo = readScriptInfo(scriptPath);
+  const { requestFolders } = scriptInfo;
+  
+  // k6 JSON output can be:
+  // 1. Single JSON object (summary format)
+  // 2. Newline-delimited JSON (--out json) - one Metric/Point object per line
+  // 3. Array of JSON objects
+  
+  if (hasResultsFile && fs.statSync(resultsPath).size > 0 && isK6Stream(resultsPath)) {
+    // Aggregate data points into the summary format without reading the whole file
+    const aggregated = aggregateK6Stream(resultsPath, endpointBreakdowns(requestFolders), {
+      windows: stageWindows(scriptInfo.stages)
+    });
+    console.log(`Aggregated k6 NDJSON output: ${Object.keys(aggregated.metrics).length} metrics${aggregated.invalidLines > 0 ? `, ${aggregated.invalidLines} invalid lines skipped` : ''}`);
+    aggregated.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+    source = {
+      metrics: aggregated.metrics,
+      checkTree: checkTreeFromTaggedChecks(aggregated.checks),
+      state: aggregated.state,
+      format: 'ndjson'
+    };
+    streamMetrics = aggregated.metrics;
+    taggedMetrics = aggregated.taggedMetrics;
+    timeline = aggregated.timeline;
+    stages = stageRows(scriptInfo.stages, aggregated.windows);
+    breakdown = buildBreakdownTables(aggregated.breakdowns, requestFolders);
+  } else if (!summaryDoc) {
+    source = normalizeResultsDocument(readResultsDocument(resultsPath));
+  }
+  
+  if (summaryDoc) {
+    source = Object.assign({}, summaryDoc, {
+      metrics: streamMetrics ? fillMissingValues(summaryDoc.metrics, streamMetrics) : summaryDoc.metrics,
+      format: 'summary'
+    });
+  }
+  
+  const { metrics, checkTree, state } = source;
+  
   // Parse HTTP request metrics
   const httpReqMetrics = metrics.http_req_duration || {};
   const httpReqFailedMetrics = metrics.http_req_failed || {};
   const httpReqsMetrics = metrics.http_reqs || {};
   
-  // Extract threshold results
+  // Extract threshold results: pass/fail per expression for every metric with thresholds,
+  // with the metric's values so the margin to each limit can be computed
   const thresholds = {};
-  if (metrics.http_req_duration) {
-    thresholds.http_req_duration = {
-      ok: metrics.http_req_duration.thresholds || {},
-      values: {
-        avg: metrics.http_req_duration.values?.avg || 0,
-        min: metrics.http_req_duration.values?.min || 0,
-        max: metrics.http_req_duration.values?.max || 0,
-        p90: metrics.http_req_duration.values?.['p(90)'] || 0,
-        p95: metrics.http_req_duration.values?.['p(95)'] || 0,
-        p99: metrics.http_req_duration.values?.['p(99)'] || 0
-      }
+  Object.keys(metrics).forEach(name => {
+    if (Object.keys(metrics[name].thresholds || {}).length > 0) {
+      thresholds[name] = { ok: metrics[name].thresholds, metricValues: metrics[name].values || {} };
+    }
+  });
+  
+  if (thresholds.http_req_duration) {
+    thresholds.http_req_duration.values = {
+      avg: httpReqMetrics.values?.avg || 0,
+      min: httpReqMetrics.values?.min || 0,
+      max: httpReqMetrics.values?.max || 0,
+      p90: valueOrNull(httpReqMetrics.values, 'p(90)'),
+      p95: valueOrNull(httpReqMetrics.values, 'p(95)'),
+      p99: valueOrNull(httpReqMetrics.values, 'p(99)')
     };
   }
   
-  if (metrics.http_req_failed) {
-    thresholds.http_req_failed = {
-      ok: metrics.http_req_failed.thresholds || {},
-      rate: metrics.http_req_failed.values?.rate || 0
-    };
+  if (thresholds.http_req_failed) {
+    thresholds.http_req_failed.rate = httpReqFailedMetrics.values?.rate || 0;
   }
   
   // Extract test configuration
   let testConfig = { options: null };
   
-  if (results.state) {
+  if (state && state.testRunDurationMs) {
     testConfig.options = {
-      duration: results.state.testRunDurationMs 
-        ? `${Math.round(results.state.testRunDurationMs / 1000)}s`
-        : null,
-      vus: results.state.vus || 0,
-      maxVus: results.state.maxVus || 0
-    };
-  } else if (results.testRunDurationMs) {
-    testConfig.options = {
-      duration: `${Math.round(results.testRunDurationMs / 1000)}s`,
-      vus: results.vus || 0,
-      maxVus: results.maxVus || 0
+      duration: `${Math.round(state.testRunDurationMs / 1000)}s`,
+      vus: state.vus || 0,
+      maxVus: state.maxVus || 0
     };
   }
   
@@ -137,10 +251,10 @@ function parseK6Results(resultsPath) {
       avg: httpReqMetrics.values?.avg || 0,
       min: httpReqMetrics.values?.min || 0,
       max: httpReqMetrics.values?.max || 0,
-      p90: httpReqMetrics.values?.['p(90)'] || 0,
-      p95: httpReqMetrics.values?.['p(95)'] || 0,
-      p99: httpReqMetrics.values?.['p(99)'] || 0,
-      med: httpReqMetrics.values?.med || 0
+      p90: valueOrNull(httpReqMetrics.values, 'p(90)'),
+      p95: valueOrNull(httpReqMetrics.values, 'p(95)'),
+      p99: valueOrNull(httpReqMetrics.values, 'p(99)'),
+      med: valueOrNull(httpReqMetrics.values, 'med')
     },
     errorRate: httpReqFailedMetrics.values?.rate || 0,
     errorCount: httpReqFailedMetrics.values?.passes || 0,
@@ -148,6 +262,11 @@ function parseK6Results(resultsPath) {
     thresholds: thresholds
   };
   
+  // Per-endpoint breakdown: from data points when available, else from endpoint sub-metrics
+  if (!breakdown) {
+    breakdown = { endpoints: breakdownFromSubmetrics(metrics, requestFolders), folders: [] };
+  }
+  
   // Calculate derived metrics
   const derived = {
     successRate: summary.totalRequests > 0 
@@ -162,44 +281,47 @@ function parseK6Results(resultsPath) {
     })
   };
   
-  // Extract checks/results
-  const checks = [];
-  if (rootMetrics) {
-    Object.keys(rootMetrics).forEach(checkName => {
-      const check = rootMetrics[checkName];
-      checks.push({
-        name: checkName,
-        passes: check.passes || 0,
-        fails: check.fails || 0,
-        rate: check.rate || 0
-      });
-    });
-  }
+  // Extract checks, each with the path of the group it ran in
+  const checks = flattenChecks(checkTree);
   
   return {
     summary,
     derived,
     checks,
+    checkTree,
+    endpoints: breakdown.endpoints,
+    folders: breakdown.folders,
     testConfig,
     rawMetrics: {
       http_req_duration: httpReqMetrics.values || {},
       http_req_failed: httpReqFailedMetrics.values || {},
       http_reqs: httpReqsMetrics.values || {}
     },
+    taggedMetrics,
+    timeline,
+    stages,
+    saturation: detectSaturation(timeline),
     metadata: {
-      timestamp: results.state?.timestamp || results.timestamp || new Date().toISOString(),
-      testType: (results.state?.testRunDurationMs || results.testRunDurationMs) ? 'duration-based' : 'vu-based',
+      timestamp: state?.timestamp || source.timestamp || new Date().toISOString(),
+      testType: state?.testRunDurationMs ? 'duration-based' : 'vu-based',
       thresholds: Object.keys(thresholds),
-      rawFormat: Array.isArray(results) ? 'streaming' : (results.metrics ? 'summary' : 'full')
+      rawFormat: source.format
     }
   };
 }
 
+// Endpoints listed in the AI prompt, slowest first
+const MAX_ENDPOINTS_FOR_AI = 20;
+
 /**
  * Format metrics for AI prompt
  */
 function formatMetricsForAI(parsed) {
   const { summary, derived, checks, testConfig } = parsed;
+  const endpoints = (parsed.endpoints || []).slice(0, MAX_ENDPOINTS_FOR_AI);
+  const stages = parsed.stages || [];
+  const saturation = parsed.saturation;
+  const ms = value => (typeof value === 'number' ? `${value.toFixed(2)}ms` : 'N/A');
   
   return `
 Test Configuration:
@@ -217,10 +339,10 @@ Response Times:
 - Average: ${summary.responseTimes.avg.toFixed(2)}ms
 - Minimum: ${summary.responseTimes.min.toFixed(2)}ms
 - Maximum: ${summary.responseTimes.max.toFixed(2)}ms
-- Median: ${summary.responseTimes.med.toFixed(2)}ms
-- 90th Percentile (p90): ${summary.responseTimes.p90.toFixed(2)}ms
-- 95th Percentile (p95): ${summary.responseTimes.p95.toFixed(2)}ms
-- 99th Percentile (p99): ${summary.responseTimes.p99.toFixed(2)}ms
+- Median: ${ms(summary.responseTimes.med)}
+- 90th Percentile (p90): ${ms(summary.responseTimes.p90)}
+- 95th Percentile (p95): ${ms(summary.responseTimes.p95)}
+- 99th Percentile (p99): ${ms(summary.responseTimes.p99)}
 
 Threshold Results:
 ${Object.keys(summary.thresholds).map(key => {
@@ -234,21 +356,33 @@ ${Object.keys(summary.thresholds).map(key => {
   return `- ${key}: ${t.rate !== undefined ? `${(t.rate * 100).toFixed(2)}%` : 'N/A'}`;
 }).join('\n')}
 
-Checks: ${checks.length > 0 ? checks.map(c => `${c.name}: ${c.passes} passed, ${c.fails} failed`).join('; ') : 'None'}
-`;
+Checks: ${checks.length > 0 ? checks.map(c => `${c.group ? `[${c.group}] ` : ''}${c.name}: ${c.passes} passed, ${c.fails} failed`).join('; ') : 'None'}
+${endpoints.length > 0 ? `
+Per-Endpoint Metrics (slowest ${endpoints.length} of ${parsed.endpoints.length} by p95):
+${endpoints.map(e => `- ${[e.method, e.name].filter(Boolean).join(' ')}${e.folder ? ` [${e.folder}]` : ''}: ${e.requests} requests, error rate ${(e.errorRate * 100).toFixed(2)}%, avg ${e.avg.toFixed(2)}ms, p95 ${ms(e.p95)}, p99 ${ms(e.p99)}`).join('\n')}
+` : ''}${stages.length > 0 ? `
+Per-Stage Metrics:
+${stages.map(s => `- Stage ${s.index} (${s.label}, ${s.startSeconds}s-${s.endSeconds}s): ${(s.requestRate || 0).toFixed(2)} req/s, error rate ${((s.errorRate || 0) * 100).toFixed(2)}%, p95 ${(s.p95 || 0).toFixed(2)}ms, max ${s.vus || 0} VUs`).join('\n')}
+` : ''}${saturation && saturation.baseline ? `
+Saturation: ${saturation.knee
+  ? `knee at ${saturation.knee.offsetSeconds}s with ${saturation.knee.vus} VUs (${saturation.knee.reason} rising); estimated saturation point ${saturation.saturation.vus} VUs / ${saturation.saturation.requestRate.toFixed(2)} req/s`
+  : `no knee found up to ${saturation.peakVus} VUs / ${saturation.peakRequestRate.toFixed(2)} req/s`}
+` : ''}`;
 }
 
 // CLI usage
 if (require.main === module) {
   const resultsPath = process.argv[2];
+  const scriptPath = process.argv[3] || null;
+  const summaryPath = process.argv[4] || null;
   
   if (!resultsPath) {
-    console.error('Usage: node parse-k6-results.js <k6-results-json-file>');
+    console.error('Usage: node parse-k6-results.js <k6-results-json-file> [k6-script-file] [k6-summary-file]');
     process.exit(1);
   }
   
   try {
-    const parsed = parseK6Results(resultsPath);
+    const parsed = parseK6Results(resultsPath, scriptPath, summaryPath);
     console.log(JSON.stringify(parsed, null, 2));
   } catch (error) {
     console.error(`Error parsing k6 results: ${error.message}`);
@@ -141,11 +141,13 @@ function matchEndpointToMetadata(request, metadata) {
     if (typeof request.url === 'object') {
       urlPath = request.url.path ? (Array.isArray(request.url.path) ? request.url.path.join('/') : request.url.path) : '';
     } else if (typeof request.url === 'string') {
+      // A host left as an unresolved {{variable}} is not part of the path
+      const url = request.url.replace(/^\{\{[^{}]+\}\}/, '');
       try {
-        const urlObj = new URL(request.url);
+        const urlObj = new URL(url);
         urlPath = urlObj.pathname;
       } catch (e) {
-        urlPath = request.url;
+        urlPath = url.split(/[?#]/)[0];
       }
     }
 
@@ -170,6 +172,26 @@ function matchEndpointToMetadata(request, metadata) {
   return match || null;
 }
 
+/**
+ * Convert a metadata SLA (e.g. "p95<500ms", "p(99)<=1s, avg<200ms") into k6 threshold expressions
+ */
+function slaToThresholds(sla) {
+  if (!sla || typeof sla !== 'string') {
+    return [];
+  }
+
+  return sla.split(/\s*(?:,|;|&&|\band\b)\s*/i).filter(Boolean).map(part => {
+    const match = part.trim().match(/^(p\(?(\d+(?:\.\d+)?)\)?|avg|med|min|max)\s*(<=|>=|<|>)\s*(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+    if (!match) {
+      throw new Error(`Unsupported SLA expression "${part}" (expected e.g. "p95<500ms" or "avg<1s")`);
+    }
+
+    const aggregation = match[2] ? `p(${match[2]})` : match[1].toLowerCase();
+    const value = parseFloat(match[4]) * ((match[5] || 'ms').toLowerCase() === 's' ? 1000 : 1);
+    return `${aggregation}${match[3]}${value}`;
+  });
+}
+
 /**
  * Format metadata for AI prompt
  */
@@ -180,7 +202,7 @@ function formatMetadataForAI(metadata, collectionAnalysis) {
     if (collectionAnalysis && collectionAnalysis.requests) {
       collectionAnalysis.requests.forEach(req => {
         if (req.url) {
-          const domain = extractDomainFromUrl(req.url);
+          const domain = extractDomainFromUrl(req.resolvedUrl || req.url);
           if (domain) {
             domains.add(domain);
           }
@@ -248,6 +270,7 @@ module.exports = {
   parseMetadata,
   extractDomainFromUrl,
   matchEndpointToMetadata,
+  slaToThresholds,
   formatMetadataForAI
 };
 
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Load Profile Schema Validator
+ * Validates a load profiles document (the format of profiles/load-profiles.yaml)
+ * against the profile schema and optional guardrails on peak VUs and test duration
+ *
+ * Usage: node profile-schema.js <profiles-yaml> [profile-name] [max-vus] [max-duration]
+ */
+
+const { compileProfile, parseDuration, formatDuration, totalDuration } = require('./compile-profile');
+const { readYAMLFile } = require('./yaml-utils');
+
+const PROFILE_FIELDS = ['name', 'description', 'stages', 'scenarios', 'thresholds'];
+
+// k6 stops iteration-based executors after 10 minutes unless maxDuration says otherwise
+const DEFAULT_MAX_DURATION_MS = 10 * 60 * 1000;
+
+/**
+ * Time window [start, end) in milliseconds during which a scenario runs
+ */
+function scenarioWindow(scenario) {
+  const start = scenario.startTime ? parseDuration(scenario.startTime) : 0;
+  if (scenario.stages) return { start, end: start + totalDuration(scenario.stages) };
+  if (scenario.duration) return { start, end: start + parseDuration(scenario.duration) };
+  return { start, end: start + (scenario.maxDuration ? parseDuration(scenario.maxDuration) : DEFAULT_MAX_DURATION_MS) };
+}
+
+/**
+ * Highest number of VUs a scenario can use
+ */
+function scenarioMaxVUs(scenario) {
+  const candidates = [scenario.vus, scenario.startVUs, scenario.maxVUs || scenario.preAllocatedVUs];
+  if (scenario.executor === 'ramping-vus') {
+    candidates.push(...scenario.stages.map(s => s.target));
+  }
+  return Math.max(0, ...candidates.filter(v => typeof v === 'number'));
+}
+
+/**
+ * Highest number of VUs a compiled profile can run concurrently
+ * (for scenarios: the largest sum over scenarios whose time windows overlap)
+ */
+function profilePeakVUs(load) {
+  if (load.stages) {
+    return Math.max(...load.stages.map(s => s.target));
+  }
+
+  const scenarios = Object.values(load.scenarios).map(s => Object.assign(scenarioWindow(s), { vus: scenarioMaxVUs(s) }));
+  return Math.max(...scenarios.map(at => scenarios
+    .filter(s => s.start <= at.start && s.end > at.start)
+    .reduce((sum, s) => sum + s.vus, 0)));
+}
+
+/**
+ * Number of iterations a compiled profile runs, or null when it runs for a set duration
+ * (stages, constant-vus and ramping-vus). Arrival-rate executors count the iterations they
+ * start when they keep up with the rate.
+ */
+function profileIterations(load) {
+  if (load.stages) return null;
+
+  let total = 0;
+  for (const scenario of Object.values(load.scenarios)) {
+    const timeUnitMs = scenario.timeUnit ? parseDuration(scenario.timeUnit) : 1000;
+    if (scenario.executor === 'shared-iterations') {
+      total += scenario.iterations;
+    } else if (scenario.executor === 'per-vu-iterations') {
+      total += scenario.vus * scenario.iterations;
+    } else if (scenario.executor === 'constant-arrival-rate') {
+      total += Math.ceil(scenario.rate * parseDuration(scenario.duration) / timeUnitMs);
+    } else if (scenario.executor === 'ramping-arrival-rate') {
+      let rate = scenario.startRate || 0;
+      total += Math.ceil(scenario.stages.reduce((sum, stage) => {
+        const iterations = (rate + stage.target) / 2 * parseDuration(stage.duration) / timeUnitMs;
+        rate = stage.target;
+        return sum + iterations;
+      }, 0));
+    } else {
+      return null;
+    }
+  }
+  return total;
+}
+
+/**
+ * Total wall-clock duration of a compiled profile in milliseconds
+ */
+function profileDurationMs(load) {
+  if (load.stages) {
+    return totalDuration(load.stages);
+  }
+  return Math.max(...Object.values(load.scenarios).map(s => scenarioWindow(s).end));
+}
+
+// k6 threshold expression: <aggregation> <operator> <number>, e.g. "p(95)<500", "rate<0.01"
+const THRESHOLD_EXPRESSION = /^\s*(count|rate|value|avg|min|max|med|p\(\d+(\.\d+)?\))\s*(<=|>=|===|==|!=|<|>)\s*-?\d+(\.\d+)?\s*$/;
+const THRESHOLD_OBJECT_FIELDS = ['threshold', 'abortOnFail', 'delayAbortEval'];
+
+/**
+ * Validate one threshold: an expression string or a { threshold, abortOnFail, delayAbortEval } object
+ */
+function validateThresholdExpression(expression) {
+  if (expression && typeof expression === 'object' && !Array.isArray(expression)) {
+    const errors = Object.keys(expression)
+      .filter(key => !THRESHOLD_OBJECT_FIELDS.includes(key))
+      .map(key => `unknown field "${key}" (allowed: ${THRESHOLD_OBJECT_FIELDS.join(', ')})`);
+    if (expression.abortOnFail != null && typeof expression.abortOnFail !== 'boolean') {
+      errors.push('abortOnFail must be a boolean');
+    }
+    if (expression.delayAbortEval != null) {
+      try {
+        parseDuration(expression.delayAbortEval);
+      } catch (e) {
+        errors.push(`delayAbortEval ${e.message.charAt(0).toLowerCase()}${e.message.slice(1)}`);
+      }
+    }
+    return errors.concat(validateThresholdExpression(expression.threshold));
+  }
+
+  if (typeof expression !== 'string' || !THRESHOLD_EXPRESSION.test(expression)) {
+    return [`invalid expression ${JSON.stringify(expression)} (expected e.g. "p(95)<500", "avg<200", "rate<0.01")`];
+  }
+  return [];
+}
+
+/**
+ * Validate profile thresholds: a map of metric name to a list of k6 threshold expressions
+ */
+function validateThresholds(thresholds) {
+  const errors = [];
+
+  if (thresholds == null) {
+    return errors;
+  }
+  if (typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    return ['thresholds must be a map of metric name to a list of expressions'];
+  }
+
+  Object.entries(thresholds).forEach(([metric, expressions]) => {
+    const list = Array.isArray(expressions) ? expressions : [expressions];
+    if (list.length === 0) {
+      errors.push(`thresholds.${metric} must be a non-empty list of expressions`);
+      return;
+    }
+    list.forEach(expression => {
+      validateThresholdExpression(expression).forEach(error => errors.push(`thresholds.${metric}: ${error}`));
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate one profile, returning { errors, load } where load is the compiled profile
+ */
+function validateProfile(profile, guardrails = {}) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return { errors: ['profile must be a map'], load: null };
+  }
+
+  const errors = [];
+  Object.keys(profile).forEach(key => {
+    if (!PROFILE_FIELDS.includes(key)) {
+      errors.push(`unknown field "${key}" (allowed: ${PROFILE_FIELDS.join(', ')})`);
+    }
+  });
+
+  ['name', 'description'].forEach(key => {
+    if (profile[key] != null && typeof profile[key] !== 'string') {
+      errors.push(`${key} must be a string`);
+    }
+  });
+
+  let load = null;
+  try {
+    load = compileProfile(profile.scenarios ? { scenarios: profile.scenarios, stages: profile.stages } : profile.stages);
+  } catch (e) {
+    // Compiler errors come as a header plus "  - " items; report the items individually
+    const [header, ...items] = e.message.split('\n  - ');
+    errors.push(...(items.length > 0 ? items : [header]));
+  }
+
+  errors.push(...validateThresholds(profile.thresholds));
+
+  if (load) {
+    const peakVUs = profilePeakVUs(load);
+    if (guardrails.maxVUs && peakVUs > guardrails.maxVUs) {
+      errors.push(`peak of ${peakVUs} VUs exceeds the limit of ${guardrails.maxVUs}`);
+    }
+
+    const durationMs = profileDurationMs(load);
+    if (guardrails.maxDurationMs && durationMs > guardrails.maxDurationMs) {
+      errors.push(`duration of ${formatDuration(durationMs)} exceeds the limit of ${formatDuration(guardrails.maxDurationMs)}`);
+    }
+  }
+
+  return { errors, load };
+}
+
+/**
+ * Validate a profiles document ({ profiles: { <name>: profile } }).
+ * When profileName is given only that profile is checked, and it must exist.
+ */
+function validateProfilesDocument(doc, guardrails = {}, profileName = null) {
+  if (!doc || typeof doc !== 'object' || !doc.profiles || typeof doc.profiles !== 'object' ||
+      Array.isArray(doc.profiles) || Object.keys(doc.profiles).length === 0) {
+    return { valid: false, errors: ['document must contain a non-empty "profiles" map'], profiles: [] };
+  }
+
+  const names = profileName ? [profileName] : Object.keys(doc.profiles);
+  const errors = [];
+
+  names.forEach(name => {
+    if (!doc.profiles[name]) {
+      errors.push(`profile "${name}" is not defined (available: ${Object.keys(doc.profiles).join(', ')})`);
+      return;
+    }
+    validateProfile(doc.profiles[name], guardrails).errors
+      .forEach(error => errors.push(`profiles.${name}: ${error}`));
+  });
+
+  return { valid: errors.length === 0, errors, profiles: names };
+}
+
+/**
+ * Build guardrails from CLI/action input strings; empty or "0" disables a limit
+ */
+function parseGuardrails(maxVUs, maxDuration) {
+  const guardrails = {};
+  if (maxVUs && maxVUs !== '0') {
+    guardrails.maxVUs = parseInt(maxVUs, 10);
+    if (!(guardrails.maxVUs > 0)) {
+      throw new Error(`Invalid max VUs: ${maxVUs}`);
+    }
+  }
+  if (maxDuration && maxDuration !== '0') {
+    guardrails.maxDurationMs = parseDuration(maxDuration);
+  }
+  return guardrails;
+}
+
+// CLI usage
+if (require.main === module) {
+  const profilesPath = process.argv[2];
+  const profileName = process.argv[3] || null;
+
+  if (!profilesPath) {
+    console.error('Usage: node profile-schema.js <profiles-yaml> [profile-name] [max-vus] [max-duration]');
+    console.error('Example: node profile-schema.js .k6-config/ai-suggested-profile.yaml load 200 30m');
+    process.exit(1);
+  }
+
+  try {
+    const guardrails = parseGuardrails(process.argv[4], process.argv[5]);
+    const result = validateProfilesDocument(readYAMLFile(profilesPath), guardrails, profileName);
+    if (result.valid) {
+      console.log(`Profile configuration is valid: ${profilesPath} (${result.profiles.join(', ')})`);
+      process.exit(0);
+    }
+    console.error(`Profile configuration is invalid: ${profilesPath}`);
+    result.errors.forEach(error => console.error(`  - ${error}`));
+    process.exit(1);
+  } catch (error) {
+    console.error(`Error validating profiles: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  validateProfilesDocument,
+  validateProfile,
+  validateThresholds,
+  validateThresholdExpression,
+  parseGuardrails,
+  profilePeakVUs,
+  profileDurationMs,
+  profileIterations
+};
@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+
+/**
+ * Rule-Based Result Analyzer
+ * Analyzes parsed k6 results with deterministic heuristics (tail latency, threshold margins,
+ * error rates, failed checks, saturation knee) and fills the same report sections as the
+ * AI analysis, so every run gets a report without an AI provider
+ *
+ * Usage: node rule-based-analyzer.js <k6-results-json> [k6-script] [k6-summary]
+ */
+
+const { parseK6Results } = require('./parse-k6-results');
+
+// p99/p50 ratios past these mark a heavy latency tail
+const TAIL_RATIO_WARNING = 3;
+const TAIL_RATIO_CRITICAL = 5;
+
+// Error rates (0..1) flagged when no threshold covers http_req_failed
+const ERROR_RATE_WARNING = 0.01;
+const ERROR_RATE_CRITICAL = 0.05;
+
+// A passing threshold within this share of its limit is close to failing;
+// one using less than LENIENT_THRESHOLD_USAGE of its limit could be tightened
+const THRESHOLD_MARGIN_WARNING = 0.1;
+const LENIENT_THRESHOLD_USAGE = 0.2;
+
+// Endpoints need this many requests before their percentiles are judged
+const MIN_ENDPOINT_REQUESTS = 20;
+
+// An endpoint is a hotspot when its p95 is this many times the median endpoint p95
+const SLOW_ENDPOINT_FACTOR = 2;
+
+// Past the knee, throughput within this share of the saturation point's counts as flat
+const PLATEAU_THROUGHPUT_BAND = 0.1;
+
+const SECTIONS = [
+  ['performanceAssessment', 'Performance Assessment'],
+  ['anomalies', 'Anomalies Detection'],
+  ['bottlenecks', 'Bottleneck Identification'],
+  ['thresholdAnalysis', 'Threshold Analysis'],
+  ['rootCause', 'Root Cause Analysis'],
+  ['recommendations', 'Optimization Recommendations'],
+  ['riskAssessment', 'Risk Assessment']
+];
+
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+const PRIORITY = { critical: 'high', warning: 'medium', info: 'low' };
+
+/**
+ * Create a finding. section is one of the SECTIONS keys; recommendation is optional.
+ */
+function finding(rule, section, severity, message, recommendation = null) {
+  return { rule, section, severity, message, recommendation };
+}
+
+function ms(value) {
+  return typeof value === 'number' ? `${value.toFixed(2)}ms` : 'n/a';
+}
+
+function percent(rate) {
+  return `${(rate * 100).toFixed(2)}%`;
+}
+
+function endpointLabel(endpoint) {
+  return [endpoint.method, endpoint.name].filter(Boolean).join(' ');
+}
+
+/**
+ * Split a threshold expression ("p(95)<500") into aggregation, operator and limit
+ */
+function parseThresholdExpression(expression) {
+  const match = /^\s*([a-z]+|p\(\d+(?:\.\d+)?\))\s*(<=|>=|===|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s*$/.exec(expression || '');
+  if (!match) return null;
+  return { aggregation: match[1], operator: match[2], limit: parseFloat(match[3]) };
+}
+
+/**
+ * Tail latency: p99 far above the median means a minority of requests is much slower
+ */
+function tailLatencyRule(metrics) {
+  const findings = [];
+  const { med, p99 } = metrics.summary.responseTimes;
+
+  if (med > 0 && p99 > 0) {
+    const ratio = p99 / med;
+    if (ratio >= TAIL_RATIO_WARNING) {
+      findings.push(finding('tail-latency', 'anomalies', ratio >= TAIL_RATIO_CRITICAL ? 'critical' : 'warning',
+        `Heavy latency tail: p99 ${ms(p99)} is ${ratio.toFixed(1)}x the median ${ms(med)}`,
+        'Look for queueing, lock contention, GC pauses or cold caches behind the slowest requests'));
+    }
+  }
+
+  (metrics.endpoints || [])
+    .filter(e => e.requests >= MIN_ENDPOINT_REQUESTS && e.med > 0 && e.p99 / e.med >= TAIL_RATIO_CRITICAL)
+    .forEach(e => {
+      findings.push(finding('tail-latency', 'anomalies', 'warning',
+        `${endpointLabel(e)}: p99 ${ms(e.p99)} is ${(e.p99 / e.med).toFixed(1)}x its median ${ms(e.med)}`));
+    });
+
+  return findings;
+}
+
+/**
+ * Threshold margins: failed thresholds, passing ones close to their limit, and lenient ones
+ */
+function thresholdMarginRule(metrics) {
+  const thresholds = metrics.summary.thresholds || {};
+  const findings = [];
+
+  if (Object.keys(thresholds).length === 0) {
+    return [finding('threshold-margin', 'thresholdAnalysis', 'warning',
+      'No thresholds are defined, so the run cannot pass or fail on performance',
+      'Add thresholds for http_req_duration (e.g. p(95)) and http_req_failed (rate) to the load profile')];
+  }
+
+  Object.entries(thresholds).forEach(([metricName, threshold]) => {
+    Object.entries(threshold.ok || {}).forEach(([expression, passed]) => {
+      const parsed = parseThresholdExpression(expression);
+      const values = threshold.metricValues || {};
+      const actual = parsed ? values[parsed.aggregation] : undefined;
+      const describe = typeof actual === 'number'
+        ? `${metricName} ${expression} (actual ${parsed.aggregation}=${Number(actual.toFixed(4))})`
+        : `${metricName} ${expression}`;
+
+      if (passed === false) {
+        const over = typeof actual === 'number' && parsed.limit !== 0
+          ? `, off by ${(Math.abs(actual - parsed.limit) / Math.abs(parsed.limit) * 100).toFixed(1)}%`
+          : '';
+        findings.push(finding('threshold-margin', 'thresholdAnalysis', 'critical',
+          `Threshold failed: ${describe}${over}`,
+          `Bring ${metricName} within ${expression} before relying on this build`));
+        return;
+      }
+      if (passed !== true || typeof actual !== 'number' || !['<', '<='].includes(parsed.operator) || parsed.limit <= 0) {
+        if (passed === true) {
+          findings.push(finding('threshold-margin', 'thresholdAnalysis', 'info', `Threshold passed: ${describe}`));
+        }
+        return;
+      }
+
+      const usage = actual / parsed.limit;
+      if (1 - usage <= THRESHOLD_MARGIN_WARNING) {
+        findings.push(finding('threshold-margin', 'thresholdAnalysis', 'warning',
+          `Threshold passed with little margin: ${describe}, ${(usage * 100).toFixed(0)}% of the limit`,
+          `${metricName} is close to its limit; a small regression will fail ${expression}`));
+      } else if (usage < LENIENT_THRESHOLD_USAGE) {
+        findings.push(finding('threshold-margin', 'thresholdAnalysis', 'info',
+          `Threshold may be lenient: ${describe}, ${(usage * 100).toFixed(0)}% of the limit`,
+          `Consider tightening ${expression} on ${metricName} so regressions are caught earlier`));
+      } else {
+        findings.push(finding('threshold-margin', 'thresholdAnalysis', 'info',
+          `Threshold passed: ${describe}, ${(usage * 100).toFixed(0)}% of the limit`));
+      }
+    });
+  });
+
+  return findings;
+}
+
+/**
+ * Error rates overall (when no threshold covers them) and per endpoint
+ */
+function errorRateRule(metrics) {
+  const findings = [];
+  const { errorRate, errorCount } = metrics.summary;
+  const covered = !!(metrics.summary.thresholds || {}).http_req_failed;
+
+  if (!covered && errorRate >= ERROR_RATE_WARNING) {
+    findings.push(finding('error-rate', 'anomalies', errorRate >= ERROR_RATE_CRITICAL ? 'critical' : 'warning',
+      `Error rate is ${percent(errorRate)} (${errorCount} failed requests) with no http_req_failed threshold`,
+      'Investigate the failing requests and add an http_req_failed threshold'));
+  }
+
+  (metrics.endpoints || [])
+    .filter(e => e.requests >= MIN_ENDPOINT_REQUESTS && e.errorRate >= ERROR_RATE_WARNING)
+    .sort((a, b) => b.errorRate - a.errorRate)
+    .forEach(e => {
+      findings.push(finding('error-rate', 'bottlenecks', e.errorRate >= ERROR_RATE_CRITICAL ? 'critical' : 'warning',
+        `${endpointLabel(e)} fails ${percent(e.errorRate)} of ${e.requests} requests`,
+        `Check server logs and responses for ${endpointLabel(e)}`));
+    });
+
+  return findings;
+}
+
+/**
+ * Failed checks (pm.test assertions converted to k6 checks)
+ */
+function failedChecksRule(metrics) {
+  const failed = (metrics.checks || [])
+    .filter(c => c.fails > 0)
+    .sort((a, b) => a.rate - b.rate);
+  const checkName = c => `${c.group ? `${c.group} / ` : ''}${c.name}`;
+
+  // One recommendation for all failed checks, on the finding of the worst one
+  return failed.map((c, index) => finding('failed-checks', 'anomalies', c.rate < 0.95 ? 'critical' : 'warning',
+    `Check "${checkName(c)}" failed ${c.fails} of ${c.passes + c.fails} times (${percent(c.rate)} passed)`,
+    index === 0
+      ? `Failed checks usually mean wrong responses under load; inspect the response bodies and status codes of ${failed.map(f => `"${checkName(f)}"`).join(', ')}`
+      : null));
+}
+
+/**
+ * Endpoints much slower than the rest of the collection
+ */
+function slowEndpointRule(metrics) {
+  const endpoints = (metrics.endpoints || []).filter(e => e.requests >= MIN_ENDPOINT_REQUESTS && e.p95 > 0);
+  if (endpoints.length < 2) return [];
+
+  const sorted = endpoints.map(e => e.p95).sort((a, b) => a - b);
+  const medianP95 = sorted[Math.floor(sorted.length / 2)];
+
+  return endpoints
+    .filter(e => e.p95 >= medianP95 * SLOW_ENDPOINT_FACTOR)
+    .map(e => finding('slow-endpoint', 'bottlenecks', 'warning',
+      `${endpointLabel(e)} is a latency hotspot: p95 ${ms(e.p95)} vs ${ms(medianP95)} median across endpoints`,
+      `Profile ${endpointLabel(e)} (queries, downstream calls, payload size)`));
+}
+
+/**
+ * Knee point: latency or errors started climbing once VUs passed a certain level.
+ * Comes from detectSaturation() in time-series.js, so runs without a knee get no finding.
+ */
+function saturationKneeRule(metrics) {
+  const saturation = metrics.saturation;
+  if (!saturation || !saturation.knee) return [];
+
+  const knee = saturation.knee;
+  const symptom = knee.reason === 'errors'
+    ? `the error rate rose to ${percent(knee.errorRate)}`
+    : `p95 rose to ${ms(knee.p95)} from ${ms(saturation.baseline.p95)} at low load`;
+  const plateauNote = saturation.peakVus > saturation.saturation.vus &&
+    saturation.peakRequestRate <= saturation.saturation.requestRate * (1 + PLATEAU_THROUGHPUT_BAND)
+    ? `; throughput stayed near ${saturation.saturation.requestRate.toFixed(1)} req/s while VUs grew to ${saturation.peakVus}`
+    : '';
+
+  return [finding('saturation-knee', 'bottlenecks', 'warning',
+    `Knee point at ${knee.vus} VUs (${knee.offsetSeconds}s into the run): ${symptom}${plateauNote}`,
+    `Treat about ${saturation.saturation.vus} VUs / ${saturation.saturation.requestRate.toFixed(1)} req/s as the current capacity; plan scaling or tuning before expected load reaches it`)];
+}
+
+const RULES = [tailLatencyRule, thresholdMarginRule, errorRateRule, failedChecksRule, slowEndpointRule, saturationKneeRule];
+
+/**
+ * Derive likely causes from combinations of findings
+ */
+function rootCauseFindings(metrics, findings) {
+  const has = rule => findings.some(f => f.rule === rule && f.severity !== 'info');
+  const causes = [];
+
+  if (has('saturation-knee') && (has('tail-latency') || has('error-rate'))) {
+    causes.push(finding('root-cause', 'rootCause', 'warning',
+      'Saturation: latency or errors rose once load passed the knee point, so requests are queueing for a limited resource'));
+  }
+  if (metrics.summary.errorRate >= ERROR_RATE_WARNING && metrics.summary.responseTimes.p95 > 0 &&
+      metrics.summary.responseTimes.med > 0 && metrics.summary.responseTimes.p95 / metrics.summary.responseTimes.med < 2) {
+    causes.push(finding('root-cause', 'rootCause', 'info',
+      'Errors occur without a latency increase, which points to functional failures (auth, validation, missing data) rather than overload'));
+  }
+  if (has('slow-endpoint') && !has('tail-latency')) {
+    causes.push(finding('root-cause', 'rootCause', 'info',
+      'Latency is concentrated in a few endpoints rather than spread across the system'));
+  }
+
+  return causes;
+}
+
+/**
+ * Rate the run from the worst finding
+ */
+function rateRun(findings) {
+  if (findings.some(f => f.severity === 'critical')) return 'poor';
+  if (findings.filter(f => f.severity === 'warning').length > 2) return 'fair';
+  if (findings.some(f => f.severity === 'warning')) return 'good';
+  return 'excellent';
+}
+
+/**
+ * Render findings of one section as a bullet list
+ */
+function formatFindings(findings) {
+  return findings
+    .slice()
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+    .map(f => `- **${f.severity.toUpperCase()}** ${f.message}`)
+    .join('\n');
+}
+
+/**
+ * Analyze parsed k6 results (parseK6Results output) with the built-in rules.
+ * Returns insights shaped like the AI analysis ({ raw, sections, summary }) plus
+ * { source: 'rules', rating, findings }.
+ */
+function analyzeWithRules(metrics) {
+  const findings = [];
+  RULES.forEach(rule => findings.push(...rule(metrics)));
+  findings.push(...rootCauseFindings(metrics, findings));
+
+  const rating = rateRun(findings);
+  const critical = findings.filter(f => f.severity === 'critical');
+  const warnings = findings.filter(f => f.severity === 'warning');
+  const { summary } = metrics;
+
+  const sections = {};
+  SECTIONS.forEach(([key]) => {
+    const text = formatFindings(findings.filter(f => f.section === key));
+    sections[key] = text || null;
+  });
+
+  sections.performanceAssessment = [
+    `- Overall health: **${rating}** (${critical.length} critical, ${warnings.length} warning findings)`,
+    `- ${summary.totalRequests} requests at ${summary.requestRate.toFixed(2)} req/s, error rate ${percent(summary.errorRate)}`,
+    `- Response times: median ${ms(summary.responseTimes.med)}, p95 ${ms(summary.responseTimes.p95)}, p99 ${ms(summary.responseTimes.p99)}`,
+    sections.performanceAssessment
+  ].filter(Boolean).join('\n');
+
+  // Most severe first; a recommendation shared by several findings is listed once
+  const recommendations = findings
+    .filter(f => f.recommendation)
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+    .filter((f, index, sorted) => sorted.findIndex(other => other.recommendation === f.recommendation) === index);
+  sections.recommendations = recommendations.length > 0
+    ? recommendations.map(f => `- [${PRIORITY[f.severity]}] ${f.recommendation}`).join('\n')
+    : null;
+
+  const readiness = critical.length > 0 ? 'Not ready' : (warnings.length > 0 ? 'Ready with caveats' : 'Ready');
+  sections.riskAssessment = [
+    `- Production readiness: **${readiness}**`,
+    ...critical.map(f => `- Critical: ${f.message}`)
+  ].join('\n');
+
+  const summaryText = `Rule-based assessment: **${rating}**. ${critical.length} critical and ${warnings.length} warning findings; ` +
+    `p95 ${ms(summary.responseTimes.p95)}, error rate ${percent(summary.errorRate)}, ${summary.requestRate.toFixed(2)} req/s.`;
+
+  return {
+    source: 'rules',
+    rating,
+    findings,
+    raw: SECTIONS.map(([key, title]) => `## ${title}\n\n${sections[key] || 'No findings'}`).join('\n\n'),
+    sections,
+    summary: summaryText
+  };
+}
+
+// CLI usage
+if (require.main === module) {
+  const resultsPath = process.argv[2];
+  const scriptPath = process.argv[3] || null;
+  const summaryPath = process.argv[4] || null;
+
+  if (!resultsPath) {
+    console.error('Usage: node rule-based-analyzer.js <k6-results-json> [k6-script] [k6-summary]');
+    process.exit(1);
+  }
+
+  try {
+    const insights = analyzeWithRules(parseK6Results(resultsPath, scriptPath, summaryPath));
+    console.log(insights.summary);
+    console.log('');
+    console.log(insights.raw);
+  } catch (error) {
+    console.error(`Error analyzing results: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  analyzeWithRules,
+  parseThresholdExpression,
+  SECTIONS
+};
@@ -0,0 +1,837 @@
+#!/usr/bin/env node
+
+/**
+ * Pipeline Runner
+ * Runs the steps of the GitHub Action and the GitLab CI template, so CI and local runs convert,
+ * merge, run and report the same way:
+ *   configure        save the settings to .k6-config/pipeline-config.json
+ *   convert          validate and lint the collection, convert it to a k6 script, scrub its secrets
+ *   prepare-profile  generate the AI-suggested profile (if enabled) and pick the load profile
+ *   merge            merge the profile, traffic mix, SLA thresholds and summary handler into the script
+ *   run              run k6, writing the end-of-test summary and the JSON results
+ *   analyze          write the rule-based analysis report, with AI insights when enabled
+ *   report           write the HTML and JUnit reports and compare the run with the baseline
+ *   scrub            mask secrets in the generated scripts and .k6-config
+ *   status           print what the pipeline produced; fails when the k6 run failed
+ *   all              configure, then every step in order
+ *
+ * Settings are named like the action inputs: --load-profile stress on the command line, or the
+ * LOAD_PROFILE environment variable (the GitLab CI variable names). Once `configure` has saved
+ * them, later commands read the saved settings instead of the environment. The AI API key is
+ * only read from AI_API_KEY and never saved.
+ *
+ * Each command records what it produced (script, profile, k6 status) in
+ * .k6-config/pipeline-state.json for the next one, and as step outputs on GitHub Actions.
+ *
+ * Usage: node run-pipeline.js <command> [--<setting> <value> ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { lintCollection, formatLintResult, CONVERTERS } = require('./lint-collection');
+const { convertCollectionFile } = require('./convert-collection');
+const { DISTRIBUTIONS } = require('./iteration-data');
+const { scrubSecrets } = require('./scrub-secrets');
+const { generateProfile } = require('./ai-profile-generator');
+const { validateProfilesDocument, parseGuardrails, profileIterations } = require('./profile-schema');
+const { compileProfile } = require('./compile-profile');
+const { readYAMLFile } = require('./yaml-utils');
+const { mergeK6OptionsFile, TRAFFIC_MODES } = require('./merge-k6-options');
+const { analyzeResults, ANALYSIS_FORMATS } = require('./ai-result-analyzer');
+const { writeHtmlReport } = require('./html-report');
+const { writeJUnitReport } = require('./junit-report');
+const { runComparison } = require('./compare-results');
+
+const OUTPUT_DIR = '.k6-config';
+const CONFIG_FILE = '.k6-config/pipeline-config.json';
+const STATE_FILE = '.k6-config/pipeline-state.json';
+const STAGES_FILE = '.k6-config/stages.json';
+const THRESHOLDS_FILE = '.k6-config/thresholds.json';
+const SUMMARY_FILE = '.k6-config/k6-summary.json';
+const RESULTS_FILE = '.k6-config/k6-results.json';
+const AI_PROFILE_FILE = '.k6-config/ai-suggested-profile.yaml';
+const REPORT_FILE = '.k6-config/ai-insights-report.md';
+// k6 flags for runs without a profiles config
+const DEFAULT_K6_FLAGS = ['--vus', '5', '--duration', '1m'];
+
+// Settings and their defaults, camelCased action input names. Command line and environment
+// values are read as the type of the default.
+const DEFAULTS = {
+  postmanCollection: 'postman/collection.json',
+  loadProfile: 'smoke',
+  profilesConfig: 'profiles/load-profiles.yaml',
+  k6Options: '',
+  environmentFile: '',
+  converter: 'native',
+  requestHook: '',
+  scrubSecrets: true,
+  dataFile: '',
+  dataDistribution: 'sequential',
+  lintCollection: true,
+  lintStrict: false,
+  enableAiProfileGeneration: false,
+  enableResultAnalysis: true,
+  enableHtmlReport: true,
+  enableJunitReport: true,
+  enableAiResultAnalysis: false,
+  aiProvider: 'openai',
+  aiModel: '',
+  aiBaseUrl: '',
+  aiTimeout: 30000,
+  aiMaxRetries: 2,
+  aiAnalysisFormat: 'text',
+  aiProfileRepairAttempts: 2,
+  apiMetadataFile: '',
+  trafficMode: 'off',
+  trafficRpsScale: 1,
+  slaThresholds: false,
+  useAiProfile: false,
+  aiProfileMaxVus: 200,
+  aiProfileMaxDuration: '30m',
+  baselinePath: '',
+  regressionTolerances: '',
+  regressionBudget: 0
+};
+
+/**
+ * Action input (and command line flag) name of a setting: loadProfile -> load-profile
+ */
+function inputName(key) {
+  return key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+/**
+ * Environment variable of a setting: loadProfile -> LOAD_PROFILE
+ */
+function variableName(key) {
+  return inputName(key).replace(/-/g, '_').toUpperCase();
+}
+
+function parseSetting(key, value) {
+  const type = typeof DEFAULTS[key];
+  if (type === 'boolean') {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new Error(`${inputName(key)} must be true or false (got ${value})`);
+  }
+  if (type === 'number') {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+      throw new Error(`${inputName(key)} must be a number (got ${value})`);
+    }
+    return number;
+  }
+  return String(value);
+}
+
+function validateConfig(config) {
+  const choices = {
+    converter: Object.keys(CONVERTERS),
+    dataDistribution: DISTRIBUTIONS,
+    trafficMode: TRAFFIC_MODES,
+    aiAnalysisFormat: ANALYSIS_FORMATS
+  };
+  Object.entries(choices).forEach(([key, allowed]) => {
+    if (!allowed.includes(config[key])) {
+      throw new Error(`${inputName(key)} must be ${allowed.join(', ')} (got ${config[key]})`);
+    }
+  });
+  if (!Number.isInteger(config.regressionBudget) || config.regressionBudget < 0) {
+    throw new Error(`regression-budget must be a non-negative integer (got ${config.regressionBudget})`);
+  }
+  if (!(config.trafficRpsScale > 0)) {
+    throw new Error(`traffic-rps-scale must be a positive number (got ${config.trafficRpsScale})`);
+  }
+  return config;
+}
+
+function readJsonFile(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read ${label} file ${filePath}: ${e.message}`);
+  }
+}
+
+function writeJsonFile(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(value, null, 2), 'utf8');
+}
+
+/**
+ * Settings from the defaults, then the saved config (or the environment variables when there
+ * is none, or options.ignoreSaved is set), then flags ({ 'load-profile': 'stress' })
+ */
+function loadConfig(flags = {}, options = {}) {
+  const saved = !options.ignoreSaved && fs.existsSync(CONFIG_FILE) ? readJsonFile(CONFIG_FILE, 'pipeline config') : null;
+  const config = Object.assign({}, DEFAULTS);
+
+  Object.keys(DEFAULTS).forEach(key => {
+    if (saved) {
+      if (saved[key] !== undefined) config[key] = parseSetting(key, saved[key]);
+    } else if (process.env[variableName(key)]) {
+      // Empty variables keep the default, like ${VARIABLE:-default} in the GitLab template
+      config[key] = parseSetting(key, process.env[variableName(key)]);
+    }
+    if (flags[inputName(key)] !== undefined) {
+      config[key] = parseSetting(key, flags[inputName(key)]);
+    }
+  });
+  return validateConfig(config);
+}
+
+/**
+ * What the earlier commands produced: scriptPath, profile, profileSource, stagesFile,
+ * thresholdsFile, k6Flags, status
+ */
+function readState() {
+  return fs.existsSync(STATE_FILE) ? readJsonFile(STATE_FILE, 'pipeline state') : {};
+}
+
+function updateState(changes) {
+  const state = Object.assign(readState(), changes);
+  writeJsonFile(STATE_FILE, state);
+  return state;
+}
+
+/**
+ * Set a step output (GitHub Actions only)
+ */
+function setOutput(name, value) {
+  if (process.env.GITHUB_OUTPUT) {
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, `${name}=${value || ''}\n`, 'utf8');
+  }
+}
+
+/**
+ * Add markdown to the job summary page (GitHub Actions only)
+ */
+function appendStepSummary(lines) {
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, lines.join('\n') + '\n', 'utf8');
+  }
+}
+
+function firstLines(filePath, count) {
+  return fs.readFileSync(filePath, 'utf8').split('\n').slice(0, count).join('\n');
+}
+
+function existingFile(filePath) {
+  return filePath && fs.existsSync(filePath) ? filePath : null;
+}
+
+function scriptFromState(state) {
+  if (!state.scriptPath || !fs.existsSync(state.scriptPath)) {
+    throw new Error('No k6 script found, run the convert command first');
+  }
+  return state.scriptPath;
+}
+
+/**
+ * Run an external tool with the output shown as it runs; returns its exit code
+ */
+function runTool(command, args) {
+  const result = spawnSync(command, args, { stdio: 'inherit' });
+  if (result.error) {
+    throw new Error(`Could not run ${command}: ${result.error.message}`);
+  }
+  return result.status === null ? 1 : result.status;
+}
+
+/**
+ * AI provider config for the AI scripts, which read the API key from AI_API_KEY
+ */
+function aiConfig(config, extra = {}) {
+  const result = { provider: config.aiProvider };
+  if (config.aiModel) result.model = config.aiModel;
+  if (config.aiBaseUrl) result.baseUrl = config.aiBaseUrl;
+  result.timeout = config.aiTimeout;
+  result.maxRetries = config.aiMaxRetries;
+  return Object.assign(result, extra);
+}
+
+function hasAiKey(config) {
+  return !!process.env.AI_API_KEY || config.aiProvider === 'local';
+}
+
+/**
+ * Save the settings for the commands that follow
+ */
+async function configure(config) {
+  writeJsonFile(CONFIG_FILE, config);
+  console.log(`Pipeline settings saved to: ${CONFIG_FILE}`);
+  Object.keys(DEFAULTS)
+    .filter(key => config[key] !== DEFAULTS[key])
+    .forEach(key => console.log(`  ${inputName(key)}: ${config[key]}`));
+  return {};
+}
+
+/**
+ * Validate and lint the collection, convert it to k6-script-<timestamp>.js and read the secrets
+ * it holds from __ENV
+ */
+async function convert(config) {
+  const collectionPath = config.postmanCollection;
+  if (!fs.existsSync(collectionPath)) {
+    throw new Error(`Postman collection file not found at ${collectionPath}`);
+  }
+  try {
+    JSON.parse(fs.readFileSync(collectionPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid JSON format in Postman collection: ${e.message}`);
+  }
+  const environmentPath = existingFile(config.environmentFile);
+  if (config.dataFile && !fs.existsSync(config.dataFile)) {
+    throw new Error(`Data file not found: ${config.dataFile}`);
+  }
+
+  // Lint for things the converter cannot convert or that break under load
+  if (config.lintCollection) {
+    const lint = lintCollection(collectionPath, {
+      environmentPath,
+      dataPath: config.dataFile || null,
+      converter: config.converter
+    });
+    console.log(formatLintResult(lint));
+    if (config.lintStrict && lint.issues.length > 0) {
+      throw new Error(`Postman collection lint failed: strict mode fails on lint errors and warnings (${lint.errors.length} error(s), ${lint.warnings.length} warning(s))`);
+    }
+  }
+  console.log('Postman collection validated successfully');
+
+  const outputPath = `k6-script-${Math.floor(Date.now() / 1000)}.js`;
+  let dataRows = null;
+  console.log(`Converting Postman collection to k6 script (${config.converter} converter)...`);
+  if (config.converter === 'postman-to-k6') {
+    const args = [collectionPath, '-o', outputPath];
+    if (environmentPath) args.push('--environment', environmentPath);
+    if (config.dataFile) {
+      // postman-to-k6 takes --csv or --json and always walks the rows in order
+      args.push(`--${path.extname(config.dataFile).substring(1)}`, config.dataFile);
+    }
+    if (runTool('postman-to-k6', args) !== 0) {
+      throw new Error('postman-to-k6 failed to convert the collection');
+    }
+  } else {
+    const result = convertCollectionFile(collectionPath, {
+      outputPath,
+      environmentPath,
+      hookPath: config.requestHook || null,
+      dataPath: config.dataFile || null,
+      dataDistribution: config.dataDistribution
+    });
+    result.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+    if (result.secrets.length > 0) {
+      console.log(`Secrets read from environment variables: ${result.secrets.join(', ')}`);
+    }
+    dataRows = result.data ? result.data.rows : null;
+  }
+  if (!fs.existsSync(outputPath)) {
+    throw new Error('Failed to generate k6 script');
+  }
+  console.log(`k6 script generated: ${outputPath}`);
+
+  // Secrets baked in from the collection and environment file are read from __ENV instead
+  if (config.scrubSecrets) {
+    const report = scrubSecrets(collectionPath, { environmentPath, paths: [outputPath] });
+    if (report.secrets.length > 0) {
+      console.log(`Secrets replaced with __ENV reads: ${report.secrets.map(s => s.name).join(', ')}`);
+    }
+  }
+
+  updateState({ scriptPath: outputPath, dataRows });
+  setOutput('script-path', outputPath);
+  return { scriptPath: outputPath };
+}
+
+/**
+ * Ask the AI provider for a load profile; returns its path, or null when it was not generated
+ */
+async function generateAiProfile(config) {
+  if (!hasAiKey(config)) {
+    console.log('Warning: AI profile generation enabled but AI_API_KEY not provided. Skipping AI analysis.');
+    return null;
+  }
+  const metadataPath = existingFile(config.apiMetadataFile);
+  console.log(metadataPath ? `Using metadata file: ${metadataPath}` : 'No metadata file provided or file not found. Proceeding without metadata.');
+
+  console.log('Running AI profile generation...');
+  const result = await generateProfile(
+    config.postmanCollection,
+    aiConfig(config, { maxRepairAttempts: config.aiProfileRepairAttempts }),
+    AI_PROFILE_FILE,
+    metadataPath,
+    existingFile(config.environmentFile)
+  );
+  if (!result.success || !fs.existsSync(AI_PROFILE_FILE)) {
+    console.log(`Warning: AI profile generation failed${result.error ? ` (${result.error})` : ''}, continuing with default profile selection`);
+    return null;
+  }
+
+  console.log(`AI profile generated successfully: ${AI_PROFILE_FILE}`);
+  appendStepSummary([
+    '## AI-Generated Load Profile',
+    '',
+    `Profile saved to: \`${AI_PROFILE_FILE}\``,
+    '',
+    '```yaml',
+    firstLines(AI_PROFILE_FILE, 20),
+    '```'
+  ]);
+  return AI_PROFILE_FILE;
+}
+
+/**
+ * Data rows a compiled profile needs with the unique distribution, or null when it runs for a
+ * set duration. Scenarios take turns over the rows, so N scenarios need N times the iterations
+ * of the busiest one.
+ */
+function uniqueRowsNeeded(load) {
+  if (load.stages) return null;
+
+  const names = Object.keys(load.scenarios);
+  let busiest = 0;
+  for (const name of names) {
+    const iterations = profileIterations({ scenarios: { [name]: load.scenarios[name] } });
+    if (iterations === null) return null;
+    busiest = Math.max(busiest, iterations);
+  }
+  return busiest * names.length;
+}
+
+/**
+ * With the unique data distribution every row is sent once and the test is aborted when they
+ * run out: warn when the profile's stages or { scenarios } (null: the default k6 flags, which
+ * run for a minute) may need more rows than the data file has
+ */
+function warnDataRowsRunOut(config, profile, load) {
+  const { dataRows } = readState();
+  if (config.dataDistribution !== 'unique' || !dataRows) return;
+
+  let needed = null;
+  if (load) {
+    try {
+      needed = uniqueRowsNeeded(compileProfile(load));
+    } catch (e) {
+      // An invalid profile is reported by the merge step
+      return;
+    }
+  }
+  if (needed === null) {
+    console.log(`Warning: the ${profile} profile runs for a set duration, so its iterations are not capped; the test is aborted once all ${dataRows} data rows are used (unique distribution)`);
+  } else if (needed > dataRows) {
+    console.log(`Warning: the ${profile} profile needs about ${needed} data rows but the data file has ${dataRows}; the test is aborted once a scenario has used its share (unique distribution)`);
+  }
+}
+
+/**
+ * Pick the profiles config (the AI-suggested one when requested and it passes schema validation
+ * and guardrails) and write the profile's stages or scenarios and thresholds as JSON
+ */
+async function prepareProfile(config) {
+  const aiProfilePath = config.enableAiProfileGeneration ? await generateAiProfile(config) : null;
+  setOutput('ai-profile-path', aiProfilePath);
+
+  let profilesConfig = config.profilesConfig;
+  let profileSource = 'static';
+  if (config.useAiProfile) {
+    if (!aiProfilePath) {
+      console.log(`Warning: use-ai-profile enabled but no AI-suggested profile was generated, using ${profilesConfig}`);
+    } else {
+      let validation;
+      try {
+        const guardrails = parseGuardrails(String(config.aiProfileMaxVus), config.aiProfileMaxDuration);
+        validation = validateProfilesDocument(readYAMLFile(aiProfilePath), guardrails, config.loadProfile);
+      } catch (e) {
+        validation = { valid: false, errors: [e.message] };
+      }
+      if (validation.valid) {
+        console.log(`Using AI-suggested profile: ${aiProfilePath}`);
+        profilesConfig = aiProfilePath;
+        profileSource = 'ai';
+      } else {
+        console.log(`Warning: AI-suggested profile failed validation, falling back to ${profilesConfig}`);
+        validation.errors.forEach(error => console.log(`  - ${error}`));
+      }
+    }
+  }
+  setOutput('profile-source', profileSource);
+
+  let profile = config.loadProfile;
+  const state = { profile, profileSource, stagesFile: null, thresholdsFile: null, k6Flags: null };
+  if (!fs.existsSync(profilesConfig)) {
+    console.log('Warning: Profiles config not found, using default smoke profile');
+    state.k6Flags = DEFAULT_K6_FLAGS;
+  } else {
+    const profiles = (readYAMLFile(profilesConfig) || {}).profiles || {};
+    if (!profiles[profile]) {
+      console.log(`Warning: Profile '${profile}' not found in config, falling back to smoke`);
+      profile = 'smoke';
+    }
+    const definition = profiles[profile] || {};
+    const hasStages = Array.isArray(definition.stages) && definition.stages.length > 0;
+    const hasScenarios = !!definition.scenarios && Object.keys(definition.scenarios).length > 0;
+
+    // Stages array (or scenarios map) and thresholds for the merge step
+    if (hasStages || hasScenarios) {
+      writeJsonFile(STAGES_FILE, hasScenarios ? { scenarios: definition.scenarios } : definition.stages);
+      writeJsonFile(THRESHOLDS_FILE, definition.thresholds === undefined ? null : definition.thresholds);
+      state.stagesFile = STAGES_FILE;
+      state.thresholdsFile = THRESHOLDS_FILE;
+    }
+    state.profile = profile;
+    console.log(`Load profile: ${profile} (${profilesConfig})`);
+  }
+  warnDataRowsRunOut(config, state.profile, state.stagesFile ? readJsonFile(state.stagesFile, 'stages') : null);
+
+  updateState(state);
+  setOutput('profile', state.profile);
+  return state;
+}
+
+/**
+ * Merge the prepared profile into the k6 script, with the traffic mix and SLA thresholds when
+ * enabled, and add the handleSummary() export that writes the end-of-test summary
+ */
+async function merge(config) {
+  const state = readState();
+  const scriptPath = scriptFromState(state);
+  const stages = state.stagesFile && fs.existsSync(state.stagesFile) ? readJsonFile(state.stagesFile, 'stages') : null;
+  const thresholds = state.thresholdsFile && fs.existsSync(state.thresholdsFile) ? readJsonFile(state.thresholdsFile, 'thresholds') : null;
+
+  mergeK6OptionsFile(scriptPath, {
+    stages,
+    thresholds,
+    profileName: state.profile || config.loadProfile,
+    trafficMode: config.trafficMode,
+    rpsScale: config.trafficRpsScale,
+    metadataPath: config.apiMetadataFile || null,
+    slaThresholds: config.slaThresholds,
+    summaryFile: SUMMARY_FILE
+  });
+  if (stages) {
+    console.log(`Successfully merged load profile options into ${scriptPath}`);
+  }
+  setOutput('final-script', scriptPath);
+  return { scriptPath };
+}
+
+/**
+ * The analysis, the HTML report and the baseline comparison need the k6 data points
+ */
+function needsResults(config) {
+  return config.enableResultAnalysis || config.enableAiResultAnalysis || config.enableHtmlReport || !!config.baselinePath;
+}
+
+/**
+ * Arguments of the `k6 run` command for the merged script
+ */
+function k6RunArgs(config, state) {
+  const scriptPath = scriptFromState(state);
+  const args = ['run'].concat(state.k6Flags || [], config.k6Options.split(/\s+/).filter(Boolean));
+
+  // Every run writes an end-of-test summary: merge injects handleSummary() for it,
+  // otherwise fall back to --summary-export
+  if (!fs.readFileSync(scriptPath, 'utf8').includes(SUMMARY_FILE)) {
+    args.push(`--summary-export=${SUMMARY_FILE}`);
+  }
+  if (needsResults(config)) {
+    args.push('--out', `json=${RESULTS_FILE}`);
+  }
+  return args.concat(scriptPath);
+}
+
+/**
+ * Run k6 on the merged script. The run's status is recorded; a failed run fails the command,
+ * but analyze and report still work on its results.
+ */
+async function runK6(config) {
+  const state = readState();
+  const scriptPath = scriptFromState(state);
+  const args = k6RunArgs(config, state);
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  if (needsResults(config)) {
+    console.log(`k6 results will be saved to ${RESULTS_FILE} for result analysis`);
+  }
+
+  console.log(`Running k6 test with profile: ${state.profile || config.loadProfile}`);
+  console.log(`Script: ${scriptPath}`);
+  const status = runTool('k6', args) === 0 ? 'success' : 'failure';
+
+  if (needsResults(config) && !fs.existsSync(RESULTS_FILE)) {
+    console.log(`Warning: k6 results file not found after test completion: ${RESULTS_FILE}`);
+  }
+  updateState({ status });
+  setOutput('status', status);
+  setOutput('summary-file', SUMMARY_FILE);
+  setOutput('results-file', needsResults(config) ? RESULTS_FILE : null);
+  return { status, failed: status === 'failure', message: 'k6 run failed' };
+}
+
+/**
+ * Write the rule-based analysis report, with AI insights layered on top when enabled. Analysis
+ * failures are reported but do not fail the command.
+ */
+async function analyze(config) {
+  const state = readState();
+  if (!config.enableResultAnalysis && !config.enableAiResultAnalysis) {
+    console.log('Result analysis not enabled');
+    return {};
+  }
+  if (!fs.existsSync(RESULTS_FILE) && !fs.existsSync(SUMMARY_FILE)) {
+    console.log(`Warning: k6 results file not found: ${RESULTS_FILE}. Result analysis skipped.`);
+    setOutput('report-path', null);
+    return {};
+  }
+
+  let useAi = config.enableAiResultAnalysis;
+  if (useAi && !hasAiKey(config)) {
+    console.log('Warning: AI result analysis enabled but AI_API_KEY not provided. Writing the rule-based report only.');
+    useAi = false;
+  }
+  if (!useAi) {
+    console.log('AI analysis not enabled; writing the rule-based report');
+  }
+
+  const profileName = state.profile || config.loadProfile;
+  console.log(`Running result analysis for profile: ${profileName}`);
+  const result = await analyzeResults(
+    RESULTS_FILE,
+    useAi ? aiConfig(config, { analysisFormat: config.aiAnalysisFormat }) : null,
+    profileName,
+    OUTPUT_DIR,
+    existingFile(state.scriptPath),
+    SUMMARY_FILE
+  );
+  if (!result.success || !fs.existsSync(REPORT_FILE)) {
+    console.log(`Warning: result analysis failed${result.error ? ` (${result.error})` : ''}`);
+    setOutput('report-path', null);
+    return {};
+  }
+
+  console.log(`Result analysis completed successfully: ${REPORT_FILE}`);
+  setOutput('report-path', REPORT_FILE);
+  appendStepSummary([
+    '## Result Analysis',
+    '',
+    `Full report: \`${REPORT_FILE}\``,
+    '',
+    '```',
+    firstLines(REPORT_FILE, 30),
+    '```'
+  ]);
+  return { reportPath: REPORT_FILE };
+}
+
+/**
+ * Write the HTML and JUnit reports and compare a successful run with the baseline. Fails when
+ * the regressions exceed the budget; report generation failures are only warnings.
+ */
+async function report(config) {
+  const state = readState();
+  if (!fs.existsSync(RESULTS_FILE) && !fs.existsSync(SUMMARY_FILE)) {
+    console.log('Warning: no k6 results found, skipping reports');
+    return {};
+  }
+  const options = {
+    scriptPath: existingFile(state.scriptPath),
+    summaryPath: SUMMARY_FILE,
+    profileName: state.profile || config.loadProfile,
+    outputDir: OUTPUT_DIR
+  };
+
+  // Includes the analysis from .k6-config/ai-insights-report.json when analyze wrote one
+  if (config.enableHtmlReport) {
+    try {
+      const reportPath = writeHtmlReport(RESULTS_FILE, options);
+      console.log(`HTML report saved to: ${reportPath}`);
+      setOutput('html-report', reportPath);
+      appendStepSummary([`HTML report: \`${reportPath}\` (in the results artifact)`]);
+    } catch (e) {
+      console.log(`Warning: HTML report generation failed: ${e.message}`);
+    }
+  }
+
+  // One test case per threshold expression and per check (pm.test)
+  if (config.enableJunitReport) {
+    try {
+      const junit = writeJUnitReport(RESULTS_FILE, options);
+      console.log(`JUnit report saved to: ${junit.reportPath} (${junit.tests} tests, ${junit.failures} failures)`);
+      setOutput('junit-report', junit.reportPath);
+    } catch (e) {
+      console.log(`Warning: JUnit report generation failed: ${e.message}`);
+    }
+  }
+
+  if (!config.baselinePath) {
+    return {};
+  }
+  if (state.status !== 'success') {
+    console.log('Skipping baseline comparison: the k6 run did not succeed');
+    return {};
+  }
+  if (!fs.existsSync(config.baselinePath)) {
+    console.log(`Warning: baseline not found at ${config.baselinePath}, skipping comparison`);
+    return {};
+  }
+  const comparison = runComparison(config.baselinePath, RESULTS_FILE, {
+    summaryPath: SUMMARY_FILE,
+    scriptPath: options.scriptPath,
+    tolerances: config.regressionTolerances || undefined,
+    budget: config.regressionBudget,
+    outputDir: OUTPUT_DIR
+  });
+  console.log(comparison.markdown);
+  console.log(`Comparison reports saved to: ${comparison.markdownPath}, ${comparison.jsonPath}`);
+  setOutput('comparison-report', comparison.markdownPath);
+  appendStepSummary([comparison.markdown]);
+  return {
+    failed: comparison.failed,
+    message: `${comparison.comparison.regressions.length} regression(s) exceed the budget of ${config.regressionBudget}`
+  };
+}
+
+/**
+ * Mask collection secrets, the AI key and the secrets the scripts read from __ENV in the
+ * generated scripts and .k6-config
+ */
+async function scrub(config) {
+  if (!config.scrubSecrets) {
+    console.log('Secret scrubbing not enabled');
+    return {};
+  }
+  const result = scrubSecrets(config.postmanCollection, {
+    environmentPath: existingFile(config.environmentFile),
+    paths: ['k6-script*.js', OUTPUT_DIR],
+    envVars: ['AI_API_KEY']
+  });
+  result.scrubbed.filter(file => file.removed).forEach(file => console.log(`Warning: ${file.path} deleted: it ${file.removed}`));
+  const changed = result.scrubbed.filter(file => !file.removed && Object.keys(file.replacements).length > 0);
+  console.log(`Secrets found: ${result.secrets.length}, files changed: ${changed.length} (see ${result.reportPath})`);
+  return {};
+}
+
+/**
+ * Print what the pipeline produced; fails when the k6 run failed
+ */
+async function status() {
+  const state = readState();
+  console.log(`k6 script: ${state.scriptPath || 'not generated'}`);
+  console.log(`Load profile: ${state.profile ? `${state.profile} (${state.profileSource})` : 'not prepared'}`);
+  console.log(`status=${state.status || 'not run'}`);
+  return { failed: state.status === 'failure', message: 'k6 run failed' };
+}
+
+/**
+ * Save the settings and run every step in order. The analysis and reports are written for failed
+ * k6 runs too, and the artifacts are scrubbed even when a step throws. With options.dryRun the
+ * steps stop before k6 runs.
+ */
+async function runAll(config, options = {}) {
+  await configure(config);
+  writeJsonFile(STATE_FILE, {});
+
+  const steps = [
+    ['Convert collection', convert],
+    ['Prepare load profile', prepareProfile],
+    ['Merge profile into script', merge]
+  ];
+  if (!options.dryRun) {
+    steps.push(['Run k6', runK6], ['Analyze results', analyze], ['Write reports', report]);
+  }
+
+  const results = [];
+  try {
+    for (let i = 0; i < steps.length; i++) {
+      console.log(`\n[${i + 1}/${steps.length}] ${steps[i][0]}`);
+      results.push(await steps[i][1](config));
+    }
+  } finally {
+    console.log('\nScrubbing secrets');
+    await scrub(config);
+  }
+  const failed = results.filter(result => result.failed);
+  return failed.length > 0 ? { failed: true, message: failed.map(result => result.message).join('; ') } : {};
+}
+
+const COMMANDS = {
+  configure,
+  convert,
+  'prepare-profile': prepareProfile,
+  merge,
+  run: runK6,
+  analyze,
+  report,
+  scrub,
+  status,
+  all: runAll
+};
+
+// CLI usage
+if (require.main === module) {
+  const command = process.argv[2];
+
+  // Parse --flag value pairs that follow the command
+  const flags = {};
+  for (let i = 3; i < process.argv.length; i++) {
+    if (process.argv[i].startsWith('--')) {
+      flags[process.argv[i].substring(2)] = process.argv[i + 1];
+      i++;
+    }
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`Usage: node run-pipeline.js <${Object.keys(COMMANDS).join('|')}> [--<setting> <value> ...]`);
+    console.error('Example: node run-pipeline.js all --postman-collection postman/collection.json --load-profile load');
+    console.error(`Settings: ${Object.keys(DEFAULTS).map(inputName).join(', ')}`);
+    process.exit(1);
+  }
+
+  const settings = Object.keys(DEFAULTS).map(inputName);
+  const unknown = Object.keys(flags).filter(flag => !settings.includes(flag));
+  if (unknown.length > 0) {
+    console.error(`Error: Unknown setting(s): ${unknown.map(flag => `--${flag}`).join(', ')}`);
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    config = loadConfig(flags, { ignoreSaved: command === 'configure' || command === 'all' });
+  } catch (error) {
+    console.error(`Error reading pipeline settings: ${error.message}`);
+    process.exit(1);
+  }
+
+  COMMANDS[command](config)
+    .then(result => {
+      if (result.failed) {
+        console.error(`Error: ${result.message}`);
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error(`Error in ${command}: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadConfig,
+  readState,
+  configure,
+  convert,
+  prepareProfile,
+  merge,
+  runK6,
+  analyze,
+  report,
+  scrub,
+  status,
+  runAll,
+  k6RunArgs,
+  uniqueRowsNeeded,
+  inputName,
+  COMMANDS,
+  DEFAULTS
+};
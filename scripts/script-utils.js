@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+
+/**
+ * k6 Script Utilities
+ * Helpers for locating and rewriting parts of generated k6 scripts
+ * (options block, default function, request calls and groups)
+ *
+ * Usage: node script-utils.js <k6-script-file>
+ */
+
+const fs = require('fs');
+
+const OPEN_BRACKETS = { '(': ')', '{': '}', '[': ']' };
+const CLOSE_BRACKETS = new Set([')', '}', ']']);
+
+/**
+ * Skip over a string literal starting at index, returning the index after its closing quote.
+ * Template literal placeholders (${...}) are skipped as nested code.
+ */
+function skipString(source, index) {
+  const quote = source[index];
+  let i = index + 1;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === quote) {
+      return i + 1;
+    }
+    if (quote === '`' && ch === '$' && source[i + 1] === '{') {
+      i = findMatchingBracket(source, i + 1) + 1;
+      continue;
+    }
+    i++;
+  }
+  return source.length;
+}
+
+/**
+ * Skip over a comment starting at index, returning the index after it
+ */
+function skipComment(source, index) {
+  if (source[index + 1] === '/') {
+    const end = source.indexOf('\n', index);
+    return end === -1 ? source.length : end;
+  }
+  const end = source.indexOf('*/', index + 2);
+  return end === -1 ? source.length : end + 2;
+}
+
+/**
+ * Find the index of the bracket closing the one at openIndex, ignoring
+ * brackets inside strings and comments. Returns -1 when unbalanced.
+ */
+function findMatchingBracket(source, openIndex) {
+  if (!OPEN_BRACKETS[source[openIndex]]) {
+    throw new Error(`Expected an opening bracket at index ${openIndex}, found "${source[openIndex]}"`);
+  }
+
+  let depth = 0;
+  let i = openIndex;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      i = skipString(source, i);
+      continue;
+    }
+    if (ch === '/' && (source[i + 1] === '/' || source[i + 1] === '*')) {
+      i = skipComment(source, i);
+      continue;
+    }
+    if (OPEN_BRACKETS[ch]) {
+      depth++;
+    } else if (CLOSE_BRACKETS.has(ch)) {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Remove line and block comments, leaving strings untouched
+ */
+function stripComments(source) {
+  let result = '';
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      const end = skipString(source, i);
+      result += source.substring(i, end);
+      i = end;
+    } else if (ch === '/' && (source[i + 1] === '/' || source[i + 1] === '*')) {
+      i = skipComment(source, i);
+    } else {
+      result += ch;
+      i++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Split code at top-level separators (outside strings and brackets).
+ * With splitLines, line breaks also end a statement unless the expression clearly continues.
+ */
+function splitTopLevel(source, separator, splitLines = false) {
+  const parts = [];
+  let start = 0;
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      i = skipString(source, i);
+      continue;
+    }
+    if (OPEN_BRACKETS[ch]) {
+      const close = findMatchingBracket(source, i);
+      i = close === -1 ? source.length : close + 1;
+      continue;
+    }
+    const lineBreak = splitLines && ch === '\n' &&
+      !/[.,(=+\-*/&|?:{[]\s*$/.test(source.substring(start, i)) &&
+      !/^\s*[.,)=+\-*/&|?:\]}]/.test(source.substring(i + 1));
+    if (ch === separator || lineBreak) {
+      parts.push(source.substring(start, i));
+      start = i + 1;
+    }
+    i++;
+  }
+  parts.push(source.substring(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Split a block of code into its top-level statements
+ */
+function splitStatements(source) {
+  return splitTopLevel(stripComments(source), ';', true);
+}
+
+/**
+ * Split the text between a call's parentheses into its arguments
+ */
+function splitArguments(source) {
+  return splitTopLevel(source, ',');
+}
+
+/**
+ * Parse a JavaScript string literal ('...' or "...") into its value
+ */
+function parseStringLiteral(literal) {
+  if (literal.startsWith('`')) {
+    return literal.slice(1, -1).replace(/\\`/g, '`');
+  }
+  if (literal.startsWith("'")) {
+    const body = literal.slice(1, -1).replace(/\\'/g, "'").replace(/"/g, '\\"');
+    return JSON.parse(`"${body}"`);
+  }
+  return JSON.parse(literal);
+}
+
+/**
+ * Parse a JavaScript object or array literal (unquoted keys, single quotes and trailing
+ * commas allowed). Returns null if it is not plain data.
+ */
+function parseObjectLiteral(text) {
+  const json = text
+    .replace(/^\s*\/\/[^\n]*$/gm, '')
+    .replace(/'(?:[^'\\]|\\.)*'/g, literal => JSON.stringify(parseStringLiteral(literal)))
+    .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":')
+    .replace(/,(\s*[}\]])/g, '$1');
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Locate the exported options statement: { start, end } or null.
+ * end is the index just past the statement (including a trailing semicolon).
+ */
+function findOptionsBlock(source) {
+  const match = /export\s+(const|let|var)\s+options\s*=\s*/.exec(source);
+  if (!match) {
+    return null;
+  }
+
+  let end = match.index + match[0].length;
+  if (OPEN_BRACKETS[source[end]]) {
+    end = findMatchingBracket(source, end) + 1;
+  }
+  while (end < source.length && source[end] !== ';' && source[end] !== '\n') {
+    end++;
+  }
+  if (source[end] === ';') end++;
+
+  return { start: match.index, end };
+}
+
+/**
+ * Locate the default exported function: { start, bodyStart, bodyEnd, end } or null.
+ * bodyStart/bodyEnd delimit the text between the function's braces.
+ */
+function findDefaultFunction(source) {
+  const match = /export\s+default\s+function\s*[\w$]*\s*\([^)]*\)\s*\{/.exec(source);
+  if (!match) {
+    return null;
+  }
+
+  const openIndex = match.index + match[0].length - 1;
+  const closeIndex = findMatchingBracket(source, openIndex);
+  if (closeIndex === -1) {
+    return null;
+  }
+
+  return { start: match.index, bodyStart: openIndex + 1, bodyEnd: closeIndex, end: closeIndex + 1 };
+}
+
+/**
+ * Find request calls in a range of the script: postman[Request]({...}) from postman-to-k6 and
+ * runRequest({...}) from convert-collection.js. Each call reports its source text, request
+ * name/method/address and enclosing groups.
+ */
+function findRequestCalls(source, from = 0, to = source.length) {
+  const groups = [];
+  const groupRegex = /\bgroup\(\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')\s*,\s*(?:function\s*\(\s*\)|\(\s*\)\s*=>)\s*\{/g;
+  groupRegex.lastIndex = from;
+  let groupMatch;
+  while ((groupMatch = groupRegex.exec(source)) !== null && groupMatch.index < to) {
+    const openIndex = groupMatch.index + groupMatch[0].length - 1;
+    groups.push({
+      name: parseStringLiteral(groupMatch[1]),
+      start: groupMatch.index,
+      end: findMatchingBracket(source, openIndex)
+    });
+  }
+
+  const calls = [];
+  const callRegex = /(?:postman\[Request\]|\brunRequest)\((?=\s*\{)/g;
+  callRegex.lastIndex = from;
+  let callMatch;
+  while ((callMatch = callRegex.exec(source)) !== null && callMatch.index < to) {
+    const openIndex = callMatch.index + callMatch[0].length - 1;
+    let end = findMatchingBracket(source, openIndex) + 1;
+    if (source[end] === ';') end++;
+
+    const code = source.substring(callMatch.index, end);
+    const field = key => {
+      const m = new RegExp(`\\b${key}:\\s*("(?:[^"\\\\]|\\\\.)*"|'(?:[^'\\\\]|\\\\.)*')`).exec(code);
+      return m ? parseStringLiteral(m[1]) : null;
+    };
+
+    const enclosing = groups.filter(g => g.start < callMatch.index && g.end > callMatch.index);
+    const lineStart = source.lastIndexOf('\n', callMatch.index) + 1;
+
+    calls.push({
+      start: callMatch.index,
+      end,
+      outerStart: enclosing.length > 0 ? enclosing[0].start : callMatch.index,
+      indent: source.substring(lineStart, callMatch.index).match(/^\s*/)[0],
+      code,
+      name: field('name'),
+      method: field('method') || 'GET',
+      address: field('address'),
+      groups: enclosing.map(g => g.name)
+    });
+    callRegex.lastIndex = end;
+  }
+
+  return calls;
+}
+
+/**
+ * Remove the original indentation from a request call's continuation lines
+ */
+function dedentCall(call) {
+  return call.code
+    .split('\n')
+    .map((line, i) => (i > 0 && line.startsWith(call.indent) ? line.substring(call.indent.length) : line))
+    .join('\n');
+}
+
+/**
+ * Indent every line of a code block
+ */
+function indentCode(code, indent) {
+  return code.split('\n').map(line => (line ? indent + line : line)).join('\n');
+}
+
+/**
+ * Wrap a request call in the groups it was nested in
+ */
+function wrapInGroups(call, indent = '  ') {
+  const groups = call.groups;
+  let wrapped = dedentCall(call);
+  for (let i = groups.length - 1; i >= 0; i--) {
+    wrapped = `group(${JSON.stringify(groups[i])}, function () {\n${indentCode(wrapped, indent)}\n});`;
+  }
+  return wrapped;
+}
+
+/**
+ * Top-level properties of the object literal whose opening brace is at openIndex:
+ * [{ key, valueStart, valueEnd }]. key is null for spreads, methods and computed keys.
+ */
+function objectProperties(source, openIndex) {
+  const close = findMatchingBracket(source, openIndex);
+  const properties = [];
+  let start = openIndex + 1;
+  const addProperty = end => {
+    const text = source.substring(start, end);
+    if (!text.trim()) return;
+    const key = /^\s*(?:([A-Za-z_$][\w$]*)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'))\s*:\s*/.exec(text);
+    properties.push({
+      key: key ? (key[1] || parseStringLiteral(key[2])) : null,
+      valueStart: start + (key ? key[0].length : 0),
+      valueEnd: start + text.trimEnd().length
+    });
+  };
+
+  let i = start;
+  while (i < close) {
+    const ch = source[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      i = skipString(source, i);
+    } else if (ch === '/' && (source[i + 1] === '/' || source[i + 1] === '*')) {
+      i = skipComment(source, i);
+    } else if (OPEN_BRACKETS[ch]) {
+      i = findMatchingBracket(source, i) + 1;
+    } else {
+      if (ch === ',') {
+        addProperty(i);
+        start = i + 1;
+      }
+      i++;
+    }
+  }
+  addProperty(close);
+  return properties;
+}
+
+/**
+ * Parse a property value written as JSON or a plain JavaScript object literal, or null
+ */
+function parsePlainObject(text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (e) {
+    value = parseObjectLiteral(text);
+  }
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+}
+
+/**
+ * Add k6 tags to every request call in the script.
+ * tagsFor(call) returns a tag map for the call, or null to leave it untouched.
+ * runRequest() calls get the tags merged into their tags field, which runRequest() applies over
+ * the tags of the request's options; postman-to-k6 calls get them merged into the tags of their
+ * params ("options"). Added tags replace existing tags of the same name.
+ * Throws when the field to merge into is not plain data.
+ */
+function tagRequestCalls(source, tagsFor) {
+  const calls = findRequestCalls(source);
+  let result = source;
+
+  for (let i = calls.length - 1; i >= 0; i--) {
+    const call = calls[i];
+    const tags = tagsFor(call);
+    if (!tags || Object.keys(tags).length === 0) continue;
+
+    const field = call.code.startsWith('runRequest') ? 'tags' : 'options';
+    const openIndex = call.code.indexOf('{');
+    const existing = objectProperties(call.code, openIndex).find(property => property.key === field);
+    let code;
+    if (existing) {
+      const current = parsePlainObject(call.code.substring(existing.valueStart, existing.valueEnd));
+      if (!current) {
+        throw new Error(`Cannot tag request "${call.name}": its ${field} are not plain data`);
+      }
+      const merged = field === 'tags'
+        ? Object.assign({}, current, tags)
+        : Object.assign({}, current, { tags: Object.assign({}, current.tags, tags) });
+      code = call.code.substring(0, existing.valueStart) + JSON.stringify(merged) + call.code.substring(existing.valueEnd);
+    } else {
+      const value = field === 'tags' ? JSON.stringify(tags) : `{ tags: ${JSON.stringify(tags)} }`;
+      code = `${call.code.substring(0, openIndex + 1)}\n${call.indent}  ${field}: ${value},${call.code.substring(openIndex + 1)}`;
+    }
+
+    result = result.substring(0, call.start) + code + result.substring(call.end);
+  }
+
+  return result;
+}
+
+// CLI usage
+if (require.main === module) {
+  const scriptFile = process.argv[2];
+
+  if (!scriptFile || !fs.existsSync(scriptFile)) {
+    console.error('Usage: node script-utils.js <k6-script-file>');
+    process.exit(1);
+  }
+
+  const source = fs.readFileSync(scriptFile, 'utf8');
+  const defaultFunction = findDefaultFunction(source);
+  const calls = defaultFunction ? findRequestCalls(source, defaultFunction.bodyStart, defaultFunction.bodyEnd) : [];
+  console.log(JSON.stringify({
+    options: findOptionsBlock(source),
+    defaultFunction,
+    requests: calls.map(c => ({ name: c.name, method: c.method, address: c.address, groups: c.groups }))
+  }, null, 2));
+}
+
+module.exports = {
+  findMatchingBracket,
+  stripComments,
+  splitStatements,
+  splitArguments,
+  parseStringLiteral,
+  parseObjectLiteral,
+  findOptionsBlock,
+  findDefaultFunction,
+  findRequestCalls,
+  wrapInGroups,
+  indentCode,
+  tagRequestCalls
+};
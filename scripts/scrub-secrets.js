@@ -0,0 +1,567 @@
+#!/usr/bin/env node
+
+/**
+ * Secret Scrubber
+ * Finds the secrets a Postman collection carries (auth blocks, credential headers and query
+ * parameters, secret or credential-named variables in the collection, folders, environment and
+ * globals) and keeps them out of what a run leaves behind:
+ *   - in k6 scripts (*.js), string literals holding a secret read it from __ENV instead, and the
+ *     script fails at start-up when one of those environment variables is missing and the
+ *     script uses it (variables nothing refers to do not have to be passed)
+ *   - in every other artifact and report, secrets are masked as REDACTED(NAME); large files
+ *     (raw k6 output) are masked line by line, and files that cannot be scrubbed are deleted
+ * The values of environment variables the scripts read through __ENV, and of any variables
+ * named with --env-vars, are masked too. A report lists what was scrubbed, never the values.
+ *
+ * Usage: node scrub-secrets.js <collection-file> [--environment <file>] [--globals <file>] [--paths <file-or-dir,...>] [--env-vars <NAME,...>] [--report <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { authValues, SECRET_AUTH_FIELDS } = require('./convert-collection');
+const { readLinesSync } = require('./k6-stream-aggregator');
+
+const DEFAULT_PATHS = ['k6-script*.js', '.k6-config'];
+const REPORT_FILE = '.k6-config/scrub-report.json';
+
+// Words that end a secret's name: adminPassword, client_secret, X-Api-Key, refreshToken
+const SECRET_WORDS = ['password', 'passwd', 'pwd', 'passphrase', 'secret', 'token', 'credential', 'credentials', 'apikey'];
+const SECRET_WORD_PAIRS = ['api key', 'access key', 'private key', 'signing key', 'secret key', 'session id'];
+// Headers that carry credentials whatever their value looks like
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+// Postman auth fields holding secrets, for types the converter has no SECRET_AUTH_FIELDS entry for
+const OTHER_SECRET_AUTH_FIELDS = {
+  oauth1: ['consumerSecret', 'tokenSecret'],
+  oauth2: ['accessToken', 'refreshToken'],
+  awsv4: ['secretKey', 'sessionToken'],
+  hawk: ['authKey'],
+  akamai: ['clientSecret', 'accessToken']
+};
+// Masking values shorter than this would hit unrelated text
+const MIN_SECRET_LENGTH = 4;
+const TEXT_EXTENSIONS = ['.js', '.json', '.yaml', '.yml', '.xml', '.html', '.txt', '.md', '.csv', '.log'];
+// Larger files (raw k6 output) are masked line by line instead of read whole
+const STREAM_FILE_SIZE = 16 * 1024 * 1024;
+// Scripts are rewritten whole; larger ones are deleted instead
+const MAX_SCRIPT_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Whether a variable, header or parameter name holds a secret
+ */
+function isSecretName(name) {
+  const words = String(name || '').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  if (words.length === 0) return false;
+  return SECRET_WORDS.includes(words[words.length - 1]) ||
+    SECRET_WORD_PAIRS.includes(words.slice(-2).join(' ')) ||
+    words.join('') === 'apikey';
+}
+
+/**
+ * Values worth masking: long enough, not a plain number or keyword, not a {{reference}}
+ */
+function isMaskable(value) {
+  if (typeof value !== 'string') return false;
+  const text = value.trim();
+  return text.length >= MIN_SECRET_LENGTH && !/^\d+$/.test(text) && !/^(true|false|null|undefined)$/i.test(text) && !text.includes('{{');
+}
+
+function envName(text) {
+  return String(text).replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toUpperCase();
+}
+
+/**
+ * Collects secrets by value: the same value found twice keeps its first name, and a name taken
+ * by another value gets a _2, _3 suffix (values read from environment variables keep theirs)
+ */
+function createSecretList() {
+  const byValue = new Map();
+  const names = new Set();
+
+  const add = (value, name, source, options = {}) => {
+    if (!isMaskable(value)) return;
+    const text = value.trim();
+    if (byValue.has(text)) return;
+    let unique = name;
+    for (let n = 2; names.has(unique) && !options.maskOnly; n++) unique = `${name}_${n}`;
+    names.add(unique);
+    byValue.set(text, { name: unique, value: text, source, maskOnly: !!options.maskOnly, variable: options.variable || null });
+  };
+
+  return { add, list: () => [...byValue.values()] };
+}
+
+/**
+ * The secret part of a credential header: the credentials after an auth scheme, else the value
+ */
+function headerSecret(value) {
+  const match = /^(?:Bearer|Basic|Token|Digest|ApiKey|Key)\s+(.+)$/i.exec(String(value || '').trim());
+  return match ? match[1] : String(value || '');
+}
+
+function addAuthSecrets(secrets, auth, location) {
+  if (!auth || !auth.type) return;
+  const values = authValues(auth);
+  const converted = SECRET_AUTH_FIELDS[auth.type] || {};
+  Object.keys(converted).concat(OTHER_SECRET_AUTH_FIELDS[auth.type] || []).forEach(field => {
+    secrets.add(values[field], converted[field] || envName(`${auth.type}_${field}`), `${location} ${auth.type} auth ${field}`);
+  });
+  if (auth.type === 'basic' && isMaskable(values.password) && typeof values.username === 'string' && !values.username.includes('{{')) {
+    // What the Authorization header carries; it never appears in scripts, only in outputs
+    secrets.add(Buffer.from(`${values.username}:${values.password}`).toString('base64'), 'BASIC_CREDENTIALS',
+      `${location} basic auth header`, { maskOnly: true });
+  }
+}
+
+function addVariableSecrets(secrets, variables, location) {
+  const list = Array.isArray(variables) ? variables : (variables && variables.values) || [];
+  list.forEach(v => {
+    if (v && v.key && (v.type === 'secret' || isSecretName(v.key))) {
+      secrets.add(typeof v.value === 'string' ? v.value : '', v.key, `${location} variable ${v.key}`, { variable: v.key });
+    }
+  });
+}
+
+function addRequestSecrets(secrets, request, location) {
+  addAuthSecrets(secrets, request.auth, location);
+  (Array.isArray(request.header) ? request.header : []).forEach(h => {
+    if (!h || !h.key || h.disabled) return;
+    if (SECRET_HEADERS.includes(h.key.toLowerCase()) || isSecretName(h.key)) {
+      secrets.add(headerSecret(h.value), envName(h.key), `${location} header ${h.key}`);
+    }
+  });
+  const query = request.url && typeof request.url === 'object' && Array.isArray(request.url.query) ? request.url.query : [];
+  query.forEach(q => {
+    if (q && q.key && !q.disabled && isSecretName(q.key)) {
+      secrets.add(q.value, envName(q.key), `${location} query parameter ${q.key}`);
+    }
+  });
+}
+
+/**
+ * Secrets in a parsed collection and its optional environment and globals files.
+ * Returns [{ name, value, source, maskOnly, variable }]; name is the environment variable a
+ * script reads the secret from, maskOnly marks derived values that are only masked in outputs
+ * and variable names the Postman variable holding the secret, if any.
+ */
+function findSecrets(collection, options = {}) {
+  const secrets = createSecretList();
+  addVariableSecrets(secrets, options.environment, 'environment file');
+  addVariableSecrets(secrets, options.globals, 'globals file');
+  addVariableSecrets(secrets, collection.variable, 'collection');
+  addAuthSecrets(secrets, collection.auth, 'collection');
+
+  const walk = (items, basePath) => (items || []).forEach(item => {
+    const itemPath = basePath ? `${basePath}/${item.name}` : item.name;
+    addVariableSecrets(secrets, item.variable, itemPath);
+    addAuthSecrets(secrets, item.auth, itemPath);
+    if (item.request) addRequestSecrets(secrets, item.request, itemPath);
+    if (Array.isArray(item.item)) walk(item.item, itemPath);
+  });
+  walk(collection.item, '');
+
+  (options.envValues || []).forEach(({ name, value }) => secrets.add(value, name, `environment variable ${name}`, { maskOnly: true }));
+  return secrets.list();
+}
+
+/**
+ * Names of the environment variables a k6 script reads (__ENV.NAME and __ENV["NAME"])
+ */
+function envReferences(source) {
+  const names = new Set();
+  for (const match of source.matchAll(/__ENV(?:\.([A-Za-z_$][\w$]*)|\[\s*(["'])([^"'\n]+)\2\s*\])/g)) {
+    names.add(match[1] || match[3]);
+  }
+  return [...names];
+}
+
+/**
+ * How a secret may be written inside a string literal with the given quote
+ */
+function encodedForms(value, quote) {
+  const forms = new Set([value, JSON.stringify(value).slice(1, -1)]);
+  if (quote === "'") forms.add(value.replace(/\\/g, '\\\\').replace(/'/g, "\\'"));
+  return [...forms].filter(Boolean);
+}
+
+/**
+ * Replace the secret inside one string literal (quotes included) with an __ENV read.
+ * Returns { code, count }.
+ */
+function replaceInLiteral(literal, secret) {
+  const quote = literal.charAt(0);
+  const content = literal.substring(1, literal.length - 1);
+  const reference = `__ENV[${JSON.stringify(secret.name)}]`;
+  const form = encodedForms(secret.value, quote).find(f => content.includes(f));
+  if (!form) return { code: literal, count: 0 };
+
+  const pieces = content.split(form);
+  if (quote === '`') {
+    return { code: `\`${pieces.join(`\${${reference}}`)}\``, count: pieces.length - 1 };
+  }
+  const parts = [];
+  pieces.forEach((piece, i) => {
+    if (piece) parts.push(`${quote}${piece}${quote}`);
+    if (i < pieces.length - 1) parts.push(reference);
+  });
+  return { code: parts.length === 1 ? parts[0] : `(${parts.join(' + ')})`, count: pieces.length - 1 };
+}
+
+/**
+ * End of the string, comment or regular expression literal starting at index (exclusive),
+ * or -1 when the character there starts none of them
+ */
+function literalEnd(source, index, previous) {
+  const c = source.charAt(index);
+  const next = source.charAt(index + 1);
+  if (c === '/' && next === '/') {
+    const end = source.indexOf('\n', index);
+    return end === -1 ? source.length : end;
+  }
+  if (c === '/' && next === '*') {
+    const end = source.indexOf('*/', index + 2);
+    return end === -1 ? source.length : end + 2;
+  }
+  // A slash starts a regular expression where a value is expected, not after one
+  const isRegex = c === '/' && (previous === '' || /[(,=:[!&|?{};+\-*%<>~^]/.test(previous));
+  if (c !== '"' && c !== "'" && c !== '`' && !isRegex) return -1;
+
+  let inClass = false;
+  for (let j = index + 1; j < source.length; j++) {
+    const d = source.charAt(j);
+    if (d === '\\') {
+      j++;
+    } else if (isRegex && d === '[') {
+      inClass = true;
+    } else if (isRegex && d === ']') {
+      inClass = false;
+    } else if (d === c && !inClass) {
+      return j + 1;
+    } else if (isRegex && d === '\n') {
+      return j;
+    }
+  }
+  return source.length;
+}
+
+/**
+ * Rewrite a k6 script so string literals read their secrets from __ENV, and mask secrets left
+ * anywhere else (comments, values split across literals). Returns { script, counts } where
+ * counts maps secret names to the number of replacements.
+ */
+function scrubScript(source, secrets) {
+  const counts = {};
+  // Secrets read in place, and the keys of the variables ({ "key": "value" }) holding the others
+  const envNames = new Set();
+  const variableKeys = new Map();
+  const ordered = secrets.filter(s => !s.maskOnly).sort((a, b) => b.value.length - a.value.length);
+  let output = '';
+  let previous = '';
+  let lastString = null;
+  let i = 0;
+
+  while (i < source.length) {
+    const end = literalEnd(source, i, previous);
+    if (end === -1) {
+      const c = source.charAt(i);
+      output += c;
+      if (!/\s/.test(c)) previous = c;
+      i++;
+      continue;
+    }
+
+    let literal = source.substring(i, end);
+    const quote = literal.charAt(0);
+    if (quote === '"' || quote === "'" || quote === '`') {
+      const key = previous === ':' ? lastString : null;
+      lastString = literal.substring(1, literal.length - 1);
+      ordered.forEach(secret => {
+        const result = replaceInLiteral(literal, secret);
+        if (result.count > 0) {
+          literal = result.code;
+          counts[secret.name] = (counts[secret.name] || 0) + result.count;
+          if (key !== null && key === secret.variable) {
+            variableKeys.set(secret.name, (variableKeys.get(secret.name) || []).concat(key));
+          } else {
+            envNames.add(secret.name);
+          }
+        }
+      });
+      previous = quote;
+    } else if (literal.charAt(1) !== '/' && literal.charAt(1) !== '*') {
+      previous = '/';
+    }
+    output += literal;
+    i = end;
+  }
+
+  const masked = maskText(output, secrets);
+  Object.entries(masked.counts).forEach(([name, count]) => {
+    counts[name] = (counts[name] || 0) + count;
+  });
+  variableKeys.forEach((keys, name) => {
+    if (keys.some(key => isVariableUsed(masked.text, key))) envNames.add(name);
+  });
+  return { script: envNames.size > 0 ? addSecretGuard(masked.text, [...envNames]) : masked.text, counts };
+}
+
+/**
+ * Whether a script refers to a variable: {{key}} or a get('key') call (pm.environment.get,
+ * and getVariable and variableValue in converted scripts)
+ */
+function isVariableUsed(source, key) {
+  const name = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}|(?:get|getVariable|variableValue)\\((?:\\s*['"][a-z]+['"]\\s*,)?\\s*['"]${name}['"]`).test(source);
+}
+
+/**
+ * Fail the script at start-up when the environment variable of a scrubbed secret it uses is
+ * not set. Scripts of the native converter get the names added to their secrets, which it
+ * already checks; other scripts get a check of their own.
+ */
+function addSecretGuard(source, names) {
+  const converterSecrets = /^const secrets = \{([\s\S]*?)\};$/m.exec(source);
+  if (converterSecrets) {
+    const entries = converterSecrets[1].split('\n').map(line => line.trim()).filter(Boolean).map(line => line.replace(/,$/, ''));
+    names.filter(name => !entries.some(entry => entry.startsWith(`${JSON.stringify(name)}:`)))
+      .forEach(name => entries.push(`${JSON.stringify(name)}: __ENV[${JSON.stringify(name)}]`));
+    const block = `const secrets = {\n${entries.map(entry => `  ${entry}`).join(',\n')}\n};`;
+    return source.substring(0, converterSecrets.index) + block + source.substring(converterSecrets.index + converterSecrets[0].length);
+  }
+
+  const guard = `
+// Secrets scrubbed from this script are read from environment variables (k6 run -e NAME=value)
+${JSON.stringify(names)}.forEach(function (name) {
+  if (!__ENV[name]) {
+    throw new Error('Missing secret ' + name + ': pass it with k6 run -e ' + name + '=value or as an environment variable');
+  }
+});
+`;
+  const imports = [...source.matchAll(/^import .*$/gm)];
+  const at = imports.length > 0 ? imports[imports.length - 1].index + imports[imports.length - 1][0].length + 1 : 0;
+  return source.substring(0, at) + guard + source.substring(at);
+}
+
+/**
+ * Mask secrets in any text, raw, JSON-escaped or URL-encoded. Returns { text, counts }.
+ */
+function maskText(text, secrets) {
+  const counts = {};
+  let output = text;
+  [...secrets].sort((a, b) => b.value.length - a.value.length).forEach(secret => {
+    new Set([secret.value, JSON.stringify(secret.value).slice(1, -1), encodeURIComponent(secret.value)]).forEach(form => {
+      const pieces = output.split(form);
+      if (pieces.length > 1) {
+        output = pieces.join(`REDACTED(${secret.name})`);
+        counts[secret.name] = (counts[secret.name] || 0) + pieces.length - 1;
+      }
+    });
+  });
+  return { text: output, counts };
+}
+
+/**
+ * Files under the given paths: files, directories (walked) and basename patterns with *
+ */
+function expandPaths(paths) {
+  const files = [];
+  const walk = target => {
+    if (!fs.existsSync(target)) return;
+    if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target).forEach(entry => walk(path.join(target, entry)));
+    } else {
+      files.push(target);
+    }
+  };
+  paths.forEach(entry => {
+    const base = path.basename(entry);
+    if (!base.includes('*')) {
+      walk(entry);
+      return;
+    }
+    const dir = path.dirname(entry);
+    const pattern = new RegExp(`^${base.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    if (fs.existsSync(dir)) {
+      fs.readdirSync(dir).filter(name => pattern.test(name)).forEach(name => walk(path.join(dir, name)));
+    }
+  });
+  return [...new Set(files)];
+}
+
+/**
+ * Mask a large text file line by line into a temporary file, then replace the file with it.
+ * Returns the replacement counts.
+ */
+function maskFileByLine(file, secrets) {
+  const counts = {};
+  const temporary = `${file}.scrub-tmp`;
+  const fd = fs.openSync(temporary, 'w');
+  try {
+    let first = true;
+    readLinesSync(file, line => {
+      const masked = maskText(line, secrets);
+      Object.entries(masked.counts).forEach(([name, count]) => {
+        counts[name] = (counts[name] || 0) + count;
+      });
+      fs.writeSync(fd, first ? masked.text : `\n${masked.text}`);
+      first = false;
+    }, { includeEmpty: true });
+  } catch (e) {
+    fs.closeSync(fd);
+    fs.rmSync(temporary, { force: true });
+    throw e;
+  }
+  fs.closeSync(fd);
+  if (Object.keys(counts).length > 0) {
+    fs.renameSync(temporary, file);
+  } else {
+    fs.rmSync(temporary, { force: true });
+  }
+  return counts;
+}
+
+/**
+ * Scrub one file in place. Returns { path, mode: 'env' | 'mask', replacements } when it
+ * changed, or null.
+ */
+function scrubFile(file, secrets) {
+  const extension = path.extname(file).toLowerCase();
+  const size = fs.statSync(file).size;
+  if (extension !== '.js' && size > STREAM_FILE_SIZE) {
+    const counts = maskFileByLine(file, secrets);
+    return Object.keys(counts).length > 0 ? { path: file, mode: 'mask', replacements: counts } : null;
+  }
+  if (size > MAX_SCRIPT_SIZE) {
+    throw new Error(`script larger than ${MAX_SCRIPT_SIZE / 1024 / 1024} MB`);
+  }
+
+  const source = fs.readFileSync(file, 'utf8');
+  const isScript = extension === '.js';
+  const result = isScript ? scrubScript(source, secrets) : maskText(source, secrets);
+  const output = isScript ? result.script : result.text;
+  if (output === source) return null;
+  fs.writeFileSync(file, output, 'utf8');
+  return { path: file, mode: isScript ? 'env' : 'mask', replacements: result.counts };
+}
+
+/**
+ * Scrub files in place: k6 scripts read their secrets from __ENV, other text files are masked.
+ * A file that cannot be scrubbed is deleted, so it is not uploaded with its secrets.
+ * Returns [{ path, mode: 'env' | 'mask', replacements }] for the files that changed, plus
+ * { path, removed } for the files deleted.
+ */
+function scrubFiles(paths, secrets) {
+  const results = [];
+  expandPaths(paths).forEach(file => {
+    if (!TEXT_EXTENSIONS.includes(path.extname(file).toLowerCase())) return;
+    try {
+      const result = scrubFile(file, secrets);
+      if (result) results.push(result);
+    } catch (e) {
+      fs.rmSync(file, { force: true });
+      results.push({ path: file, removed: `could not be scrubbed (${e.message})` });
+    }
+  });
+  return results;
+}
+
+/**
+ * Scrub a run's artifacts. Options: environmentPath, globalsPath, paths (default k6-script*.js
+ * and .k6-config), envVars (names of environment variables whose values are masked too) and
+ * reportPath (default .k6-config/scrub-report.json; files already in it are kept, so the
+ * report covers earlier passes). Returns the report.
+ */
+function scrubSecrets(collectionPath, options = {}) {
+  const readJson = (filePath, label) => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      throw new Error(`Could not read ${label} file ${filePath}: ${e.message}`);
+    }
+  };
+  if (!fs.existsSync(collectionPath)) {
+    throw new Error(`Collection file not found: ${collectionPath}`);
+  }
+
+  const paths = options.paths && options.paths.length > 0 ? options.paths : DEFAULT_PATHS;
+  const scriptNames = expandPaths(paths).filter(file => path.extname(file) === '.js')
+    .reduce((names, file) => names.concat(envReferences(fs.readFileSync(file, 'utf8'))), []);
+  const envValues = [...new Set(scriptNames.concat(options.envVars || []))]
+    .filter(name => process.env[name])
+    .map(name => ({ name, value: process.env[name] }));
+
+  const secrets = findSecrets(readJson(collectionPath, 'collection'), {
+    environment: options.environmentPath ? readJson(options.environmentPath, 'environment') : null,
+    globals: options.globalsPath ? readJson(options.globalsPath, 'globals') : null,
+    envValues
+  });
+  const files = scrubFiles(paths, secrets);
+
+  const reportPath = options.reportPath || REPORT_FILE;
+  let previous = [];
+  if (fs.existsSync(reportPath)) {
+    try {
+      previous = JSON.parse(fs.readFileSync(reportPath, 'utf8')).files || [];
+    } catch (e) {
+      previous = [];
+    }
+  }
+  const report = {
+    secrets: secrets.map(s => ({ name: s.name, source: s.source })),
+    files: previous.concat(files)
+  };
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  return Object.assign({ reportPath, scrubbed: files }, report);
+}
+
+// CLI usage
+if (require.main === module) {
+  const collectionPath = process.argv[2];
+
+  // Parse --flag value pairs that follow the positional argument
+  const flags = {};
+  for (let i = 3; i < process.argv.length; i++) {
+    if (process.argv[i].startsWith('--')) {
+      flags[process.argv[i].substring(2)] = process.argv[i + 1];
+      i++;
+    }
+  }
+
+  if (!collectionPath) {
+    console.error('Usage: node scrub-secrets.js <collection-file> [--environment <file>] [--globals <file>] [--paths <file-or-dir,...>] [--env-vars <NAME,...>] [--report <file>]');
+    console.error('Example: node scrub-secrets.js postman/collection.json --environment postman/staging.json --paths "k6-script*.js,.k6-config" --env-vars AI_API_KEY');
+    process.exit(1);
+  }
+
+  const list = value => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+  try {
+    const report = scrubSecrets(collectionPath, {
+      environmentPath: flags.environment,
+      globalsPath: flags.globals,
+      paths: list(flags.paths),
+      envVars: list(flags['env-vars']),
+      reportPath: flags.report
+    });
+    console.log(`Secrets found: ${report.secrets.length}${report.secrets.length > 0 ? ` (${report.secrets.map(s => s.name).join(', ')})` : ''}`);
+    report.scrubbed.forEach(file => {
+      if (file.removed) {
+        console.log(`Warning: ${file.path} deleted: it ${file.removed}`);
+        return;
+      }
+      const total = Object.values(file.replacements).reduce((sum, n) => sum + n, 0);
+      console.log(`- ${file.path}: ${total} secret(s) ${file.mode === 'env' ? 'replaced with __ENV reads' : 'masked'}`);
+    });
+    console.log(`Scrub report written to: ${report.reportPath}`);
+  } catch (error) {
+    console.error(`Error scrubbing secrets: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  scrubSecrets,
+  findSecrets,
+  scrubScript,
+  maskText,
+  isSecretName
+};
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * Time-Series Analysis
+ * Follows k6 results over the course of a run: metrics per load profile stage, the knee
+ * point where latency or errors start climbing as VUs grow, and the estimated saturation
+ * point (VUs and req/s) of the system under test
+ *
+ * Usage: node time-series.js <k6-ndjson-file> [k6-script-file]
+ */
+
+const fs = require('fs');
+const { findOptionsBlock, findMatchingBracket, parseObjectLiteral } = require('./script-utils');
+const { parseDuration } = require('./compile-profile');
+
+// A bucket is degraded when its p95 exceeds the low-load p95 by this factor...
+const KNEE_LATENCY_FACTOR = 1.5;
+// ...or its error rate exceeds the low-load error rate by this much (0..1)
+const KNEE_ERROR_INCREASE = 0.01;
+// Consecutive degraded buckets needed for a knee, so single spikes are ignored
+const KNEE_SUSTAINED_BUCKETS = 2;
+// Share of the ramp-up buckets used as the low-load reference
+const BASELINE_SHARE = 0.25;
+const MIN_TIMELINE_BUCKETS = 4;
+
+/**
+ * Find the literal value of a top-level key in the options block, parsed, or null
+ */
+function readOptionValue(source, key) {
+  const block = findOptionsBlock(source);
+  if (!block) return null;
+
+  const options = source.substring(block.start, block.end);
+  const match = new RegExp(`[{,\\s]${key}\\s*:\\s*([\\[{])`).exec(options);
+  if (!match) return null;
+
+  const open = block.start + match.index + match[0].length - 1;
+  return parseObjectLiteral(source.substring(open, findMatchingBracket(source, open) + 1));
+}
+
+/**
+ * Turn k6 stages into time windows: [{ index, label, startSeconds, endSeconds, fromTarget, target, unit }]
+ */
+function stagesToWindows(stages, startSeconds = 0, startTarget = 0, unit = 'VUs') {
+  let offset = startSeconds;
+  let from = startTarget;
+  return stages.map((stage, index) => {
+    const seconds = parseDuration(stage.duration) / 1000;
+    const kind = stage.target > from ? 'ramp up' : (stage.target < from ? 'ramp down' : 'hold');
+    const window = {
+      index: index + 1,
+      label: kind === 'hold' ? `hold ${stage.target} ${unit}` : `${kind} ${from} → ${stage.target} ${unit}`,
+      startSeconds: offset,
+      endSeconds: offset + seconds,
+      fromTarget: from,
+      target: stage.target,
+      unit
+    };
+    offset += seconds;
+    from = stage.target;
+    return window;
+  });
+}
+
+/**
+ * Read the load profile stages of a k6 script: top-level options.stages, or the stages of a
+ * single ramping scenario. Returns [] when the script has no stages to follow.
+ */
+function readProfileStages(source) {
+  try {
+    const stages = readOptionValue(source, 'stages');
+    if (Array.isArray(stages) && stages.length > 0) {
+      return stagesToWindows(stages);
+    }
+
+    const scenarios = readOptionValue(source, 'scenarios');
+    const ramping = Object.values(scenarios || {}).filter(s => s && Array.isArray(s.stages) && s.stages.length > 0);
+    if (ramping.length === 1) {
+      const scenario = ramping[0];
+      const arrivalRate = scenario.executor === 'ramping-arrival-rate';
+      return stagesToWindows(
+        scenario.stages,
+        scenario.startTime ? parseDuration(scenario.startTime) / 1000 : 0,
+        (arrivalRate ? scenario.startRate : scenario.startVUs) || 0,
+        arrivalRate ? 'iters/s' : 'VUs'
+      );
+    }
+  } catch (e) {
+    // Stages that do not parse are not followed; the timeline still is
+  }
+  return [];
+}
+
+/**
+ * Aggregator windows for profile stages
+ */
+function stageWindows(stages) {
+  return stages.map(stage => ({ key: String(stage.index), startSeconds: stage.startSeconds, endSeconds: stage.endSeconds }));
+}
+
+/**
+ * Combine profile stages with the aggregated values of their windows
+ */
+function stageRows(stages, windows) {
+  return stages.map(stage => {
+    const values = (windows || []).find(w => w.key === String(stage.index)) || {};
+    const row = Object.assign({}, stage, values);
+    delete row.key;
+    return row;
+  });
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+}
+
+/**
+ * Find the knee point: the first bucket, once VUs have grown past the low-load reference,
+ * from which latency (p95) or the error rate stays clearly above that reference.
+ * Returns { knee, saturation, baseline, peakVus, peakRequestRate }; knee and saturation are
+ * null if no knee was found, baseline is null if the timeline is too short to judge.
+ */
+function detectSaturation(timeline) {
+  const rows = (timeline || []).filter(row => row.requests > 0 && row.vus > 0);
+  const result = { knee: null, saturation: null, baseline: null, peakVus: 0, peakRequestRate: 0 };
+  if (rows.length < MIN_TIMELINE_BUCKETS) return result;
+
+  result.peakVus = Math.max(...rows.map(row => row.vus));
+  result.peakRequestRate = Math.max(...rows.map(row => row.requestRate));
+
+  // Only the part of the run where load grows (up to the last bucket at peak VUs) can show a knee
+  let lastPeak = rows.length - 1;
+  while (lastPeak > 0 && rows[lastPeak].vus < result.peakVus) lastPeak--;
+  const rising = rows.slice(0, lastPeak + 1);
+
+  const baselineRows = rising.slice(0, Math.max(1, Math.floor(rising.length * BASELINE_SHARE)));
+  const baseline = {
+    vus: Math.max(...baselineRows.map(row => row.vus)),
+    p95: median(baselineRows.map(row => row.p95)),
+    errorRate: baselineRows.reduce((sum, row) => sum + row.errorRate, 0) / baselineRows.length
+  };
+  result.baseline = baseline;
+
+  const degradation = row => {
+    if (row.errorRate > baseline.errorRate + KNEE_ERROR_INCREASE) return 'errors';
+    if (baseline.p95 > 0 && row.p95 > baseline.p95 * KNEE_LATENCY_FACTOR) return 'latency';
+    return null;
+  };
+
+  for (let i = baselineRows.length; i < rising.length; i++) {
+    if (rising[i].vus <= baseline.vus || !degradation(rising[i])) continue;
+
+    const window = rising.slice(i, i + KNEE_SUSTAINED_BUCKETS);
+    if (window.length < KNEE_SUSTAINED_BUCKETS && i < rising.length - 1) continue;
+    if (!window.every(degradation)) continue;
+
+    const healthy = rising.slice(0, i);
+    const row = rising[i];
+    result.knee = {
+      offsetSeconds: row.offsetSeconds,
+      vus: row.vus,
+      requestRate: row.requestRate,
+      p95: row.p95,
+      errorRate: row.errorRate,
+      reason: degradation(row)
+    };
+    result.saturation = {
+      vus: healthy[healthy.length - 1].vus,
+      requestRate: Math.max(...healthy.map(h => h.requestRate))
+    };
+    break;
+  }
+
+  return result;
+}
+
+/**
+ * Render the stage table and the knee/saturation estimate as markdown
+ */
+function formatTimeSeriesMarkdown(stages, saturation) {
+  const sections = [];
+
+  if (stages && stages.length > 0) {
+    sections.push(`### Per-Stage Breakdown
+
+| Stage | Time | Requests | Req/s | Error Rate | Avg | p95 | p99 | Max VUs |
+|-------|------|----------|-------|------------|-----|-----|-----|---------|
+${stages.map(s => `| ${s.index}. ${s.label} | ${s.startSeconds}s-${s.endSeconds}s | ${s.requests || 0} | ${(s.requestRate || 0).toFixed(1)} | ${((s.errorRate || 0) * 100).toFixed(2)}% | ${(s.avgDuration || 0).toFixed(2)}ms | ${(s.p95 || 0).toFixed(2)}ms | ${(s.p99 || 0).toFixed(2)}ms | ${s.vus || 0} |`).join('\n')}`);
+  }
+
+  if (saturation && saturation.baseline) {
+    const lines = ['### Saturation Point', ''];
+    if (saturation.knee) {
+      const knee = saturation.knee;
+      lines.push(`- Knee at ${knee.offsetSeconds}s with ${knee.vus} VUs: ${knee.reason === 'errors'
+        ? `error rate rose to ${(knee.errorRate * 100).toFixed(2)}% (from ${(saturation.baseline.errorRate * 100).toFixed(2)}% at low load)`
+        : `p95 rose to ${knee.p95.toFixed(2)}ms (from ${saturation.baseline.p95.toFixed(2)}ms at low load)`}`);
+      lines.push(`- Estimated saturation point: about ${saturation.saturation.vus} VUs / ${saturation.saturation.requestRate.toFixed(1)} req/s`);
+    } else {
+      lines.push(`- No knee found: latency and errors held up to ${saturation.peakVus} VUs / ${saturation.peakRequestRate.toFixed(1)} req/s, so saturation was not reached`);
+    }
+    sections.push(lines.join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+// CLI usage
+if (require.main === module) {
+  const resultsPath = process.argv[2];
+  const scriptPath = process.argv[3] || null;
+
+  if (!resultsPath) {
+    console.error('Usage: node time-series.js <k6-ndjson-file> [k6-script-file]');
+    process.exit(1);
+  }
+
+  try {
+    const { aggregateK6Stream } = require('./k6-stream-aggregator');
+    const stages = scriptPath ? readProfileStages(fs.readFileSync(scriptPath, 'utf8')) : [];
+    const aggregated = aggregateK6Stream(resultsPath, {}, { windows: stageWindows(stages) });
+    console.log(formatTimeSeriesMarkdown(stageRows(stages, aggregated.windows), detectSaturation(aggregated.timeline)) ||
+      'Not enough data points over time for a time-series analysis');
+  } catch (error) {
+    console.error(`Error analyzing results over time: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  readProfileStages,
+  stageWindows,
+  stageRows,
+  detectSaturation,
+  formatTimeSeriesMarkdown
+};
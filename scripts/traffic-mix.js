@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Traffic Mix Builder
+ * Weights the requests of a generated k6 script by the expectedRps recorded in
+ * API metadata, so the load mix resembles production traffic
+ *
+ * Modes:
+ *   weighted  - each iteration picks one request at random, weighted by expectedRps
+ *   scenarios - one constant-arrival-rate scenario per endpoint at its expectedRps
+ *
+ * Usage: node traffic-mix.js <k6-script-file> <metadata-file> [weighted|scenarios]
+ */
+
+const fs = require('fs');
+const { parseMetadata } = require('./parse-metadata');
+const { findDefaultFunction, findRequestCalls, wrapInGroups, indentCode } = require('./script-utils');
+const { formatDuration } = require('./compile-profile');
+const { endpointTagValue, matchCallToEndpoint } = require('./endpoint-thresholds');
+const { resolverForScript } = require('./variable-resolver');
+
+/**
+ * Locate the requests in the script's default function along with any statements
+ * that precede them (kept so per-iteration setup still runs)
+ */
+function extractRequests(source) {
+  const defaultFunction = findDefaultFunction(source);
+  if (!defaultFunction) {
+    throw new Error('k6 script has no "export default function" to rebalance');
+  }
+
+  const calls = findRequestCalls(source, defaultFunction.bodyStart, defaultFunction.bodyEnd);
+  if (calls.length === 0) {
+    throw new Error('No Postman requests found in the default function');
+  }
+
+  const preambleEnd = source.lastIndexOf('\n', calls[0].outerStart) + 1;
+  const preamble = preambleEnd > defaultFunction.bodyStart
+    ? source.substring(defaultFunction.bodyStart, preambleEnd).trim()
+    : '';
+
+  return { defaultFunction, calls, preamble };
+}
+
+/**
+ * Assign a weight to every request call from metadata expectedRps.
+ * Requests without a matching endpoint get the smallest known rate so they still run.
+ */
+function computeTrafficWeights(calls, metadata, resolver = null) {
+  const entries = calls.map(call => {
+    const endpoint = matchCallToEndpoint(call, metadata, resolver);
+    const expectedRps = endpoint && Number(endpoint.expectedRps) > 0 ? Number(endpoint.expectedRps) : null;
+    return { call, name: call.name || 'Unnamed request', endpoint, expectedRps };
+  });
+
+  const known = entries.filter(e => e.expectedRps !== null);
+  if (known.length === 0) {
+    throw new Error('No request in the script matched a metadata endpoint with expectedRps');
+  }
+
+  const fallbackRps = Math.min(...known.map(e => e.expectedRps));
+  const unmatched = entries.filter(e => e.expectedRps === null).map(e => e.name);
+  entries.forEach(e => {
+    e.weight = e.expectedRps !== null ? e.expectedRps : fallbackRps;
+  });
+
+  return { entries, unmatched };
+}
+
+/**
+ * Rewrite the default function to run one request per iteration, picked by weight
+ */
+function applyWeightedMix(source, metadata) {
+  const { defaultFunction, calls, preamble } = extractRequests(source);
+  const { entries, unmatched } = computeTrafficWeights(calls, metadata, resolverForScript(source));
+
+  const mix = entries.map(e => `  {
+    name: ${JSON.stringify(e.name)},
+    weight: ${e.weight},
+    run: function () {
+${indentCode(wrapInGroups(e.call), '      ')}
+    }
+  }`).join(',\n');
+
+  const replacement = `// Traffic mix weighted by expectedRps from API metadata
+const trafficMix = [
+${mix}
+];
+const trafficMixTotal = trafficMix.reduce((sum, entry) => sum + entry.weight, 0);
+
+export default function () {
+${preamble ? indentCode(preamble, '  ') + '\n\n' : ''}  let pick = Math.random() * trafficMixTotal;
+  for (const entry of trafficMix) {
+    pick -= entry.weight;
+    if (pick < 0) {
+      entry.run();
+      return;
+    }
+  }
+  trafficMix[trafficMix.length - 1].run();
+}`;
+
+  return {
+    script: source.substring(0, defaultFunction.start) + replacement + source.substring(defaultFunction.end),
+    entries,
+    unmatched
+  };
+}
+
+/**
+ * Build a k6 function name for an endpoint scenario
+ */
+function endpointFunctionName(name, index) {
+  const slug = name.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toLowerCase();
+  return `endpoint_${index + 1}${slug ? `_${slug}` : ''}`;
+}
+
+/**
+ * Export one function per request and build a constant-arrival-rate scenario for each,
+ * running for durationMs at expectedRps * rpsScale. The default function is left intact.
+ */
+function buildEndpointScenarios(source, metadata, durationMs, rpsScale = 1) {
+  const { defaultFunction, calls, preamble } = extractRequests(source);
+  const { entries, unmatched } = computeTrafficWeights(calls, metadata, resolverForScript(source));
+
+  const scenarios = {};
+  const functions = entries.map((e, index) => {
+    const exec = endpointFunctionName(e.name, index);
+    const rate = Math.max(1, Math.round(e.weight * rpsScale));
+    scenarios[exec] = {
+      executor: 'constant-arrival-rate',
+      rate,
+      timeUnit: '1s',
+      duration: formatDuration(durationMs),
+      // Assume roughly one second per iteration; k6 grows the pool up to maxVUs if needed
+      preAllocatedVUs: rate,
+      maxVUs: rate * 4,
+      exec,
+      tags: { endpoint: endpointTagValue(e.endpoint ? e.endpoint.name : e.name) }
+    };
+
+    const body = [preamble, wrapInGroups(e.call)].filter(Boolean).join('\n\n');
+    return `// ${e.name}: ${rate} req/s\nexport function ${exec}() {\n${indentCode(body, '  ')}\n}`;
+  });
+
+  const script = source.substring(0, defaultFunction.end) +
+    '\n\n' + functions.join('\n\n') +
+    source.substring(defaultFunction.end);
+
+  return { script, scenarios, entries, unmatched };
+}
+
+// CLI usage
+if (require.main === module) {
+  const scriptFile = process.argv[2];
+  const metadataPath = process.argv[3];
+  const mode = process.argv[4] || 'weighted';
+
+  if (!scriptFile || !metadataPath) {
+    console.error('Usage: node traffic-mix.js <k6-script-file> <metadata-file> [weighted|scenarios]');
+    process.exit(1);
+  }
+
+  try {
+    const source = fs.readFileSync(scriptFile, 'utf8');
+    const metadata = parseMetadata(metadataPath);
+    const { entries, unmatched } = computeTrafficWeights(extractRequests(source).calls, metadata, resolverForScript(source));
+    const total = entries.reduce((sum, e) => sum + e.weight, 0);
+    console.log(`Traffic mix (${mode}):`);
+    entries.forEach(e => {
+      console.log(`- ${e.name}: ${e.weight} req/s (${(e.weight / total * 100).toFixed(1)}%)${e.expectedRps === null ? ' [no metadata]' : ''}`);
+    });
+    if (unmatched.length > 0) {
+      console.log(`Requests without metadata expectedRps: ${unmatched.join(', ')}`);
+    }
+  } catch (error) {
+    console.error(`Error building traffic mix: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  extractRequests,
+  computeTrafficWeights,
+  applyWeightedMix,
+  buildEndpointScenarios
+};
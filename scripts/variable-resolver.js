@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * Postman Variable Resolver
+ * Resolves {{variables}} in request URLs, headers and bodies the way Postman does before a
+ * request is sent, so analysis and metadata matching see real hosts and paths.
+ *
+ * Precedence (first match wins): environment file, collection variables, folder variables,
+ * globals. Dynamic variables such as {{$guid}} and {{$timestamp}} get a generated value.
+ * Variables set by scripts (pm.environment.set etc.) are known to exist but have no value
+ * until the collection runs, so they are left as they are.
+ *
+ * Usage: node variable-resolver.js <collection-file> [--environment <file>] [--globals <file>]
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { findMatchingBracket, parseObjectLiteral } = require('./script-utils');
+
+const VARIABLE_REFERENCE = /\{\{([^{}]+)\}\}/g;
+// Nested references ({{base}} -> {{host}}/v1) are followed this many levels deep
+const MAX_RESOLVE_DEPTH = 10;
+// pm.environment.set('x'), pm.collectionVariables.set('x'), pm.variables.set('x'), pm.globals.set('x'),
+// postman.setEnvironmentVariable('x'), postman.setGlobalVariable('x')
+const VARIABLE_ASSIGNMENT = /\.(?:set|setEnvironmentVariable|setGlobalVariable)\(\s*(['"`])([^'"`]+)\1/g;
+
+const SAMPLE_FIRST_NAMES = ['Ada', 'Grace', 'Alan', 'Linus', 'Margaret'];
+const SAMPLE_LAST_NAMES = ['Lovelace', 'Hopper', 'Turing', 'Torvalds', 'Hamilton'];
+
+function pick(values) {
+  return values[Math.floor(Math.random() * values.length)];
+}
+
+/**
+ * Generators for Postman's dynamic variables ({{$name}})
+ */
+const DYNAMIC_VARIABLES = {
+  guid: () => crypto.randomUUID(),
+  randomUUID: () => crypto.randomUUID(),
+  timestamp: () => String(Math.floor(Date.now() / 1000)),
+  isoTimestamp: () => new Date().toISOString(),
+  randomInt: () => String(Math.floor(Math.random() * 1001)),
+  randomBoolean: () => String(Math.random() < 0.5),
+  randomAlphaNumeric: () => Math.random().toString(36).charAt(2) || 'a',
+  randomFirstName: () => pick(SAMPLE_FIRST_NAMES),
+  randomLastName: () => pick(SAMPLE_LAST_NAMES),
+  randomFullName: () => `${pick(SAMPLE_FIRST_NAMES)} ${pick(SAMPLE_LAST_NAMES)}`,
+  randomUserName: () => `${pick(SAMPLE_FIRST_NAMES).toLowerCase()}${Math.floor(Math.random() * 1000)}`,
+  randomEmail: () => `${pick(SAMPLE_FIRST_NAMES).toLowerCase()}${Math.floor(Math.random() * 1000)}@example.com`,
+  randomPhoneNumber: () => `555-${String(Math.floor(Math.random() * 10000000)).padStart(7, '0')}`,
+  randomIP: () => Array.from({ length: 4 }, () => Math.floor(Math.random() * 256)).join('.'),
+  randomUrl: () => 'https://example.com',
+  randomWord: () => pick(['alpha', 'bravo', 'charlie', 'delta', 'echo']),
+  randomColor: () => pick(['red', 'green', 'blue', 'orange', 'purple'])
+};
+
+/**
+ * Turn a Postman variable list ([{ key, value, disabled }] or { values: [...] }) or a plain
+ * object into a { name: value } map. Disabled entries are skipped; later entries win.
+ */
+function variableMap(variables) {
+  if (!variables) return {};
+  const list = Array.isArray(variables) ? variables : variables.values;
+  if (!Array.isArray(list)) {
+    return typeof variables === 'object' ? Object.assign({}, variables) : {};
+  }
+
+  const map = {};
+  list.forEach(v => {
+    if (v && v.key && !v.disabled && v.enabled !== false) map[v.key] = v.value;
+  });
+  return map;
+}
+
+/**
+ * Names of the variables set by Postman scripts (event lists of any scope)
+ */
+function scriptAssignedVariables(events) {
+  const names = new Set();
+  (events || []).forEach(event => {
+    const exec = event && event.script && event.script.exec;
+    const source = Array.isArray(exec) ? exec.join('\n') : (exec || '');
+    for (const match of source.matchAll(VARIABLE_ASSIGNMENT)) names.add(match[2]);
+  });
+  return names;
+}
+
+/**
+ * Every event list in a collection: collection level, folders and requests
+ */
+function collectionEvents(collection) {
+  const events = [].concat(collection.event || []);
+  const walk = items => (items || []).forEach(item => {
+    events.push(...(item.event || []));
+    if (Array.isArray(item.item)) walk(item.item);
+  });
+  walk(collection.item);
+  return events;
+}
+
+/**
+ * Create a resolver from { environment, collection, globals, runtime } where the first three
+ * are variable lists or maps and runtime is a list of names set by scripts.
+ * Folder variables are passed per call, since they depend on where the request is.
+ */
+function createVariableResolver(sources = {}) {
+  const scopes = {
+    environment: variableMap(sources.environment),
+    collection: variableMap(sources.collection),
+    globals: variableMap(sources.globals)
+  };
+  const runtime = new Set(sources.runtime || []);
+
+  const lookup = (name, folderVariables = []) => {
+    const folder = variableMap(folderVariables);
+    for (const scope of [scopes.environment, scopes.collection, folder, scopes.globals]) {
+      if (Object.prototype.hasOwnProperty.call(scope, name) && scope[name] !== undefined && scope[name] !== null) {
+        return String(scope[name]);
+      }
+    }
+    if (name.startsWith('$') && DYNAMIC_VARIABLES[name.substring(1)]) {
+      return DYNAMIC_VARIABLES[name.substring(1)]();
+    }
+    return undefined;
+  };
+
+  /**
+   * Replace the {{variables}} of a string. Returns { value, unresolved } where unresolved lists
+   * the names with no value; variables set by scripts are left in place but not reported.
+   */
+  const resolveText = (text, folderVariables = []) => {
+    const unresolved = new Set();
+    let value = String(text === undefined || text === null ? '' : text);
+
+    for (let depth = 0; depth < MAX_RESOLVE_DEPTH && value.includes('{{'); depth++) {
+      let replaced = false;
+      value = value.replace(VARIABLE_REFERENCE, (match, rawName) => {
+        const name = rawName.trim();
+        const resolved = lookup(name, folderVariables);
+        if (resolved === undefined) {
+          if (!runtime.has(name)) unresolved.add(name);
+          return match;
+        }
+        replaced = true;
+        return resolved;
+      });
+      if (!replaced) break;
+    }
+
+    return { value, unresolved: [...unresolved] };
+  };
+
+  return {
+    lookup,
+    resolveText,
+    resolve: (text, folderVariables = []) => resolveText(text, folderVariables).value,
+    resolveUrl: (url, folderVariables = []) => resolveText(rawUrl(url), folderVariables).value,
+
+    /**
+     * Names referenced anywhere in a value (string, array or object) that cannot be resolved
+     */
+    findUndefined: (value, folderVariables = []) => {
+      const text = typeof value === 'string' ? value : JSON.stringify(value === undefined ? null : value);
+      return resolveText(text, folderVariables).unresolved;
+    },
+
+    isDefined: (name, folderVariables = []) => runtime.has(name) || lookup(name, folderVariables) !== undefined
+  };
+}
+
+/**
+ * The raw URL string of a Postman request URL (string or URL object)
+ */
+function rawUrl(url) {
+  if (!url) return '';
+  if (typeof url === 'string') return url;
+  if (url.raw) return url.raw;
+
+  const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+  const urlPath = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+  return `${url.protocol ? `${url.protocol}://` : ''}${host}${urlPath ? `/${urlPath}` : ''}`;
+}
+
+function readJsonFile(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read ${label} file ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Build a resolver for a parsed collection, reading the optional environment and globals files.
+ * options.dataColumns names the columns of an iteration data file, which get a value per iteration.
+ */
+function resolverForCollection(collection, options = {}) {
+  return createVariableResolver({
+    environment: options.environmentPath ? readJsonFile(options.environmentPath, 'environment') : null,
+    collection: collection.variable,
+    globals: options.globalsPath ? readJsonFile(options.globalsPath, 'globals') : null,
+    runtime: [...scriptAssignedVariables(collectionEvents(collection)), ...(options.dataColumns || [])]
+  });
+}
+
+/**
+ * Build a resolver from the variables embedded in a generated script, so requests in the
+ * script can be resolved without the original collection: postman-to-k6 passes them to
+ * postman[Symbol.for("initial")]({ options, collection, environment, global }) and
+ * convert-collection.js declares const postmanVariables = { collection, environment, global }
+ */
+function resolverForScript(source) {
+  const match = /postman\[Symbol\.for\(["']initial["']\)\]\(\s*\{|\bconst\s+postmanVariables\s*=\s*\{/.exec(source);
+  if (!match) return createVariableResolver({});
+
+  const open = match.index + match[0].length - 1;
+  const close = findMatchingBracket(source, open);
+  if (close === -1) return createVariableResolver({});
+  const initial = source.substring(open, close + 1);
+
+  // The block also holds code (the options shorthand), so each variable object is parsed on its own
+  const readObject = key => {
+    const keyMatch = new RegExp(`[{,\\s]["']?${key}["']?\\s*:\\s*\\{`).exec(initial);
+    if (!keyMatch) return null;
+    const start = keyMatch.index + keyMatch[0].length - 1;
+    return parseObjectLiteral(initial.substring(start, findMatchingBracket(initial, start) + 1));
+  };
+
+  return createVariableResolver({
+    environment: readObject('environment'),
+    collection: readObject('collection'),
+    globals: readObject('global')
+  });
+}
+
+// CLI usage
+if (require.main === module) {
+  const collectionPath = process.argv[2];
+
+  // Parse --flag value pairs that follow the positional argument
+  const flags = {};
+  for (let i = 3; i < process.argv.length; i++) {
+    if (process.argv[i].startsWith('--')) {
+      flags[process.argv[i].substring(2)] = process.argv[i + 1];
+      i++;
+    }
+  }
+
+  if (!collectionPath) {
+    console.error('Usage: node variable-resolver.js <collection-file> [--environment <file>] [--globals <file>]');
+    process.exit(1);
+  }
+
+  try {
+    const collection = readJsonFile(collectionPath, 'collection');
+    const resolver = resolverForCollection(collection, { environmentPath: flags.environment, globalsPath: flags.globals });
+
+    // Print every request URL resolved, with the variables that stay undefined
+    const requests = [];
+    const walk = (items, basePath, folderVariables) => (items || []).forEach(item => {
+      const itemPath = basePath ? `${basePath}/${item.name}` : item.name;
+      if (item.request) {
+        requests.push({
+          name: itemPath,
+          method: item.request.method || 'GET',
+          url: resolver.resolveUrl(item.request.url, folderVariables),
+          undefinedVariables: resolver.findUndefined(item.request, folderVariables)
+        });
+      }
+      if (Array.isArray(item.item)) walk(item.item, itemPath, folderVariables.concat(item.variable || []));
+    });
+    walk(collection.item, '', []);
+    console.log(JSON.stringify(requests, null, 2));
+  } catch (error) {
+    console.error(`Error resolving variables: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  createVariableResolver,
+  resolverForCollection,
+  resolverForScript,
+  scriptAssignedVariables,
+  collectionEvents,
+  variableMap,
+  rawUrl,
+  DYNAMIC_VARIABLES
+};
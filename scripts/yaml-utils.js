@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * YAML Utilities
+ * Parses YAML with js-yaml (a dependency in package.json, installed by the action and the
+ * GitLab template)
+ *
+ * Usage: node yaml-utils.js <yaml-file>
+ */
+
+const fs = require('fs');
+const jsYaml = require('js-yaml');
+
+/**
+ * Parse YAML text into a JavaScript value
+ */
+function parseYAML(text) {
+  try {
+    return jsYaml.load(text);
+  } catch (e) {
+    throw new Error(`Invalid YAML: ${e.message}`);
+  }
+}
+
+/**
+ * Read and parse a YAML file
+ */
+function readYAMLFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`YAML file not found: ${filePath}`);
+  }
+  return parseYAML(fs.readFileSync(filePath, 'utf8'));
+}
+
+// CLI usage
+if (require.main === module) {
+  const filePath = process.argv[2];
+
+  if (!filePath) {
+    console.error('Usage: node yaml-utils.js <yaml-file>');
+    process.exit(1);
+  }
+
+  try {
+    console.log(JSON.stringify(readYAMLFile(filePath), null, 2));
+  } catch (error) {
+    console.error(`Error parsing YAML: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseYAML,
+  readYAMLFile
+};
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { translateTests, ASSERTION_RUNTIME } = require('../scripts/assertion-translator');
+
+function events(...lines) {
+  return [{ listen: 'test', script: { exec: lines } }];
+}
+
+// Evaluate a generated function expression with the runtime helpers and a setVariable spy
+function compile(code, variables = []) {
+  const setVariable = (scope, name, value) => variables.push({ scope, name, value });
+  return new Function('setVariable', `${ASSERTION_RUNTIME}\nreturn ${code};`)(setVariable);
+}
+
+function response(status, body, headers = {}) {
+  return { status, body: JSON.stringify(body), headers, timings: { duration: 120 }, json: () => body };
+}
+
+test('translates status and JSON assertions into checks that pass and fail like Postman', () => {
+  const result = translateTests(events(
+    'pm.test("Status is 200", function () { pm.response.to.have.status(200); });',
+    'pm.test("Has id", function () {',
+    '  var data = pm.response.json();',
+    '  pm.expect(data.id).to.eql(7);',
+    '  pm.expect(data.tags).to.be.an("array").that.includes("new");',
+    '});'
+  ));
+  assert.deepEqual(result.checks.map(c => c.name), ['Status is 200', 'Has id']);
+  assert.deepEqual(result.untranslated, []);
+
+  const [status, hasId] = result.checks.map(c => compile(c.code));
+  assert.equal(status(response(200, {})), true);
+  assert.equal(status(response(404, {})), false);
+  assert.equal(hasId(response(200, { id: 7, tags: ['new'] })), true);
+  assert.equal(hasId(response(200, { id: 8, tags: ['new'] })), false);
+  assert.equal(hasId(response(200, { id: 7, tags: 'new' })), false);
+});
+
+test('checks fail instead of throwing when the body is not what the test expects', () => {
+  const [check] = translateTests(events('pm.test("Name", () => { pm.expect(pm.response.json().user.name).to.equal("a"); });')).checks;
+  const r = response(200, null);
+  r.json = () => { throw new Error('not JSON'); };
+  assert.equal(compile(check.code)(r), false);
+});
+
+test('header, response time and negated assertions', () => {
+  const [check] = translateTests(events(
+    'pm.test("Headers and timing", function () {',
+    '  pm.response.to.have.header("Content-Type");',
+    '  pm.expect(pm.response.responseTime).to.be.below(200);',
+    '  pm.expect(pm.response.code).to.not.equal(500);',
+    '});'
+  )).checks;
+  const fn = compile(check.code);
+  assert.equal(fn(response(200, {}, { 'content-type': 'application/json' })), true);
+  assert.equal(fn(response(200, {}, {})), false);
+  assert.equal(fn(response(500, {}, { 'content-type': 'application/json' })), false);
+});
+
+test('reports tests it cannot translate with the reason', () => {
+  const result = translateTests(events(
+    'pm.test("Custom", function () { foo(); });',
+    'pm.test(name, function () { pm.response.to.have.status(200); });'
+  ));
+  assert.deepEqual(result.checks, []);
+  assert.deepEqual(result.untranslated, [
+    { name: 'Custom', reason: 'unsupported statement "foo()"' },
+    { name: 'name', reason: 'the test name is not a plain string' }
+  ]);
+});
+
+test('duplicate test names get a suffix', () => {
+  const result = translateTests(events(
+    'pm.test("OK", function () { pm.response.to.be.ok; });',
+    'pm.test("OK", function () { pm.response.to.have.status(200); });'
+  ));
+  assert.deepEqual(result.checks.map(c => c.name), ['OK', 'OK (2)']);
+});
+
+test('variable sets become an extract function', () => {
+  const result = translateTests(events('pm.environment.set("token", pm.response.json().token);'));
+  const variables = [];
+  compile(result.extract, variables)(response(200, { token: 'abc' }));
+  assert.deepEqual(variables, [{ scope: 'environment', name: 'token', value: 'abc' }]);
+});
+
+test('ignores events that are not test scripts', () => {
+  const result = translateTests([{ listen: 'prerequest', script: { exec: ['pm.test("x", () => {})'] } }, null]);
+  assert.deepEqual(result, { checks: [], extract: null, untranslated: [], statements: [] });
+});
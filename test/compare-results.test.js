@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTolerances, compareResults, formatComparisonMarkdown, DEFAULT_TOLERANCES } = require('../scripts/compare-results');
+
+function snapshot(overall, endpoints = []) {
+  return {
+    version: 1,
+    timestamp: '2024-01-01T00:00:00.000Z',
+    overall: Object.assign({ requests: 1000, p95: 200, p99: 300, errorRate: 0.01, throughput: 50 }, overall),
+    endpoints: endpoints.map(e => Object.assign({ requests: 100, p95: 100, p99: 150, errorRate: 0, throughput: 5 }, e))
+  };
+}
+
+test('parseTolerances overrides the defaults', () => {
+  assert.deepEqual(parseTolerances(''), DEFAULT_TOLERANCES);
+  assert.deepEqual(parseTolerances('p95=5, error-rate=0.5'), Object.assign({}, DEFAULT_TOLERANCES, { p95: 5, errorRate: 0.5 }));
+  assert.equal(parseTolerances('errorRate=2').errorRate, 2);
+});
+
+test('parseTolerances rejects unknown names and invalid numbers', () => {
+  assert.throws(() => parseTolerances('p90=10'), /Unknown tolerance "p90"/);
+  assert.throws(() => parseTolerances('p95=-1'), /must be a non-negative number/);
+  assert.throws(() => parseTolerances('p95=fast'), /must be a non-negative number/);
+});
+
+test('latency regresses only past its percentage tolerance', () => {
+  const baseline = snapshot({ p95: 200, p99: 300 });
+  const within = compareResults(baseline, snapshot({ p95: 220, p99: 345 }));
+  assert.deepEqual(within.regressions, []);
+  assert.equal(within.rows[0].metrics.p95.deltaPct, 10);
+
+  const past = compareResults(baseline, snapshot({ p95: 221, p99: 346 }));
+  assert.deepEqual(past.regressions.map(r => r.metric), ['p95', 'p99']);
+});
+
+test('error rate tolerance is in percentage points', () => {
+  const baseline = snapshot({ errorRate: 0.01 });
+  assert.deepEqual(compareResults(baseline, snapshot({ errorRate: 0.02 })).regressions, []);
+  assert.deepEqual(compareResults(baseline, snapshot({ errorRate: 0.021 })).regressions.map(r => r.metric), ['errorRate']);
+  assert.deepEqual(compareResults(baseline, snapshot({ errorRate: 0.02 }), parseTolerances('error-rate=0.5')).regressions.map(r => r.metric), ['errorRate']);
+});
+
+test('throughput regresses when it drops, not when it rises', () => {
+  const baseline = snapshot({ throughput: 50 });
+  assert.deepEqual(compareResults(baseline, snapshot({ throughput: 80 })).regressions, []);
+  assert.deepEqual(compareResults(baseline, snapshot({ throughput: 45 })).regressions, []);
+  assert.deepEqual(compareResults(baseline, snapshot({ throughput: 44 })).regressions.map(r => r.metric), ['throughput']);
+});
+
+test('a zero baseline never counts as a percentage regression', () => {
+  const result = compareResults(snapshot({ p95: 0 }), snapshot({ p95: 500 }));
+  assert.equal(result.rows[0].metrics.p95.deltaPct, null);
+  assert.deepEqual(result.regressions, []);
+});
+
+test('endpoints are compared by key, and added and removed ones are listed', () => {
+  const baseline = snapshot({}, [{ key: 'GET /users', p95: 100 }, { key: 'DELETE /users', p95: 100 }]);
+  const current = snapshot({}, [{ key: 'GET /users', p95: 150 }, { key: 'POST /users', p95: 100 }]);
+  const result = compareResults(baseline, current);
+  assert.deepEqual(result.rows.map(r => r.name), ['All requests', 'GET /users']);
+  assert.deepEqual(result.regressions, [{ scope: 'endpoint', name: 'GET /users', metric: 'p95' }]);
+  assert.deepEqual(result.added, ['POST /users']);
+  assert.deepEqual(result.removed, ['DELETE /users']);
+});
+
+test('the report fails only when regressions exceed the budget', () => {
+  const result = compareResults(snapshot({ p95: 200 }), snapshot({ p95: 300 }));
+  assert.match(formatComparisonMarkdown(result, 0), /\*\*Result\*\*: FAILED \(1 regression\(s\), budget 0\)/);
+  assert.match(formatComparisonMarkdown(result, 1), /\*\*Result\*\*: PASSED/);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, formatDuration, compileStages, compileScenarios, compileProfile } = require('../scripts/compile-profile');
+
+test('parseDuration reads k6 durations as milliseconds', () => {
+  assert.equal(parseDuration('30s'), 30000);
+  assert.equal(parseDuration('1m30s'), 90000);
+  assert.equal(parseDuration('500ms'), 500);
+  assert.equal(parseDuration('1h'), 3600000);
+  assert.equal(parseDuration('1.5s'), 1500);
+});
+
+test('parseDuration rejects other formats', () => {
+  assert.throws(() => parseDuration('10 minutes'), /Invalid duration "10 minutes"/);
+  assert.throws(() => parseDuration(30), /Invalid duration/);
+  assert.throws(() => parseDuration(''), /Invalid duration/);
+});
+
+test('formatDuration is the inverse of parseDuration', () => {
+  ['30s', '1m30s', '2h', '500ms'].forEach(value => assert.equal(formatDuration(parseDuration(value)), value));
+});
+
+test('compileStages passes plain stages through', () => {
+  const stages = [{ duration: '1m', target: 10 }, { duration: '30s', target: 0 }];
+  assert.deepEqual(compileStages(stages), stages);
+});
+
+test('compileStages expands rampUp into a ramp and a hold', () => {
+  assert.deepEqual(compileStages([{ duration: '2m', target: 10, rampUp: '30s' }, { duration: '1m', target: 0 }]), [
+    { duration: '30s', target: 10 },
+    { duration: '1m30s', target: 10 },
+    { duration: '1m', target: 0 }
+  ]);
+});
+
+test('compileStages holds the previous target before a rampDown', () => {
+  assert.deepEqual(compileStages([
+    { duration: '2m', target: 20, rampUp: '30s' },
+    { duration: '5m', target: 20 },
+    { duration: '1m', target: 0, rampDown: '30s' }
+  ]), [
+    { duration: '30s', target: 20 },
+    { duration: '1m30s', target: 20 },
+    { duration: '5m', target: 20 },
+    { duration: '30s', target: 20 },
+    { duration: '30s', target: 0 }
+  ]);
+});
+
+test('compileStages ramps down over the whole stage when rampDown equals the duration', () => {
+  assert.deepEqual(compileStages([{ duration: '1m', target: 10 }, { duration: '30s', target: 0, rampDown: '30s' }]), [
+    { duration: '1m', target: 10 },
+    { duration: '30s', target: 0 }
+  ]);
+});
+
+test('compileStages reports every invalid stage', () => {
+  assert.throws(() => compileStages([]), /non-empty "stages" list/);
+  assert.throws(
+    () => compileStages([{ duration: 'x', target: -1 }, { duration: '1m', target: 5, rampUp: '2m' }]),
+    error => {
+      assert.match(error.message, /Stage 1: Invalid duration "x"/);
+      assert.match(error.message, /Stage 1: target must be a non-negative integer/);
+      assert.match(error.message, /Stage 2: rampUp "2m" exceeds stage duration "1m"/);
+      return true;
+    }
+  );
+});
+
+test('compileScenarios expands the stages of ramping executors', () => {
+  const compiled = compileScenarios({
+    browse: { executor: 'constant-vus', vus: 5, duration: '1m' },
+    orders: {
+      executor: 'ramping-arrival-rate', startRate: 0, timeUnit: '1s', preAllocatedVUs: 10, maxVUs: 20,
+      stages: [{ duration: '1m', target: 10, rampUp: '20s' }]
+    }
+  });
+  assert.deepEqual(compiled.browse, { executor: 'constant-vus', vus: 5, duration: '1m' });
+  assert.deepEqual(compiled.orders.stages, [{ duration: '20s', target: 10 }, { duration: '40s', target: 10 }]);
+});
+
+test('compileScenarios holds the start rate before a first-stage rampDown', () => {
+  const compiled = compileScenarios({
+    orders: {
+      executor: 'ramping-arrival-rate', startRate: 50, timeUnit: '1s', preAllocatedVUs: 10,
+      stages: [{ duration: '1m', target: 0, rampDown: '20s' }]
+    }
+  });
+  assert.deepEqual(compiled.orders.stages, [{ duration: '40s', target: 50 }, { duration: '20s', target: 0 }]);
+});
+
+test('compileScenarios rejects unknown executors and empty maps', () => {
+  assert.throws(() => compileScenarios({}), /non-empty map/);
+  assert.throws(() => compileScenarios({ a: { executor: 'nope' } }), /Scenario "a": unsupported executor "nope"/);
+});
+
+test('compileProfile accepts either stages or scenarios', () => {
+  assert.deepEqual(compileProfile([{ duration: '1m', target: 1 }]), { stages: [{ duration: '1m', target: 1 }] });
+  assert.ok(compileProfile({ scenarios: { a: { executor: 'constant-vus', vus: 1, duration: '1m' } } }).scenarios.a);
+  assert.throws(
+    () => compileProfile({ stages: [{ duration: '1m', target: 1 }], scenarios: { a: { executor: 'constant-vus', vus: 1, duration: '1m' } } }),
+    /cannot define both/
+  );
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { convertCollection } = require('../scripts/convert-collection');
+const { loadK6Script } = require('./helpers/run-k6');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'convert-collection-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function collection(...items) {
+  return { info: { name: 'Uploads' }, item: items };
+}
+
+function upload(name, body) {
+  return { name, request: { method: 'POST', url: 'https://api.test/upload', body } };
+}
+
+test('form-data file fields are opened at init and sent as files', () => {
+  fs.writeFileSync(path.join(dir, 'avatar.png'), 'png');
+  const { script } = convertCollection(collection(upload('Upload avatar', {
+    mode: 'formdata',
+    formdata: [{ key: 'avatar', type: 'file', src: 'avatar.png' }, { key: 'title', value: 'Me' }]
+  })), { collectionDir: dir });
+
+  const k6 = loadK6Script(script);
+  assert.equal(k6.opened.length, 1);
+  k6.exports.default();
+  const body = k6.requests[0].body;
+  assert.equal(body.title, 'Me');
+  assert.equal(body.avatar.filename, 'avatar.png');
+  assert.equal(String(body.avatar.data), 'png');
+});
+
+test('a form-data file that does not exist fails the conversion with the request and field', () => {
+  assert.throws(
+    () => convertCollection(collection(
+      { name: 'Profile', item: [upload('Upload avatar', { mode: 'formdata', formdata: [{ key: 'avatar', type: 'file', src: 'missing.png' }] })] }
+    ), { collectionDir: dir }),
+    /^Error: Profile\/Upload avatar: file upload "avatar" points at missing\.png, which does not exist/
+  );
+});
+
+test('a binary body file that does not exist fails the conversion', () => {
+  assert.throws(
+    () => convertCollection(collection(upload('Upload raw', { mode: 'file', file: { src: 'missing.bin' } })), { collectionDir: dir }),
+    /Upload raw: file upload "body" points at missing\.bin/
+  );
+});
+
+test('a file field without a file is skipped with a warning', () => {
+  const { script, warnings } = convertCollection(collection(upload('Upload avatar', {
+    mode: 'formdata',
+    formdata: [{ key: 'avatar', type: 'file' }, { key: 'title', value: 'Me' }]
+  })), { collectionDir: dir });
+  assert.deepEqual(warnings, ['Upload avatar: form-data file "avatar" has no file selected and is skipped']);
+  const k6 = loadK6Script(script);
+  assert.deepEqual(k6.opened, []);
+});
+
+function dataScript(rows, distribution) {
+  const file = path.join(dir, `users-${distribution}.json`);
+  fs.writeFileSync(file, JSON.stringify(rows));
+  const { script } = convertCollection(collection(
+    { name: 'Get user', request: { method: 'GET', url: 'https://api.test/users/{{id}}' } }
+  ), { data: { file, format: 'json', distribution } });
+  return loadK6Script(script);
+}
+
+function runIteration(k6, scenario, iterationInTest) {
+  k6.exec.scenario = { name: scenario, iterationInTest };
+  k6.exports.default();
+  return k6.requests[k6.requests.length - 1].url;
+}
+
+test('unique data rows are not reused across scenarios', () => {
+  const k6 = dataScript([1, 2, 3, 4, 5].map(id => ({ id })), 'unique');
+  k6.exec.test.options = { scenarios: { browse: {}, orders: {} } };
+
+  const urls = [
+    runIteration(k6, 'browse', 0), runIteration(k6, 'orders', 0),
+    runIteration(k6, 'browse', 1), runIteration(k6, 'orders', 1),
+    runIteration(k6, 'browse', 2)
+  ];
+  assert.deepEqual(urls.sort(), [1, 2, 3, 4, 5].map(id => `https://api.test/users/${id}`));
+  assert.throws(() => runIteration(k6, 'orders', 2), /test aborted: Scenario orders has used its share of the 5 data rows/);
+});
+
+test('unique data rows follow iterationInTest with a single scenario', () => {
+  const k6 = dataScript([{ id: 1 }, { id: 2 }], 'unique');
+  assert.equal(runIteration(k6, 'default', 0), 'https://api.test/users/1');
+  assert.equal(runIteration(k6, 'default', 1), 'https://api.test/users/2');
+  assert.throws(() => runIteration(k6, 'default', 2), /test aborted/);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertCollection } = require('../scripts/convert-collection');
+const { applyWeightedMix, buildEndpointScenarios } = require('../scripts/traffic-mix');
+const { requestFoldersFromScript, breakdownFromSubmetrics, groupToFolder } = require('../scripts/endpoint-breakdown');
+
+const COLLECTION = {
+  info: { name: 'Shop' },
+  item: [
+    { name: 'Health', request: { method: 'GET', url: 'https://api.test/health' } },
+    {
+      name: 'Catalog',
+      item: [
+        { name: 'List Products', request: { method: 'GET', url: 'https://api.test/products' } },
+        { name: 'Reviews', item: [{ name: 'List Reviews', request: { method: 'GET', url: 'https://api.test/reviews' } }] }
+      ]
+    }
+  ]
+};
+
+const METADATA = {
+  endpoints: [
+    { name: 'Health', method: 'GET', path: '/health', expectedRps: 1 },
+    { name: 'List Products', method: 'GET', path: '/products', expectedRps: 20 },
+    { name: 'List Reviews', method: 'GET', path: '/reviews', expectedRps: 5 }
+  ]
+};
+
+const FOLDERS = { Health: '(root)', 'List Products': 'Catalog', 'List Reviews': 'Catalog / Reviews' };
+
+test('requestFoldersFromScript maps requests to their folders', () => {
+  assert.deepEqual(requestFoldersFromScript(convertCollection(COLLECTION).script), FOLDERS);
+});
+
+test('requestFoldersFromScript finds requests moved into the weighted traffic mix', () => {
+  const { script } = applyWeightedMix(convertCollection(COLLECTION).script, METADATA);
+  assert.match(script, /const trafficMix = \[/);
+  assert.deepEqual(requestFoldersFromScript(script), FOLDERS);
+});
+
+test('requestFoldersFromScript finds requests moved into per-endpoint scenarios', () => {
+  const { script } = buildEndpointScenarios(convertCollection(COLLECTION).script, METADATA, 60000);
+  assert.deepEqual(requestFoldersFromScript(script), FOLDERS);
+});
+
+test('groupToFolder turns k6 group tags into folder paths', () => {
+  assert.equal(groupToFolder('::Catalog::Reviews'), 'Catalog / Reviews');
+  assert.equal(groupToFolder(''), '(root)');
+});
+
+test('breakdownFromSubmetrics leaves percentiles the summary lacks as null', () => {
+  const [row] = breakdownFromSubmetrics({
+    'http_req_duration{endpoint:List Products}': { values: { avg: 120, min: 80, max: 300, 'p(95)': 250 } },
+    'http_reqs{endpoint:List Products}': { values: { count: 40, rate: 2 } }
+  }, FOLDERS);
+  assert.equal(row.name, 'List Products');
+  assert.equal(row.folder, 'Catalog');
+  assert.equal(row.requests, 40);
+  assert.equal(row.p95, 250);
+  assert.equal(row.p99, null);
+});
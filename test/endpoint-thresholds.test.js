@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertCollection } = require('../scripts/convert-collection');
+const { applyEndpointThresholds } = require('../scripts/endpoint-thresholds');
+const { tagRequestCalls, findRequestCalls } = require('../scripts/script-utils');
+const { loadK6Script } = require('./helpers/run-k6');
+
+const METADATA = { endpoints: [{ name: 'List Posts', method: 'GET', path: '/posts', sla: 'p95<500ms' }] };
+
+function collection(request) {
+  return { info: { name: 'Blog' }, item: [{ name: 'List Posts', request: Object.assign({ method: 'GET', url: 'https://api.test/posts' }, request) }] };
+}
+
+test('endpoint tags reach k6 when the request hook sets options.tags', () => {
+  const converted = convertCollection(collection(), {
+    requestHook: () => ({ tags: { flow: 'browse' }, options: { timeout: '5s', tags: { flow: 'checkout', endpoint: 'other' } } })
+  });
+  const { script, thresholds } = applyEndpointThresholds(converted.script, METADATA);
+  assert.deepEqual(thresholds, { 'http_req_duration{endpoint:List Posts}': ['p(95)<500'] });
+
+  const k6 = loadK6Script(script);
+  k6.exports.default();
+  assert.equal(k6.requests.length, 1);
+  assert.equal(k6.requests[0].params.timeout, '5s');
+  assert.deepEqual(k6.requests[0].params.tags, { flow: 'browse', endpoint: 'List Posts' });
+});
+
+test('endpoint tags are added to requests without tags', () => {
+  const { script } = applyEndpointThresholds(convertCollection(collection()).script, METADATA);
+  const k6 = loadK6Script(script);
+  k6.exports.default();
+  assert.deepEqual(k6.requests[0].params.tags, { endpoint: 'List Posts' });
+});
+
+test('text that looks like options inside a request body is left alone', () => {
+  const converted = convertCollection(collection({
+    method: 'POST',
+    body: { mode: 'raw', raw: '{"options: {": "tags"}', options: { raw: { language: 'json' } } }
+  }));
+  const { script } = applyEndpointThresholds(converted.script, { endpoints: [{ name: 'List Posts', method: 'POST', path: '/posts' }] });
+  const k6 = loadK6Script(script);
+  k6.exports.default();
+  assert.equal(k6.requests[0].body, '{"options: {": "tags"}');
+  assert.deepEqual(k6.requests[0].params.tags, { endpoint: 'List Posts' });
+});
+
+test('postman-to-k6 calls get the tags merged into their options', () => {
+  const source = [
+    'export default function () {',
+    '  postman[Request]({',
+    '    name: "List Posts",',
+    '    method: "GET",',
+    '    address: "https://api.test/posts",',
+    '    options: { timeout: "5s", tags: { flow: "browse", endpoint: "other" } },',
+    '    post(response) { pm.test("options: {", () => {}); }',
+    '  });',
+    '}'
+  ].join('\n');
+  const script = tagRequestCalls(source, () => ({ endpoint: 'List Posts' }));
+  const [call] = findRequestCalls(script);
+  assert.match(call.code, /options: \{"timeout":"5s","tags":\{"flow":"browse","endpoint":"List Posts"\}\},/);
+  assert.match(call.code, /pm\.test\("options: \{", \(\) => \{\}\)/);
+  assert.equal((script.match(/endpoint/g) || []).length, 1);
+});
+
+test('tagRequestCalls refuses options it cannot merge into', () => {
+  const source = 'postman[Request]({ name: "A", address: "https://api.test/", options: requestOptions() });';
+  assert.throws(() => tagRequestCalls(source, () => ({ endpoint: 'A' })), /Cannot tag request "A": its options are not plain data/);
+});
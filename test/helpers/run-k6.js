@@ -0,0 +1,57 @@
+const fs = require('fs');
+
+/**
+ * Run the init code of a k6 script in Node, with stand-ins for the k6 modules.
+ * Returns { exports, requests, checks, opened, exec }: requests records the http.request()
+ * calls, checks the check() outcomes and opened the files passed to open(). exec is the
+ * k6/execution stand-in, whose fields tests set before calling exports.default().
+ */
+function loadK6Script(script, options = {}) {
+  const requests = [];
+  const checks = [];
+  const opened = [];
+  const exec = {
+    scenario: { name: 'default', iterationInTest: 0 },
+    vu: { idInTest: 1, iterationInScenario: 0 },
+    test: { options: {}, abort: message => { throw new Error(`test aborted: ${message}`); } }
+  };
+  const response = options.response || { status: 200, body: '{}', headers: {}, timings: { duration: 1 } };
+
+  const http = {
+    request(method, url, body, params) {
+      requests.push({ method, url, body, params });
+      return Object.assign({ json: () => JSON.parse(response.body) }, response);
+    },
+    file: (data, filename, contentType) => ({ data, filename, content_type: contentType })
+  };
+  const encoding = { b64encode: value => Buffer.from(value).toString('base64') };
+  const check = (value, sets) => {
+    Object.entries(sets).forEach(([name, fn]) => checks.push({ name, ok: !!fn(value) }));
+    return true;
+  };
+  const group = (name, fn) => fn();
+  function SharedArray(name, fn) {
+    return fn();
+  }
+  const open = (file, mode) => {
+    opened.push(file);
+    // k6 fails the whole test at init when a file cannot be opened
+    if (!fs.existsSync(file)) throw new Error(`open ${file}: no such file or directory`);
+    return mode === 'b' ? fs.readFileSync(file) : fs.readFileSync(file, 'utf8');
+  };
+
+  const source = script
+    .replace(/^import .*$/gm, '')
+    .replace(/export const options\b/, 'const options')
+    .replace(/export default function/, 'exports.default = function')
+    .replace(/export function (\w+)/g, 'exports.$1 = function $1');
+  const exported = {};
+  new Function('exports', 'http', 'encoding', 'check', 'group', 'SharedArray', 'exec', 'open', '__ENV', source)(
+    exported, http, encoding, check, group, SharedArray, exec, open, options.env || {});
+
+  return { exports: exported, requests, checks, opened, exec };
+}
+
+module.exports = {
+  loadK6Script
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCsv, parseDataRows, loadDataFile, validateDataColumns, findMissingColumns, dataFormat } = require('../scripts/iteration-data');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iteration-data-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content, 'utf8');
+  return file;
+}
+
+const COLLECTION = {
+  info: { name: 'Users' },
+  variable: [{ key: 'baseUrl', value: 'https://api.test' }],
+  item: [{ name: 'Get user', request: { method: 'GET', url: '{{baseUrl}}/users/{{userId}}?q={{query}}' } }]
+};
+
+test('parseCsv handles quoted commas, line breaks, doubled quotes and a BOM', () => {
+  assert.deepEqual(parseCsv('\uFEFFname,note\r\n"Doe, Jane","said ""hi""\nthen left"\n\n'), [
+    ['name', 'note'],
+    ['Doe, Jane', 'said "hi"\nthen left']
+  ]);
+});
+
+test('parseDataRows names CSV fields by the header and fills missing ones', () => {
+  assert.deepEqual(parseDataRows('id, name\n1,Ada\n2', 'csv'), [{ id: '1', name: 'Ada' }, { id: '2', name: '' }]);
+  assert.deepEqual(parseDataRows('[{"id":1}]', 'json'), [{ id: 1 }]);
+  assert.throws(() => parseDataRows('[1, 2]', 'json'), /array of objects/);
+});
+
+test('loadDataFile reports missing, unsupported and empty files', () => {
+  assert.throws(() => loadDataFile(path.join(dir, 'missing.csv')), /Data file not found/);
+  assert.throws(() => dataFormat('rows.txt'), /must be a \.csv or \.json file/);
+  assert.throws(() => loadDataFile(writeFile('empty.csv', 'id\n')), /has no rows/);
+  assert.throws(() => loadDataFile(writeFile('broken.json', '{')), /Could not parse data file/);
+
+  const data = loadDataFile(writeFile('users.json', '[{"userId":1},{"userId":2,"query":"x"}]'));
+  assert.equal(data.format, 'json');
+  assert.deepEqual(data.columns, ['userId', 'query']);
+  assert.equal(data.rows.length, 2);
+});
+
+test('every variable not defined elsewhere must be a column of the data file', () => {
+  assert.deepEqual(findMissingColumns(COLLECTION, ['userId']), [{ request: 'Get user', variables: ['query'] }]);
+  assert.deepEqual(findMissingColumns(COLLECTION, ['userId'], { environment: { values: [{ key: 'query', value: 'all' }] } }), []);
+
+  const data = loadDataFile(writeFile('ids.csv', 'userId\n1\n'));
+  assert.throws(() => validateDataColumns(COLLECTION, data), /has no column for variables sent by: Get user \(\{\{query\}\}\) \(columns: userId\)/);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { aggregateK6Stream, evaluateThreshold, createSeries, addValue, mergeSeries, quantile, OVERFLOW_KEY } = require('../scripts/k6-stream-aggregator');
+
+function seriesOf(values) {
+  const series = createSeries();
+  values.forEach(value => addValue(series, value));
+  return series;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'k6-stream-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeStream(lines) {
+  const file = path.join(dir, `k6-results-${fs.readdirSync(dir).length}.json`);
+  fs.writeFileSync(file, lines.map(line => JSON.stringify(line)).join('\n') + '\n', 'utf8');
+  return file;
+}
+
+function point(metric, value, seconds, tags = {}) {
+  return { type: 'Point', metric, data: { time: new Date(Date.UTC(2024, 0, 1) + seconds * 1000).toISOString(), value, tags } };
+}
+
+test('quantile estimates percentiles within 1% relative error', () => {
+  const series = seriesOf(Array.from({ length: 1000 }, (_, i) => i + 1));
+  [[0.5, 500.5], [0.9, 900.1], [0.95, 950.05], [0.99, 990.01]].forEach(([q, exact]) => {
+    const estimate = quantile(series, q);
+    assert.ok(Math.abs(estimate - exact) / exact <= 0.01, `q=${q}: ${estimate} vs ${exact}`);
+  });
+});
+
+test('quantile stays within min and max and handles zeros and empty series', () => {
+  assert.equal(quantile(createSeries(), 0.95), 0);
+  assert.equal(quantile(seriesOf([42]), 0.99), 42);
+  const withZeros = seriesOf([0, 0, 0, 10]);
+  assert.equal(quantile(withZeros, 0.5), 0);
+  assert.equal(quantile(withZeros, 1), 10);
+});
+
+test('mergeSeries gives the same quantiles as one series', () => {
+  const values = Array.from({ length: 200 }, (_, i) => (i * 37) % 500 + 1);
+  const merged = mergeSeries(seriesOf(values.slice(0, 80)), seriesOf(values.slice(80)));
+  const whole = seriesOf(values);
+  assert.equal(merged.count, whole.count);
+  assert.equal(merged.min, whole.min);
+  assert.equal(merged.max, whole.max);
+  assert.equal(quantile(merged, 0.95), quantile(whole, 0.95));
+});
+
+test('evaluateThreshold compares summary values', () => {
+  const values = { avg: 120, 'p(95)': 480, 'p(99.9)': 900, rate: 0.02, count: 10 };
+  assert.equal(evaluateThreshold('p(95)<500', values), true);
+  assert.equal(evaluateThreshold('p(95) < 400', values), false);
+  assert.equal(evaluateThreshold('p(99.9)<=900', values), true);
+  assert.equal(evaluateThreshold('rate<0.01', values), false);
+  assert.equal(evaluateThreshold('count>=10', values), true);
+  assert.equal(evaluateThreshold({ threshold: 'avg<200', abortOnFail: true }, values), true);
+});
+
+test('evaluateThreshold returns null when it cannot evaluate', () => {
+  assert.equal(evaluateThreshold('p(95)<500', {}), null);
+  assert.equal(evaluateThreshold('p95 under 500', { 'p(95)': 1 }), null);
+});
+
+test('aggregateK6Stream evaluates thresholds on metrics and sub-metrics', () => {
+  const file = writeStream([
+    { type: 'Metric', metric: 'http_req_duration', data: { name: 'http_req_duration', type: 'trend', contains: 'time', thresholds: ['p(95)<500'] } },
+    { type: 'Metric', metric: 'http_req_duration{name:slow}', data: { name: 'http_req_duration{name:slow}', type: 'trend', thresholds: ['p(95)<200'] } },
+    point('http_req_duration', 100, 0, { name: 'fast' }),
+    point('http_req_duration', 120, 1, { name: 'fast' }),
+    point('http_req_duration', 300, 2, { name: 'slow' })
+  ]);
+  const result = aggregateK6Stream(file);
+  assert.deepEqual(result.metrics.http_req_duration.thresholds, { 'p(95)<500': true });
+  assert.deepEqual(result.metrics['http_req_duration{name:slow}'].thresholds, { 'p(95)<200': false });
+  assert.equal(result.metrics.http_req_duration.values.count, 3);
+  assert.equal(result.state.testRunDurationMs, 2000);
+});
+
+test('aggregateK6Stream bounds tagged series and breakdowns', () => {
+  const lines = [{ type: 'Metric', metric: 'http_req_duration', data: { name: 'http_req_duration', type: 'trend' } }];
+  for (let i = 0; i < 10; i++) {
+    lines.push(point('http_req_duration', 100 + i, i, { name: `https://api.test/users/${i}` }));
+  }
+  const breakdowns = { endpoints: { metrics: ['http_req_duration'], key: tags => tags.name } };
+  const result = aggregateK6Stream(writeStream(lines), breakdowns, { maxSeriesKeys: 3 });
+
+  const tagged = result.taggedMetrics.http_req_duration;
+  assert.equal(tagged.length, 4);
+  assert.equal(tagged.filter(entry => entry.overflow).length, 1);
+  assert.equal(tagged.reduce((sum, entry) => sum + entry.values.count, 0), 10);
+
+  const endpoints = result.breakdowns.endpoints;
+  assert.deepEqual(endpoints.map(e => e.key).slice(-1), [OVERFLOW_KEY]);
+  assert.equal(endpoints.find(e => e.key === OVERFLOW_KEY).metrics.http_req_duration.count, 7);
+  assert.equal(result.warnings.length, 2);
+});
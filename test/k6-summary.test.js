@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { addSummaryTrendStats, SUMMARY_TREND_STATS } = require('../scripts/k6-summary');
+const { mergeK6Options } = require('../scripts/merge-k6-options');
+const { parseK6Results } = require('../scripts/parse-k6-results');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'k6-summary-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content, 'utf8');
+  return file;
+}
+
+// End-of-test summary with k6's default trend stats (no p(99))
+function writeSummary(name) {
+  return writeFile(name, JSON.stringify({
+    metrics: {
+      http_req_duration: { type: 'trend', contains: 'time', values: { avg: 150, min: 100, med: 120, max: 300, 'p(90)': 280, 'p(95)': 300 } },
+      http_reqs: { type: 'counter', contains: 'default', values: { count: 3, rate: 1.5 } }
+    },
+    root_group: { name: '', path: '', checks: [], groups: [] },
+    state: { testRunDurationMs: 2000 }
+  }));
+}
+
+function writeStream(name) {
+  const points = Array.from({ length: 100 }, (_, i) => i + 201).map((value, i) => JSON.stringify({
+    type: 'Point', metric: 'http_req_duration',
+    data: { time: new Date(Date.UTC(2024, 0, 1) + i * 1000).toISOString(), value, tags: { name: 'https://api.test/' } }
+  }));
+  return writeFile(name, [JSON.stringify({ type: 'Metric', metric: 'http_req_duration', data: { name: 'http_req_duration', type: 'trend', contains: 'time' } })]
+    .concat(points).join('\n') + '\n');
+}
+
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('merged profile options ask for p(99) in the summary', () => {
+  const script = quietly(() => mergeK6Options('import http from "k6/http";\nexport default function () {}\n', {
+    stages: [{ duration: '1m', target: 5 }],
+    thresholds: null
+  }));
+  assert.ok(script.includes(`summaryTrendStats: ${JSON.stringify(SUMMARY_TREND_STATS)}`));
+  assert.ok(SUMMARY_TREND_STATS.includes('p(99)'));
+});
+
+test('a script merged without a profile gets an options export with the trend stats', () => {
+  const script = quietly(() => mergeK6Options('import http from "k6/http";\nexport default function () {}\n', { summaryFile: 'summary.json' }));
+  assert.match(script, /^import http from "k6\/http";\n\nexport const options = \{ summaryTrendStats: \[.*"p\(99\)"\] \};\n/);
+  assert.match(script, /export function handleSummary/);
+});
+
+test('addSummaryTrendStats keeps the options of the script', () => {
+  const source = 'export const options = {\n  vus: 2,\n  duration: "10s",\n};\nexport default function () {}\n';
+  const { script, added } = addSummaryTrendStats(source);
+  assert.equal(added, true);
+  assert.ok(script.startsWith(`export const options = Object.assign({ summaryTrendStats: ${JSON.stringify(SUMMARY_TREND_STATS)} }, {\n  vus: 2,\n  duration: "10s",\n});\n`));
+
+  const own = 'export const options = { summaryTrendStats: ["avg"] };\n';
+  assert.deepEqual(addSummaryTrendStats(own), { script: own, added: false });
+});
+
+test('p99 missing from the summary comes from the data points', () => {
+  const parsed = quietly(() => parseK6Results(writeStream('stream.json'), null, writeSummary('summary.json')));
+  assert.equal(parsed.summary.responseTimes.p95, 300);
+  assert.ok(Math.abs(parsed.summary.responseTimes.p99 - 299) / 299 <= 0.01, `p99 ${parsed.summary.responseTimes.p99}`);
+});
+
+test('p99 missing from a summary without data points is null, not 0', () => {
+  const parsed = quietly(() => parseK6Results(null, null, writeSummary('summary-only.json')));
+  assert.equal(parsed.summary.responseTimes.p95, 300);
+  assert.equal(parsed.summary.responseTimes.p99, null);
+});
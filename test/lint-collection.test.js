@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { lintCollection, formatLintResult } = require('../scripts/lint-collection');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-collection-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeCollection(collection) {
+  const file = path.join(dir, 'collection.json');
+  fs.writeFileSync(file, JSON.stringify(Object.assign({ info: { name: 'Lint' } }, collection)), 'utf8');
+  return file;
+}
+
+function script(listen, ...lines) {
+  return { listen, script: { exec: lines } };
+}
+
+const rules = result => result.issues.map(i => `${i.level} ${i.rule}`);
+
+test('a clean collection has no issues', () => {
+  const result = lintCollection(writeCollection({
+    variable: [{ key: 'baseUrl', value: 'https://api.test' }],
+    item: [{ name: 'List', request: { method: 'GET', url: '{{baseUrl}}/items' } }]
+  }));
+  assert.deepEqual(result.issues, []);
+  assert.equal(formatLintResult(result), 'Collection lint: 0 error(s), 0 warning(s)');
+});
+
+test('lint reports what the converters cannot handle', () => {
+  const result = lintCollection(writeCollection({
+    item: [
+      {
+        name: 'Poll',
+        request: { method: 'GET', url: 'http://localhost:3000/jobs/{{jobId}}' },
+        event: [script('test', 'pm.sendRequest("https://api.test/ping");', 'postman.setNextRequest("Poll");')]
+      },
+      {
+        name: 'Upload',
+        request: {
+          method: 'POST',
+          url: 'https://api.test/upload',
+          auth: { type: 'hawk' },
+          body: { mode: 'formdata', formdata: [{ key: 'file', type: 'file', src: 'missing.png' }] }
+        }
+      }
+    ]
+  }));
+  assert.deepEqual(rules(result).sort(), [
+    'error missing-upload-file',
+    'error send-request',
+    'error set-next-request-loop',
+    'error unsupported-auth',
+    'warning localhost',
+    'warning undefined-variable',
+    // The native converter leaves both script statements out of the k6 script too
+    'warning untranslated-statement',
+    'warning untranslated-statement'
+  ]);
+  assert.equal(result.errors.length, 4);
+  assert.match(formatLintResult(result), /ERROR {3}\[set-next-request-loop\] Poll \(test script\): setNextRequest\("Poll"\) loops back to the same request/);
+});
+
+test('data file columns count as defined variables', () => {
+  const collectionPath = writeCollection({ item: [{ name: 'Get', request: { method: 'GET', url: 'https://api.test/users/{{userId}}' } }] });
+  const dataPath = path.join(dir, 'users.csv');
+  fs.writeFileSync(dataPath, 'userId\n1\n', 'utf8');
+  assert.deepEqual(rules(lintCollection(collectionPath)), ['warning undefined-variable']);
+  assert.deepEqual(lintCollection(collectionPath, { dataPath }).issues, []);
+});
+
+test('static OAuth2 tokens are flagged for postman-to-k6 only', () => {
+  const collectionPath = writeCollection({
+    auth: {
+      type: 'oauth2',
+      oauth2: [{ key: 'grant_type', value: 'client_credentials' }, { key: 'accessTokenUrl', value: 'https://auth.test/token' }]
+    },
+    item: [{ name: 'Get', request: { method: 'GET', url: 'https://api.test/' } }]
+  });
+  assert.deepEqual(lintCollection(collectionPath).issues, []);
+  assert.deepEqual(rules(lintCollection(collectionPath, { converter: 'postman-to-k6' })), ['warning static-token']);
+});
+
+test('lint rejects unknown converters and files that are not collections', () => {
+  assert.throws(() => lintCollection(writeCollection({ item: [] }), { converter: 'other' }), /Unknown converter 'other'/);
+  assert.throws(() => lintCollection(path.join(dir, 'missing.json')), /Collection file not found/);
+  assert.throws(() => lintCollection(writeCollection({})), /missing "item" array/);
+});
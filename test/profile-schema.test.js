@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileProfile } = require('../scripts/compile-profile');
+const { validateProfile, profilePeakVUs, profileIterations } = require('../scripts/profile-schema');
+
+test('validateProfile compiles a valid profile', () => {
+  const result = validateProfile({
+    name: 'load',
+    stages: [{ duration: '1m', target: 20 }],
+    thresholds: { http_req_duration: ['p(95)<500'], http_req_failed: 'rate<0.01' }
+  });
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.load, { stages: [{ duration: '1m', target: 20 }] });
+});
+
+test('validateProfile reports unknown fields, bad thresholds and stage errors', () => {
+  const { errors, load } = validateProfile({
+    stages: [{ duration: '1 minute', target: 5 }],
+    extra: true,
+    thresholds: { http_req_duration: ['p95 under 500'] }
+  });
+  assert.equal(load, null);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /unknown field "extra"/);
+  assert.match(errors[1], /Stage 1: Invalid duration "1 minute"/);
+  assert.match(errors[2], /thresholds\.http_req_duration: invalid expression "p95 under 500"/);
+});
+
+test('validateProfile applies the guardrails', () => {
+  const { errors } = validateProfile({ stages: [{ duration: '1m', target: 50 }] }, { maxVUs: 20, maxDurationMs: 30000 });
+  assert.deepEqual(errors, ['peak of 50 VUs exceeds the limit of 20', 'duration of 1m exceeds the limit of 30s']);
+  assert.deepEqual(validateProfile({ stages: [{ duration: '1m', target: 20 }] }, { maxVUs: 20, maxDurationMs: 60000 }).errors, []);
+});
+
+test('validateProfile rejects a profile that is not a map', () => {
+  assert.deepEqual(validateProfile([]).errors, ['profile must be a map']);
+});
+
+test('profilePeakVUs is the highest stage target', () => {
+  assert.equal(profilePeakVUs(compileProfile([{ duration: '1m', target: 10 }, { duration: '1m', target: 40 }, { duration: '1m', target: 0 }])), 40);
+});
+
+test('profilePeakVUs adds up overlapping scenarios only', () => {
+  const overlapping = compileProfile({
+    scenarios: {
+      browse: { executor: 'constant-vus', vus: 5, duration: '1m' },
+      orders: { executor: 'ramping-arrival-rate', startRate: 0, timeUnit: '1s', preAllocatedVUs: 10, maxVUs: 20, stages: [{ duration: '1m', target: 10 }] }
+    }
+  });
+  assert.equal(profilePeakVUs(overlapping), 25);
+
+  const sequential = compileProfile({
+    scenarios: {
+      first: { executor: 'constant-vus', vus: 5, duration: '1m' },
+      second: { executor: 'constant-vus', vus: 7, duration: '1m', startTime: '1m' }
+    }
+  });
+  assert.equal(profilePeakVUs(sequential), 7);
+});
+
+test('profileIterations counts iteration-based scenarios only', () => {
+  assert.equal(profileIterations(compileProfile([{ duration: '1m', target: 10 }])), null);
+  assert.equal(profileIterations(compileProfile({
+    scenarios: {
+      once: { executor: 'per-vu-iterations', vus: 2, iterations: 5 },
+      paced: { executor: 'constant-arrival-rate', rate: 2, timeUnit: '1s', duration: '10s', preAllocatedVUs: 2 }
+    }
+  })), 30);
+  assert.equal(profileIterations(compileProfile({ scenarios: { a: { executor: 'constant-vus', vus: 1, duration: '1m' } } })), null);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseK6Results } = require('../scripts/parse-k6-results');
+const { generateJUnitReport } = require('../scripts/junit-report');
+const { generateHtmlReport, markdownToHtml } = require('../scripts/html-report');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// End-of-test summary with a failed threshold and a failing check in a folder
+function parsedSummary() {
+  const file = path.join(dir, 'summary.json');
+  fs.writeFileSync(file, JSON.stringify({
+    metrics: {
+      http_req_duration: {
+        type: 'trend', contains: 'time',
+        values: { avg: 150, min: 100, med: 120, max: 400, 'p(90)': 280, 'p(95)': 350, 'p(99)': 390 },
+        thresholds: { 'p(95)<300': { ok: false }, 'avg<200': { ok: true } }
+      },
+      http_reqs: { type: 'counter', contains: 'default', values: { count: 20, rate: 2 } },
+      http_req_failed: { type: 'rate', contains: 'default', values: { rate: 0, passes: 0, fails: 20 } }
+    },
+    root_group: {
+      name: '', path: '', checks: [],
+      groups: [{
+        name: 'Orders & <Payments>', path: '::Orders & <Payments>', groups: [],
+        checks: [{ name: 'status is 200', passes: 18, fails: 2 }]
+      }]
+    },
+    state: { testRunDurationMs: 10000 }
+  }), 'utf8');
+  return parseK6Results(file);
+}
+
+test('the JUnit report has a test case per threshold expression and per check', () => {
+  const xml = generateJUnitReport(parsedSummary(), 'load');
+  assert.match(xml, /<testsuites name="k6 load" tests="3" failures="2" errors="0">/);
+  assert.match(xml, /<testcase classname="http_req_duration" name="avg&lt;200"\/>/);
+  assert.match(xml, /<failure message="Threshold failed: p\(95\)&lt;300" type="AssertionError">http_req_duration: p\(95\)=350, threshold p\(95\)&lt;300<\/failure>/);
+  assert.match(xml, /<testcase classname="Orders &amp; &lt;Payments&gt;" name="status is 200">/);
+  assert.match(xml, /2 of 20 checks failed/);
+});
+
+test('the HTML report escapes names and shows the summary, thresholds and checks', () => {
+  const html = generateHtmlReport(parsedSummary(), null, 'load');
+  assert.match(html, /<title>k6 Load Test Report - load<\/title>/);
+  assert.match(html, /Thresholds failed/);
+  assert.match(html, /p\(95\)&lt;300/);
+  assert.match(html, /Orders &amp; &lt;Payments&gt;/);
+  assert.ok(!html.includes('<Payments>'));
+});
+
+test('markdownToHtml renders headings, lists and inline code with the text escaped', () => {
+  const html = markdownToHtml('## Findings\n\n- **CRITICAL** p95 of `<500ms` failed');
+  assert.match(html, /<h\d>Findings<\/h\d>/);
+  assert.match(html, /<li><strong>CRITICAL<\/strong> p95 of <code>&lt;500ms<\/code> failed<\/li>/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeWithRules, parseThresholdExpression } = require('../scripts/rule-based-analyzer');
+const { detectSaturation } = require('../scripts/time-series');
+
+function row(offsetSeconds, vus, requestRate, p95, errorRate = 0) {
+  return { offsetSeconds, vus, requests: requestRate * 10, requestRate, p95, avgDuration: p95 / 2, errorRate };
+}
+
+function metrics(timeline) {
+  return {
+    summary: {
+      totalRequests: 1000,
+      requestRate: 10,
+      errorRate: 0,
+      responseTimes: { med: 100, p95: 150, p99: 200 },
+      thresholds: {}
+    },
+    endpoints: [],
+    timeline,
+    saturation: detectSaturation(timeline)
+  };
+}
+
+const saturationFindings = result => result.findings.filter(f => f.section === 'bottlenecks');
+
+test('the saturation finding comes from the knee detectSaturation found', () => {
+  const timeline = [
+    row(0, 5, 5, 100), row(10, 10, 10, 100), row(20, 15, 15, 105), row(30, 20, 20, 110),
+    row(40, 30, 21, 300), row(50, 40, 21, 400), row(60, 40, 21, 450)
+  ];
+  const result = analyzeWithRules(metrics(timeline));
+  const findings = saturationFindings(result);
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].rule, 'saturation-knee');
+  assert.match(findings[0].message, /^Knee point at 30 VUs \(40s into the run\): p95 rose to 300\.00ms/);
+  assert.match(findings[0].message, /throughput stayed near 20\.0 req\/s while VUs grew to 40$/);
+  assert.match(findings[0].recommendation, /about 20 VUs \/ 20\.0 req\/s/);
+});
+
+test('a throughput plateau without a knee gives no saturation finding', () => {
+  // Throughput stops following VUs, but latency and errors hold, so there is no knee
+  const timeline = [
+    row(0, 5, 5, 100), row(10, 10, 10, 100), row(20, 20, 20, 100), row(30, 30, 20, 110),
+    row(40, 40, 20, 110), row(50, 50, 20, 115)
+  ];
+  const result = analyzeWithRules(metrics(timeline));
+  assert.equal(metrics(timeline).saturation.knee, null);
+  assert.deepEqual(saturationFindings(result), []);
+  assert.ok(!result.findings.some(f => f.rule === 'root-cause' && /Saturation/.test(f.message)));
+});
+
+test('parseThresholdExpression splits aggregation, operator and limit', () => {
+  assert.deepEqual(parseThresholdExpression('p(95)<500'), { aggregation: 'p(95)', operator: '<', limit: 500 });
+  assert.equal(parseThresholdExpression('p95 under 500'), null);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, inputName, uniqueRowsNeeded, DEFAULTS } = require('../scripts/run-pipeline');
+const { compileProfile } = require('../scripts/compile-profile');
+
+// loadConfig reads .k6-config/ in the working directory and the settings' environment variables
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-pipeline-'));
+const variables = ['LOAD_PROFILE', 'SCRUB_SECRETS', 'AI_TIMEOUT', 'CONVERTER', 'ENVIRONMENT_FILE'];
+
+test.beforeEach(() => {
+  process.chdir(dir);
+  fs.rmSync(path.join(dir, '.k6-config'), { recursive: true, force: true });
+  variables.forEach(name => delete process.env[name]);
+});
+
+test.after(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+  variables.forEach(name => delete process.env[name]);
+});
+
+function saveConfig(config) {
+  fs.mkdirSync(path.join(dir, '.k6-config'), { recursive: true });
+  fs.writeFileSync(path.join(dir, '.k6-config', 'pipeline-config.json'), JSON.stringify(config), 'utf8');
+}
+
+test('inputName turns setting keys into action input names', () => {
+  assert.equal(inputName('loadProfile'), 'load-profile');
+  assert.equal(inputName('enableAiResultAnalysis'), 'enable-ai-result-analysis');
+});
+
+test('loadConfig returns the defaults', () => {
+  assert.deepEqual(loadConfig(), DEFAULTS);
+});
+
+test('loadConfig reads environment variables as the type of the default', () => {
+  process.env.LOAD_PROFILE = 'stress';
+  process.env.SCRUB_SECRETS = 'false';
+  process.env.AI_TIMEOUT = '5000';
+  process.env.ENVIRONMENT_FILE = '';
+  const config = loadConfig();
+  assert.equal(config.loadProfile, 'stress');
+  assert.equal(config.scrubSecrets, false);
+  assert.equal(config.aiTimeout, 5000);
+  assert.equal(config.environmentFile, '');
+});
+
+test('loadConfig lets flags override environment variables', () => {
+  process.env.LOAD_PROFILE = 'stress';
+  assert.equal(loadConfig({ 'load-profile': 'spike' }).loadProfile, 'spike');
+});
+
+test('loadConfig prefers the saved config over environment variables', () => {
+  saveConfig({ loadProfile: 'load', scrubSecrets: false });
+  process.env.LOAD_PROFILE = 'stress';
+  process.env.AI_TIMEOUT = '5000';
+  const config = loadConfig();
+  assert.equal(config.loadProfile, 'load');
+  assert.equal(config.scrubSecrets, false);
+  assert.equal(config.aiTimeout, DEFAULTS.aiTimeout);
+  assert.equal(loadConfig({}, { ignoreSaved: true }).loadProfile, 'stress');
+});
+
+test('loadConfig rejects invalid values', () => {
+  assert.throws(() => loadConfig({ 'scrub-secrets': 'yes' }), /scrub-secrets must be true or false \(got yes\)/);
+  assert.throws(() => loadConfig({ 'ai-timeout': 'soon' }), /ai-timeout must be a number/);
+  assert.throws(() => loadConfig({ converter: 'other' }), /converter must be /);
+  assert.throws(() => loadConfig({ 'regression-budget': '1.5' }), /regression-budget must be a non-negative integer/);
+  assert.throws(() => loadConfig({ 'traffic-rps-scale': '0' }), /traffic-rps-scale must be a positive number/);
+});
+
+test('loadConfig reports an unreadable saved config', () => {
+  fs.mkdirSync(path.join(dir, '.k6-config'), { recursive: true });
+  fs.writeFileSync(path.join(dir, '.k6-config', 'pipeline-config.json'), '{ not json', 'utf8');
+  assert.throws(() => loadConfig(), /Could not read pipeline config file/);
+});
+
+test('uniqueRowsNeeded gives every scenario as many rows as the busiest one', () => {
+  assert.equal(uniqueRowsNeeded(compileProfile([{ duration: '1m', target: 10 }])), null);
+  assert.equal(uniqueRowsNeeded(compileProfile({ scenarios: { once: { executor: 'shared-iterations', vus: 2, iterations: 10 } } })), 10);
+  assert.equal(uniqueRowsNeeded(compileProfile({
+    scenarios: {
+      once: { executor: 'per-vu-iterations', vus: 2, iterations: 5 },
+      paced: { executor: 'constant-arrival-rate', rate: 2, timeUnit: '1s', duration: '10s', preAllocatedVUs: 2 }
+    }
+  })), 40);
+  assert.equal(uniqueRowsNeeded(compileProfile({
+    scenarios: {
+      once: { executor: 'shared-iterations', vus: 2, iterations: 10 },
+      browse: { executor: 'constant-vus', vus: 1, duration: '1m' }
+    }
+  })), null);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scrubScript, maskText, findSecrets } = require('../scripts/scrub-secrets');
+
+const API_KEY = { name: 'API_KEY', value: 'sk-live-123456789', source: 'collection header X-Api-Key' };
+
+test('scrubScript reads secrets in string literals from __ENV', () => {
+  const source = [
+    'import http from "k6/http";',
+    'const headers = { "X-Api-Key": "sk-live-123456789" };',
+    'http.get("https://api.test/?key=sk-live-123456789&page=1");',
+    "const quoted = 'sk-live-123456789';",
+    'const template = `Bearer sk-live-123456789`;'
+  ].join('\n');
+  const { script, counts } = scrubScript(source, [API_KEY]);
+
+  assert.equal(counts.API_KEY, 4);
+  assert.ok(!script.includes(API_KEY.value));
+  assert.ok(script.includes('{ "X-Api-Key": __ENV["API_KEY"] }'));
+  assert.ok(script.includes('("https://api.test/?key=" + __ENV["API_KEY"] + "&page=1")'));
+  assert.ok(script.includes('const quoted = __ENV["API_KEY"];'));
+  assert.ok(script.includes('`Bearer ${__ENV["API_KEY"]}`'));
+});
+
+test('scrubScript guards the secrets it moved to __ENV after the imports', () => {
+  const { script } = scrubScript('import http from "k6/http";\nhttp.get("https://api.test/", { headers: { "X-Api-Key": "sk-live-123456789" } });\n', [API_KEY]);
+  const lines = script.split('\n');
+  assert.equal(lines[0], 'import http from "k6/http";');
+  assert.ok(script.indexOf('["API_KEY"].forEach') > script.indexOf('import http'));
+  assert.ok(script.indexOf('["API_KEY"].forEach') < script.indexOf('http.get'));
+  assert.match(script, /Missing secret/);
+});
+
+test('scrubScript masks secrets outside string literals', () => {
+  const { script, counts } = scrubScript('// key: sk-live-123456789\nexport default function () {}\n', [API_KEY]);
+  assert.equal(script.split('\n')[0], '// key: REDACTED(API_KEY)');
+  assert.equal(counts.API_KEY, 1);
+});
+
+test('scrubScript leaves a script without secrets unchanged', () => {
+  const source = 'import http from "k6/http";\nexport default function () { http.get("https://api.test/"); }\n';
+  assert.deepEqual(scrubScript(source, [API_KEY]), { script: source, counts: {} });
+});
+
+test('scrubScript does not move mask-only secrets to __ENV', () => {
+  const credentials = { name: 'BASIC_CREDENTIALS', value: 'dXNlcjpwYXNz', maskOnly: true };
+  const { script } = scrubScript('const auth = "Basic dXNlcjpwYXNz";\n', [credentials]);
+  assert.ok(!script.includes('__ENV'));
+  assert.ok(!script.includes(credentials.value));
+});
+
+test('maskText masks raw, JSON-escaped and URL-encoded secrets', () => {
+  const password = { name: 'PASSWORD', value: 'p&ss "word"' };
+  const text = [
+    'raw: p&ss "word"',
+    `json: ${JSON.stringify({ password: password.value })}`,
+    `url: ?password=${encodeURIComponent(password.value)}`,
+    'key: sk-live-123456789'
+  ].join('\n');
+  const { text: masked, counts } = maskText(text, [API_KEY, password]);
+  assert.equal(masked, [
+    'raw: REDACTED(PASSWORD)',
+    'json: {"password":"REDACTED(PASSWORD)"}',
+    'url: ?password=REDACTED(PASSWORD)',
+    'key: REDACTED(API_KEY)'
+  ].join('\n'));
+  assert.deepEqual(counts, { API_KEY: 1, PASSWORD: 3 });
+});
+
+test('maskText replaces longer secrets first', () => {
+  const short = { name: 'SHORT', value: 'abcdef12' };
+  const long = { name: 'LONG', value: 'abcdef12345678' };
+  assert.equal(maskText('abcdef12345678 abcdef12', [short, long]).text, 'REDACTED(LONG) REDACTED(SHORT)');
+});
+
+test('findSecrets finds secret variables, auth fields and headers', () => {
+  const secrets = findSecrets({
+    variable: [{ key: 'apiKey', value: 'abc123456' }, { key: 'host', value: 'api.test' }],
+    auth: { type: 'bearer', bearer: [{ key: 'token', value: 'tok-987654321' }] },
+    item: [{
+      name: 'Get',
+      request: { url: 'https://api.test/', header: [{ key: 'X-Api-Key', value: 'hdr-555555555' }] }
+    }]
+  });
+  const values = secrets.map(s => s.value);
+  assert.ok(values.includes('abc123456'));
+  assert.ok(values.includes('tok-987654321'));
+  assert.ok(values.includes('hdr-555555555'));
+  assert.ok(!values.includes('api.test'));
+  assert.equal(secrets.find(s => s.value === 'abc123456').variable, 'apiKey');
+});
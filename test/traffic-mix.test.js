@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertCollection } = require('../scripts/convert-collection');
+const { extractRequests, computeTrafficWeights, applyWeightedMix, buildEndpointScenarios } = require('../scripts/traffic-mix');
+const { loadK6Script } = require('./helpers/run-k6');
+
+const SCRIPT = convertCollection({
+  info: { name: 'Shop' },
+  variable: [{ key: 'baseUrl', value: 'https://api.test' }],
+  item: [
+    { name: 'List Products', request: { method: 'GET', url: '{{baseUrl}}/products' } },
+    { name: 'Checkout', request: { method: 'POST', url: '{{baseUrl}}/orders' } },
+    { name: 'Health', request: { method: 'GET', url: '{{baseUrl}}/health' } }
+  ]
+}).script;
+
+const METADATA = {
+  endpoints: [
+    { name: 'List Products', method: 'GET', path: '/products', expectedRps: 30 },
+    { name: 'Checkout', method: 'POST', path: '/orders', expectedRps: 10 }
+  ]
+};
+
+test('requests without expectedRps get the smallest known rate', () => {
+  const { entries, unmatched } = computeTrafficWeights(extractRequests(SCRIPT).calls, METADATA);
+  assert.deepEqual(entries.map(e => [e.name, e.weight]), [['List Products', 30], ['Checkout', 10], ['Health', 10]]);
+  assert.deepEqual(unmatched, ['Health']);
+  assert.throws(() => computeTrafficWeights(extractRequests(SCRIPT).calls, { endpoints: [] }), /No request in the script matched/);
+});
+
+test('the weighted mix runs one request per iteration, picked by weight', () => {
+  const { script } = applyWeightedMix(SCRIPT, METADATA);
+  const k6 = loadK6Script(script);
+  const random = Math.random;
+  try {
+    // 30 + 10 + 10: 0.5 of the total falls in List Products, 0.7 in Checkout
+    Math.random = () => 0.5;
+    k6.exports.default();
+    Math.random = () => 0.7;
+    k6.exports.default();
+  } finally {
+    Math.random = random;
+  }
+  assert.deepEqual(k6.requests.map(r => `${r.method} ${r.url}`), ['GET https://api.test/products', 'POST https://api.test/orders']);
+});
+
+test('endpoint scenarios run each request at its rate', () => {
+  const { script, scenarios } = buildEndpointScenarios(SCRIPT, METADATA, 120000, 0.5);
+  assert.deepEqual(scenarios.endpoint_1_list_products, {
+    executor: 'constant-arrival-rate',
+    rate: 15,
+    timeUnit: '1s',
+    duration: '2m',
+    preAllocatedVUs: 15,
+    maxVUs: 60,
+    exec: 'endpoint_1_list_products',
+    tags: { endpoint: 'List Products' }
+  });
+  assert.equal(scenarios.endpoint_3_health.rate, 5);
+
+  const k6 = loadK6Script(script);
+  k6.exports.endpoint_2_checkout();
+  assert.deepEqual(k6.requests.map(r => `${r.method} ${r.url}`), ['POST https://api.test/orders']);
+});
+
+test('extractRequests needs requests in a default function', () => {
+  assert.throws(() => extractRequests('export const options = {};'), /no "export default function"/);
+  assert.throws(() => extractRequests('export default function () {}'), /No Postman requests found/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertCollection } = require('../scripts/convert-collection');
+const { createVariableResolver, resolverForScript, scriptAssignedVariables, variableMap, rawUrl } = require('../scripts/variable-resolver');
+
+test('variableMap skips disabled entries and reads environment files', () => {
+  assert.deepEqual(variableMap([{ key: 'a', value: 1 }, { key: 'b', value: 2, disabled: true }]), { a: 1 });
+  assert.deepEqual(variableMap({ values: [{ key: 'host', value: 'api.test', enabled: true }, { key: 'off', value: 'x', enabled: false }] }), { host: 'api.test' });
+  assert.deepEqual(variableMap({ plain: 'map' }), { plain: 'map' });
+});
+
+test('the environment wins over collection, folder and globals', () => {
+  const resolver = createVariableResolver({
+    environment: [{ key: 'host', value: 'env.test' }],
+    collection: [{ key: 'host', value: 'collection.test' }, { key: 'version', value: 'v1' }],
+    globals: { version: 'v0', tenant: 'acme' }
+  });
+  assert.equal(resolver.resolve('{{host}}/{{version}}/{{tenant}}'), 'env.test/v1/acme');
+  assert.equal(resolver.resolve('{{version}}', [{ key: 'version', value: 'v2' }]), 'v1');
+  assert.equal(resolver.resolve('{{tenant}}', [{ key: 'tenant', value: 'folder' }]), 'folder');
+});
+
+test('nested variables resolve and unknown ones are reported unless a script sets them', () => {
+  const resolver = createVariableResolver({
+    collection: { baseUrl: 'https://{{host}}', host: 'api.test' },
+    runtime: ['token']
+  });
+  assert.deepEqual(resolver.resolveText('{{baseUrl}}/users?t={{token}}&k={{apiKey}}'), {
+    value: 'https://api.test/users?t={{token}}&k={{apiKey}}',
+    unresolved: ['apiKey']
+  });
+  assert.deepEqual(resolver.findUndefined({ header: '{{ apiKey }}' }), ['apiKey']);
+  assert.ok(resolver.isDefined('token'));
+  assert.ok(!resolver.isDefined('apiKey'));
+});
+
+test('self-referencing variables stop after a bounded number of passes', () => {
+  const resolver = createVariableResolver({ collection: { loop: '{{loop}}' } });
+  assert.equal(resolver.resolve('{{loop}}'), '{{loop}}');
+});
+
+test('scriptAssignedVariables finds the names set by scripts', () => {
+  const names = scriptAssignedVariables([
+    { listen: 'test', script: { exec: ['pm.environment.set("token", json.token);', "pm.collectionVariables.set('orderId', 1);"] } },
+    { listen: 'prerequest', script: { exec: 'postman.setEnvironmentVariable("legacy", 1);' } }
+  ]);
+  assert.deepEqual([...names].sort(), ['legacy', 'orderId', 'token']);
+});
+
+test('rawUrl rebuilds URL objects without a raw string', () => {
+  assert.equal(rawUrl({ protocol: 'https', host: ['api', 'test'], path: ['v1', 'users'] }), 'https://api.test/v1/users');
+  assert.equal(rawUrl({ raw: '{{baseUrl}}/users' }), '{{baseUrl}}/users');
+  assert.equal(rawUrl(null), '');
+});
+
+test('resolverForScript reads the variables declared by a converted script', () => {
+  const { script } = convertCollection({
+    info: { name: 'Blog' },
+    variable: [{ key: 'baseUrl', value: 'https://api.test' }],
+    item: [{ name: 'List Posts', request: { method: 'GET', url: '{{baseUrl}}/posts' } }]
+  });
+  assert.equal(resolverForScript(script).resolve('{{baseUrl}}/posts'), 'https://api.test/posts');
+  assert.equal(resolverForScript('export default function () {}').resolve('{{baseUrl}}'), '{{baseUrl}}');
+});